@@ -0,0 +1,150 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * UK Athletics age groups from a date of birth
+ *
+ * The competition year runs from 1 October to 30 September. Track and field
+ * age groups go by age on 31 August at the end of the competition year, cross
+ * country by age on 31 August at its start, so the two can differ. Masters go
+ * by age on the day in both.
+ */
+
+(function() {
+    'use strict';
+
+    // First month (1-12) of the competition year
+    const COMPETITION_YEAR_START_MONTH = 10;
+
+    // Age-group rules by discipline - the date age is counted on, as a month
+    // and day in the year the competition year ends (yearOffset 0) or starts (-1)
+    const DISCIPLINES = {
+        trackAndField: { month: 8, day: 31, yearOffset: 0 },
+        crossCountry: { month: 8, day: 31, yearOffset: -1 }
+    };
+
+    // Age groups by age on the discipline's date, youngest first
+    const AGE_GROUPS = [
+        { name: 'U11', maxAge: 10 },
+        { name: 'U13', maxAge: 12 },
+        { name: 'U15', maxAge: 14 },
+        { name: 'U17', maxAge: 16 },
+        { name: 'U20', maxAge: 19 },
+        { name: 'Senior', maxAge: Infinity }
+    ];
+
+    // Masters - by age on the day rather than the discipline's date
+    const MASTERS = { name: 'Masters', minAge: 35 };
+
+    /**
+     * Split a YYYY-MM-DD date into numbers, or null if it is not one
+     */
+    function parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        const date = { year: +match[1], month: +match[2], day: +match[3] };
+        const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+        return check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day ? date : null;
+    }
+
+    /**
+     * Format date parts as YYYY-MM-DD
+     */
+    function formatDate(year, month, day) {
+        return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+    }
+
+    /**
+     * Today's local date as YYYY-MM-DD
+     */
+    function today() {
+        const now = new Date();
+        return formatDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+    }
+
+    /**
+     * Whole years between two parsed dates
+     */
+    function ageBetween(birth, on) {
+        const hadBirthday = on.month > birth.month || (on.month === birth.month && on.day >= birth.day);
+        return on.year - birth.year - (hadBirthday ? 0 : 1);
+    }
+
+    /**
+     * Calendar year the competition year containing a parsed date ends in
+     */
+    function competitionYearEnd(on) {
+        return on.month >= COMPETITION_YEAR_START_MONTH ? on.year + 1 : on.year;
+    }
+
+    /**
+     * Age group name for an age on the discipline's date
+     */
+    function getAgeGroup(age) {
+        return AGE_GROUPS.find(group => age <= group.maxAge).name;
+    }
+
+    /**
+     * Season label for the competition year containing a date, e.g. "2026/27"
+     */
+    function getSeason(on) {
+        const end = competitionYearEnd(parseDate(on || today()));
+        return (end - 1) + '/' + String(end % 100).padStart(2, '0');
+    }
+
+    /**
+     * Age in whole years for a date of birth (YYYY-MM-DD) on a date
+     * (YYYY-MM-DD, default today), or null for a missing, invalid or future
+     * date of birth
+     */
+    function getAge(dateOfBirth, on) {
+        const birth = parseDate(dateOfBirth);
+        const day = parseDate(on || today());
+        if (!birth || !day || ageBetween(birth, day) < 0) return null;
+        return ageBetween(birth, day);
+    }
+
+    /**
+     * Age groups for a date of birth (YYYY-MM-DD) in the competition year
+     * containing a date (YYYY-MM-DD, default today)
+     *
+     * Returns { season, trackAndField: { ageGroup, age, ageOn }, crossCountry: {...} },
+     * where age is counted on the ageOn date, or null for a missing, invalid or
+     * future date of birth.
+     */
+    function derive(dateOfBirth, on) {
+        on = on || today();
+        const birth = parseDate(dateOfBirth);
+        const day = parseDate(on);
+        if (!birth || !day || ageBetween(birth, day) < 0) return null;
+
+        const result = { season: getSeason(on) };
+        const isMasters = ageBetween(birth, day) >= MASTERS.minAge;
+
+        Object.keys(DISCIPLINES).forEach(discipline => {
+            if (isMasters) {
+                result[discipline] = { ageGroup: MASTERS.name, age: ageBetween(birth, day), ageOn: on };
+                return;
+            }
+
+            const rule = DISCIPLINES[discipline];
+            const ageOn = { year: competitionYearEnd(day) + rule.yearOffset, month: rule.month, day: rule.day };
+            const age = ageBetween(birth, ageOn);
+            result[discipline] = {
+                ageGroup: getAgeGroup(age),
+                age: age,
+                ageOn: formatDate(ageOn.year, ageOn.month, ageOn.day)
+            };
+        });
+
+        return result;
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.AgeGroups = {
+        DISCIPLINES: Object.keys(DISCIPLINES),
+        NAMES: AGE_GROUPS.map(group => group.name).concat(MASTERS.name),
+        MASTERS: MASTERS.name,
+        derive: derive,
+        getAge: getAge,
+        getSeason: getSeason
+    };
+})();
@@ -0,0 +1,153 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Signed athlete links - verifies the ?ref= token the registration workflow
+ * issues for each athlete (compact JWS, ES256). Used by the Discovery,
+ * consent and data request pages, and read without verifying by the coach
+ * viewer. The key trusted depends on the environment in config.js, which
+ * must load first wherever tokens are verified.
+ */
+
+(function() {
+    'use strict';
+
+    // Public half of the ES256 key the registration workflow signs athlete links with
+    const LINK_KEY = {
+        kid: 'mad-athlete-link-1',
+        jwk: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: 'ssIQRvGhGXZPA5KAVi48n4051DgFH5ieQ5LKAzWAKTU',
+            y: 'WigMBJzKJZYJ40WxkNoS5pGel_DlSQSFaFIzDVpc-pM'
+        }
+    };
+
+    // Public half of the development key the stub webhook signs with - its
+    // private half is committed (backend/dev-athlete-link-key.json), so it is
+    // only trusted by pages in the local environment
+    const DEV_LINK_KEY = {
+        kid: 'mad-athlete-link-dev',
+        jwk: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: 't4XssqqnXwE5NZBz_d4pKWoHkwhfnjZbjJ6QmhpVkbo',
+            y: 'PmkCPAvOfffbbBa5zAqf2J0tfbzqXYdD5oaD_aqTOvA'
+        }
+    };
+
+    // Link key by environment (config.js)
+    const LINK_KEYS = {
+        local: DEV_LINK_KEY,
+        staging: LINK_KEY,
+        production: LINK_KEY
+    };
+
+    /**
+     * Get the signed athlete reference from the URL
+     */
+    function getRefFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('ref');
+    }
+
+    /**
+     * Decode a base64url string to bytes
+     */
+    function base64UrlToBytes(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Encode bytes as base64url (no padding)
+     */
+    function bytesToBase64Url(bytes) {
+        const binary = Array.from(new Uint8Array(bytes), byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a base64url JSON segment of a token
+     */
+    function decodeTokenSegment(segment) {
+        return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+    }
+
+    /**
+     * Verify a signed athlete reference (compact JWS, ES256)
+     * Returns { status: 'valid', id, name, dob, sex, token }, { status: 'expired' } or { status: 'invalid' }
+     * dob and sex are null when the token does not carry them
+     */
+    async function verify(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            return { status: 'invalid' };
+        }
+
+        try {
+            const header = decodeTokenSegment(parts[0]);
+            const claims = decodeTokenSegment(parts[1]);
+            const linkKey = LINK_KEYS[window.MAD.Config.environment];
+
+            if (header.alg !== 'ES256' || header.kid !== linkKey.kid) {
+                return { status: 'invalid' };
+            }
+
+            const key = await crypto.subtle.importKey(
+                'jwk',
+                linkKey.jwk,
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+            const isSigned = await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                base64UrlToBytes(parts[2]),
+                new TextEncoder().encode(parts[0] + '.' + parts[1])
+            );
+
+            if (!isSigned || !claims.sub) {
+                return { status: 'invalid' };
+            }
+
+            if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+                return { status: 'expired' };
+            }
+
+            return {
+                status: 'valid',
+                id: claims.sub,
+                name: claims.name || 'athlete',
+                dob: claims.dob || null,
+                sex: claims.sex || null,
+                token: token
+            };
+        } catch (error) {
+            return { status: 'invalid' };
+        }
+    }
+
+    /**
+     * Claims of an athlete reference without checking its signature or
+     * expiry, or null if it cannot be read - for display only (coach viewer)
+     */
+    function readClaims(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            return decodeTokenSegment(parts[1]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.AthleteLink = {
+        getRefFromUrl: getRefFromUrl,
+        verify: verify,
+        readClaims: readClaims,
+        bytesToBase64Url: bytesToBase64Url
+    };
+})();
@@ -0,0 +1,91 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Reference decrypt routine for the Discovery payload's `encrypted` block
+ * (the reverse of encryptSpecialCategory in discovery-script.js)
+ *
+ * Not loaded by the forms - for the n8n workflow (Code node) or any Node.js 18+
+ * backend that holds the club private key.
+ *
+ * Usage:
+ *   const { decryptSpecialCategory } = require('./decrypt-special-category');
+ *   const payload = await decryptSpecialCategory(body, { 'mad-club-data-1': privateKeyJwk });
+ *   // payload.growth and payload.health are restored, payload.encrypted is removed
+ */
+
+'use strict';
+
+const { webcrypto } = require('crypto');
+
+const subtle = webcrypto.subtle;
+
+// Algorithms the forms encrypt with
+const KEY_ALGORITHM = 'RSA-OAEP-256';
+const CONTENT_ALGORITHM = 'A256GCM';
+
+/**
+ * Decode a base64url string to bytes
+ */
+function base64UrlToBytes(value) {
+    return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Decrypt the special-category sections of a Discovery payload
+ *
+ * privateKeys maps key id (kid) to the club private key as a JWK, so payloads
+ * encrypted to an older key can still be read after the key is rotated.
+ * Throws if the key id or algorithms are unknown, or if the ciphertext has been
+ * altered or moved to another athlete (AES-GCM authentication fails).
+ */
+async function decryptSpecialCategory(payload, privateKeys) {
+    const envelope = payload.encrypted;
+    if (!envelope) {
+        return payload;
+    }
+
+    if (envelope.alg !== KEY_ALGORITHM || envelope.enc !== CONTENT_ALGORITHM) {
+        throw new Error('Unsupported encryption algorithm: ' + envelope.alg + ' / ' + envelope.enc);
+    }
+
+    const privateKeyJwk = privateKeys[envelope.kid];
+    if (!privateKeyJwk) {
+        throw new Error('Unknown encryption key id: ' + envelope.kid);
+    }
+
+    const privateKey = await subtle.importKey(
+        'jwk',
+        privateKeyJwk,
+        { name: 'RSA-OAEP', hash: 'SHA-256' },
+        false,
+        ['decrypt']
+    );
+    const rawKey = await subtle.decrypt(
+        { name: 'RSA-OAEP' },
+        privateKey,
+        base64UrlToBytes(envelope.encryptedKey)
+    );
+    const contentKey = await subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+
+    const plaintext = await subtle.decrypt(
+        {
+            name: 'AES-GCM',
+            iv: base64UrlToBytes(envelope.iv),
+            additionalData: new TextEncoder().encode(payload.athleteId)
+        },
+        contentKey,
+        base64UrlToBytes(envelope.ciphertext)
+    );
+    const sections = JSON.parse(new TextDecoder().decode(plaintext));
+
+    const result = Object.assign({}, payload);
+    delete result.encrypted;
+    envelope.sections.forEach(path => {
+        result[path] = sections[path];
+    });
+
+    return result;
+}
+
+module.exports = {
+    decryptSpecialCategory: decryptSpecialCategory
+};
@@ -0,0 +1,338 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Local stub webhook - stands in for the n8n workflows during development, so
+ * the forms can be tried without the live tunnel.
+ *
+ * - Serves the forms from the repository root
+ * - Validates mad-form and mad-discovery bodies against the published schemas
+ *   (schemas/*.json) with the same validator the browser uses, and answers 400
+ *   with the schema errors as `details` when they do not match - the schema
+ *   file is picked by the major version of the body's schemaVersion, and
+ *   accepts any minor version of it, so submissions queued before a later
+ *   change are still accepted
+ * - Replays the original response for a repeated idempotencyKey, and answers
+ *   409 already_registered for an athlete registered earlier in the session
+ * - Answers 403 requester_not_verified to a mad-data-request that carries
+ *   neither a valid athlete link for the athlete named nor the contact email
+ *   or phone number that athlete was registered with this session
+ * - Accepts mad-consent without validation
+ * - Answers GET mad-health, the forms' check that the backend is up
+ *
+ * Nothing is stored beyond memory. Athlete tokens are signed with the
+ * development key (dev-athlete-link-key.json), which pages in the local
+ * environment trust. --link-key signs with the production athlete link key
+ * instead, for pages pointed at another environment (?env=).
+ *
+ * Usage (Node.js 18+):
+ *   node backend/stub-webhook.js [--port 8787] [--link-key athlete-link-private.json]
+ *
+ * Then open http://localhost:8787/ - pages served from localhost use the
+ * local environment in config.js, which posts to this server's /webhook/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PayloadValidator = require('../payload-validator.js');
+const Phone = require('../phone.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Published schemas by webhook and major version
+const SCHEMAS = {
+    'mad-form': {
+        1: require('../schemas/registration-payload.v1.json'),
+        2: require('../schemas/registration-payload.v2.json')
+    },
+    'mad-discovery': {
+        1: require('../schemas/discovery-payload.v1.json'),
+        2: require('../schemas/discovery-payload.v2.json'),
+        3: require('../schemas/discovery-payload.v3.json'),
+        4: require('../schemas/discovery-payload.v4.json'),
+        5: require('../schemas/discovery-payload.v5.json')
+    }
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Athlete link tokens - key ids must match athlete-link.js
+const LINK_KEY_ID = 'mad-athlete-link-1';
+const DEV_LINK_KEY_ID = 'mad-athlete-link-dev';
+const DEV_LINK_KEY_FILE = path.join(__dirname, 'dev-athlete-link-key.json');
+const LINK_LIFETIME = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+// Responses by idempotencyKey, registered athletes by name, date of birth and
+// contact email, and the same by contact phone number (E.164)
+const responses = new Map();
+const registered = new Map();
+const registeredPhones = new Set();
+
+/**
+ * Read a command line option, e.g. --port 8787
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf('--' + name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(getOption('port', 8787));
+const linkKeyFile = getOption('link-key', null);
+const linkKeyId = linkKeyFile ? LINK_KEY_ID : DEV_LINK_KEY_ID;
+const linkKey = crypto.createPrivateKey({ key: JSON.parse(fs.readFileSync(linkKeyFile || DEV_LINK_KEY_FILE, 'utf8')), format: 'jwk' });
+
+// Registration gender -> athlete link `sex` claim (growth estimates need one of these)
+const LINK_SEX = { Male: 'male', Female: 'female' };
+
+/**
+ * Sign an athlete link token (compact JWS, ES256)
+ */
+function signAthleteToken(athleteId, athleteName, athlete) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = encode({ alg: 'ES256', typ: 'JWT', kid: linkKeyId }) + '.' +
+        encode({ sub: athleteId, name: athleteName, dob: athlete.dateOfBirth, sex: LINK_SEX[athlete.gender], iat: now, exp: now + LINK_LIFETIME });
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: linkKey, dsaEncoding: 'ieee-p1363' });
+
+    return signingInput + '.' + signature.toString('base64url');
+}
+
+/**
+ * Claims of a valid, unexpired athlete link token - null otherwise
+ */
+function verifyAthleteToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        const header = JSON.parse(Buffer.from(parts[0], 'base64url'));
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64url'));
+        const isSigned = header.alg === 'ES256' && header.kid === linkKeyId &&
+            crypto.verify('sha256', Buffer.from(parts[0] + '.' + parts[1]), { key: linkKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(parts[2], 'base64url'));
+
+        return isSigned && claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Registry key for an athlete and a contact email or phone number
+ */
+function contactKey(athlete, contact) {
+    return [athlete.firstName, athlete.lastName, athlete.dateOfBirth, contact].join('|').toLowerCase();
+}
+
+/**
+ * Accept a data request only from someone who can show they act for the athlete:
+ * the athlete's own link, or the contact email or phone number the athlete was
+ * registered with
+ */
+function acceptDataRequest(payload) {
+    const athlete = payload.athlete || {};
+    const requester = payload.requester || {};
+    const claims = payload.athleteToken ? verifyAthleteToken(payload.athleteToken) : null;
+
+    const linkMatches = !!claims &&
+        String(claims.name).toLowerCase() === (athlete.firstName + ' ' + athlete.lastName).toLowerCase() &&
+        (!claims.dob || claims.dob === athlete.dateOfBirth);
+    const emailMatches = registered.has(contactKey(athlete, requester.email));
+    const phone = requester.phone && Phone.normalise(requester.phone);
+    const phoneMatches = !!phone && registeredPhones.has(contactKey(athlete, phone));
+
+    if (!linkMatches && !emailMatches && !phoneMatches) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                code: 'requester_not_verified',
+                message: 'Requester could not be verified against the registration records',
+                details: [
+                    'requester.email: does not match the contact email registered for this athlete',
+                    'requester.phone: does not match the contact phone number registered for this athlete'
+                ]
+            }
+        };
+    }
+
+    return { status: 200, body: { success: true, reference: payload.reference, responseDue: payload.responseDue } };
+}
+
+/**
+ * Register the athletes in a Registration payload, or report those already on file
+ */
+function register(payload) {
+    const contact = payload.parent || payload.athletes[0];
+    // Registration payloads before 2.0.0 may carry the number as typed
+    const contactPhone = contact.phone && Phone.normalise(contact.phone);
+    const keys = payload.athletes.map(athlete => contactKey(athlete, contact.email));
+
+    const existing = keys.filter(key => registered.has(key)).map(key => registered.get(key));
+    if (existing.length > 0) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                code: 'already_registered',
+                message: 'Athlete already registered',
+                athletes: existing
+            }
+        };
+    }
+
+    const athletes = payload.athletes.map((athlete, index) => {
+        const athleteId = 'ATH-' + crypto.randomUUID().slice(0, 8).toUpperCase();
+        const athleteName = athlete.firstName + ' ' + athlete.lastName;
+        const entry = { athleteId: athleteId, athleteName: athleteName, athleteToken: signAthleteToken(athleteId, athleteName, athlete) };
+        registered.set(keys[index], entry);
+        if (contactPhone) {
+            registeredPhones.add(contactKey(athlete, contactPhone));
+        }
+        return entry;
+    });
+
+    return { status: 200, body: { success: true, message: 'Registration received', athletes: athletes } };
+}
+
+/**
+ * Schema for a webhook body - the one matching its schemaVersion's major
+ * version, or the latest (whose schemaVersion check then fails)
+ */
+function getSchema(name, payload) {
+    const versions = SCHEMAS[name];
+    if (!versions) return null;
+
+    const major = String(payload && payload.schemaVersion).split('.')[0];
+    return versions[major] || versions[Math.max.apply(null, Object.keys(versions))];
+}
+
+/**
+ * Build the response for a webhook body
+ */
+function handleWebhook(name, payload) {
+    const schema = getSchema(name, payload);
+    if (schema) {
+        const details = PayloadValidator.validate(schema, payload);
+        if (details.length > 0) {
+            return { status: 400, body: { success: false, message: 'Payload does not match ' + schema.$id, details: details } };
+        }
+    }
+
+    switch (name) {
+        case 'mad-form':
+            return register(payload);
+        case 'mad-discovery':
+            return { status: 200, body: { success: true, message: 'Discovery received' } };
+        case 'mad-consent':
+            return { status: 200, body: { success: true, consent: { purposes: {} } } };
+        case 'mad-data-request':
+            return acceptDataRequest(payload);
+        default:
+            return { status: 404, body: { success: false, message: 'Unknown webhook: ' + name } };
+    }
+}
+
+/**
+ * Send a JSON response (CORS open, as the forms may be served from elsewhere)
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve a file from the repository root
+ */
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath.endsWith('/') ? urlPath + 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep) || filePath.includes(path.sep + 'backend' + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const match = req.url.match(/^\/webhook\/([\w-]+)$/);
+
+    if (!match) {
+        serveStatic(req, res);
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && match[1] === 'mad-health') {
+        sendJson(res, 200, { success: true, status: 'ok' });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { success: false, message: 'POST only' });
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            sendJson(res, 400, { success: false, message: 'Body is not valid JSON', details: [error.message] });
+            return;
+        }
+
+        const key = payload && payload.idempotencyKey;
+        let response = key && responses.get(match[1] + ':' + key);
+        if (!response) {
+            response = handleWebhook(match[1], payload);
+            if (key && response.status < 500) {
+                responses.set(match[1] + ':' + key, response);
+            }
+        }
+
+        console.log(req.method + ' ' + req.url + ' ' + response.status + (response.body.details ? ' ' + JSON.stringify(response.body.details) : ''));
+        sendJson(res, response.status, response.body);
+    });
+});
+
+server.listen(port, () => {
+    console.log('MAD stub webhook on http://localhost:' + port + '/' + (linkKeyFile ? ' (athlete tokens signed with ' + linkKeyFile + ')' : ''));
+});
@@ -0,0 +1,97 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Club policy - the ages at which athletes need a parent or guardian
+ *
+ * Set by the club's safeguarding and data protection policies:
+ *   guardianContactAge  athletes under this age have a parent or guardian's
+ *                       contact details on record (payload isMinor)
+ *   consentAge          under this age a parent or guardian gives consent for
+ *                       the athlete and makes the guardian declaration
+ *   purposeConsentAges  purposes (consent.js PURPOSES ids) with their own
+ *                       consent age - under it, a parent or guardian gives
+ *                       that consent even when the athlete gives the rest
+ *
+ * Ages are whole years today. An athlete whose age is unknown - a missing or
+ * invalid date of birth, e.g. an athlete link without a dob claim - is treated
+ * as needing a guardian for everything, so a child cannot consent for themselves.
+ */
+
+(function() {
+    'use strict';
+
+    const AgeGroups = window.MAD.AgeGroups;
+    const Consent = window.MAD.Consent;
+
+    const POLICY = {
+        guardianContactAge: 18,
+        consentAge: 16,
+        purposeConsentAges: {
+            photography: 18
+        }
+    };
+
+    /**
+     * Age under which a parent or guardian gives consent for a purpose
+     * (the general consent age when no purpose is given)
+     */
+    function getConsentAge(purpose) {
+        return (purpose && POLICY.purposeConsentAges[purpose]) || POLICY.consentAge;
+    }
+
+    /**
+     * Whether an athlete is under an age - true without a valid date of birth
+     */
+    function isUnder(dateOfBirth, age) {
+        const athleteAge = AgeGroups.getAge(dateOfBirth);
+        if (athleteAge === null) {
+            // Age unknown - assume the youngest case
+            return true;
+        }
+        return athleteAge < age;
+    }
+
+    /**
+     * Whether an athlete needs a parent or guardian's contact details
+     */
+    function needsGuardianContact(dateOfBirth) {
+        return isUnder(dateOfBirth, POLICY.guardianContactAge);
+    }
+
+    /**
+     * Whether a parent or guardian gives consent for an athlete - for a
+     * purpose if given, otherwise the general consent and declaration
+     */
+    function needsGuardianConsent(dateOfBirth, purpose) {
+        return isUnder(dateOfBirth, getConsentAge(purpose));
+    }
+
+    /**
+     * Whether a parent or guardian must be named for an athlete - for their
+     * contact details or for any consent
+     */
+    function needsGuardian(dateOfBirth) {
+        return needsGuardianContact(dateOfBirth) ||
+            needsGuardianConsent(dateOfBirth) ||
+            Consent.PURPOSES.some(purpose => needsGuardianConsent(dateOfBirth, purpose.id));
+    }
+
+    /**
+     * Who gives consent for a purpose ('guardian' or 'athlete') for athletes
+     * with these dates of birth, when givenBy gives the rest
+     */
+    function getPurposeGivenBy(purpose, datesOfBirth, givenBy) {
+        const guardian = givenBy === Consent.GIVEN_BY.guardian ||
+            datesOfBirth.some(dateOfBirth => needsGuardianConsent(dateOfBirth, purpose));
+        return guardian ? Consent.GIVEN_BY.guardian : Consent.GIVEN_BY.athlete;
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.ClubPolicy = {
+        POLICY: POLICY,
+        getConsentAge: getConsentAge,
+        needsGuardianContact: needsGuardianContact,
+        needsGuardianConsent: needsGuardianConsent,
+        needsGuardian: needsGuardian,
+        getPurposeGivenBy: getPurposeGivenBy
+    };
+})();
@@ -0,0 +1,160 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Coach viewer records - reads an exported file of Registration and
+ * Discovery payloads and joins them into one record per athlete
+ *
+ * The export is a JSON array of payloads, a single payload, or NDJSON (one
+ * payload per line). Payloads are recognised by shape: Registration has an
+ * `athletes` array, Discovery an `athleteId`. A Discovery payload joins its
+ * athlete by `athleteId` when the export adds it to each Registration
+ * athlete, otherwise by the name and date of birth in its athlete link.
+ * Later payloads for the same athlete replace earlier ones.
+ */
+
+(function() {
+    'use strict';
+
+    const AthleteLink = window.MAD.AthleteLink;
+    const AgeGroups = window.MAD.AgeGroups;
+
+    /**
+     * Parse an export - returns { payloads, invalidLines }, where
+     * invalidLines lists NDJSON line numbers that could not be read
+     */
+    function parse(text) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed) return { payloads: [], invalidLines: [] };
+
+        // A JSON array or single payload; anything else is read as NDJSON
+        try {
+            const parsed = JSON.parse(trimmed);
+            return { payloads: Array.isArray(parsed) ? parsed : [parsed], invalidLines: [] };
+        } catch (error) {
+            // fall through to NDJSON
+        }
+
+        const payloads = [];
+        const invalidLines = [];
+        trimmed.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                payloads.push(JSON.parse(line));
+            } catch (error) {
+                invalidLines.push(index + 1);
+            }
+        });
+        return { payloads: payloads, invalidLines: invalidLines };
+    }
+
+    /**
+     * Matching key for an athlete without an ID - name and date of birth
+     */
+    function personKey(name, dateOfBirth) {
+        return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ') + '|' + (dateOfBirth || '');
+    }
+
+    /**
+     * Empty record for an athlete
+     */
+    function createRecord(name, dateOfBirth) {
+        return {
+            athleteId: null,
+            name: name,
+            dateOfBirth: dateOfBirth || null,
+            registration: null,
+            discovery: null
+        };
+    }
+
+    /**
+     * Fields derived from a record's payloads for listing and filtering
+     */
+    function summarise(record) {
+        const registered = record.registration && record.registration.athlete;
+        const discovery = record.discovery;
+        const groups = (registered && registered.ageGroups) || AgeGroups.derive(record.dateOfBirth);
+        const health = discovery && discovery.health;
+
+        return Object.assign(record, {
+            ageGroup: groups ? groups.trackAndField.ageGroup : null,
+            trainingGroup: discovery && discovery.training ? discovery.training.trainingGroup : null,
+            medicalAlert: !!(discovery && discovery.medicalAlert),
+            conditions: health && health.conditions
+                ? Object.keys(health.conditions).filter(condition => health.conditions[condition])
+                : []
+        });
+    }
+
+    /**
+     * Join payloads into athlete records, sorted by name
+     *
+     * Returns { athletes, skipped }, where skipped counts payloads that are
+     * neither Registration nor Discovery. Each athlete is { athleteId, name,
+     * dateOfBirth, registration: { athlete, parent, emergency, consent } or
+     * null, discovery (the payload) or null, ageGroup, trainingGroup,
+     * medicalAlert, conditions (ticked health.conditions keys) }.
+     */
+    function join(payloads) {
+        const athletes = [];
+        const byId = {};
+        const byPerson = {};
+        let skipped = 0;
+
+        const index = record => {
+            if (record.athleteId) byId[record.athleteId] = record;
+            if (record.dateOfBirth) byPerson[personKey(record.name, record.dateOfBirth)] = record;
+        };
+
+        // Registrations first, so Discovery can join them wherever they are in the file
+        payloads.filter(payload => payload && Array.isArray(payload.athletes)).forEach(payload => {
+            payload.athletes.forEach(athlete => {
+                const name = athlete.firstName + ' ' + athlete.lastName;
+                let record = (athlete.athleteId && byId[athlete.athleteId]) || byPerson[personKey(name, athlete.dateOfBirth)];
+                if (!record) {
+                    record = createRecord(name, athlete.dateOfBirth);
+                    athletes.push(record);
+                }
+
+                record.athleteId = athlete.athleteId || record.athleteId;
+                record.registration = {
+                    athlete: athlete,
+                    parent: payload.parent,
+                    emergency: payload.emergency,
+                    consent: payload.consent
+                };
+                index(record);
+            });
+        });
+
+        payloads.forEach(payload => {
+            if (payload && Array.isArray(payload.athletes)) return;
+            if (!payload || !payload.athleteId) {
+                skipped++;
+                return;
+            }
+
+            const claims = AthleteLink.readClaims(payload.athleteToken) || {};
+            let record = byId[payload.athleteId] || (claims.dob && byPerson[personKey(claims.name, claims.dob)]);
+            if (!record) {
+                record = createRecord(claims.name || payload.athleteId, claims.dob);
+                athletes.push(record);
+            }
+
+            record.athleteId = payload.athleteId;
+            record.dateOfBirth = record.dateOfBirth || claims.dob || null;
+            record.discovery = payload;
+            index(record);
+        });
+
+        athletes.forEach(summarise);
+        athletes.sort((a, b) => a.name.localeCompare(b.name));
+
+        return { athletes: athletes, skipped: skipped };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.CoachRecords = {
+        parse: parse,
+        join: join
+    };
+})();
@@ -0,0 +1,364 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Coach viewer - lists the athletes in an exported file of Registration and
+ * Discovery payloads, with search and filters. Everything happens in the
+ * browser: the file is never uploaded and the page makes no requests
+ * (coach.html forbids them in its Content Security Policy).
+ * Records are joined by coach-records.js; labels come from discovery-schema.js.
+ */
+
+(function() {
+    'use strict';
+
+    // DOM Elements
+    const fileInput = document.getElementById('export-file');
+    const filters = document.getElementById('coach-filters');
+    const searchInput = document.getElementById('coach-search');
+    const trainingGroupSelect = document.getElementById('coach-training-group');
+    const ageGroupSelect = document.getElementById('coach-age-group');
+    const medicalSelect = document.getElementById('coach-medical');
+    const missingDiscoveryCheckbox = document.getElementById('coach-missing-discovery');
+    const statusDiv = document.getElementById('form-status');
+    const summary = document.getElementById('coach-summary');
+    const list = document.getElementById('coach-athletes');
+
+    const CoachRecords = window.MAD.CoachRecords;
+    const AgeGroups = window.MAD.AgeGroups;
+    const Phone = window.MAD.Phone;
+    const schema = window.MAD.schemas.discovery;
+
+    // Athletes from the loaded file (see CoachRecords.join)
+    let athletes = [];
+
+    const MESSAGES = {
+        loaded: 'Loaded {count} athletes from {file}.',
+        invalidLines: 'Skipped lines that could not be read: {lines}.',
+        skipped: 'Skipped records that are not Registration or Discovery submissions: {count}.',
+        empty: 'No Registration or Discovery submissions were found in this file.',
+        readFailed: 'The file could not be read. Please export it again as JSON or NDJSON.',
+        noFile: 'Open an export to see athletes.',
+        showing: 'Showing {shown} of {total} athletes',
+        noMatches: 'No athletes match these filters.',
+        medicalAlert: 'Medical alert',
+        noDiscovery: 'No Discovery form',
+        encryptedHealth: 'Encrypted in this export - decrypt it to see health details',
+        yes: 'Yes',
+        no: 'No'
+    };
+
+    /**
+     * A message with {placeholders} filled in
+     */
+    function message(name, params) {
+        return MESSAGES[name].replace(/\{(\w+)\}/g, (match, key) => (params && key in params ? params[key] : match));
+    }
+
+    /**
+     * Show status message
+     */
+    function showStatus(text, type) {
+        statusDiv.textContent = text;
+        statusDiv.className = 'form-status ' + type;
+        statusDiv.style.display = 'block';
+    }
+
+    /**
+     * Field definition from the Discovery schema by id
+     */
+    function getSchemaField(id) {
+        for (const section of schema.sections) {
+            const field = section.fields.find(item => item.id === id);
+            if (field) return field;
+        }
+        return null;
+    }
+
+    /**
+     * Option label of a Discovery select field for a payload value
+     */
+    function getOptionLabel(fieldId, value) {
+        const field = getSchemaField(fieldId);
+        const options = field.options.reduce((all, option) => all.concat(option.options || [option]), []);
+        const match = options.find(option => (typeof option === 'string' ? option : option.value) === value);
+        return match ? (typeof match === 'string' ? match : match.label) : value;
+    }
+
+    /**
+     * Labels for the health.conditions keys, from the Discovery schema's checkboxes
+     */
+    function getConditionLabels() {
+        const labels = {};
+        schema.sections.forEach(section => section.fields.forEach(field => {
+            if (field.path && field.path.indexOf('health.conditions.') === 0) {
+                labels[field.path.split('.').pop()] = field.label;
+            }
+        }));
+        return labels;
+    }
+
+    const CONDITION_LABELS = getConditionLabels();
+
+    /**
+     * Format a YYYY-MM-DD date or ISO timestamp as a readable date
+     */
+    function formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Name and contact details on one line each, skipping blanks
+     */
+    function describeContact(name, email, phone) {
+        return [name, email, phone ? Phone.format(phone) : null].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Each Discovery event as "800m - PB 2:15.40 (1 June 2026, Loughborough)"
+     */
+    function describeEvents(events) {
+        return events.map(entry => {
+            let text = getOptionLabel('pb-event', entry.event);
+            if (entry.personalBest) {
+                const where = [entry.personalBestDate ? formatDate(entry.personalBestDate) : null, entry.personalBestVenue].filter(Boolean);
+                text += ' - PB ' + entry.personalBest + (where.length ? ' (' + where.join(', ') + ')' : '');
+            }
+            return text;
+        }).join('\n');
+    }
+
+    /**
+     * Each absence as "Exams: 10 May 2027 - 20 June 2027 (GCSEs)"
+     */
+    function describeAbsences(calendar) {
+        return calendar.map(absence => getOptionLabel('absence-category', absence.category) + ': ' +
+            formatDate(absence.start) + ' - ' + formatDate(absence.end) +
+            (absence.details ? ' (' + absence.details + ')' : '')).join('\n');
+    }
+
+    /**
+     * Rows of [term, description] for one athlete, leaving out anything not given
+     */
+    function getDetails(athlete) {
+        const rows = [];
+        const add = (term, value) => {
+            if (value !== null && value !== undefined && value !== '') rows.push([term, value]);
+        };
+        const registered = athlete.registration;
+        const discovery = athlete.discovery;
+        const groups = registered && registered.athlete.ageGroups || AgeGroups.derive(athlete.dateOfBirth);
+
+        add('Athlete ID', athlete.athleteId);
+        add('Date of Birth', athlete.dateOfBirth ? formatDate(athlete.dateOfBirth) : null);
+        if (groups) {
+            add('Age Groups (' + groups.season + ')', groups.trackAndField.ageGroup + ' track & field, ' +
+                groups.crossCountry.ageGroup + ' cross country');
+        }
+        add('Training Group', athlete.trainingGroup);
+
+        if (registered) {
+            add('Athlete Contact', describeContact(null, registered.athlete.email, registered.athlete.phone));
+            if (registered.parent) {
+                add('Parent / Guardian', describeContact(
+                    registered.parent.firstName + ' ' + registered.parent.lastName + ' (' + registered.parent.relationship + ')',
+                    registered.parent.email,
+                    registered.parent.phone
+                ));
+            }
+            add('Emergency Contact', describeContact(registered.emergency.name, null, registered.emergency.phone));
+            add('Photography Consent', registered.consent.purposes.photography.granted ? message('yes') : message('no'));
+        }
+
+        if (!discovery) {
+            add('Discovery', message('noDiscovery'));
+            return rows;
+        }
+
+        add('Discovery Submitted', discovery.consent && discovery.consent.timestamp ? formatDate(discovery.consent.timestamp) : message('yes'));
+        add('Events', discovery.events && discovery.events.length ? describeEvents(discovery.events) : null);
+        add('Medical Alert', athlete.medicalAlert ? message('yes') : message('no'));
+
+        const health = discovery.health;
+        if (health) {
+            add('Conditions', athlete.conditions.map(condition => CONDITION_LABELS[condition] || condition).join('\n'));
+            add('Other Medical Conditions', health.medicalConditions);
+            add('Medication', health.medication &&
+                health.medication + (health.carriesMedication ? '\nBrought to every session' : ''));
+            add('Emergency Action', health.emergencyAction);
+            add('Dietary Requirements', health.dietaryRequirements);
+        } else if (discovery.encrypted) {
+            add('Health', message('encryptedHealth'));
+        }
+
+        const sharing = discovery.consent && discovery.consent.purposes && discovery.consent.purposes.medicalSharing;
+        add('Medical Sharing Consent', sharing && sharing.granted ? message('yes') : message('no'));
+        add('Absences', discovery.calendar && discovery.calendar.length ? describeAbsences(discovery.calendar) : null);
+
+        return rows;
+    }
+
+    /**
+     * Expandable entry for one athlete - name and flags, with the details inside
+     */
+    function renderAthlete(athlete) {
+        const entry = document.createElement('details');
+        entry.className = 'coach-athlete' + (athlete.medicalAlert ? ' coach-athlete-alert' : '');
+
+        const heading = document.createElement('summary');
+        const name = document.createElement('strong');
+        name.textContent = athlete.name;
+        heading.appendChild(name);
+
+        const tags = [athlete.ageGroup, athlete.trainingGroup];
+        if (athlete.medicalAlert) tags.push(message('medicalAlert'));
+        if (!athlete.discovery) tags.push(message('noDiscovery'));
+        const tagList = document.createElement('span');
+        tagList.className = 'coach-tags';
+        tagList.textContent = tags.filter(Boolean).join(' · ');
+        heading.appendChild(tagList);
+        entry.appendChild(heading);
+
+        const details = document.createElement('dl');
+        details.className = 'review-list';
+        getDetails(athlete).forEach(row => {
+            const term = document.createElement('dt');
+            term.textContent = row[0];
+            const description = document.createElement('dd');
+            description.textContent = row[1];
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+        entry.appendChild(details);
+
+        return entry;
+    }
+
+    /**
+     * Whether an athlete matches the search text and filters
+     */
+    function matches(athlete) {
+        const search = searchInput.value.trim().toLowerCase();
+        const registered = athlete.registration;
+        const parent = registered && registered.parent;
+        const haystack = [
+            athlete.name,
+            athlete.athleteId,
+            parent && parent.firstName + ' ' + parent.lastName,
+            parent && parent.email,
+            registered && registered.athlete.email
+        ].filter(Boolean).join(' ').toLowerCase();
+
+        if (search && haystack.indexOf(search) === -1) return false;
+        if (trainingGroupSelect.value && athlete.trainingGroup !== trainingGroupSelect.value) return false;
+        if (ageGroupSelect.value && athlete.ageGroup !== ageGroupSelect.value) return false;
+        if (medicalSelect.value === 'alert' && !athlete.medicalAlert) return false;
+        if (medicalSelect.value && medicalSelect.value !== 'alert' && athlete.conditions.indexOf(medicalSelect.value) === -1) return false;
+        if (missingDiscoveryCheckbox.checked && athlete.discovery) return false;
+        return true;
+    }
+
+    /**
+     * Show the athletes matching the current filters
+     */
+    function render() {
+        const shown = athletes.filter(matches);
+        list.innerHTML = '';
+        shown.forEach(athlete => list.appendChild(renderAthlete(athlete)));
+
+        if (!athletes.length) {
+            summary.textContent = message('noFile');
+        } else if (!shown.length) {
+            summary.textContent = message('noMatches');
+        } else {
+            summary.textContent = message('showing', { shown: shown.length, total: athletes.length });
+        }
+    }
+
+    /**
+     * Replace a filter's options (after its first, "All ...") with values
+     */
+    function setFilterOptions(select, values, getLabel) {
+        const selected = select.value;
+        while (select.options.length > 1) select.remove(1);
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = getLabel ? getLabel(value) : value;
+            select.appendChild(option);
+        });
+        select.value = values.indexOf(selected) !== -1 ? selected : '';
+    }
+
+    /**
+     * Offer only the training groups, age groups and conditions in the file
+     */
+    function updateFilters() {
+        const present = key => athletes.map(athlete => athlete[key]).filter(Boolean);
+
+        setFilterOptions(trainingGroupSelect, present('trainingGroup')
+            .filter((value, index, values) => values.indexOf(value) === index)
+            .sort());
+        setFilterOptions(ageGroupSelect, AgeGroups.NAMES.filter(name => present('ageGroup').indexOf(name) !== -1));
+
+        const conditions = athletes.reduce((all, athlete) => all.concat(athlete.conditions), []);
+        setFilterOptions(medicalSelect, ['alert'].concat(Object.keys(CONDITION_LABELS)
+            .filter(condition => conditions.indexOf(condition) !== -1)),
+        value => (value === 'alert' ? message('medicalAlert') : CONDITION_LABELS[value]));
+
+        filters.disabled = !athletes.length;
+    }
+
+    /**
+     * Read the chosen export file
+     */
+    async function loadFile() {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            showStatus(message('readFailed'), 'error');
+            return;
+        }
+
+        const parsed = CoachRecords.parse(text);
+        const joined = CoachRecords.join(parsed.payloads);
+        athletes = joined.athletes;
+        updateFilters();
+        render();
+
+        if (!athletes.length) {
+            showStatus(parsed.invalidLines.length ? message('readFailed') : message('empty'), 'error');
+            return;
+        }
+
+        const notes = [message('loaded', { count: athletes.length, file: file.name })];
+        if (parsed.invalidLines.length) notes.push(message('invalidLines', { lines: parsed.invalidLines.join(', ') }));
+        if (joined.skipped) notes.push(message('skipped', { count: joined.skipped }));
+        showStatus(notes.join(' '), parsed.invalidLines.length || joined.skipped ? 'info' : 'success');
+    }
+
+    /**
+     * Initialize the viewer
+     */
+    function init() {
+        fileInput.addEventListener('change', loadFile);
+        searchInput.addEventListener('input', render);
+        [trainingGroupSelect, ageGroupSelect, medicalSelect, missingDiscoveryCheckbox].forEach(control => {
+            control.addEventListener('change', render);
+        });
+        document.getElementById('coach-form').addEventListener('submit', event => event.preventDefault());
+        render();
+
+        console.log('MAD Coach viewer initialized');
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
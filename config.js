@@ -0,0 +1,99 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Runtime configuration - the webhook endpoints for each environment
+ *
+ * Every page builds its webhook URLs from here, so moving the backend (or a
+ * tunnel restart changing its hostname) is a change to this file only. The
+ * environment is picked by hostname (see HOSTS). Pages served locally can
+ * switch with ?env=<name> for testing, e.g. discovery.html?env=staging&ref=...
+ * Any other host ignores ?env=, so a shared link cannot send real
+ * submissions somewhere else.
+ *
+ * Each environment has:
+ *   webhookBase   base URL the webhook names are appended to
+ *   fallbackBase  optional second base URL, tried when the first cannot be
+ *                 reached (null for none)
+ *
+ * Production has no fallback: the club runs a single n8n instance, and the
+ * staging tunnel is not a safe place for real family and health data. A
+ * second production endpoint, once there is one, goes in its fallbackBase;
+ * until then submissions that cannot be sent wait in the offline queue.
+ *
+ * The backend answers GET <base>mad-health with HTTP 200 when it is up - the
+ * forms check it on load (endpoint-health.js).
+ */
+
+(function() {
+    'use strict';
+
+    const ENVIRONMENTS = {
+        // backend/stub-webhook.js, which serves the forms too
+        local: {
+            webhookBase: '/webhook/',
+            fallbackBase: null
+        },
+        // n8n via a quick Cloudflare tunnel - the hostname changes when the tunnel restarts
+        staging: {
+            webhookBase: 'https://texas-automotive-helmet-track.trycloudflare.com/webhook/',
+            fallbackBase: null
+        },
+        production: {
+            webhookBase: 'https://webhook.athleticascent.co.uk/webhook/',
+            fallbackBase: null
+        }
+    };
+
+    // Hostname -> environment; any other host uses DEFAULT_ENVIRONMENT
+    const HOSTS = {
+        'localhost': 'local',
+        '127.0.0.1': 'local'
+    };
+
+    const DEFAULT_ENVIRONMENT = 'production';
+
+    // Webhook answering GET with 200 while the backend is up
+    const HEALTH_WEBHOOK = 'mad-health';
+
+    /**
+     * Environment name for the current page - by hostname, or ?env=<name> if
+     * it names one and the page is served locally
+     */
+    function detectEnvironment() {
+        const hostEnvironment = HOSTS[window.location.hostname] || DEFAULT_ENVIRONMENT;
+        if (hostEnvironment !== 'local') {
+            return hostEnvironment;
+        }
+
+        const requested = new URLSearchParams(window.location.search).get('env');
+        if (requested && ENVIRONMENTS.hasOwnProperty(requested)) {
+            return requested;
+        }
+        return hostEnvironment;
+    }
+
+    const environment = detectEnvironment();
+    const settings = ENVIRONMENTS[environment];
+
+    /**
+     * URL of a webhook, e.g. webhookUrl('mad-form')
+     */
+    function webhookUrl(name) {
+        return settings.webhookBase + name;
+    }
+
+    /**
+     * URL of a webhook on the fallback endpoint, or null if there is none
+     */
+    function fallbackUrl(name) {
+        return settings.fallbackBase ? settings.fallbackBase + name : null;
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.Config = {
+        ENVIRONMENTS: ENVIRONMENTS,
+        HEALTH_WEBHOOK: HEALTH_WEBHOOK,
+        environment: environment,
+        webhookUrl: webhookUrl,
+        fallbackUrl: fallbackUrl
+    };
+})();
@@ -0,0 +1,37 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Consent page schema - who is withdrawing the consents ticked in the list
+ * above it (the list itself is built by consent-script.js from the consent held)
+ * Rendered by form-engine.js
+ */
+
+(function() {
+    'use strict';
+
+    window.MAD = window.MAD || {};
+    window.MAD.schemas = window.MAD.schemas || {};
+
+    window.MAD.schemas.consent = {
+        id: 'consent',
+        sections: [
+            {
+                id: 'withdraw',
+                legend: 'Withdraw Consent',
+                fields: [
+                    {
+                        id: 'withdrawn-by', name: 'withdrawnBy', type: 'select', label: 'Who is withdrawing consent?', required: true,
+                        placeholder: 'Select', path: 'withdrawnBy',
+                        options: [
+                            { value: 'guardian', label: 'Parent or guardian' },
+                            { value: 'athlete', label: 'The athlete' }
+                        ]
+                    },
+                    {
+                        type: 'html',
+                        html: '<p class="contact-info"><span data-i18n="common.questions">Questions? Contact</span> <a href="mailto:coach@charnwoodac.org.uk">coach@charnwoodac.org.uk</a></p>'
+                    }
+                ]
+            }
+        ]
+    };
+})();
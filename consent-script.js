@@ -0,0 +1,411 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Consent page - shows the consent held for an athlete, per purpose, and
+ * lets a parent/guardian or adult athlete withdraw any of it
+ * Opened from the athlete's signed link (consent.html?ref=<athleteToken>)
+ * The withdrawal fields come from consent-schema.js via form-engine.js
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        // Endpoints for the current environment - see config.js
+        webhookUrl: window.MAD.Config.webhookUrl('mad-consent'),
+        fallbackUrl: window.MAD.Config.fallbackUrl('mad-consent'),
+        submitTimeout: 30000 // 30 seconds
+    };
+
+    // DOM Elements
+    const form = document.getElementById('consent-form');
+    const consentList = document.getElementById('consent-list');
+    const submitButton = document.getElementById('submit-btn');
+    const statusDiv = document.getElementById('form-status');
+    const queuePanel = document.getElementById('submission-queue');
+    const athleteNameDisplay = document.getElementById('athlete-name-display');
+
+    const SubmissionQueue = window.MAD.SubmissionQueue;
+    const AthleteLink = window.MAD.AthleteLink;
+    const Consent = window.MAD.Consent;
+    const ClubPolicy = window.MAD.ClubPolicy;
+    const I18n = window.MAD.I18n;
+
+    // Athlete verified from the signed link: { id, name, dob, sex, token }
+    let athlete = null;
+
+    // Current consent by purpose id: { granted, version, statement, givenBy, timestamp, withdrawnAt }
+    let purposes = {};
+
+    // 'linkExpired' | 'linkInvalid' once the link has been rejected
+    let linkState = null;
+
+    // Messages - translated under consent.messages.<name>
+    const MESSAGES = {
+        noAthlete: 'Athlete not identified. Please use the link from your registration confirmation.',
+        linkExpiredTitle: 'Link expired',
+        linkExpired: 'This consent link has expired. Please contact the coach for a new link.',
+        linkInvalidTitle: 'Link not valid',
+        linkInvalid: 'This consent link is not valid. Please use the link from your registration confirmation, or contact the coach for a new one.',
+        unknownAthlete: 'Unknown athlete',
+        loadFailed: 'Unable to load the current consent. Please check your connection and reload the page.',
+        nothingSelected: 'Please tick at least one consent to withdraw.',
+        invalid: 'Please correct the errors above.',
+        notGiven: 'Not given',
+        withdrawnOn: 'Withdrawn on {date}',
+        givenOnBy: 'Given on {date} by {givenBy}',
+        givenBy: 'Given by {givenBy}',
+        givenByGuardian: 'a parent or guardian',
+        givenByAthlete: 'the athlete',
+        statementVersion: '(statement version {version})',
+        statementAgreed: 'Agreed to: "{text}"',
+        withdrawThis: 'Withdraw this consent',
+        withdrawing: 'Withdrawing consent...',
+        withdrawn: 'Consent withdrawn: {purposes}. A confirmation will be sent to the contact email on file.',
+        queued: 'You appear to be offline. The withdrawal has been saved on this device and will be sent ' +
+            'automatically when your connection returns - there is no need to submit it again.'
+    };
+
+    const engine = window.MAD.FormEngine.create({
+        form: form,
+        schema: window.MAD.schemas.consent,
+        submitButton: submitButton,
+        statusDiv: statusDiv,
+        submitLabel: 'Withdraw Selected Consent',
+        webhookUrl: CONFIG.webhookUrl,
+        fallbackUrl: CONFIG.fallbackUrl,
+        submitTimeout: CONFIG.submitTimeout,
+        queueName: 'consent',
+        errorSummary: document.getElementById('error-summary')
+    });
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('consent.messages.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Replace the page with an expired / invalid link message
+     */
+    function showLinkState(state) {
+        linkState = state;
+        form.hidden = true;
+        athleteNameDisplay.textContent = message('unknownAthlete');
+        document.getElementById('link-state-title').textContent = message(state + 'Title');
+        document.getElementById('link-state-message').textContent = message(state);
+        document.getElementById('link-state').hidden = false;
+    }
+
+    /**
+     * Format an ISO timestamp as a readable date in the current language
+     */
+    function formatDate(value) {
+        return new Date(value).toLocaleDateString(I18n.getDateLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Describe the current state of one purpose
+     */
+    function describePurpose(record) {
+        if (!record) {
+            return message('notGiven');
+        }
+        if (record.withdrawnAt) {
+            return message('withdrawnOn', { date: formatDate(record.withdrawnAt) });
+        }
+        if (!record.granted) {
+            return message('notGiven');
+        }
+
+        const givenBy = message(record.givenBy === Consent.GIVEN_BY.guardian ? 'givenByGuardian' : 'givenByAthlete');
+        let text = record.timestamp
+            ? message('givenOnBy', { date: formatDate(record.timestamp), givenBy: givenBy })
+            : message('givenBy', { givenBy: givenBy });
+        if (record.version) text += ' ' + message('statementVersion', { version: record.version });
+        return text;
+    }
+
+    /**
+     * Statement text agreed to, in the current language - only while the record's
+     * version is still the current wording (older wordings are not kept here)
+     */
+    function describeStatement(record) {
+        const statement = record && record.statement && Consent.STATEMENTS[record.statement];
+        if (!statement || statement.version !== record.version) {
+            return null;
+        }
+        return message('statementAgreed', { text: Consent.getText(record.statement) });
+    }
+
+    /**
+     * Whether a purpose is currently granted (and so can be withdrawn)
+     */
+    function isGranted(record) {
+        return !!(record && record.granted && !record.withdrawnAt);
+    }
+
+    /**
+     * Render each purpose with its state, and a withdraw checkbox where granted
+     * Ticked purposes stay ticked when re-rendered (e.g. after a language change)
+     */
+    function renderPurposes() {
+        const selected = getSelectedPurposes();
+        consentList.innerHTML = '';
+
+        Consent.PURPOSES.forEach(purpose => {
+            const record = purposes[purpose.id];
+            const item = document.createElement('li');
+            item.className = 'consent-purpose' + (isGranted(record) ? ' consent-granted' : '');
+
+            const title = document.createElement('h3');
+            title.textContent = Consent.getPurposeText(purpose.id, 'title');
+            item.appendChild(title);
+
+            const description = document.createElement('p');
+            description.textContent = Consent.getPurposeText(purpose.id, 'description');
+            item.appendChild(description);
+
+            const statementText = isGranted(record) ? describeStatement(record) : null;
+            if (statementText) {
+                const statement = document.createElement('p');
+                statement.className = 'consent-statement';
+                statement.textContent = statementText;
+                item.appendChild(statement);
+            }
+
+            const state = document.createElement('p');
+            state.className = 'consent-state';
+            state.textContent = describePurpose(record);
+            item.appendChild(state);
+
+            if (isGranted(record)) {
+                const group = document.createElement('div');
+                group.className = 'checkbox-group';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = 'withdraw-' + purpose.id;
+                checkbox.name = 'withdraw';
+                checkbox.value = purpose.id;
+                checkbox.checked = selected.indexOf(purpose.id) !== -1;
+
+                const label = document.createElement('label');
+                label.setAttribute('for', checkbox.id);
+                label.textContent = message('withdrawThis');
+
+                group.appendChild(checkbox);
+                group.appendChild(label);
+                item.appendChild(group);
+            }
+
+            consentList.appendChild(item);
+        });
+
+        consentList.setAttribute('aria-busy', 'false');
+        updateSubmitButtonState();
+    }
+
+    /**
+     * Purpose ids ticked for withdrawal
+     */
+    function getSelectedPurposes() {
+        return Array.from(consentList.querySelectorAll('input[name="withdraw"]:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Enable submit once something is ticked for withdrawal
+     */
+    function updateSubmitButtonState() {
+        submitButton.disabled = !athlete || getSelectedPurposes().length === 0;
+    }
+
+    /**
+     * Fetch the consent currently held for the athlete
+     */
+    async function loadPurposes() {
+        const result = await SubmissionQueue.send(CONFIG.webhookUrl, {
+            action: 'list',
+            athleteId: athlete.id,
+            athleteToken: athlete.token
+        }, CONFIG.submitTimeout, CONFIG.fallbackUrl);
+
+        if (!result.success) {
+            consentList.setAttribute('aria-busy', 'false');
+            engine.showStatus(message('loadFailed'), 'error');
+            return;
+        }
+
+        purposes = (result.data.consent && result.data.consent.purposes) || {};
+        renderPurposes();
+    }
+
+    /**
+     * Build the withdrawal payload for the ticked purposes
+     */
+    function collectWithdrawal(selected) {
+        return Object.assign({
+            action: 'withdraw',
+            athleteId: athlete.id,
+            athleteToken: athlete.token
+        }, engine.serialize(), {
+            timestamp: new Date().toISOString(),
+            withdrawals: selected.map(id => ({
+                purpose: id,
+                statement: purposes[id].statement || null,
+                version: purposes[id].version || null
+            }))
+        });
+    }
+
+    /**
+     * Mark purposes withdrawn locally once the withdrawal has been accepted or queued
+     */
+    function markWithdrawn(selected, timestamp) {
+        selected.forEach(id => {
+            purposes[id] = Object.assign({}, purposes[id], { withdrawnAt: timestamp });
+        });
+        renderPurposes();
+    }
+
+    /**
+     * Handle form submission
+     */
+    async function handleSubmit(event) {
+        event.preventDefault();
+
+        const selected = getSelectedPurposes();
+        if (selected.length === 0) {
+            engine.showStatus(message('nothingSelected'), 'error');
+            return;
+        }
+
+        if (!engine.validate()) {
+            engine.showStatus(message('invalid'), 'error');
+            return;
+        }
+
+        const payload = collectWithdrawal(selected);
+        const titles = Consent.PURPOSES
+            .filter(purpose => selected.indexOf(purpose.id) !== -1)
+            .map(purpose => Consent.getPurposeText(purpose.id, 'title').toLowerCase())
+            .join(', ');
+
+        engine.setLoading(true);
+        engine.showStatus(message('withdrawing'), 'info');
+
+        // Queued on this device if the connection fails, with an idempotency key
+        // kept across retries until the selection changes
+        const result = await engine.submitForm(payload, athlete.name + ' - consent withdrawal');
+
+        engine.setLoading(false);
+
+        if (result.success) {
+            if (result.data.consent && result.data.consent.purposes) {
+                purposes = result.data.consent.purposes;
+                renderPurposes();
+            } else {
+                markWithdrawn(selected, payload.timestamp);
+            }
+            engine.showStatus(message('withdrawn', { purposes: titles }), 'success');
+        } else if (result.queued) {
+            markWithdrawn(selected, payload.timestamp);
+            engine.showStatus(message('queued'), 'info');
+        } else {
+            engine.showStatus(result.error, 'error');
+            engine.showServerErrors(result.details);
+        }
+
+        updateSubmitButtonState();
+    }
+
+    /**
+     * Offer "The athlete" as the one withdrawing only from the club's consent
+     * age (club-policy.js) - a parent or guardian acts below it
+     */
+    function limitWithdrawnBy() {
+        const withdrawnBySelect = engine.getField('withdrawn-by');
+        const option = Array.from(withdrawnBySelect.options).find(item => item.value === Consent.GIVEN_BY.athlete);
+        const guardianOnly = ClubPolicy.needsGuardianConsent(athlete.dob);
+
+        option.hidden = guardianOnly;
+        option.disabled = guardianOnly;
+        if (guardianOnly) {
+            withdrawnBySelect.value = Consent.GIVEN_BY.guardian;
+        }
+    }
+
+    /**
+     * Re-show the text this script writes after a language change
+     */
+    function handleLocaleChange() {
+        if (linkState) {
+            showLinkState(linkState);
+        } else if (consentList.children.length > 0) {
+            renderPurposes();
+        }
+    }
+
+    /**
+     * Identify the athlete from the signed link, then load their consent
+     */
+    async function identifyAthlete() {
+        const token = AthleteLink.getRefFromUrl();
+
+        if (!token) {
+            athleteNameDisplay.textContent = message('unknownAthlete');
+            engine.showStatus(message('noAthlete'), 'error');
+            return;
+        }
+
+        const result = await AthleteLink.verify(token);
+
+        if (result.status === 'expired') {
+            showLinkState('linkExpired');
+            return;
+        }
+
+        if (result.status !== 'valid') {
+            showLinkState('linkInvalid');
+            return;
+        }
+
+        athlete = result;
+        athleteNameDisplay.textContent = athlete.name;
+        document.getElementById('data-request-link').href = 'data-request.html?ref=' + encodeURIComponent(athlete.token);
+        limitWithdrawnBy();
+        await loadPurposes();
+    }
+
+    /**
+     * Initialize page
+     */
+    function init() {
+        // Render the withdrawal fields from the schema, with inline validation
+        engine.init();
+
+        // Language switcher - defaults to the browser language
+        I18n.mountSwitcher(document.getElementById('language-select'));
+        I18n.onChange(handleLocaleChange);
+
+        form.addEventListener('submit', handleSubmit);
+        consentList.addEventListener('change', updateSubmitButtonState);
+
+        // Offline queue - retry saved withdrawals and show their pending / sent state
+        SubmissionQueue.mountStatusPanel(queuePanel, { form: 'consent' });
+        SubmissionQueue.start();
+
+        console.log('MAD Consent page initialized');
+
+        identifyAthlete();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,201 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Consent statements and purposes - the exact wording shown on the forms,
+ * with versions, and the consent record sent with each submission
+ *
+ * Schema checkbox fields reference a statement by id (`statement: 'photography'`)
+ * and use its text as their label. When a statement's wording changes, bump its
+ * version: each record carries the version and a SHA-256 hash of the text shown.
+ *
+ * Translations are keyed by version (statements.<id>.v<version>, see i18n.js), so
+ * a bumped statement shows in English until its translations are updated too.
+ * Purpose titles and descriptions are translated under purposes.<id>.title|description.
+ */
+
+(function() {
+    'use strict';
+
+    const I18n = window.MAD.I18n;
+
+    const PRIVACY_NOTICE = {
+        version: '2025-01',
+        url: 'https://example.com/privacy-notice'
+    };
+
+    // Statement id -> { version, text }
+    const STATEMENTS = {
+        privacyNotice: {
+            version: '1',
+            text: 'I have read and understood the Privacy Notice'
+        },
+        registrationData: {
+            version: '1',
+            text: 'I consent to the collection and processing of data as described in the Privacy Notice'
+        },
+        discoveryData: {
+            version: '1',
+            text: 'I consent to the collection and processing of all information provided during registration ' +
+                'and this discovery form for the purpose of athlete coaching and development. ' +
+                'I understand I can withdraw this consent at any time by contacting the coach.'
+        },
+        photography: {
+            version: '1',
+            text: 'I consent to photographs and video of the athlete being taken at club sessions and competitions ' +
+                'and published on the club website and social media'
+        },
+        medicalSharing: {
+            version: '1',
+            text: 'I consent to the athlete\'s medical, injury and growth information being shared with their coaches ' +
+                'so training can be adapted safely'
+        },
+        englandAthletics: {
+            version: '1',
+            text: 'I consent to the athlete\'s details being shared with England Athletics for competition entries ' +
+                'and athlete registration'
+        },
+        marketing: {
+            version: '1',
+            text: 'I would like to receive club news, events and fundraising emails'
+        },
+        guardianDeclaration: {
+            version: '1',
+            text: 'By submitting this form, I confirm that I am the parent or legal guardian of the athlete(s) named above ' +
+                'and have authority to provide this consent on their behalf.'
+        },
+        athleteDeclaration: {
+            version: '1',
+            text: 'By submitting this form, I confirm that the information provided is accurate and I consent to its ' +
+                'processing as described.'
+        }
+    };
+
+    // Purposes consent is recorded for, in display order (consent.purposes.<id> in payloads)
+    const PURPOSES = [
+        {
+            id: 'dataCollection',
+            title: 'Registration and coaching data',
+            description: 'Holding the athlete\'s registration and discovery details for coaching. ' +
+                'Withdrawing this means the club can no longer keep the athlete\'s records - the coach will contact you about deleting them.'
+        },
+        {
+            id: 'medicalSharing',
+            title: 'Medical information shared with coaches',
+            description: 'Coaches can see injury, medical and growth details to adapt training.'
+        },
+        {
+            id: 'photography',
+            title: 'Photography and social media',
+            description: 'Photos and video on the club website and social media.'
+        },
+        {
+            id: 'englandAthletics',
+            title: 'Competition data shared with England Athletics',
+            description: 'Details passed to England Athletics for competition entries and registration.'
+        },
+        {
+            id: 'marketing',
+            title: 'Marketing',
+            description: 'Club news, events and fundraising emails.'
+        }
+    ];
+
+    // Who gave consent
+    const GIVEN_BY = {
+        guardian: 'guardian',
+        athlete: 'athlete'
+    };
+
+    // Statement text -> SHA-256 hex
+    const hashCache = {};
+
+    /**
+     * Translation key for the current version of a statement
+     */
+    function statementKey(id) {
+        return 'statements.' + id + '.v' + STATEMENTS[id].version;
+    }
+
+    /**
+     * Statement text as shown in the current language
+     */
+    function getText(id) {
+        return I18n.t(statementKey(id), STATEMENTS[id].text);
+    }
+
+    /**
+     * Purpose title or description ('title' | 'description') in the current language
+     */
+    function getPurposeText(id, part) {
+        const purpose = PURPOSES.find(item => item.id === id);
+        return I18n.t('purposes.' + id + '.' + part, purpose[part]);
+    }
+
+    /**
+     * SHA-256 hash of a statement's text as shown, as hex
+     */
+    function hashStatement(id) {
+        const text = getText(id);
+        if (!hashCache[text]) {
+            hashCache[text] = crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+                .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join(''));
+        }
+        return hashCache[text];
+    }
+
+    /**
+     * Statement reference stored in a record: { statement, version, locale, statementHash }
+     * locale is the language of the text actually shown - English where a
+     * statement has no translation for the current version
+     */
+    async function describeStatement(id) {
+        return {
+            statement: id,
+            version: STATEMENTS[id].version,
+            locale: I18n.has(statementKey(id)) ? I18n.getLocale() : I18n.DEFAULT_LOCALE,
+            statementHash: await hashStatement(id)
+        };
+    }
+
+    /**
+     * Complete the consent block of a payload for submission
+     *
+     * Adds the statement id, version, language and hash to each answer from a schema
+     * field with a `statement`, plus the privacy notice version, the
+     * declaration for whoever gave consent (consent.givenBy) and a timestamp.
+     * Returns a copy - the payload passed in is not changed.
+     */
+    async function record(schema, data) {
+        const payload = JSON.parse(JSON.stringify(data));
+        const consent = payload.consent;
+
+        const fields = schema.sections.reduce((all, section) => all.concat(section.fields), [])
+            .filter(field => field.statement && field.path);
+
+        for (const field of fields) {
+            const keys = field.path.split('.');
+            const answer = keys.slice(0, -1).reduce((node, key) => node[key], payload);
+            Object.assign(answer, await describeStatement(field.statement));
+        }
+
+        consent.privacyNotice.noticeVersion = PRIVACY_NOTICE.version;
+        consent.privacyNotice.noticeUrl = PRIVACY_NOTICE.url;
+        consent.declaration = await describeStatement(
+            consent.givenBy === GIVEN_BY.guardian ? 'guardianDeclaration' : 'athleteDeclaration'
+        );
+        consent.timestamp = new Date().toISOString();
+
+        return payload;
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.Consent = {
+        PRIVACY_NOTICE: PRIVACY_NOTICE,
+        STATEMENTS: STATEMENTS,
+        PURPOSES: PURPOSES,
+        GIVEN_BY: GIVEN_BY,
+        statementKey: statementKey,
+        getText: getText,
+        getPurposeText: getPurposeText,
+        record: record
+    };
+})();
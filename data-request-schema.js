@@ -0,0 +1,103 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Data Request Form schema - GDPR data subject requests (access, rectification,
+ * erasure, portability)
+ * Rendered by form-engine.js
+ */
+
+(function() {
+    'use strict';
+
+    window.MAD = window.MAD || {};
+    window.MAD.schemas = window.MAD.schemas || {};
+
+    window.MAD.schemas.dataRequest = {
+        id: 'data-request',
+        sections: [
+            {
+                id: 'request',
+                legend: 'Your Request',
+                fields: [
+                    {
+                        id: 'request-type', name: 'requestType', type: 'select', label: 'What would you like to do?', required: true,
+                        placeholder: 'Select request type', path: 'request.type',
+                        options: [
+                            { value: 'access', label: 'Access - get a copy of the data held' },
+                            { value: 'rectification', label: 'Rectification - correct inaccurate data' },
+                            { value: 'erasure', label: 'Erasure - delete the data held' },
+                            { value: 'portability', label: 'Portability - receive the data in a machine-readable format' }
+                        ]
+                    },
+                    { id: 'request-details', name: 'requestDetails', type: 'textarea', label: 'Anything else we should know? (optional)', rows: 3, maxlength: 2000, path: 'request.details' }
+                ]
+            },
+            {
+                id: 'rectification',
+                legend: 'Corrections',
+                note: 'Tell us which details are wrong and what they should be.',
+                // Shown only for rectification requests - serialises to null when hidden
+                path: 'rectification',
+                fields: [
+                    { id: 'rectification-details', name: 'rectificationDetails', type: 'textarea', label: 'Details to correct', required: true, rows: 4, maxlength: 2000, placeholder: 'e.g., Date of birth should be 3 May 2012, not 5 March 2012', path: 'rectification.details' }
+                ]
+            },
+            {
+                id: 'portability',
+                legend: 'Data Format',
+                // Shown only for portability requests - serialises to null when hidden
+                path: 'portability',
+                fields: [
+                    {
+                        id: 'portability-format', name: 'portabilityFormat', type: 'select', label: 'Format', required: true,
+                        placeholder: 'Select format', path: 'portability.format',
+                        options: [
+                            { value: 'json', label: 'JSON' },
+                            { value: 'csv', label: 'CSV (spreadsheet)' }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'athlete',
+                legend: 'Athlete',
+                note: 'The athlete whose data the request is about.',
+                fields: [
+                    { id: 'athlete-first-name', name: 'athleteFirstName', type: 'text', label: 'First Name', required: true, maxlength: 50, path: 'athlete.firstName' },
+                    { id: 'athlete-last-name', name: 'athleteLastName', type: 'text', label: 'Last Name', required: true, maxlength: 50, path: 'athlete.lastName' },
+                    { id: 'athlete-dob', name: 'athleteDateOfBirth', type: 'date', label: 'Date of Birth', required: true, validate: 'dateOfBirth', path: 'athlete.dateOfBirth' }
+                ]
+            },
+            {
+                id: 'requester',
+                legend: 'Your Details',
+                note: 'We check these against the parent/guardian (or adult athlete) contact details given at registration, and reply only to the registered email address.',
+                fields: [
+                    { id: 'requester-first-name', name: 'requesterFirstName', type: 'text', label: 'First Name', required: true, maxlength: 50, autocomplete: 'given-name', path: 'requester.firstName' },
+                    { id: 'requester-last-name', name: 'requesterLastName', type: 'text', label: 'Last Name', required: true, maxlength: 50, autocomplete: 'family-name', path: 'requester.lastName' },
+                    {
+                        id: 'requester-relationship', name: 'requesterRelationship', type: 'select', label: 'Relationship to Athlete', required: true,
+                        placeholder: 'Select relationship', path: 'requester.relationship',
+                        options: [
+                            { value: 'self', label: 'I am the athlete' },
+                            { value: 'parent', label: 'Parent' },
+                            { value: 'guardian', label: 'Guardian' }
+                        ]
+                    },
+                    { id: 'requester-email', name: 'requesterEmail', type: 'email', label: 'Registered Email Address', required: true, maxlength: 100, autocomplete: 'email', path: 'requester.email' },
+                    { id: 'requester-phone', name: 'requesterPhone', type: 'tel', label: 'Registered Phone Number', required: true, maxlength: 20, autocomplete: 'tel', path: 'requester.phone' }
+                ]
+            },
+            {
+                id: 'declaration',
+                legend: 'Declaration',
+                fields: [
+                    { id: 'declaration-authority', name: 'declarationAuthority', type: 'checkbox', label: 'I confirm I am the athlete named above, or their parent or legal guardian with authority to act for them', required: true, path: 'declaration.authority' },
+                    {
+                        type: 'html',
+                        html: '<p class="contact-info"><span data-i18n="common.questions">Questions? Contact</span> <a href="mailto:coach@charnwoodac.org.uk">coach@charnwoodac.org.uk</a></p>'
+                    }
+                ]
+            }
+        ]
+    };
+})();
@@ -0,0 +1,280 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Data Request Form - GDPR data subject requests, with a reference number and
+ * the statutory response deadline
+ * Fields, validation and serialisation come from data-request-schema.js via form-engine.js
+ * Opened from an athlete's signed link (data-request.html?ref=<athleteToken>) the
+ * request carries the token as proof; otherwise the requester's email or phone
+ * number must be the contact email or phone the athlete was registered with
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        // Endpoints for the current environment - see config.js
+        webhookUrl: window.MAD.Config.webhookUrl('mad-data-request'),
+        fallbackUrl: window.MAD.Config.fallbackUrl('mad-data-request'),
+        submitTimeout: 30000, // 30 seconds
+        referencePrefix: 'DSR',
+        referenceAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // No 0/O or 1/I - read out over the phone
+    };
+
+    // DOM Elements
+    const form = document.getElementById('data-request-form');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const statusDiv = document.getElementById('form-status');
+    const queuePanel = document.getElementById('submission-queue');
+    const athleteBanner = document.getElementById('athlete-identification');
+
+    const SubmissionQueue = window.MAD.SubmissionQueue;
+    const EndpointHealth = window.MAD.EndpointHealth;
+    const AthleteLink = window.MAD.AthleteLink;
+    const I18n = window.MAD.I18n;
+
+    // Athlete verified from the signed link, if the page was opened from one: { id, name, dob, sex, token }
+    let athlete = null;
+
+    // Messages - translated under data-request.messages.<name>
+    const MESSAGES = {
+        invalid: 'Please correct the errors above.',
+        submitting: 'Submitting request...',
+        queueLabel: 'Data request {reference}',
+        received: 'Request received.',
+        queued: 'You appear to be offline. Your request has been saved on this device and will be sent automatically when your connection returns.',
+        reference: 'Reference:',
+        respondBy: 'We will respond by {date}.',
+        identityNote: 'We will check your details against our registration records and reply to the ' +
+            'registered email address. If we need more information to confirm your identity, we will contact you. ' +
+            'Please quote your reference in any correspondence.',
+        linkNotUsed: 'Your athlete link could not be verified, so we will check your email address and phone number against ' +
+            'those registered for the athlete instead.',
+        notVerified: 'We could not match these details to our registration records. Please enter the athlete\'s name ' +
+            'and date of birth, and the email address or phone number, exactly as given at registration - or use the link from your registration confirmation.'
+    };
+
+    const engine = window.MAD.FormEngine.create({
+        form: form,
+        schema: window.MAD.schemas.dataRequest,
+        submitButton: submitButton,
+        statusDiv: statusDiv,
+        submitLabel: 'Submit Request',
+        webhookUrl: CONFIG.webhookUrl,
+        fallbackUrl: CONFIG.fallbackUrl,
+        submitTimeout: CONFIG.submitTimeout,
+        queueName: 'data-request',
+        errorSummary: document.getElementById('error-summary')
+    });
+
+    // Summary shown before anything is sent
+    const review = window.MAD.FormReview.create({
+        engine: engine,
+        form: form,
+        container: document.getElementById('form-review'),
+        onConfirm: submitRequest
+    });
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('data-request.messages.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Show the extra sections for rectification and portability requests
+     */
+    function updateRequestSections() {
+        const type = engine.getField('request-type').value;
+        engine.setSectionVisible('rectification', type === 'rectification');
+        engine.setSectionVisible('portability', type === 'portability');
+    }
+
+    /**
+     * Generate a request reference, e.g. DSR-20250314-7KQ3XZ
+     */
+    function generateReference(date) {
+        const stamp = toDateString(date).replace(/-/g, '');
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(6)),
+            byte => CONFIG.referenceAlphabet[byte % CONFIG.referenceAlphabet.length]).join('');
+        return CONFIG.referencePrefix + '-' + stamp + '-' + random;
+    }
+
+    /**
+     * Statutory response deadline - one calendar month from receipt (UK GDPR Art. 12(3))
+     *
+     * The corresponding date in the next month, or the last day of that month if
+     * there is no such date (31 January -> 28/29 February). A deadline on a
+     * weekend moves to the following Monday.
+     */
+    function calculateResponseDeadline(received) {
+        const year = received.getFullYear();
+        const month = received.getMonth() + 1;
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        const deadline = new Date(year, month, Math.min(received.getDate(), lastDay));
+
+        while (deadline.getDay() === 0 || deadline.getDay() === 6) {
+            deadline.setDate(deadline.getDate() + 1);
+        }
+
+        return deadline;
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     */
+    function toDateString(date) {
+        return date.getFullYear() + '-' +
+            String(date.getMonth() + 1).padStart(2, '0') + '-' +
+            String(date.getDate()).padStart(2, '0');
+    }
+
+    /**
+     * Collect form data into submission format
+     */
+    function collectFormData() {
+        const received = new Date();
+        const data = Object.assign({
+            athleteToken: athlete ? athlete.token : null
+        }, engine.serialize());
+
+        data.reference = generateReference(received);
+        data.receivedAt = received.toISOString();
+        data.responseDue = toDateString(calculateResponseDeadline(received));
+
+        return data;
+    }
+
+    /**
+     * Show the confirmation with reference number and deadline
+     */
+    function showConfirmation(reference, responseDue, isQueued) {
+        const dueText = new Date(responseDue + 'T00:00:00').toLocaleDateString(I18n.getDateLocale(), {
+            weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+        });
+
+        statusDiv.innerHTML =
+            '<strong class="request-heading"></strong>' +
+            '<span class="request-reference"><span class="reference-label"></span> <strong class="reference-number"></strong></span>' +
+            '<span class="request-deadline"></span>' +
+            '<span class="discovery-note"></span>';
+
+        statusDiv.querySelector('.request-heading').textContent = message(isQueued ? 'queued' : 'received');
+        statusDiv.querySelector('.reference-label').textContent = message('reference');
+        statusDiv.querySelector('.reference-number').textContent = reference;
+        statusDiv.querySelector('.discovery-note').textContent = message('identityNote');
+
+        // The date is emphasised wherever the language puts it in the sentence
+        const deadlineDate = document.createElement('strong');
+        deadlineDate.className = 'deadline-date';
+        deadlineDate.textContent = dueText;
+        const deadlineParts = message('respondBy').split('{date}');
+        statusDiv.querySelector('.request-deadline').append(deadlineParts[0], deadlineDate, deadlineParts.slice(1).join(''));
+
+        statusDiv.className = 'form-status ' + (isQueued ? 'info' : 'success');
+        statusDiv.style.display = 'block';
+    }
+
+    /**
+     * Handle form submission - validate, then show the summary for review
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        // Validate form
+        if (!engine.validate()) {
+            engine.showStatus(message('invalid'), 'error');
+            return;
+        }
+
+        review.show(collectFormData());
+    }
+
+    /**
+     * Submit a reviewed request
+     */
+    async function submitRequest(formData) {
+        // Show loading state
+        engine.setLoading(true);
+        engine.showStatus(message('submitting'), 'info');
+
+        // Submit to webhook
+        const result = await engine.submitForm(formData, message('queueLabel', { reference: formData.reference }));
+
+        // Handle result
+        engine.setLoading(false);
+
+        if (result.success || result.queued) {
+            // The server may confirm its own reference and deadline
+            const response = result.data || {};
+            showConfirmation(response.reference || formData.reference, response.responseDue || formData.responseDue, !result.success);
+
+            engine.reset();
+            updateRequestSections();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        } else if (result.code === 'requester_not_verified') {
+            engine.showStatus(message('notVerified'), 'error');
+            engine.showServerErrors(result.details);
+        } else {
+            engine.showStatus(result.error, 'error');
+            engine.showServerErrors(result.details);
+        }
+    }
+
+    /**
+     * Use the athlete's signed link as proof of identity, if the page was opened from one
+     */
+    async function identifyAthlete() {
+        const token = AthleteLink.getRefFromUrl();
+        if (!token) {
+            return;
+        }
+
+        const result = await AthleteLink.verify(token);
+        if (result.status !== 'valid') {
+            engine.showStatus(message('linkNotUsed'), 'info');
+            return;
+        }
+
+        athlete = result;
+        document.getElementById('athlete-name-display').textContent = athlete.name;
+        athleteBanner.hidden = false;
+    }
+
+    /**
+     * Initialize form
+     */
+    function init() {
+        // Render fields from the schema, with inline validation
+        engine.init();
+
+        // Language switcher - defaults to the browser language
+        I18n.mountSwitcher(document.getElementById('language-select'));
+
+        // Form submission
+        form.addEventListener('submit', handleSubmit);
+
+        // Request type - show the sections that type needs
+        engine.getField('request-type').addEventListener('change', updateRequestSections);
+        updateRequestSections();
+
+        // Offline queue - retry saved submissions and show their pending / sent state
+        SubmissionQueue.mountStatusPanel(queuePanel, { form: 'data-request' });
+        SubmissionQueue.start();
+
+        // Warn before the form is filled in if the backend cannot be reached
+        EndpointHealth.mount(document.getElementById('endpoint-health'));
+
+        console.log('MAD Data Request Form initialized');
+
+        identifyAthlete();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,281 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Discovery Form schema - fields, validation rules and payload paths
+ * Rendered by form-engine.js
+ */
+
+(function() {
+    'use strict';
+
+    window.MAD = window.MAD || {};
+    window.MAD.schemas = window.MAD.schemas || {};
+
+    const Consent = window.MAD.Consent;
+    const STATEMENTS = Consent.STATEMENTS;
+    const Events = window.MAD.Events;
+
+    window.MAD.schemas.discovery = {
+        id: 'discovery',
+        sections: [
+            {
+                id: 'training',
+                legend: 'Training Background',
+                fields: [
+                    { id: 'training-years-total', name: 'trainingYearsTotal', type: 'number', label: 'Years in Athletics (total)', required: true, min: 0, max: 20, step: 1, format: 'int', path: 'training.yearsTotal' },
+                    { id: 'training-years-coach', name: 'trainingYearsCoach', type: 'number', label: 'Years with Current Coach', min: 0, max: 20, step: 1, format: 'int', path: 'training.yearsWithCoach' },
+                    { id: 'sessions-per-week', name: 'sessionsPerWeek', type: 'number', label: 'Training Sessions per Week', required: true, min: 0, max: 14, step: 1, format: 'int', path: 'training.sessionsPerWeek' },
+                    {
+                        id: 'training-group', name: 'trainingGroup', type: 'select', label: 'Training Group', required: true,
+                        placeholder: 'Select training group', path: 'training.trainingGroup',
+                        options: [
+                            'U11 Development',
+                            'U13 Development',
+                            'U13 Endurance',
+                            'U15 Development',
+                            'U15 Endurance',
+                            'U17 Endurance',
+                            'U20 Endurance',
+                            'Senior Endurance'
+                        ]
+                    },
+                    { id: 'previous-sports', name: 'previousSports', type: 'textarea', label: 'Previous Sports/Activities', rows: 3, placeholder: 'List any sports or activities before athletics, with approximate ages', path: 'training.previousSports' }
+                ]
+            },
+            {
+                id: 'events',
+                legend: 'Events & Personal Bests',
+                path: 'events',
+                repeat: {
+                    min: 0,
+                    max: 15,
+                    itemLegend: 'Event {n}',
+                    addLabel: 'Add an event',
+                    removeLabel: 'Remove this event',
+                    emptyText: 'Add the events you train for or compete in. A personal best is optional.'
+                },
+                fields: [
+                    { id: 'pb-event', name: 'pbEvent', type: 'select', label: 'Event', required: true, placeholder: 'Select an event', options: Events.getOptions(), path: 'event' },
+                    { id: 'pb-mark', name: 'pbMark', type: 'text', label: 'Personal Best', maxlength: 12, eventField: 'pb-event', placeholder: 'e.g., 2:15.40, 12.85, 5.32 or 3105', path: 'personalBest' },
+                    { id: 'pb-date', name: 'pbDate', type: 'date', label: 'Date Achieved', validate: 'pastDate', path: 'personalBestDate' },
+                    { id: 'pb-venue', name: 'pbVenue', type: 'text', label: 'Venue', maxlength: 100, placeholder: 'e.g., Loughborough', path: 'personalBestVenue' }
+                ]
+            },
+            {
+                id: 'events-goals',
+                legend: 'Goals',
+                fields: [
+                    { id: 'goals-short-term', name: 'goalsShortTerm', type: 'textarea', label: 'Short-term Goals (this season)', required: true, rows: 2, placeholder: 'What do you want to achieve this season?', path: 'goals.shortTerm' },
+                    { id: 'goals-medium-term', name: 'goalsMediumTerm', type: 'textarea', label: 'Medium-term Goals (1-2 years)', rows: 2, placeholder: 'Where do you see yourself in 1-2 years?', path: 'goals.mediumTerm' },
+                    { id: 'goals-long-term', name: 'goalsLongTerm', type: 'textarea', label: 'Long-term Aspirations', rows: 2, placeholder: 'What are your ultimate athletics dreams?', path: 'goals.longTerm' },
+                    { id: 'motivation', name: 'motivation', type: 'textarea', label: 'Why do you do athletics?', rows: 2, placeholder: 'What motivates you to train and compete?', path: 'goals.motivation' }
+                ]
+            },
+            {
+                id: 'growth',
+                legend: 'Growth & Development',
+                note: 'This information helps us monitor maturation and adjust training appropriately.',
+                // GDPR special-category data (health) - the block at `path` is
+                // encrypted in the browser before submission
+                path: 'growth',
+                specialCategory: true,
+                fields: [
+                    { id: 'height', name: 'height', type: 'number', label: 'Current Height (cm)', required: true, min: 50, max: 250, step: 0.1, placeholder: 'e.g., 165', format: 'float', path: 'growth.height' },
+                    { id: 'weight', name: 'weight', type: 'number', label: 'Current Weight (kg)', min: 10, max: 150, step: 0.1, placeholder: 'e.g., 52', format: 'float', path: 'growth.weight' },
+                    { id: 'mother-height', name: 'motherHeight', type: 'number', label: 'Mother\'s Height (cm)', min: 100, max: 220, step: 0.1, placeholder: 'Helps estimate adult height', format: 'float', path: 'growth.motherHeight' },
+                    { id: 'father-height', name: 'fatherHeight', type: 'number', label: 'Father\'s Height (cm)', min: 100, max: 250, step: 0.1, placeholder: 'Helps estimate adult height', format: 'float', path: 'growth.fatherHeight' }
+                ]
+            },
+            {
+                id: 'health',
+                legend: 'Health',
+                // GDPR special-category data (health) - the block at `path` is
+                // encrypted in the browser before submission
+                path: 'health',
+                specialCategory: true,
+                note: 'Tick any condition a coach may need to act on quickly at training.',
+                fields: [
+                    { id: 'condition-asthma', name: 'conditionAsthma', type: 'checkbox', label: 'Asthma', path: 'health.conditions.asthma' },
+                    { id: 'condition-epilepsy', name: 'conditionEpilepsy', type: 'checkbox', label: 'Epilepsy or seizures', path: 'health.conditions.epilepsy' },
+                    { id: 'condition-diabetes', name: 'conditionDiabetes', type: 'checkbox', label: 'Diabetes', path: 'health.conditions.diabetes' },
+                    { id: 'condition-anaphylaxis', name: 'conditionAnaphylaxis', type: 'checkbox', label: 'Severe allergy (risk of anaphylaxis)', path: 'health.conditions.anaphylaxis' },
+                    { id: 'condition-heart', name: 'conditionHeart', type: 'checkbox', label: 'Heart condition', path: 'health.conditions.heartCondition' },
+                    { id: 'medical-conditions', name: 'medicalConditions', type: 'textarea', label: 'Other Medical Conditions', rows: 2, placeholder: 'e.g., Hypermobility, migraines', path: 'health.medicalConditions' },
+                    { id: 'medication', name: 'medication', type: 'textarea', label: 'Medication', rows: 2, maxlength: 500, placeholder: 'Name, dose and when it is taken, e.g., Blue inhaler before exercise', path: 'health.medication' },
+                    { id: 'carries-medication', name: 'carriesMedication', type: 'checkbox', label: 'Brings their medication to every session (e.g., inhaler, auto-injector)', path: 'health.carriesMedication' },
+                    { id: 'emergency-action', name: 'emergencyAction', type: 'textarea', label: 'Emergency Action', rows: 3, maxlength: 500, placeholder: 'What should a coach do in an emergency? e.g., Give auto-injector, call 999', path: 'health.emergencyAction' },
+                    { id: 'dietary-requirements', name: 'dietaryRequirements', type: 'textarea', label: 'Dietary Requirements', rows: 2, placeholder: 'e.g., Vegetarian, food allergies, intolerances', path: 'health.dietaryRequirements' }
+                ]
+            },
+            {
+                id: 'injuries',
+                legend: 'Injury History',
+                // GDPR special-category data (health) - encrypted with the rest
+                // of the health block, one item per injury
+                path: 'health.injuries',
+                specialCategory: true,
+                repeat: {
+                    min: 0,
+                    max: 10,
+                    itemLegend: 'Injury {n}',
+                    addLabel: 'Add an injury',
+                    removeLabel: 'Remove this injury',
+                    emptyText: 'No injuries added. Add each injury that stopped or changed training - an approximate date is fine.'
+                },
+                fields: [
+                    {
+                        id: 'injury-body-area', name: 'injuryBodyArea', type: 'select', label: 'Body Area', required: true,
+                        placeholder: 'Select body area', path: 'bodyArea',
+                        options: [
+                            { value: 'head-neck', label: 'Head or neck' },
+                            { value: 'shoulder-arm', label: 'Shoulder, arm or hand' },
+                            { value: 'back', label: 'Back' },
+                            { value: 'hip-groin', label: 'Hip or groin' },
+                            { value: 'thigh', label: 'Thigh (hamstring or quad)' },
+                            { value: 'knee', label: 'Knee' },
+                            { value: 'lower-leg', label: 'Lower leg (shin or calf)' },
+                            { value: 'ankle', label: 'Ankle' },
+                            { value: 'foot', label: 'Foot or heel' },
+                            { value: 'other', label: 'Other' }
+                        ]
+                    },
+                    {
+                        id: 'injury-type', name: 'injuryType', type: 'select', label: 'Injury Type', required: true,
+                        placeholder: 'Select injury type', path: 'type',
+                        options: [
+                            { value: 'muscle', label: 'Muscle strain or tear' },
+                            { value: 'tendon', label: 'Tendon problem' },
+                            { value: 'ligament', label: 'Ligament sprain' },
+                            { value: 'bone-stress', label: 'Stress fracture or bone stress' },
+                            { value: 'fracture', label: 'Fracture (break)' },
+                            { value: 'joint', label: 'Joint or cartilage' },
+                            { value: 'growth-related', label: 'Growth-related (e.g., Osgood-Schlatter, Sever\'s)' },
+                            { value: 'concussion', label: 'Concussion' },
+                            { value: 'other', label: 'Other' }
+                        ]
+                    },
+                    { id: 'injury-date', name: 'injuryDate', type: 'month', label: 'Approximate Date', required: true, validate: 'pastMonth', placeholder: 'YYYY-MM', path: 'approximateDate' },
+                    { id: 'injury-weeks-out', name: 'injuryWeeksOut', type: 'number', label: 'Time Out of Training (weeks)', min: 0, max: 104, step: 1, placeholder: 'e.g., 3', format: 'int', path: 'weeksOut' },
+                    { id: 'injury-ongoing', name: 'injuryOngoing', type: 'checkbox', label: 'Still affecting training', path: 'ongoing' },
+                    { id: 'injury-diagnosed', name: 'injuryDiagnosed', type: 'checkbox', label: 'Diagnosed by a doctor or physiotherapist', path: 'diagnosedByProfessional' },
+                    { id: 'injury-notes', name: 'injuryNotes', type: 'textarea', label: 'Notes', rows: 2, maxlength: 500, placeholder: 'Anything else the coach should know, e.g., treatment or what helped', path: 'notes' }
+                ]
+            },
+            {
+                id: 'lifestyle',
+                legend: 'Lifestyle & Commitments',
+                fields: [
+                    { id: 'school', name: 'school', type: 'text', label: 'School', required: true, maxlength: 100, placeholder: 'School name', path: 'lifestyle.school' },
+                    {
+                        id: 'year-group', name: 'yearGroup', type: 'select', label: 'Year Group', required: true,
+                        placeholder: 'Select year group', path: 'lifestyle.yearGroup',
+                        options: ['Year 5', 'Year 6', 'Year 7', 'Year 8', 'Year 9', 'Year 10', 'Year 11', 'Year 12', 'Year 13', 'Left School']
+                    },
+                    { id: 'school-sports', name: 'schoolSports', type: 'textarea', label: 'School Sport Commitments', rows: 2, placeholder: 'Any school teams or PE commitments that affect training', path: 'lifestyle.schoolSports' },
+                    { id: 'other-activities', name: 'otherActivities', type: 'textarea', label: 'Other Regular Activities', rows: 2, placeholder: 'Music, clubs, part-time job, etc.', path: 'lifestyle.otherActivities' }
+                ]
+            },
+            {
+                id: 'family',
+                legend: 'Family & Support',
+                fields: [
+                    { id: 'lives-with', name: 'livesWith', type: 'text', label: 'Lives With', maxlength: 100, placeholder: 'e.g., Both parents, Mum, Dad and stepmum', path: 'family.livesWith' },
+                    { id: 'siblings', name: 'siblings', type: 'text', label: 'Siblings (ages)', maxlength: 100, placeholder: 'e.g., Brother (14), Sister (10)', path: 'family.siblings' },
+                    {
+                        id: 'parent-involvement', name: 'parentInvolvement', type: 'select', label: 'Parent/Guardian Involvement Level',
+                        placeholder: 'Select involvement level', path: 'family.parentInvolvement',
+                        options: [
+                            { value: 'High', label: 'High - Very involved in training/competitions' },
+                            { value: 'Medium', label: 'Medium - Supportive, attends some events' },
+                            { value: 'Low', label: 'Low - Minimal involvement' }
+                        ]
+                    },
+                    {
+                        id: 'communication-preference', name: 'communicationPreference', type: 'select', label: 'Preferred Contact Method',
+                        placeholder: 'Select preference', path: 'family.communicationPreference',
+                        options: [
+                            { value: 'Email', label: 'Email' },
+                            { value: 'Phone', label: 'Phone call' },
+                            { value: 'Text', label: 'Text message' },
+                            { value: 'WhatsApp', label: 'WhatsApp' }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'logistics',
+                legend: 'Facilities & Logistics',
+                fields: [
+                    { id: 'travel-to-training', name: 'travelToTraining', type: 'text', label: 'How do they get to training?', maxlength: 100, placeholder: 'e.g., Parent drives, cycles, walks', path: 'logistics.travelToTraining' },
+                    { id: 'travel-time', name: 'travelTime', type: 'number', label: 'Typical travel time to training (minutes)', min: 0, max: 120, placeholder: 'e.g., 20', format: 'int', path: 'logistics.travelTime' },
+                    { id: 'facility-access', name: 'facilityAccess', type: 'textarea', label: 'Facility Access', rows: 2, placeholder: 'Access to track, gym, pool, local parks for training', path: 'logistics.facilityAccess' },
+                    {
+                        id: 'competition-travel', name: 'competitionTravel', type: 'select', label: 'Can attend away competitions?',
+                        placeholder: 'Select availability', path: 'logistics.competitionTravel',
+                        options: [
+                            { value: 'Yes', label: 'Yes - Most competitions' },
+                            { value: 'Sometimes', label: 'Sometimes - Depends on location/timing' },
+                            { value: 'Rarely', label: 'Rarely - Transport/cost constraints' }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'calendar',
+                legend: 'Annual Calendar (Optional)',
+                // Known absences and exam periods - one item per date range
+                path: 'calendar',
+                repeat: {
+                    min: 0,
+                    max: 20,
+                    itemLegend: 'Absence {n}',
+                    addLabel: 'Add an absence or exam period',
+                    removeLabel: 'Remove this absence',
+                    emptyText: 'Help us plan around your commitments - add family holidays, school trips and exam periods. You can update this later.'
+                },
+                fields: [
+                    {
+                        id: 'absence-category', name: 'absenceCategory', type: 'select', label: 'Reason', required: true,
+                        placeholder: 'Select reason', path: 'category',
+                        options: [
+                            { value: 'holiday', label: 'Family holiday' },
+                            { value: 'school-trip', label: 'School trip' },
+                            { value: 'exams', label: 'Exams' },
+                            { value: 'school', label: 'Other school commitment' },
+                            { value: 'other-sport', label: 'Other sport or activity' },
+                            { value: 'other', label: 'Other' }
+                        ]
+                    },
+                    { id: 'absence-start', name: 'absenceStart', type: 'date', label: 'From', required: true, path: 'start' },
+                    { id: 'absence-end', name: 'absenceEnd', type: 'date', label: 'To (inclusive)', required: true, minField: 'absence-start', path: 'end' },
+                    { id: 'absence-details', name: 'absenceDetails', type: 'text', label: 'Details', maxlength: 100, placeholder: 'e.g., GCSEs, Year 8 trip to France', path: 'details' }
+                ]
+            },
+            {
+                id: 'consent',
+                legend: 'Consent and Privacy',
+                note: 'Please read our <a href="' + Consent.PRIVACY_NOTICE.url + '" id="privacy-notice-link" target="_blank" rel="noopener">Privacy Notice</a> before submitting this form.',
+                // Labels are the versioned statements in consent.js - see Consent.record
+                fields: [
+                    {
+                        id: 'consent-given-by', name: 'consentGivenBy', type: 'select', label: 'Who is giving this consent?', required: true,
+                        placeholder: 'Select', path: 'consent.givenBy',
+                        options: [
+                            { value: Consent.GIVEN_BY.guardian, label: 'Parent or guardian' },
+                            // Offered from the club's consent age only (club-policy.js)
+                            { value: Consent.GIVEN_BY.athlete, label: 'The athlete' }
+                        ]
+                    },
+                    { id: 'consent-privacy', name: 'consentPrivacy', type: 'checkbox', label: STATEMENTS.privacyNotice.text, statement: 'privacyNotice', required: true, path: 'consent.privacyNotice.accepted' },
+                    { id: 'consent-data', name: 'consentData', type: 'checkbox', label: STATEMENTS.discoveryData.text, statement: 'discoveryData', required: true, path: 'consent.purposes.dataCollection.granted' },
+                    { id: 'consent-medical-sharing', name: 'consentMedicalSharing', type: 'checkbox', label: STATEMENTS.medicalSharing.text, statement: 'medicalSharing', path: 'consent.purposes.medicalSharing.granted' },
+                    {
+                        type: 'html',
+                        html: '<p id="guardian-statement" class="guardian-statement" data-i18n="' + Consent.statementKey('guardianDeclaration') + '">' + STATEMENTS.guardianDeclaration.text + '</p>' +
+                            '<p id="adult-statement" class="guardian-statement" style="display: none;" data-i18n="' + Consent.statementKey('athleteDeclaration') + '">' + STATEMENTS.athleteDeclaration.text + '</p>' +
+                            '<p class="contact-info"><span data-i18n="common.questions">Questions? Contact</span> <a href="mailto:coach@charnwoodac.org.uk">coach@charnwoodac.org.uk</a></p>'
+                    }
+                ]
+            }
+        ]
+    };
+})();
@@ -1,7 +1,8 @@
 /**
  * MAD - Mobile Athlete Data Collection
- * Discovery Form validation, data collection, and webhook submission
+ * Discovery Form - athlete identification, drafts, step navigation, data collection, and webhook submission
  * Form 2 - Captures athlete context and finalises GDPR consent
+ * Fields, validation and serialisation come from discovery-schema.js via form-engine.js
  */
 
 (function() {
@@ -9,408 +10,795 @@
 
     // Configuration
     const CONFIG = {
-        webhookUrl: 'https://texas-automotive-helmet-track.trycloudflare.com/webhook/mad-discovery',
-        submitTimeout: 30000 // 30 seconds
+        // Endpoints for the current environment - see config.js
+        webhookUrl: window.MAD.Config.webhookUrl('mad-discovery'),
+        fallbackUrl: window.MAD.Config.fallbackUrl('mad-discovery'),
+        submitTimeout: 30000, // 30 seconds
+        // Published payload schema - minor version for an additive change, new file and major version for a breaking one (see README)
+        payloadSchema: { url: 'schemas/discovery-payload.v5.json', version: '5.0.0' },
+        draftKeyPrefix: 'mad-discovery-draft:',
+        draftSaveDelay: 500, // Debounce autosave while typing
+        draftMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+        healthDraftMaxAge: 24 * 60 * 60 * 1000, // 24 hours for drafts holding health data
+        mastersTrainingGroup: 'Senior', // Training groups offered to Masters athletes
+        calendarUidDomain: 'juliandayhome.github.io', // Stable .ics event UIDs - re-importing updates, not duplicates
+        calendarUrlLifetime: 60000, // 60 seconds - a slow device may still be reading the .ics
+        // Club public key (RSA-OAEP, SHA-256) that special-category sections are
+        // encrypted to - the private half is held by the backend only
+        clubDataKey: {
+            kid: 'mad-club-data-1',
+            jwk: {
+                kty: 'RSA',
+                e: 'AQAB',
+                n: '5coL5WkotqFAsPfZDp-w3V1Qa-r9zBXwHTtHVkMFVohQgQUzbXsoh1zeimH1s4rzOEUn9lBnaWkPym1_OSk7ualiNYYWBFDYVeV66QgArGAkmkOrxIvIVn83fIzZQGbPAi5BVMWfocqV5125ElRKSKAn4vPIb70IhSmYV74Y1W7yVCqlttgYSdC-mnhhyjXvmOKfHhhIgZhU75MBeWkOvUUSPm_hFmTWa5qkchyY-tr5L5VuonqC_pxOgGW6blIYj1z07JCRpt3jdiuKDnrsGmg8I4RCPdgSNuJP3R7B8pOUiDUkW2qjwzsXgTTbkTEmeiIpWg5cdtrkTfJFiVdnigAFvx_g7gSibbI67w36m4NF9cK0CQvhARgiLtpkYjizkMqz5TxVT95JZ7DuT2axiVQ89PbH1oAi249fx6mYGP9QJh3tUJe2d9B8ptDZdfCuDA8z_UBpUeJoJNRKCSO9Qmnj7F4V7xLMw_SIyaGDDgmffIDV6sELJ-ejjb4cPhPb'
+            }
+        }
     };
 
     // DOM Elements
     const form = document.getElementById('discovery-form');
     const submitButton = document.getElementById('submit-btn');
     const statusDiv = document.getElementById('form-status');
-    const athleteNameInput = document.getElementById('athlete-name');
+    const queuePanel = document.getElementById('submission-queue');
+    const athleteIdInput = document.getElementById('athlete-id');
     const athleteNameDisplay = document.getElementById('athlete-name-display');
-    const consentPrivacy = document.getElementById('consent-privacy');
-    const consentData = document.getElementById('consent-data');
-
-    // Error messages
+    const draftPrompt = document.getElementById('draft-prompt');
+    const draftPromptText = document.getElementById('draft-prompt-text');
+    const draftStatus = document.getElementById('draft-status');
+
+    let draftTimer = null;
+
+    // Athlete verified from the signed link: { id, name, dob, sex, token }
+    let athlete = null;
+
+    const SubmissionQueue = window.MAD.SubmissionQueue;
+    const EndpointHealth = window.MAD.EndpointHealth;
+    const AthleteLink = window.MAD.AthleteLink;
+    const Consent = window.MAD.Consent;
+    const Growth = window.MAD.Growth;
+    const AgeGroups = window.MAD.AgeGroups;
+    const ClubPolicy = window.MAD.ClubPolicy;
+    const ICal = window.MAD.ICal;
+    const I18n = window.MAD.I18n;
+
+    const engine = window.MAD.FormEngine.create({
+        form: form,
+        schema: window.MAD.schemas.discovery,
+        submitButton: submitButton,
+        statusDiv: statusDiv,
+        submitLabel: 'Submit Discovery Form',
+        webhookUrl: CONFIG.webhookUrl,
+        fallbackUrl: CONFIG.fallbackUrl,
+        submitTimeout: CONFIG.submitTimeout,
+        queueName: 'discovery',
+        payloadSchema: CONFIG.payloadSchema,
+        errorSummary: document.getElementById('error-summary'),
+        onShowField: field => wizard.showField(field),
+        onRepeatChange: scheduleDraftSave
+    });
+
+    // One step per schema section
+    const wizard = window.MAD.FormWizard.create({
+        engine: engine,
+        form: form,
+        submitButton: submitButton,
+        stepLabel: document.getElementById('wizard-step-label'),
+        progressBar: document.getElementById('wizard-progress-bar'),
+        backButton: document.getElementById('wizard-back'),
+        nextButton: document.getElementById('wizard-next')
+    });
+
+    // Summary shown before anything is sent - edit links return to that step
+    const review = window.MAD.FormReview.create({
+        engine: engine,
+        form: form,
+        container: document.getElementById('form-review'),
+        onConfirm: submitDiscovery,
+        onEdit: wizard.goToSection
+    });
+
+    // Copy of the submitted answers to print or save, offered once sent or queued
+    const profile = window.MAD.FormProfile.create({
+        engine: engine,
+        container: document.getElementById('form-profile')
+    });
+
+    // Messages - translated under discovery.messages.<name>
     const MESSAGES = {
-        required: 'This field is required',
-        number: 'Please enter a valid number',
-        range: 'Please enter a value between {min} and {max}',
-        consent: 'You must agree to continue',
-        noAthlete: 'Athlete not identified. Please use the link from your registration confirmation.'
+        noAthlete: 'Athlete not identified. Please use the link from your registration confirmation.',
+        linkExpiredTitle: 'Link expired',
+        linkExpired: 'This Discovery Form link has expired. Please contact the coach for a new link.',
+        linkInvalidTitle: 'Link not valid',
+        linkInvalid: 'This Discovery Form link is not valid. Please use the link from your registration confirmation, or contact the coach for a new one.',
+        unknownAthlete: 'Unknown athlete',
+        encryptionFailed: 'Your browser could not encrypt the health details securely, so nothing has been sent. Please update your browser or contact the coach.',
+        invalid: 'Please correct the errors above.',
+        submitting: 'Submitting discovery form...',
+        success: 'Discovery form submitted successfully! {name}\'s profile is now complete and active. ',
+        queued: 'You appear to be offline. {name}\'s discovery form has been saved on this device and will be sent ' +
+            'automatically when your connection returns - there is no need to submit it again.',
+        consentLink: 'Review or withdraw consent',
+        calendarLink: 'Add {name}\'s absences to your calendar (.ics)',
+        calendarName: '{name} - absences',
+        guardianPurpose: 'A parent or guardian must give this consent for athletes under {age}.',
+        draftPrompt: 'You have an unfinished draft for {name}, saved {time}.',
+        draftSaved: 'Draft saved on this device at {time}',
+        draftRestored: 'Draft restored'
     };
 
+    // Expired / invalid link state on screen ('linkExpired' or 'linkInvalid'), if any
+    let linkState = null;
+
     /**
-     * Get athlete name from URL parameter
+     * A message in the current language
      */
-    function getAthleteFromUrl() {
-        const params = new URLSearchParams(window.location.search);
-        return params.get('athlete') || params.get('athleteName');
+    function message(name, params) {
+        return I18n.t('discovery.messages.' + name, MESSAGES[name], params);
     }
 
     /**
-     * Show error message for a field
+     * Replace the form with an expired / invalid link message
      */
-    function showError(field, message) {
-        clearError(field);
+    function showLinkState(state) {
+        linkState = state;
+        form.hidden = true;
+        athleteNameDisplay.textContent = message('unknownAthlete');
+        document.getElementById('link-state-title').textContent = message(state + 'Title');
+        document.getElementById('link-state-message').textContent = message(state);
+        document.getElementById('link-state').hidden = false;
+    }
 
-        field.classList.add('field-error');
-        field.setAttribute('aria-invalid', 'true');
+    /**
+     * Check the athlete is identified, then validate every field
+     */
+    function validateForm() {
+        // Check athlete identification first
+        if (!athleteIdInput.value) {
+            engine.showStatus(message('noAthlete'), 'error');
+            return false;
+        }
 
-        const errorId = field.id + '-error';
-        const errorSpan = document.createElement('span');
-        errorSpan.id = errorId;
-        errorSpan.className = 'error-message';
-        errorSpan.setAttribute('role', 'alert');
-        errorSpan.textContent = message;
+        return engine.validate();
+    }
 
-        field.setAttribute('aria-describedby', errorId);
-        field.parentNode.insertBefore(errorSpan, field.nextSibling);
+    /**
+     * Collect form data into submission format
+     */
+    function collectFormData() {
+        const data = Object.assign({
+            athleteId: athlete.id,
+            athleteToken: athlete.token
+        }, engine.serialize());
+
+        data.consent.scope = 'registration_and_discovery';
+        Object.keys(data.consent.purposes).forEach(purpose => {
+            data.consent.purposes[purpose].givenBy = ClubPolicy.getPurposeGivenBy(purpose, [athlete.dob], data.consent.givenBy);
+        });
+        data.medicalAlert = hasMedicalAlert(data.health);
+
+        return data;
     }
 
     /**
-     * Clear error message for a field
+     * Whether coaches need to be aware of a medical condition at every
+     * session - any condition ticked, or an emergency action given. Sent with
+     * no detail outside the encrypted health block, for session registers
      */
-    function clearError(field) {
-        field.classList.remove('field-error');
-        field.removeAttribute('aria-invalid');
-        field.removeAttribute('aria-describedby');
+    function hasMedicalAlert(health) {
+        const conditions = health.conditions;
+        return Object.keys(conditions).some(condition => conditions[condition]) || !!health.emergencyAction;
+    }
 
-        const errorId = field.id + '-error';
-        const existingError = document.getElementById(errorId);
-        if (existingError) {
-            existingError.remove();
-        }
+    /**
+     * Add the coach-only growth estimates to the growth block - never shown
+     * to the athlete, and encrypted with the rest of the section
+     */
+    function addGrowthEstimates(data) {
+        const growth = Object.assign({}, data.growth, {
+            maturity: Growth.assess({
+                dateOfBirth: athlete.dob,
+                sex: athlete.sex,
+                height: data.growth.height,
+                motherHeight: data.growth.motherHeight,
+                fatherHeight: data.growth.fatherHeight
+            })
+        });
+        return Object.assign({}, data, { growth: growth });
     }
 
     /**
-     * Validate a single field
+     * Payload keys of special-category (health) sections of the schema - the
+     * top-level block, so health.injuries is encrypted as part of health
      */
-    function validateField(field) {
-        const value = field.value.trim();
-        const type = field.type;
-        const isRequired = field.hasAttribute('required');
+    function getSpecialCategoryPaths() {
+        return engine.schema.sections
+            .filter(section => section.specialCategory)
+            .map(section => section.path.split('.')[0])
+            .filter((path, index, paths) => paths.indexOf(path) === index);
+    }
 
-        // Clear previous error
-        clearError(field);
+    /**
+     * Encrypt the special-category sections of a payload to the club key
+     *
+     * Hybrid scheme: the sections are serialised as one JSON object and
+     * encrypted with a fresh AES-256-GCM key, bound to the athlete ID as
+     * additional data; that key is then encrypted with the club's RSA-OAEP
+     * (SHA-256) public key. The plain sections are removed from the payload.
+     * See backend/decrypt-special-category.js for the reverse.
+     */
+    async function encryptSpecialCategory(data) {
+        const paths = getSpecialCategoryPaths();
+        const sections = {};
+        paths.forEach(path => {
+            sections[path] = data[path];
+        });
 
-        // Required field check
-        if (isRequired && !value) {
-            if (type === 'checkbox' && !field.checked) {
-                showError(field, MESSAGES.consent);
-                return false;
-            } else if (type !== 'checkbox') {
-                showError(field, MESSAGES.required);
-                return false;
-            }
-        }
+        const publicKey = await crypto.subtle.importKey(
+            'jwk',
+            CONFIG.clubDataKey.jwk,
+            { name: 'RSA-OAEP', hash: 'SHA-256' },
+            false,
+            ['encrypt']
+        );
+        const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(data.athleteId) },
+            contentKey,
+            new TextEncoder().encode(JSON.stringify(sections))
+        );
+        const encryptedKey = await crypto.subtle.encrypt(
+            { name: 'RSA-OAEP' },
+            publicKey,
+            await crypto.subtle.exportKey('raw', contentKey)
+        );
+
+        const payload = Object.assign({}, data);
+        paths.forEach(path => {
+            delete payload[path];
+        });
+        payload.encrypted = {
+            kid: CONFIG.clubDataKey.kid,
+            alg: 'RSA-OAEP-256',
+            enc: 'A256GCM',
+            sections: paths,
+            encryptedKey: AthleteLink.bytesToBase64Url(encryptedKey),
+            iv: AthleteLink.bytesToBase64Url(iv),
+            ciphertext: AthleteLink.bytesToBase64Url(ciphertext)
+        };
 
-        // Skip further validation if empty and not required
-        if (!value && !isRequired) {
-            return true;
-        }
+        return payload;
+    }
 
-        // Number range validation
-        if (type === 'number' && value) {
-            const numValue = parseFloat(value);
-            const min = field.hasAttribute('min') ? parseFloat(field.getAttribute('min')) : null;
-            const max = field.hasAttribute('max') ? parseFloat(field.getAttribute('max')) : null;
+    /**
+     * Show the declaration for whoever is giving consent
+     */
+    function updateDeclaration() {
+        const isAthlete = engine.getField('consent-given-by').value === Consent.GIVEN_BY.athlete;
+        document.getElementById('guardian-statement').style.display = isAthlete ? 'none' : 'block';
+        document.getElementById('adult-statement').style.display = isAthlete ? 'block' : 'none';
+        updatePurposeHints();
+    }
 
-            if (isNaN(numValue)) {
-                showError(field, MESSAGES.number);
-                return false;
-            }
+    /**
+     * Note under each optional consent a parent or guardian must give while
+     * the athlete gives the rest themselves
+     */
+    function updatePurposeHints() {
+        const givenBy = engine.getField('consent-given-by').value;
+
+        engine.schema.sections.find(section => section.id === 'consent').fields
+            .filter(field => field.statement && field.path.indexOf('consent.purposes.') === 0)
+            .forEach(field => {
+                const purpose = field.path.split('.')[2];
+                const group = engine.getField(field.id).parentNode;
+                let hint = document.getElementById(field.id + '-guardian');
+                if (!hint) {
+                    hint = document.createElement('p');
+                    hint.id = field.id + '-guardian';
+                    hint.className = 'field-hint';
+                    group.parentNode.insertBefore(hint, group.nextSibling);
+                }
 
-            if (min !== null && max !== null && (numValue < min || numValue > max)) {
-                showError(field, MESSAGES.range.replace('{min}', min).replace('{max}', max));
-                return false;
-            }
-        }
+                const isShown = !!athlete && givenBy === Consent.GIVEN_BY.athlete &&
+                    ClubPolicy.getPurposeGivenBy(purpose, [athlete.dob], givenBy) === Consent.GIVEN_BY.guardian;
+                hint.textContent = isShown ? message('guardianPurpose', { age: ClubPolicy.getConsentAge(purpose) }) : '';
+                hint.hidden = !isShown;
+            });
+    }
 
-        // Checkbox validation
-        if (type === 'checkbox' && isRequired && !field.checked) {
-            showError(field, MESSAGES.consent);
-            return false;
+    /**
+     * Offer "The athlete" as the one giving consent only from the club's
+     * consent age (club-policy.js) - a parent or guardian consents below it
+     */
+    function limitConsentGivenBy() {
+        const select = engine.getField('consent-given-by');
+        const option = Array.from(select.options).find(item => item.value === Consent.GIVEN_BY.athlete);
+        const guardianOnly = ClubPolicy.needsGuardianConsent(athlete.dob);
+
+        option.hidden = guardianOnly;
+        option.disabled = guardianOnly;
+        if (guardianOnly) {
+            select.value = Consent.GIVEN_BY.guardian;
         }
-
-        return true;
+        updateDeclaration();
     }
 
     /**
-     * Validate entire form
+     * Offer only the training groups for the athlete's track & field age
+     * group (from the date of birth in the signed link), pre-selecting it
+     * when there is just one - every group stays available when none match
      */
-    function validateForm() {
-        const fields = form.querySelectorAll('input, select, textarea');
-        let isValid = true;
-        let firstErrorField = null;
+    function limitTrainingGroups() {
+        const select = engine.getField('training-group');
+        const groups = AgeGroups.derive(athlete.dob);
+        const ageGroup = groups && (groups.trackAndField.ageGroup === AgeGroups.MASTERS
+            ? CONFIG.mastersTrainingGroup
+            : groups.trackAndField.ageGroup);
+
+        // Training group options are named "<age group> <squad>", e.g. "U15 Endurance"
+        const options = Array.from(select.options).filter(option => option.value);
+        const matching = options.filter(option => option.value.split(' ')[0] === ageGroup);
+
+        options.forEach(option => {
+            const offered = !matching.length || matching.indexOf(option) !== -1;
+            option.hidden = !offered;
+            option.disabled = !offered;
+        });
 
-        // Check athlete identification first
-        if (!athleteNameInput.value) {
-            showStatus(MESSAGES.noAthlete, 'error');
-            return false;
+        if (matching.length === 1 && !select.value) {
+            select.value = matching[0].value;
         }
+    }
+
+    /**
+     * Link to review or withdraw this athlete's consent
+     */
+    function createConsentLink() {
+        const link = document.createElement('a');
+        link.href = 'consent.html?ref=' + encodeURIComponent(athlete.token);
+        link.className = 'consent-link';
+        link.textContent = message('consentLink');
+        return link;
+    }
 
-        fields.forEach(field => {
-            if (!validateField(field)) {
-                isValid = false;
-                if (!firstErrorField) {
-                    firstErrorField = field;
+    /**
+     * Link to download the calendar section's absences as an .ics file, or
+     * null if none were entered
+     */
+    function createCalendarLink(formData) {
+        if (!formData.calendar || !formData.calendar.length) return null;
+
+        const field = engine.schema.sections
+            .find(section => section.id === 'calendar').fields
+            .find(item => item.id === 'absence-category');
+
+        // Absences with the same category and dates are numbered, so each keeps its own UID
+        const seen = {};
+        const events = formData.calendar.map(absence => {
+            const reason = engine.getOptionLabel(field, field.options.find(option => option.value === absence.category));
+            const key = [athlete.id, absence.category, absence.start, absence.end].join('-');
+            seen[key] = (seen[key] || 0) + 1;
+            return {
+                uid: key + (seen[key] > 1 ? '-' + seen[key] : '') + '@' + CONFIG.calendarUidDomain,
+                start: absence.start,
+                end: absence.end,
+                summary: athlete.name + ': ' + reason + (absence.details ? ' - ' + absence.details : ''),
+                categories: absence.category
+            };
+        });
+
+        const file = new Blob([ICal.build(events, { name: message('calendarName', { name: athlete.name }) })], { type: ICal.MIME_TYPE });
+        const link = document.createElement('a');
+        link.href = '#';
+        link.download = 'absences-' + athlete.id + '.ics';
+        // A fresh object URL for each download, revoked once the browser has had
+        // time to read it - revoking straight away can cancel the download
+        link.addEventListener('click', () => {
+            const url = URL.createObjectURL(file);
+            link.href = url;
+            setTimeout(() => {
+                URL.revokeObjectURL(url);
+                if (link.href === url) {
+                    link.href = '#';
                 }
-            }
+            }, CONFIG.calendarUrlLifetime);
         });
+        link.className = 'calendar-link';
+        link.textContent = message('calendarLink', { name: athlete.name });
+        return link;
+    }
 
-        // Focus first error field
-        if (firstErrorField) {
-            firstErrorField.focus();
-        }
+    /**
+     * Update submit button state based on consent checkboxes
+     */
+    function updateSubmitButtonState() {
+        const bothChecked = engine.getField('consent-privacy').checked && engine.getField('consent-data').checked;
+        const hasAthlete = !!athleteIdInput.value;
+        submitButton.disabled = !(bothChecked && hasAthlete);
+    }
 
-        return isValid;
+    /**
+     * Local storage key for the current athlete's draft
+     */
+    function getDraftKey() {
+        return CONFIG.draftKeyPrefix + athleteIdInput.value;
     }
 
     /**
-     * Collect form data into submission format
+     * Ids of fields in special-category (health) sections of the schema
      */
-    function collectFormData() {
-        return {
-            athleteName: athleteNameInput.value,
-            training: {
-                yearsTotal: parseIntOrNull(document.getElementById('training-years-total').value),
-                yearsWithCoach: parseIntOrNull(document.getElementById('training-years-coach').value),
-                sessionsPerWeek: parseIntOrNull(document.getElementById('sessions-per-week').value),
-                trainingGroup: document.getElementById('training-group').value || null,
-                previousSports: document.getElementById('previous-sports').value.trim() || null
-            },
-            events: {
-                currentEvents: document.getElementById('current-events').value.trim() || null
-            },
-            goals: {
-                shortTerm: document.getElementById('goals-short-term').value.trim(),
-                mediumTerm: document.getElementById('goals-medium-term').value.trim() || null,
-                longTerm: document.getElementById('goals-long-term').value.trim() || null,
-                motivation: document.getElementById('motivation').value.trim() || null
-            },
-            growth: {
-                height: parseFloatOrNull(document.getElementById('height').value),
-                weight: parseFloatOrNull(document.getElementById('weight').value),
-                motherHeight: parseFloatOrNull(document.getElementById('mother-height').value),
-                fatherHeight: parseFloatOrNull(document.getElementById('father-height').value)
-            },
-            health: {
-                injuryHistory: document.getElementById('injury-history').value.trim() || null,
-                medicalConditions: document.getElementById('medical-conditions').value.trim() || null,
-                dietaryRequirements: document.getElementById('dietary-requirements').value.trim() || null
-            },
-            lifestyle: {
-                school: document.getElementById('school').value.trim(),
-                yearGroup: document.getElementById('year-group').value,
-                schoolSports: document.getElementById('school-sports').value.trim() || null,
-                otherActivities: document.getElementById('other-activities').value.trim() || null
-            },
-            family: {
-                livesWith: document.getElementById('lives-with').value.trim() || null,
-                siblings: document.getElementById('siblings').value.trim() || null,
-                parentInvolvement: document.getElementById('parent-involvement').value || null,
-                communicationPreference: document.getElementById('communication-preference').value || null
-            },
-            logistics: {
-                travelToTraining: document.getElementById('travel-to-training').value.trim() || null,
-                travelTime: parseIntOrNull(document.getElementById('travel-time').value),
-                facilityAccess: document.getElementById('facility-access').value.trim() || null,
-                competitionTravel: document.getElementById('competition-travel').value || null
-            },
-            calendar: {
-                knownAbsences: document.getElementById('known-absences').value.trim() || null,
-                examPeriods: document.getElementById('exam-periods').value.trim() || null
-            },
-            consent: {
-                privacyNotice: consentPrivacy.checked,
-                dataCollection: consentData.checked,
-                scope: 'registration_and_discovery',
-                timestamp: new Date().toISOString(),
-                formVersion: '2.0'
-            }
-        };
+    function getSpecialCategoryFieldIds() {
+        return engine.schema.sections
+            .filter(section => section.specialCategory)
+            .reduce((ids, section) => ids.concat(section.fields.map(field => field.id)), []);
     }
 
     /**
-     * Parse integer or return null
+     * Fields saved in a draft - consent is always given afresh, never restored
      */
-    function parseIntOrNull(value) {
-        if (!value || value.trim() === '') return null;
-        const parsed = parseInt(value, 10);
-        return isNaN(parsed) ? null : parsed;
+    function getDraftFields() {
+        const consentSection = engine.getSection('consent');
+        return Array.from(form.querySelectorAll('input, select, textarea'))
+            .filter(field => field.type !== 'hidden' && !consentSection.contains(field));
     }
 
     /**
-     * Parse float or return null
+     * Item counts of the schema's repeatable sections, e.g. { injuries: 2 }
      */
-    function parseFloatOrNull(value) {
-        if (!value || value.trim() === '') return null;
-        const parsed = parseFloat(value);
-        return isNaN(parsed) ? null : parsed;
+    function getRepeatCounts() {
+        const counts = {};
+        engine.schema.sections
+            .filter(section => section.repeat)
+            .forEach(section => {
+                counts[section.id] = engine.getInstanceCount(section.id);
+            });
+        return counts;
     }
 
     /**
-     * Show status message
+     * Check whether a stored draft has passed its expiry
      */
-    function showStatus(message, type) {
-        statusDiv.textContent = message;
-        statusDiv.className = 'form-status ' + type;
-        statusDiv.style.display = 'block';
+    function isDraftExpired(draft) {
+        const maxAge = draft.containsHealth ? CONFIG.healthDraftMaxAge : CONFIG.draftMaxAge;
+        return Date.now() - draft.savedAt > maxAge;
     }
 
     /**
-     * Set form loading state
+     * Read the current athlete's draft, discarding it if expired
      */
-    function setLoading(isLoading) {
-        if (isLoading) {
-            submitButton.disabled = true;
-            submitButton.textContent = 'Submitting...';
-            submitButton.classList.add('loading');
-        } else {
-            updateSubmitButtonState();
-            submitButton.textContent = 'Submit Discovery Form';
-            submitButton.classList.remove('loading');
+    function loadDraft() {
+        try {
+            const stored = localStorage.getItem(getDraftKey());
+            if (!stored) return null;
+
+            const draft = JSON.parse(stored);
+            if (isDraftExpired(draft)) {
+                localStorage.removeItem(getDraftKey());
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
         }
     }
 
     /**
-     * Update submit button state based on consent checkboxes
+     * Save the current field values as a draft
      */
-    function updateSubmitButtonState() {
-        const bothChecked = consentPrivacy.checked && consentData.checked;
-        const hasAthlete = !!athleteNameInput.value;
-        submitButton.disabled = !(bothChecked && hasAthlete);
+    function saveDraft() {
+        const specialCategoryFieldIds = getSpecialCategoryFieldIds();
+        const values = {};
+        let hasValues = false;
+        let containsHealth = false;
+
+        getDraftFields().forEach(field => {
+            if (field.type === 'checkbox' ? field.checked : field.value !== '') {
+                values[field.id] = field.type === 'checkbox' ? true : field.value;
+                hasValues = true;
+                // By schema id, so later repeat items (injury-type-2) count too
+                if (specialCategoryFieldIds.indexOf(field.dataset.fieldId) !== -1) {
+                    containsHealth = true;
+                }
+            }
+        });
+
+        try {
+            if (!hasValues) {
+                localStorage.removeItem(getDraftKey());
+                return;
+            }
+
+            localStorage.setItem(getDraftKey(), JSON.stringify({
+                savedAt: Date.now(),
+                containsHealth: containsHealth,
+                repeats: getRepeatCounts(),
+                values: values
+            }));
+
+            draftStatus.textContent = message('draftSaved', {
+                time: new Date().toLocaleTimeString(I18n.getDateLocale(), { hour: '2-digit', minute: '2-digit' })
+            });
+        } catch (error) {
+            // Storage full or disabled - the form still works without drafts
+        }
     }
 
     /**
-     * Submit form data to webhook
+     * Save a draft once the user pauses typing
      */
-    async function submitForm(data) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.submitTimeout);
+    function scheduleDraftSave() {
+        // Don't overwrite a saved draft before the user has chosen to resume or discard it
+        if (!athleteIdInput.value || !draftPrompt.hidden) return;
+
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(saveDraft, CONFIG.draftSaveDelay);
+    }
 
+    /**
+     * Remove the current athlete's draft
+     */
+    function clearDraft() {
+        clearTimeout(draftTimer);
+        draftStatus.textContent = '';
         try {
-            const response = await fetch(CONFIG.webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(data),
-                signal: controller.signal
-            });
+            localStorage.removeItem(getDraftKey());
+        } catch (error) {
+            // Storage disabled - nothing to clear
+        }
+    }
 
-            clearTimeout(timeoutId);
+    /**
+     * Delete expired drafts for any athlete (shared family devices)
+     */
+    function purgeExpiredDrafts() {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.indexOf(CONFIG.draftKeyPrefix) === 0)
+                .forEach(key => {
+                    try {
+                        if (isDraftExpired(JSON.parse(localStorage.getItem(key)))) {
+                            localStorage.removeItem(key);
+                        }
+                    } catch (parseError) {
+                        localStorage.removeItem(key);
+                    }
+                });
+        } catch (error) {
+            // Storage disabled - nothing to purge
+        }
+    }
 
-            const result = await response.json();
+    /**
+     * Fill the form from a draft
+     */
+    function restoreDraft(draft) {
+        Object.keys(draft.repeats || {}).forEach(sectionId => {
+            engine.setInstanceCount(sectionId, draft.repeats[sectionId]);
+        });
 
-            if (response.ok && result.success) {
-                return { success: true, data: result };
+        getDraftFields().forEach(field => {
+            if (!(field.id in draft.values)) return;
+            if (field.type === 'checkbox') {
+                field.checked = draft.values[field.id];
             } else {
-                return {
-                    success: false,
-                    error: result.message || 'Submission failed',
-                    details: result.details || []
-                };
+                field.value = draft.values[field.id];
             }
-        } catch (error) {
-            clearTimeout(timeoutId);
+        });
+    }
 
-            if (error.name === 'AbortError') {
-                return { success: false, error: 'Request timed out. Please try again.' };
-            }
+    /**
+     * Offer to resume a saved draft or start over
+     */
+    function showDraftPrompt(draft) {
+        draftPromptText.textContent = message('draftPrompt', {
+            name: athlete.name,
+            time: new Date(draft.savedAt).toLocaleString(I18n.getDateLocale())
+        });
+        draftPrompt.hidden = false;
+    }
 
-            return {
-                success: false,
-                error: 'Unable to connect to the server. Please check your connection and try again.'
-            };
+    /**
+     * Resume the saved draft
+     */
+    function handleDraftResume() {
+        const draft = loadDraft();
+        if (draft) {
+            restoreDraft(draft);
+            draftStatus.textContent = message('draftRestored');
         }
+        draftPrompt.hidden = true;
     }
 
     /**
-     * Handle form submission
+     * Discard the saved draft and start with an empty form
      */
-    async function handleSubmit(event) {
+    function handleDraftDiscard() {
+        clearDraft();
+        draftPrompt.hidden = true;
+    }
+
+    /**
+     * Handle form submission - validate, then show the summary for review
+     */
+    function handleSubmit(event) {
         event.preventDefault();
 
         // Validate form
         if (!validateForm()) {
-            showStatus('Please correct the errors above.', 'error');
+            engine.showStatus(message('invalid'), 'error');
             return;
         }
 
-        // Collect data
-        const formData = collectFormData();
+        review.show(collectFormData());
+    }
 
+    /**
+     * Submit a reviewed discovery payload
+     */
+    async function submitDiscovery(formData) {
         // Show loading state
-        setLoading(true);
-        showStatus('Submitting discovery form...', 'info');
+        engine.setLoading(true);
+        engine.showStatus(message('submitting'), 'info');
+        profile.hide();
+
+        // Record the versioned consent statements and add the growth estimates,
+        // then encrypt health and growth data - they never leave the browser unencrypted
+        let recorded;
+        let payload;
+        try {
+            recorded = await Consent.record(engine.schema, formData);
+            payload = await encryptSpecialCategory(addGrowthEstimates(recorded));
+        } catch (error) {
+            console.error('Special-category encryption failed:', error);
+            engine.setLoading(false);
+            updateSubmitButtonState();
+            engine.showStatus(message('encryptionFailed'), 'error');
+            return;
+        }
 
         // Submit to webhook
-        const result = await submitForm(formData);
+        const result = await engine.submitForm(payload, athlete.name);
 
         // Handle result
-        setLoading(false);
+        engine.setLoading(false);
+        updateSubmitButtonState();
 
         if (result.success) {
-            showStatus(
-                'Discovery form submitted successfully! ' +
-                formData.athleteName + '\'s profile is now complete and active.',
-                'success'
-            );
-            form.reset();
+            engine.showStatus(message('success', { name: athlete.name }), 'success');
+            statusDiv.appendChild(createConsentLink());
+            const calendarLink = createCalendarLink(formData);
+            if (calendarLink) statusDiv.appendChild(calendarLink);
+            profile.show(recorded, athlete.name);
+            statusDiv.appendChild(profile.createPrintButton());
+            clearDraft();
+            engine.reset();
+            wizard.reset();
+            limitTrainingGroups();
+            limitConsentGivenBy();
+            updateSubmitButtonState();
             // Scroll to top to show success message
             window.scrollTo({ top: 0, behavior: 'smooth' });
+        } else if (result.queued) {
+            engine.showStatus(message('queued', { name: athlete.name }), 'info');
+            const calendarLink = createCalendarLink(formData);
+            if (calendarLink) statusDiv.appendChild(calendarLink);
+            profile.show(recorded, athlete.name, true);
+            statusDiv.appendChild(profile.createPrintButton());
+            clearDraft();
+            engine.reset();
+            wizard.reset();
+            limitTrainingGroups();
+            limitConsentGivenBy();
+            updateSubmitButtonState();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
         } else {
-            let errorMessage = result.error;
-            if (result.details && result.details.length > 0) {
-                errorMessage += ': ' + result.details.join(', ');
-            }
-            showStatus(errorMessage, 'error');
+            engine.showStatus(result.error, 'error');
+            engine.showServerErrors(result.details);
         }
     }
 
     /**
-     * Handle field blur for inline validation
+     * Show the link state or draft prompt again in a newly chosen language
      */
-    function handleFieldBlur(event) {
-        const field = event.target;
-        if (field.tagName === 'INPUT' || field.tagName === 'SELECT' || field.tagName === 'TEXTAREA') {
-            validateField(field);
+    function handleLocaleChange() {
+        if (linkState) {
+            showLinkState(linkState);
+        }
+
+        updatePurposeHints();
+
+        if (!draftPrompt.hidden) {
+            const draft = loadDraft();
+            if (draft) showDraftPrompt(draft);
+        }
+    }
+
+    /**
+     * Identify the athlete from the signed link, then offer any saved draft
+     */
+    async function identifyAthlete() {
+        const token = AthleteLink.getRefFromUrl();
+
+        if (!token) {
+            athleteNameDisplay.textContent = message('unknownAthlete');
+            engine.showStatus(message('noAthlete'), 'error');
+            return;
+        }
+
+        const result = await AthleteLink.verify(token);
+
+        if (result.status === 'expired') {
+            showLinkState('linkExpired');
+            return;
+        }
+
+        if (result.status !== 'valid') {
+            showLinkState('linkInvalid');
+            return;
         }
+
+        athlete = result;
+        athleteIdInput.value = athlete.id;
+        athleteNameDisplay.textContent = athlete.name;
+        document.getElementById('data-request-link').href = 'data-request.html?ref=' + encodeURIComponent(athlete.token);
+        updateSubmitButtonState();
+        limitTrainingGroups();
+        limitConsentGivenBy();
+
+        const draft = loadDraft();
+        if (draft) {
+            showDraftPrompt(draft);
+        }
+
+        console.log('Completing discovery for athlete:', athlete.id);
     }
 
     /**
      * Initialize form
      */
     function init() {
-        // Get athlete name from URL
-        const athleteName = getAthleteFromUrl();
+        // Render fields from the schema, with inline validation
+        engine.init();
 
-        if (athleteName) {
-            athleteNameInput.value = athleteName;
-            athleteNameDisplay.textContent = athleteName;
-        } else {
-            athleteNameDisplay.textContent = 'Unknown athlete';
-            showStatus(MESSAGES.noAthlete, 'error');
-        }
+        // Step-by-step navigation, one section at a time
+        wizard.init();
+
+        // Language switcher - defaults to the browser language
+        I18n.mountSwitcher(document.getElementById('language-select'));
+        I18n.onChange(handleLocaleChange);
 
         // Update submit button state initially
         updateSubmitButtonState();
 
+        // Drafts - autosave as the user types, offered back once the athlete is identified
+        purgeExpiredDrafts();
+        document.getElementById('draft-resume').addEventListener('click', handleDraftResume);
+        document.getElementById('draft-discard').addEventListener('click', handleDraftDiscard);
+        form.addEventListener('input', scheduleDraftSave);
+        form.addEventListener('change', scheduleDraftSave);
+
         // Form submission
         form.addEventListener('submit', handleSubmit);
 
-        // Inline validation on blur
-        form.addEventListener('blur', handleFieldBlur, true);
+        // Consent checkbox listeners - enable/disable submit button
+        engine.getField('consent-privacy').addEventListener('change', updateSubmitButtonState);
+        engine.getField('consent-data').addEventListener('change', updateSubmitButtonState);
 
-        // Clear error on input
-        form.addEventListener('input', function(event) {
-            const field = event.target;
-            if (field.classList.contains('field-error')) {
-                clearError(field);
-            }
-        });
+        // Guardian or adult athlete declaration, matching who is giving consent
+        engine.getField('consent-given-by').addEventListener('change', updateDeclaration);
 
-        // Consent checkbox listeners - enable/disable submit button
-        consentPrivacy.addEventListener('change', updateSubmitButtonState);
-        consentData.addEventListener('change', updateSubmitButtonState);
+        // Offline queue - retry saved submissions and show their pending / sent state
+        SubmissionQueue.mountStatusPanel(queuePanel, { form: 'discovery' });
+        SubmissionQueue.start();
+
+        // Warn before the form is filled in if the backend cannot be reached
+        EndpointHealth.mount(document.getElementById('endpoint-health'));
 
         console.log('MAD Discovery Form initialized');
-        if (athleteName) {
-            console.log('Completing discovery for:', athleteName);
-        }
+
+        identifyAthlete();
     }
 
     // Initialize when DOM is ready
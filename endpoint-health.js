@@ -0,0 +1,114 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Endpoint health check - warns on page load when the backend cannot be
+ * reached, before anyone spends time filling in a form
+ *
+ * Asks GET <base>mad-health (see config.js) on the environment's webhook
+ * endpoint, then on its fallback if there is one. The form still works while
+ * the warning shows: submissions are saved on the device and sent once the
+ * backend is back (submission-queue.js).
+ */
+
+(function() {
+    'use strict';
+
+    const Config = window.MAD.Config;
+    const I18n = window.MAD.I18n;
+
+    const CONFIG = {
+        timeout: 5000 // 5 seconds
+    };
+
+    // Translated under health.<name>
+    const MESSAGES = {
+        title: 'The club\'s server cannot be reached right now.',
+        text: 'You can still fill in the form - it will be saved on this device and sent automatically once the server ' +
+            'is back - but you may prefer to try again later.',
+        retry: 'Check again'
+    };
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('health.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Whether a health URL answers 2xx within the timeout
+     */
+    async function ping(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+
+        try {
+            const response = await fetch(url, { method: 'GET', cache: 'no-store', signal: controller.signal });
+            return response.ok;
+        } catch (error) {
+            return false;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Check the backend - 'ok', 'fallback' (only the fallback endpoint
+     * answered) or 'unreachable'
+     */
+    async function check() {
+        if (await ping(Config.webhookUrl(Config.HEALTH_WEBHOOK))) {
+            return 'ok';
+        }
+
+        const fallback = Config.fallbackUrl(Config.HEALTH_WEBHOOK);
+        if (fallback && await ping(fallback)) {
+            console.warn('Webhook endpoint unreachable - submissions will use the fallback');
+            return 'fallback';
+        }
+
+        return 'unreachable';
+    }
+
+    /**
+     * Check the backend now and whenever the connection returns, showing a
+     * warning in the container while it is unreachable
+     */
+    function mount(container) {
+        let status = null;
+
+        function render() {
+            container.innerHTML = '';
+            container.hidden = status !== 'unreachable';
+            if (container.hidden) return;
+
+            const title = document.createElement('strong');
+            title.textContent = message('title');
+            const text = document.createElement('span');
+            text.textContent = ' ' + message('text');
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'endpoint-health-retry';
+            retry.textContent = message('retry');
+            retry.addEventListener('click', refresh);
+
+            container.appendChild(title);
+            container.appendChild(text);
+            container.appendChild(retry);
+        }
+
+        async function refresh() {
+            status = await check();
+            render();
+        }
+
+        window.addEventListener('online', refresh);
+        I18n.onChange(render);
+        refresh();
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.EndpointHealth = {
+        check: check,
+        mount: mount
+    };
+})();
@@ -0,0 +1,238 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Athletics events - the standard event list, and checking a performance
+ * (mark) for an event
+ *
+ * Marks are measured by event:
+ * - time: ss.xx, mm:ss.xx or h:mm:ss, e.g. 12.85, 2:15.40, 1:32:05
+ * - distance: metres, e.g. 5.32 (a decimal comma or trailing "m" is accepted)
+ * - points: whole points, e.g. 3105
+ *
+ * Each event has a range of marks that are possible at all - just beyond the
+ * world record at one end, and a very generous limit at the other - so typing
+ * mistakes (2:15 for a 100m, 53.2 for a long jump) are caught. Cross country
+ * courses vary, so no mark is recorded for it.
+ */
+
+(function() {
+    'use strict';
+
+    // Events by group, in display order - range is [min, max] in seconds,
+    // metres or points
+    const GROUPS = [
+        {
+            id: 'sprints',
+            label: 'Sprints',
+            measure: 'time',
+            events: [
+                { id: '60m', label: '60m', range: [6.2, 20] },
+                { id: '100m', label: '100m', range: [9.5, 30] },
+                { id: '150m', label: '150m', range: [14, 45] },
+                { id: '200m', label: '200m', range: [19, 60] },
+                { id: '300m', label: '300m', range: [30, 90] },
+                { id: '400m', label: '400m', range: [43, 120] }
+            ]
+        },
+        {
+            id: 'hurdles',
+            label: 'Hurdles',
+            measure: 'time',
+            events: [
+                { id: '60m-hurdles', label: '60m Hurdles', range: [7.2, 25] },
+                { id: '70m-hurdles', label: '70m Hurdles', range: [9, 30] },
+                { id: '75m-hurdles', label: '75m Hurdles', range: [9.5, 30] },
+                { id: '80m-hurdles', label: '80m Hurdles', range: [10, 30] },
+                { id: '100m-hurdles', label: '100m Hurdles', range: [12, 35] },
+                { id: '110m-hurdles', label: '110m Hurdles', range: [12.5, 35] },
+                { id: '300m-hurdles', label: '300m Hurdles', range: [33, 90] },
+                { id: '400m-hurdles', label: '400m Hurdles', range: [45, 120] }
+            ]
+        },
+        {
+            id: 'middle-distance',
+            label: 'Middle & Long Distance',
+            measure: 'time',
+            events: [
+                { id: '800m', label: '800m', range: [100, 300] },
+                { id: '1500m', label: '1500m', range: [205, 600] },
+                { id: 'mile', label: 'Mile', range: [222, 660] },
+                { id: '3000m', label: '3000m', range: [430, 1500] },
+                { id: '5000m', label: '5000m', range: [750, 2400] },
+                { id: '10000m', label: '10,000m', range: [1570, 4800] },
+                { id: '1500m-steeplechase', label: '1500m Steeplechase', range: [230, 720] },
+                { id: '2000m-steeplechase', label: '2000m Steeplechase', range: [310, 900] },
+                { id: '3000m-steeplechase', label: '3000m Steeplechase', range: [470, 1300] }
+            ]
+        },
+        {
+            id: 'jumps',
+            label: 'Jumps',
+            measure: 'distance',
+            events: [
+                { id: 'high-jump', label: 'High Jump', range: [0.5, 2.45] },
+                { id: 'pole-vault', label: 'Pole Vault', range: [1, 6.3] },
+                { id: 'long-jump', label: 'Long Jump', range: [1, 9] },
+                { id: 'triple-jump', label: 'Triple Jump', range: [3, 18.3] }
+            ]
+        },
+        {
+            id: 'throws',
+            label: 'Throws',
+            measure: 'distance',
+            events: [
+                { id: 'shot-put', label: 'Shot Put', range: [1, 23.6] },
+                { id: 'discus', label: 'Discus', range: [3, 75] },
+                { id: 'hammer', label: 'Hammer', range: [3, 87] },
+                { id: 'javelin', label: 'Javelin', range: [3, 99] }
+            ]
+        },
+        {
+            id: 'combined',
+            label: 'Combined Events',
+            measure: 'points',
+            events: [
+                { id: 'pentathlon', label: 'Pentathlon', range: [1, 5100] },
+                { id: 'heptathlon', label: 'Heptathlon', range: [1, 7300] },
+                { id: 'decathlon', label: 'Decathlon', range: [1, 9130] }
+            ]
+        },
+        {
+            id: 'cross-country-road',
+            label: 'Cross Country & Road',
+            measure: 'time',
+            events: [
+                { id: 'cross-country', label: 'Cross Country', range: null },
+                { id: '5k-road', label: '5K Road / parkrun', range: [750, 3600] },
+                { id: '10k-road', label: '10K Road', range: [1570, 7200] },
+                { id: 'half-marathon', label: 'Half Marathon', range: [3440, 14400] },
+                { id: 'marathon', label: 'Marathon', range: [7200, 25200] }
+            ]
+        }
+    ];
+
+    // Mark formats by measure
+    const TIME = /^(?:(\d{1,2}):)?(?:(\d{1,2}):)?(\d{1,2}(?:\.\d{1,2})?)$/;
+    const DISTANCE = /^(\d{1,3}(?:\.\d{1,2})?)\s*m?$/i;
+    const POINTS = /^\d{1,5}$/;
+
+    /**
+     * Event definition with its group's measure, or null
+     */
+    function findEvent(id) {
+        for (const group of GROUPS) {
+            const event = group.events.find(item => item.id === id);
+            if (event) return Object.assign({ measure: group.measure }, event);
+        }
+        return null;
+    }
+
+    /**
+     * Select options for the form engine, grouped as
+     * [{ group, label, options: [{ value, label }] }]
+     */
+    function getOptions() {
+        return GROUPS.map(group => ({
+            group: group.id,
+            label: group.label,
+            options: group.events.map(event => ({ value: event.id, label: event.label }))
+        }));
+    }
+
+    /**
+     * How an event's marks are measured: 'time', 'distance' or 'points'
+     * (null for an unknown event)
+     */
+    function getMeasure(id) {
+        const event = findEvent(id);
+        return event ? event.measure : null;
+    }
+
+    /**
+     * Standard form of a time in seconds, keeping the typed decimal places:
+     * seconds only under a minute, then m:ss.xx and h:mm:ss.xx
+     */
+    function formatTime(total, decimals) {
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        const seconds = (total % 60).toFixed(decimals);
+        if (!hours && !minutes) return seconds;
+
+        const paddedSeconds = seconds.padStart(decimals ? decimals + 3 : 2, '0');
+        return hours
+            ? hours + ':' + String(minutes).padStart(2, '0') + ':' + paddedSeconds
+            : minutes + ':' + paddedSeconds;
+    }
+
+    /**
+     * Read a typed time as { value (seconds), mark }, or null
+     */
+    function parseTime(value) {
+        const match = TIME.exec(value);
+        if (!match) return null;
+
+        // With one colon the first part is minutes, with two it is hours
+        const hasHours = match[2] !== undefined;
+        const hours = hasHours ? +match[1] : 0;
+        const minutes = hasHours ? +match[2] : +(match[1] || 0);
+        const seconds = parseFloat(match[3]);
+
+        if (match[1] !== undefined && seconds >= 60) return null;
+        if (hasHours && minutes >= 60) return null;
+
+        const total = hours * 3600 + minutes * 60 + seconds;
+        const decimals = (match[3].split('.')[1] || '').length;
+        return { value: total, mark: formatTime(total, decimals) };
+    }
+
+    /**
+     * Read a typed mark for an event as { value, mark }, where value is in
+     * seconds, metres or points and mark is the standard form, or null if it
+     * is not in the event's format
+     */
+    function parseMark(id, value) {
+        const event = findEvent(id);
+        const text = String(value || '').trim();
+        if (!event || !event.range || !text) return null;
+
+        if (event.measure === 'time') {
+            return parseTime(text);
+        }
+
+        if (event.measure === 'distance') {
+            const match = DISTANCE.exec(text.replace(',', '.'));
+            return match ? { value: parseFloat(match[1]), mark: parseFloat(match[1]).toFixed(2) } : null;
+        }
+
+        return POINTS.test(text) ? { value: +text, mark: String(+text) } : null;
+    }
+
+    /**
+     * Check a typed mark for an event - null if it is fine, otherwise
+     * 'notRecorded' (no marks for this event), 'format' or 'impossible'
+     */
+    function checkMark(id, value) {
+        const event = findEvent(id);
+        if (!event) return 'format';
+        if (!event.range) return 'notRecorded';
+
+        const parsed = parseMark(id, value);
+        if (!parsed) return 'format';
+        return parsed.value < event.range[0] || parsed.value > event.range[1] ? 'impossible' : null;
+    }
+
+    /**
+     * A typed mark in its standard form (2:15.40, 5.32, 3105), or null if it
+     * is not a possible mark for the event
+     */
+    function normaliseMark(id, value) {
+        return checkMark(id, value) ? null : parseMark(id, value).mark;
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.Events = {
+        getOptions: getOptions,
+        getMeasure: getMeasure,
+        checkMark: checkMark,
+        normaliseMark: normaliseMark
+    };
+})();
@@ -0,0 +1,1386 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Form schema engine - renders, validates and serialises a form from a
+ * declarative schema (see registration-schema.js and discovery-schema.js)
+ *
+ * Schema shape:
+ *   { id, sections: [{ id, legend, note, path, specialCategory, repeat, fields: [field] }] }
+ *
+ * Repeatable sections (repeat: { min, max, itemLegend, addLabel, removeLabel, emptyText })
+ * render one fieldset per item and serialise to an array at the section path; their
+ * field paths are relative to the item. The first item keeps the schema's field ids
+ * and later items get a numeric suffix (athlete-dob, athlete-dob-2, ...). min
+ * defaults to 1; with min 0 the section can be empty, showing emptyText.
+ *
+ * Field shape:
+ *   id            DOM id (also used for error messages and drafts)
+ *   name          form control name
+ *   type          text | email | tel | date | month | number | select | textarea | checkbox | hidden | html
+ *   label         label text ('html' items use `html` instead)
+ *   required      true to require a value (checkboxes must be ticked)
+ *   path          dot path in the submission payload, e.g. 'athlete.firstName'
+ *   format        trim (default) | int | float | capitalize - how the value is serialised
+ *                 (tel fields always serialise to E.164 - see phone.js)
+ *   validate      name of an extra validator in VALIDATORS, e.g. 'dateOfBirth'
+ *   minField      id of another date field in the same section item that this
+ *                 date cannot be before, e.g. an end date after its start
+ *   eventField    id of an event select in the same section item - the value is
+ *                 checked as a mark for that event and serialised in its standard
+ *                 form (see events.js)
+ *   statement     consent statement id in consent.js (checkboxes recording consent)
+ *   options       select options: strings or { value, label }, or groups of them
+ *                 as { group, label, options } (an <optgroup>)
+ *   placeholder, maxlength, min, max, step, rows, autocomplete - passed to the control
+ *
+ * Legends, notes, labels, placeholders and option labels are English in the
+ * schema and translated by key in i18n.js (<schemaId>.<fieldId>.label, ...,
+ * <schemaId>.<fieldId>.groups.<group> for option groups);
+ * a statement checkbox's label is its statement text (consent.js).
+ *
+ * A tel field renders with a country code selector (id <control id>-country,
+ * default +44) and is validated for that country, unless the number is typed
+ * in international format.
+ *
+ * Failed validation lists every error in an error summary at the top of the
+ * form (the GOV.UK pattern), each linking to its field. The details of a
+ * rejected submission are shown the same way - those naming a field's
+ * payload path (e.g. athletes[1].dateOfBirth) also show on that field.
+ */
+
+(function() {
+    'use strict';
+
+    const SubmissionQueue = window.MAD.SubmissionQueue;
+    const PayloadValidator = window.MAD.PayloadValidator;
+    const I18n = window.MAD.I18n;
+    const Consent = window.MAD.Consent;
+    const Phone = window.MAD.Phone;
+    const Events = window.MAD.Events;
+
+    // Validation patterns
+    const PATTERNS = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        month: /^\d{4}-(0[1-9]|1[0-2])$/
+    };
+
+    // Error and status messages - translated under form.<name>
+    const MESSAGES = {
+        required: 'This field is required',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number for the selected country',
+        phoneCountry: 'Country code',
+        date: 'Please enter a valid date',
+        number: 'Please enter a valid number',
+        range: 'Please enter a value between {min} and {max}',
+        consent: 'You must agree to continue',
+        futureDate: 'Date of birth cannot be in the future',
+        futureMonth: 'Date cannot be in the future',
+        pastDate: 'This date cannot be in the future',
+        dateOrder: 'The end date cannot be before the start date',
+        markEvent: 'Choose the event first',
+        markTime: 'Enter a time as mm:ss.xx, e.g., 2:15.40 (or seconds for sprints, e.g., 12.85)',
+        markDistance: 'Enter a distance in metres, e.g., 5.32',
+        markPoints: 'Enter a points score, e.g., 3105',
+        markImpossible: 'This mark is not possible for the event - please check it',
+        markNotRecorded: 'Personal bests are not recorded for this event',
+        tooOld: 'Please check the date of birth',
+        payloadInvalid: 'Your answers could not be sent because the form produced unexpected data. Please contact the club',
+        summaryTitle: 'There is a problem',
+        select: 'Select',
+        submitting: 'Submitting...'
+    };
+
+    // Extra field validators - return an error message or null
+    const VALIDATORS = {
+        dateOfBirth: function(value) {
+            const date = new Date(value);
+            if (date > new Date()) {
+                return message('futureDate');
+            }
+            // Unrealistically old (before 1920)
+            if (date.getFullYear() < 1920) {
+                return message('tooOld');
+            }
+            return null;
+        },
+        pastMonth: function(value) {
+            const now = new Date();
+            const thisMonth = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
+            return value > thisMonth ? message('futureMonth') : null;
+        },
+        pastDate: function(value) {
+            const now = new Date();
+            const today = [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+            return value > today ? message('pastDate') : null;
+        }
+    };
+
+    // Messages for a problem with a mark (events.js) - format problems go by
+    // the event's measure
+    const MARK_MESSAGES = {
+        time: 'markTime',
+        distance: 'markDistance',
+        points: 'markPoints',
+        impossible: 'markImpossible',
+        notRecorded: 'markNotRecorded'
+    };
+
+    // Attributes copied from the field definition onto the control
+    const CONTROL_ATTRIBUTES = ['maxlength', 'min', 'max', 'step', 'rows', 'autocomplete'];
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('form.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Select option as { value, label } (options may be plain strings)
+     */
+    function toOption(option) {
+        return typeof option === 'string' ? { value: option, label: option } : option;
+    }
+
+    /**
+     * A select field's options with any groups flattened, in display order
+     */
+    function getOptions(field) {
+        return field.options.reduce((all, option) => all.concat(option.options || [option]), []);
+    }
+
+    /**
+     * Capitalize first letter
+     */
+    function capitalizeFirst(str) {
+        if (!str) return str;
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    /**
+     * Parse integer or return null
+     */
+    function parseIntOrNull(value) {
+        if (!value || value.trim() === '') return null;
+        const parsed = parseInt(value, 10);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Parse float or return null
+     */
+    function parseFloatOrNull(value) {
+        if (!value || value.trim() === '') return null;
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Fewest items a repeatable section can have (repeat.min, default 1)
+     */
+    function getMinInstances(section) {
+        return section.repeat.min === undefined ? 1 : section.repeat.min;
+    }
+
+    /**
+     * Set a value on an object at a dot path, creating objects as needed
+     */
+    function setPath(target, path, value) {
+        const keys = path.split('.');
+        let node = target;
+        keys.slice(0, -1).forEach(key => {
+            if (node[key] === null || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Create a form engine for a <form> and its schema
+     *
+     * options:
+     *   form          the <form> element (sections render into its .form-sections container)
+     *   schema        form schema
+     *   submitButton  submit button element
+     *   statusDiv     status message element
+     *   submitLabel   submit button text when idle
+     *   webhookUrl    endpoint for submitForm
+     *   fallbackUrl   optional endpoint tried when webhookUrl cannot be reached
+     *   submitTimeout request timeout in ms
+     *   queueName     offline queue form name (see submission-queue.js)
+     *   payloadSchema { url, version } of the published JSON Schema the payload must
+     *                 match (schemas/, checked with payload-validator.js)
+     *   onRepeatChange called with the section id after a repeatable item is added or removed
+     *   errorSummary  element for the error summary (hidden until needed); without
+     *                 it, failed validation focuses the first invalid field
+     *   onShowField   called with a control before an error summary link focuses
+     *                 it, e.g. to show its wizard step
+     */
+    function create(options) {
+        const form = options.form;
+        const schema = options.schema;
+        const submitButton = options.submitButton;
+        const statusDiv = options.statusDiv;
+
+        // Field definitions by DOM id
+        const fieldsById = {};
+        // Currently hidden section ids
+        const hiddenSections = {};
+        // Number of items in each repeatable section
+        const instanceCounts = {};
+        // Idempotency key for the current submission - kept across retries,
+        // replaced once the form is changed or reset
+        let idempotencyKey = null;
+        // Errors in the error summary: { field, definition, index } for a
+        // control, or { message } for a detail not about one field
+        let summaryErrors = null;
+
+        schema.sections.forEach(section => {
+            if (section.repeat) {
+                instanceCounts[section.id] = getMinInstances(section);
+            }
+            section.fields.forEach(field => {
+                if (field.type !== 'html') {
+                    fieldsById[field.id] = field;
+                }
+            });
+        });
+
+        /**
+         * DOM id of a field in a repeatable section item
+         */
+        function controlId(fieldId, index) {
+            return index ? fieldId + '-' + (index + 1) : fieldId;
+        }
+
+        /**
+         * Find a section definition by id
+         */
+        function findSection(id) {
+            return schema.sections.find(section => section.id === id);
+        }
+
+        /**
+         * Number of items rendered for a section (1 unless repeatable)
+         */
+        function getInstanceCount(sectionId) {
+            return sectionId in instanceCounts ? instanceCounts[sectionId] : 1;
+        }
+
+        /**
+         * Translated text for a property of a section or field, falling back to the schema's English
+         */
+        function text(id, property, fallback, params) {
+            return I18n.t(schema.id + '.' + id + '.' + property, fallback, params);
+        }
+
+        /**
+         * Field label in the current language
+         */
+        function getLabel(field) {
+            return field.statement ? Consent.getText(field.statement) : text(field.id, 'label', field.label);
+        }
+
+        /**
+         * Section legend in the current language
+         */
+        function getLegend(section) {
+            return text(section.id, 'legend', section.legend);
+        }
+
+        /**
+         * Legend for item n (from 1) of a repeatable section
+         */
+        function getItemLegend(section, n) {
+            return text(section.id, 'itemLegend', section.repeat.itemLegend, { n: n });
+        }
+
+        /**
+         * Label for a select option in the current language
+         */
+        function getOptionLabel(field, option) {
+            const item = toOption(option);
+            return text(field.id, 'options.' + item.value, item.label);
+        }
+
+        /**
+         * Label for a select option group in the current language
+         */
+        function getGroupLabel(field, group) {
+            return text(field.id, 'groups.' + group.group, group.label);
+        }
+
+        /**
+         * Submit button text when idle
+         */
+        function getSubmitLabel() {
+            return I18n.t(schema.id + '.submit', options.submitLabel);
+        }
+
+        /**
+         * Create a <label>, with required marker
+         */
+        function renderLabel(field, index) {
+            const label = document.createElement('label');
+            label.setAttribute('for', controlId(field.id, index));
+            label.textContent = getLabel(field);
+
+            if (field.required) {
+                const marker = document.createElement('span');
+                marker.className = 'required';
+                marker.textContent = '*';
+                label.appendChild(document.createTextNode(' '));
+                label.appendChild(marker);
+            }
+
+            return label;
+        }
+
+        /**
+         * Create the input, select or textarea for a field
+         */
+        function renderControl(field, index) {
+            let control;
+
+            if (field.type === 'select') {
+                control = document.createElement('select');
+                const empty = document.createElement('option');
+                empty.value = '';
+                empty.textContent = text(field.id, 'placeholder', field.placeholder) || message('select');
+                control.appendChild(empty);
+
+                const renderOption = (parent, option) => {
+                    const element = document.createElement('option');
+                    element.value = toOption(option).value;
+                    element.textContent = getOptionLabel(field, option);
+                    parent.appendChild(element);
+                };
+
+                field.options.forEach(option => {
+                    if (!option.options) {
+                        renderOption(control, option);
+                        return;
+                    }
+                    const group = document.createElement('optgroup');
+                    group.label = getGroupLabel(field, option);
+                    option.options.forEach(item => renderOption(group, item));
+                    control.appendChild(group);
+                });
+            } else if (field.type === 'textarea') {
+                control = document.createElement('textarea');
+            } else {
+                control = document.createElement('input');
+                control.type = field.type;
+            }
+
+            control.id = controlId(field.id, index);
+            control.name = index ? field.name + '[' + index + ']' : field.name;
+            control.dataset.fieldId = field.id;
+
+            CONTROL_ATTRIBUTES.forEach(attribute => {
+                if (field[attribute] !== undefined) {
+                    control.setAttribute(attribute, field[attribute]);
+                }
+            });
+
+            if (field.placeholder && field.type !== 'select') {
+                control.setAttribute('placeholder', text(field.id, 'placeholder', field.placeholder));
+            }
+
+            setRequired(control, !!field.required);
+
+            return control;
+        }
+
+        /**
+         * Create the country code selector for a tel field
+         */
+        function renderCountrySelect(field, index) {
+            const select = document.createElement('select');
+            select.id = controlId(field.id, index) + '-country';
+            select.name = (index ? field.name + '[' + index + ']' : field.name) + 'Country';
+            select.className = 'phone-country';
+            select.setAttribute('aria-label', message('phoneCountry'));
+
+            Phone.getCountries().forEach(country => {
+                const option = document.createElement('option');
+                option.value = country;
+                option.textContent = country + ' +' + Phone.getDialCode(country);
+                option.defaultSelected = country === Phone.DEFAULT_COUNTRY;
+                select.appendChild(option);
+            });
+
+            return select;
+        }
+
+        /**
+         * Country code selector belonging to a tel control
+         */
+        function getCountrySelect(control) {
+            return document.getElementById(control.id + '-country');
+        }
+
+        /**
+         * Render one schema item into a fieldset
+         */
+        function renderField(fieldset, field, index) {
+            if (field.type === 'html') {
+                const wrapper = document.createElement('div');
+                wrapper.innerHTML = field.html.trim();
+                I18n.apply(wrapper);
+                Array.from(wrapper.childNodes).forEach(node => fieldset.appendChild(node));
+                return;
+            }
+
+            if (field.type === 'hidden') {
+                fieldset.appendChild(renderControl(field, index));
+                return;
+            }
+
+            if (field.type === 'checkbox') {
+                const group = document.createElement('div');
+                group.className = 'checkbox-group';
+                group.appendChild(renderControl(field, index));
+                group.appendChild(renderLabel(field, index));
+                fieldset.appendChild(group);
+                return;
+            }
+
+            if (field.type === 'tel') {
+                const group = document.createElement('div');
+                group.className = 'phone-group';
+                group.appendChild(renderCountrySelect(field, index));
+                group.appendChild(renderControl(field, index));
+                fieldset.appendChild(renderLabel(field, index));
+                fieldset.appendChild(group);
+                return;
+            }
+
+            fieldset.appendChild(renderLabel(field, index));
+            fieldset.appendChild(renderControl(field, index));
+        }
+
+        /**
+         * Render one fieldset for a section (or one item of a repeatable section)
+         */
+        function renderFieldset(section, index) {
+            const fieldset = document.createElement('fieldset');
+            fieldset.dataset.section = section.id;
+
+            const legend = document.createElement('legend');
+            legend.textContent = getLegend(section);
+            fieldset.appendChild(legend);
+
+            if (section.note && !index) {
+                const note = document.createElement('p');
+                note.className = 'section-note';
+                note.innerHTML = text(section.id, 'note', section.note);
+                fieldset.appendChild(note);
+            }
+
+            section.fields.forEach(field => renderField(fieldset, field, index));
+            return fieldset;
+        }
+
+        /**
+         * Render a repeatable section: its items plus an "add another" button
+         */
+        function renderRepeatSection(section) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'repeat-section';
+
+            if (section.repeat.emptyText) {
+                const empty = document.createElement('p');
+                empty.className = 'repeat-empty';
+                empty.textContent = text(section.id, 'emptyText', section.repeat.emptyText);
+                wrapper.appendChild(empty);
+            }
+
+            const items = document.createElement('div');
+            items.className = 'repeat-items';
+            for (let index = 0; index < getInstanceCount(section.id); index++) {
+                items.appendChild(renderFieldset(section, index));
+            }
+            wrapper.appendChild(items);
+
+            const addButton = document.createElement('button');
+            addButton.type = 'button';
+            addButton.className = 'repeat-add';
+            addButton.textContent = text(section.id, 'addLabel', section.repeat.addLabel);
+            addButton.addEventListener('click', () => addInstance(section.id));
+            wrapper.appendChild(addButton);
+
+            return wrapper;
+        }
+
+        /**
+         * Update item legends and remove / add buttons after the item count changes
+         */
+        function refreshRepeatSection(section) {
+            const wrapper = getSection(section.id);
+            const count = getInstanceCount(section.id);
+            const fieldsets = wrapper.querySelectorAll('.repeat-items > fieldset');
+
+            fieldsets.forEach((fieldset, index) => {
+                fieldset.querySelector('legend').textContent = count > 1
+                    ? getItemLegend(section, index + 1)
+                    : getLegend(section);
+
+                const existing = fieldset.querySelector('.repeat-remove');
+                if (existing) existing.remove();
+
+                if (count > getMinInstances(section)) {
+                    const removeButton = document.createElement('button');
+                    removeButton.type = 'button';
+                    removeButton.className = 'repeat-remove';
+                    removeButton.textContent = text(section.id, 'removeLabel', section.repeat.removeLabel);
+                    removeButton.addEventListener('click', () => removeInstance(section.id, index));
+                    fieldset.appendChild(removeButton);
+                }
+            });
+
+            wrapper.querySelector('.repeat-add').hidden = count >= section.repeat.max;
+
+            const empty = wrapper.querySelector('.repeat-empty');
+            if (empty) empty.hidden = count > 0;
+        }
+
+        /**
+         * Render every section of the schema
+         */
+        function render() {
+            const container = form.querySelector('.form-sections');
+            container.innerHTML = '';
+
+            schema.sections.forEach(section => {
+                const element = section.repeat ? renderRepeatSection(section) : renderFieldset(section, 0);
+                element.id = section.id + '-section';
+                container.appendChild(element);
+
+                if (section.repeat) {
+                    refreshRepeatSection(section);
+                }
+            });
+        }
+
+        /**
+         * Add an item to a repeatable section and focus its first field
+         */
+        function addInstance(sectionId) {
+            const section = findSection(sectionId);
+            const index = getInstanceCount(sectionId);
+            if (index >= section.repeat.max) return;
+
+            instanceCounts[sectionId] = index + 1;
+            idempotencyKey = null;
+            const fieldset = renderFieldset(section, index);
+            getSection(sectionId).querySelector('.repeat-items').appendChild(fieldset);
+            refreshRepeatSection(section);
+
+            if (hiddenSections[sectionId]) {
+                setSectionVisible(sectionId, false);
+            }
+
+            const firstField = fieldset.querySelector('input, select, textarea');
+            if (firstField) firstField.focus();
+
+            if (options.onRepeatChange) options.onRepeatChange(sectionId);
+        }
+
+        /**
+         * Remove an item from a repeatable section, keeping the other items' values
+         */
+        function removeInstance(sectionId, removedIndex) {
+            const section = findSection(sectionId);
+            const inputs = section.fields.filter(field => field.type !== 'html');
+
+            // Read the remaining items' raw values, then re-render with renumbered ids
+            const kept = [];
+            for (let index = 0; index < getInstanceCount(sectionId); index++) {
+                if (index === removedIndex) continue;
+                kept.push(inputs.map(field => {
+                    const control = getField(field.id, index);
+                    if (field.type === 'tel') {
+                        return { value: control.value, country: getCountrySelect(control).value };
+                    }
+                    return field.type === 'checkbox' ? control.checked : control.value;
+                }));
+            }
+
+            instanceCounts[sectionId] = kept.length;
+            idempotencyKey = null;
+            const items = getSection(sectionId).querySelector('.repeat-items');
+            items.innerHTML = '';
+
+            kept.forEach((values, index) => {
+                items.appendChild(renderFieldset(section, index));
+                inputs.forEach((field, fieldIndex) => {
+                    const control = getField(field.id, index);
+                    if (field.type === 'checkbox') {
+                        control.checked = values[fieldIndex];
+                    } else if (field.type === 'tel') {
+                        control.value = values[fieldIndex].value;
+                        getCountrySelect(control).value = values[fieldIndex].country;
+                    } else {
+                        control.value = values[fieldIndex];
+                    }
+                });
+            });
+
+            refreshRepeatSection(section);
+
+            if (hiddenSections[sectionId]) {
+                setSectionVisible(sectionId, false);
+            }
+
+            if (kept.length) {
+                getField(inputs[0].id, Math.max(0, removedIndex - 1)).focus();
+            } else {
+                getSection(sectionId).querySelector('.repeat-add').focus();
+            }
+
+            if (options.onRepeatChange) options.onRepeatChange(sectionId);
+        }
+
+        /**
+         * Set or remove the required attributes on a control
+         */
+        function setRequired(control, isRequired) {
+            if (isRequired) {
+                control.setAttribute('required', '');
+                control.setAttribute('aria-required', 'true');
+            } else {
+                control.removeAttribute('required');
+                control.removeAttribute('aria-required');
+            }
+        }
+
+        /**
+         * Get the control for a field id (index selects the repeatable section item)
+         */
+        function getField(id, index) {
+            return document.getElementById(controlId(id, index || 0));
+        }
+
+        /**
+         * Get the fieldset for a section id
+         */
+        function getSection(id) {
+            return document.getElementById(id + '-section');
+        }
+
+        /**
+         * Show or hide a section; hidden sections are not required and
+         * serialise to null at their section path
+         */
+        function setSectionVisible(id, isVisible) {
+            const section = findSection(id);
+            const fieldset = getSection(id);
+
+            hiddenSections[id] = !isVisible;
+            fieldset.style.display = isVisible ? 'block' : 'none';
+
+            for (let index = 0; index < getInstanceCount(id); index++) {
+                section.fields.forEach(field => {
+                    if (!field.required) return;
+                    const control = getField(field.id, index);
+                    setRequired(control, isVisible);
+                    if (!isVisible) {
+                        clearError(control); // Clear any validation errors
+                    }
+                });
+            }
+        }
+
+        /**
+         * Show error message for a field
+         */
+        function showError(field, message) {
+            clearError(field);
+
+            field.classList.add('field-error');
+            field.setAttribute('aria-invalid', 'true');
+
+            const errorId = field.id + '-error';
+            const errorSpan = document.createElement('span');
+            errorSpan.id = errorId;
+            errorSpan.className = 'error-message';
+            errorSpan.setAttribute('role', 'alert');
+            errorSpan.textContent = message;
+
+            field.setAttribute('aria-describedby', errorId);
+            // After the whole phone group, not between the number and its country code
+            const anchor = field.closest('.phone-group') || field;
+            anchor.parentNode.insertBefore(errorSpan, anchor.nextSibling);
+        }
+
+        /**
+         * Clear error message for a field
+         */
+        function clearError(field) {
+            delete field.dataset.serverError;
+            field.classList.remove('field-error');
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+
+            const errorId = field.id + '-error';
+            const existingError = document.getElementById(errorId);
+            if (existingError) {
+                existingError.remove();
+            }
+        }
+
+        /**
+         * Validate a single field
+         */
+        function validateField(field) {
+            const value = field.value.trim();
+            const type = field.type;
+            const isRequired = field.hasAttribute('required');
+            const definition = fieldsById[field.dataset.fieldId] || {};
+
+            // Clear previous error
+            clearError(field);
+
+            // Required field check
+            if (isRequired && !value) {
+                if (type === 'checkbox' && !field.checked) {
+                    showError(field, message('consent'));
+                    return false;
+                } else if (type !== 'checkbox') {
+                    showError(field, message('required'));
+                    return false;
+                }
+            }
+
+            // Skip further validation if empty and not required
+            if (!value && !isRequired) {
+                return true;
+            }
+
+            // Type-specific validation
+            switch (type) {
+                case 'email':
+                    if (value && !PATTERNS.email.test(value)) {
+                        showError(field, message('email'));
+                        return false;
+                    }
+                    break;
+
+                case 'tel':
+                    if (value && !Phone.normalise(value, getCountrySelect(field).value)) {
+                        showError(field, message('phone'));
+                        return false;
+                    }
+                    break;
+
+                case 'date':
+                    if (value && isNaN(new Date(value).getTime())) {
+                        showError(field, message('date'));
+                        return false;
+                    }
+                    break;
+
+                case 'month':
+                    if (value && !PATTERNS.month.test(value)) {
+                        showError(field, message('date'));
+                        return false;
+                    }
+                    break;
+
+                case 'number':
+                    if (value) {
+                        const numValue = parseFloat(value);
+                        const min = field.hasAttribute('min') ? parseFloat(field.getAttribute('min')) : null;
+                        const max = field.hasAttribute('max') ? parseFloat(field.getAttribute('max')) : null;
+
+                        if (isNaN(numValue)) {
+                            showError(field, message('number'));
+                            return false;
+                        }
+
+                        if (min !== null && max !== null && (numValue < min || numValue > max)) {
+                            showError(field, message('range', { min: min, max: max }));
+                            return false;
+                        }
+                    }
+                    break;
+
+                case 'checkbox':
+                    if (isRequired && !field.checked) {
+                        showError(field, message('consent'));
+                        return false;
+                    }
+                    break;
+            }
+
+            // Field-specific validation from the schema
+            if (value && definition.validate) {
+                const error = VALIDATORS[definition.validate](value, field);
+                if (error) {
+                    showError(field, error);
+                    return false;
+                }
+            }
+
+            // Not before another date in the same section item (ISO dates compare as strings)
+            if (value && definition.minField) {
+                const earlier = field.closest('fieldset').querySelector('[data-field-id="' + definition.minField + '"]');
+                if (earlier && earlier.value && value < earlier.value) {
+                    showError(field, message('dateOrder'));
+                    return false;
+                }
+            }
+
+            // A mark for the event chosen in the same section item
+            if (value && definition.eventField) {
+                const event = field.closest('fieldset').querySelector('[data-field-id="' + definition.eventField + '"]');
+                if (!event || !event.value) {
+                    showError(field, message('markEvent'));
+                    return false;
+                }
+                const problem = Events.checkMark(event.value, value);
+                if (problem) {
+                    showError(field, message(MARK_MESSAGES[problem === 'format' ? Events.getMeasure(event.value) : problem]));
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        /**
+         * Error summary label for a field - its label (or section legend for a
+         * consent statement), after the item legend in a repeatable section
+         */
+        function getErrorLabel(definition, index) {
+            const section = schema.sections.find(item => item.fields.indexOf(definition) !== -1);
+            const label = definition.statement ? getLegend(section) : getLabel(definition);
+
+            if (section.repeat && getInstanceCount(section.id) > 1) {
+                return getItemLegend(section, index + 1) + ' - ' + label;
+            }
+            return label;
+        }
+
+        /**
+         * Show a field that may be on another wizard step, and focus it
+         */
+        function showField(field) {
+            if (options.onShowField) options.onShowField(field);
+            field.focus();
+        }
+
+        /**
+         * Render the error summary in the current language - a field's entry
+         * shows the error currently on the field
+         */
+        function renderErrorSummary() {
+            const container = options.errorSummary;
+            container.innerHTML = '';
+
+            const title = document.createElement('h2');
+            title.className = 'error-summary-title';
+            title.textContent = message('summaryTitle');
+            container.appendChild(title);
+
+            const list = document.createElement('ul');
+            list.className = 'error-summary-list';
+            summaryErrors.forEach(error => {
+                const item = document.createElement('li');
+
+                if (error.field) {
+                    const errorSpan = document.getElementById(error.field.id + '-error');
+                    if (!errorSpan) return;
+
+                    const link = document.createElement('a');
+                    link.href = '#' + error.field.id;
+                    link.textContent = getErrorLabel(error.definition, error.index) + ': ' + errorSpan.textContent;
+                    link.addEventListener('click', event => {
+                        event.preventDefault();
+                        showField(error.field);
+                    });
+                    item.appendChild(link);
+                } else {
+                    item.textContent = error.message;
+                }
+
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        /**
+         * List errors in the error summary and move focus to it
+         */
+        function showErrorSummary(errors) {
+            if (!options.errorSummary) {
+                const first = errors.find(error => error.field);
+                if (first) first.field.focus();
+                return;
+            }
+
+            summaryErrors = errors;
+            renderErrorSummary();
+            options.errorSummary.hidden = false;
+            options.errorSummary.focus();
+        }
+
+        /**
+         * Remove the error summary
+         */
+        function hideErrorSummary() {
+            summaryErrors = null;
+            if (!options.errorSummary) return;
+
+            options.errorSummary.hidden = true;
+            options.errorSummary.innerHTML = '';
+        }
+
+        /**
+         * Validate the visible fields of the given sections, listing any
+         * errors in the error summary
+         */
+        function validateSections(sections) {
+            const errors = [];
+
+            sections.forEach(section => {
+                if (hiddenSections[section.id]) return;
+
+                for (let index = 0; index < getInstanceCount(section.id); index++) {
+                    section.fields.forEach(definition => {
+                        if (definition.type === 'html' || definition.type === 'hidden') return;
+
+                        const field = getField(definition.id, index);
+                        if (!validateField(field)) {
+                            errors.push({ field: field, definition: definition, index: index });
+                        }
+                    });
+                }
+            });
+
+            if (errors.length > 0) {
+                showErrorSummary(errors);
+            } else {
+                hideErrorSummary();
+            }
+
+            return errors.length === 0;
+        }
+
+        /**
+         * Find the visible field that serialises to a payload path, e.g.
+         * 'athletes[1].dateOfBirth' - { definition, index } or null
+         */
+        function findPath(path) {
+            for (const section of schema.sections) {
+                if (hiddenSections[section.id]) continue;
+
+                let index = 0;
+                let fieldPath = path;
+
+                if (section.repeat) {
+                    const prefix = section.path + '[';
+                    if (path.indexOf(prefix) !== 0) continue;
+
+                    const match = /^(\d+)\]\.(.+)$/.exec(path.slice(prefix.length));
+                    if (!match || Number(match[1]) >= getInstanceCount(section.id)) continue;
+
+                    index = Number(match[1]);
+                    fieldPath = match[2];
+                }
+
+                const definition = section.fields.find(field =>
+                    field.path === fieldPath && field.type !== 'html' && field.type !== 'hidden');
+                if (definition) {
+                    return { definition: definition, index: index };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Show the details of a rejected submission (see
+         * SubmissionQueue.parseDetail) - each one naming a field's payload path
+         * on that field - and list them all in the error summary
+         */
+        function showServerErrors(details) {
+            const errors = (details || []).map(detail => {
+                const parsed = SubmissionQueue.parseDetail(detail);
+                const found = parsed.path ? findPath(parsed.path) : null;
+                if (!found) {
+                    return { message: SubmissionQueue.formatDetail(detail) };
+                }
+
+                const field = getField(found.definition.id, found.index);
+                showError(field, parsed.message);
+                // Kept through a language change - the server's message is not re-checked
+                field.dataset.serverError = 'true';
+                return { field: field, definition: found.definition, index: found.index };
+            });
+
+            if (errors.length > 0) {
+                showErrorSummary(errors);
+            }
+        }
+
+        /**
+         * Validate every visible field, listing any errors in the error summary
+         */
+        function validate() {
+            return validateSections(schema.sections);
+        }
+
+        /**
+         * Validate one section's fields only (e.g. a single wizard step),
+         * listing any errors in the error summary
+         */
+        function validateSection(id) {
+            return validateSections([findSection(id)]);
+        }
+
+        /**
+         * Read a field's value in its payload format
+         */
+        function readValue(definition, index) {
+            const field = getField(definition.id, index);
+
+            if (definition.type === 'checkbox') {
+                return field.checked;
+            }
+
+            if (definition.type === 'tel') {
+                return field.value.trim() ? Phone.normalise(field.value, getCountrySelect(field).value) : null;
+            }
+
+            if (definition.eventField) {
+                const event = field.closest('fieldset').querySelector('[data-field-id="' + definition.eventField + '"]');
+                return field.value.trim() ? Events.normaliseMark(event.value, field.value) : null;
+            }
+
+            switch (definition.format) {
+                case 'int':
+                    return parseIntOrNull(field.value);
+                case 'float':
+                    return parseFloatOrNull(field.value);
+                case 'capitalize':
+                    return capitalizeFirst(field.value) || null;
+                default:
+                    return field.value.trim() || null;
+            }
+        }
+
+        /**
+         * Build the submission payload from the schema's payload paths
+         */
+        function serialize() {
+            const data = {};
+
+            schema.sections.forEach(section => {
+                if (hiddenSections[section.id] && section.path) {
+                    setPath(data, section.path, null);
+                    return;
+                }
+
+                if (section.repeat) {
+                    const items = [];
+                    for (let index = 0; index < getInstanceCount(section.id); index++) {
+                        const item = {};
+                        section.fields.forEach(definition => {
+                            if (definition.path) {
+                                setPath(item, definition.path, readValue(definition, index));
+                            }
+                        });
+                        items.push(item);
+                    }
+                    setPath(data, section.path, items);
+                    return;
+                }
+
+                section.fields.forEach(definition => {
+                    if (definition.path) {
+                        setPath(data, definition.path, readValue(definition));
+                    }
+                });
+            });
+
+            return data;
+        }
+
+        /**
+         * Render a repeatable section afresh with a number of empty items
+         * (within its min and max), e.g. before filling it from a draft
+         */
+        function setInstanceCount(sectionId, count) {
+            const section = findSection(sectionId);
+            instanceCounts[sectionId] = Math.min(Math.max(count, getMinInstances(section)), section.repeat.max);
+            idempotencyKey = null;
+
+            const items = getSection(sectionId).querySelector('.repeat-items');
+            items.innerHTML = '';
+            for (let index = 0; index < getInstanceCount(sectionId); index++) {
+                items.appendChild(renderFieldset(section, index));
+            }
+            refreshRepeatSection(section);
+
+            if (hiddenSections[sectionId]) {
+                setSectionVisible(sectionId, false);
+            }
+        }
+
+        /**
+         * Clear the form and return repeatable sections to their minimum items
+         */
+        function reset() {
+            form.reset();
+            idempotencyKey = null;
+            hideErrorSummary();
+
+            schema.sections.forEach(section => {
+                if (!section.repeat || getInstanceCount(section.id) === getMinInstances(section)) return;
+                setInstanceCount(section.id, getMinInstances(section));
+            });
+        }
+
+        /**
+         * Show status message
+         */
+        function showStatus(message, type) {
+            statusDiv.textContent = message;
+            statusDiv.className = 'form-status ' + type;
+            statusDiv.style.display = 'block';
+        }
+
+        /**
+         * Set form loading state
+         */
+        function setLoading(isLoading) {
+            if (isLoading) {
+                submitButton.disabled = true;
+                submitButton.textContent = message('submitting');
+                submitButton.classList.add('loading');
+            } else {
+                submitButton.disabled = false;
+                submitButton.textContent = getSubmitLabel();
+                submitButton.classList.remove('loading');
+            }
+        }
+
+        /**
+         * Check a payload against the published schema
+         * Returns a list of errors - empty if valid, or if the schema could not be loaded
+         */
+        async function checkPayload(data) {
+            const payloadSchema = await PayloadValidator.load(options.payloadSchema.url);
+            return payloadSchema ? PayloadValidator.validate(payloadSchema, data) : [];
+        }
+
+        /**
+         * Submit form data to webhook, queueing it on this device if the
+         * connection fails so it can be retried automatically
+         *
+         * The payload records the language the form was shown in (locale) and
+         * carries an idempotencyKey that stays the same for every
+         * attempt at submitting the same answers (double taps, retries after a
+         * timeout, queued retries), so the server can ignore duplicates.
+         * With a payloadSchema it also carries schemaVersion, and is checked
+         * against the schema first - a mismatch is a bug in the form, so it is
+         * reported rather than queued.
+         */
+        async function submitForm(data, label) {
+            if (!idempotencyKey) {
+                idempotencyKey = SubmissionQueue.generateId();
+            }
+            data = Object.assign({ idempotencyKey: idempotencyKey, locale: I18n.getLocale() }, data);
+
+            if (options.payloadSchema) {
+                data = Object.assign({ schemaVersion: options.payloadSchema.version }, data);
+
+                const errors = await checkPayload(data);
+                if (errors.length > 0) {
+                    console.error('Payload does not match ' + options.payloadSchema.url + ':', errors);
+                    return { success: false, error: message('payloadInvalid'), details: errors, retryable: false };
+                }
+            }
+
+            const result = await SubmissionQueue.send(options.webhookUrl, data, options.submitTimeout, options.fallbackUrl);
+
+            if (result.success || !result.retryable) {
+                return result;
+            }
+
+            try {
+                await SubmissionQueue.enqueue({
+                    form: options.queueName,
+                    label: label,
+                    url: options.webhookUrl,
+                    fallbackUrl: options.fallbackUrl,
+                    timeout: options.submitTimeout,
+                    payload: data
+                });
+                return { success: false, queued: true };
+            } catch (error) {
+                // No local storage available (e.g. private browsing) - report the original failure
+                return result;
+            }
+        }
+
+        /**
+         * Re-translate the rendered form after a language change, keeping the
+         * answers; errors on screen are shown again in the new language, apart
+         * from a rejected submission's (data-i18n content is translated by
+         * i18n.js itself)
+         */
+        function applyLocale() {
+            schema.sections.forEach(section => {
+                const element = getSection(section.id);
+
+                if (section.repeat) {
+                    element.querySelector('.repeat-add').textContent = text(section.id, 'addLabel', section.repeat.addLabel);
+                    const empty = element.querySelector('.repeat-empty');
+                    if (empty) empty.textContent = text(section.id, 'emptyText', section.repeat.emptyText);
+                    refreshRepeatSection(section);
+                } else {
+                    element.querySelector('legend').textContent = getLegend(section);
+                }
+
+                const note = element.querySelector('.section-note');
+                if (note) note.innerHTML = text(section.id, 'note', section.note);
+
+                for (let index = 0; index < getInstanceCount(section.id); index++) {
+                    section.fields.forEach(field => {
+                        if (field.type === 'html' || field.type === 'hidden') return;
+
+                        const control = getField(field.id, index);
+                        const label = form.querySelector('label[for="' + control.id + '"]');
+                        if (label) label.replaceWith(renderLabel(field, index));
+
+                        if (field.type === 'select') {
+                            control.options[0].textContent = text(field.id, 'placeholder', field.placeholder) || message('select');
+                            getOptions(field).forEach((option, optionIndex) => {
+                                control.options[optionIndex + 1].textContent = getOptionLabel(field, option);
+                            });
+                            const groups = field.options.filter(option => option.options);
+                            control.querySelectorAll('optgroup').forEach((group, groupIndex) => {
+                                group.label = getGroupLabel(field, groups[groupIndex]);
+                            });
+                        } else if (field.placeholder) {
+                            control.setAttribute('placeholder', text(field.id, 'placeholder', field.placeholder));
+                        }
+
+                        if (field.type === 'tel') {
+                            getCountrySelect(control).setAttribute('aria-label', message('phoneCountry'));
+                        }
+
+                        if (control.classList.contains('field-error') && !control.dataset.serverError) {
+                            validateField(control);
+                        }
+                    });
+                }
+            });
+
+            if (summaryErrors) {
+                renderErrorSummary();
+            }
+
+            if (!submitButton.classList.contains('loading')) {
+                submitButton.textContent = getSubmitLabel();
+            }
+        }
+
+        /**
+         * Handle field blur for inline validation
+         */
+        function handleFieldBlur(event) {
+            const field = event.target;
+            if (field.dataset && fieldsById[field.dataset.fieldId] && field.type !== 'hidden') {
+                validateField(field);
+            }
+        }
+
+        /**
+         * Render the form and wire up inline validation
+         */
+        function init() {
+            render();
+            submitButton.textContent = getSubmitLabel();
+
+            // Inline validation on blur
+            form.addEventListener('blur', handleFieldBlur, true);
+
+            // Clear error on input
+            form.addEventListener('input', function(event) {
+                const field = event.target;
+                if (field.classList.contains('field-error')) {
+                    clearError(field);
+                }
+            });
+
+            // A number typed with its dial code (+353 ...) selects that country
+            form.addEventListener('change', function(event) {
+                const field = event.target;
+                if (field.type !== 'tel' || !fieldsById[field.dataset.fieldId]) return;
+
+                const country = Phone.detectCountry(field.value);
+                if (country) getCountrySelect(field).value = country;
+            });
+
+            // A mark already typed is checked again for a newly chosen event
+            form.addEventListener('change', function(event) {
+                const select = event.target;
+                if (!select.dataset || !select.dataset.fieldId) return;
+
+                Object.keys(fieldsById)
+                    .filter(id => fieldsById[id].eventField === select.dataset.fieldId)
+                    .forEach(id => {
+                        const mark = select.closest('fieldset').querySelector('[data-field-id="' + id + '"]');
+                        if (mark && mark.value.trim()) validateField(mark);
+                    });
+            });
+
+            // Changed answers are a new submission, with a new idempotency key
+            form.addEventListener('input', () => {
+                idempotencyKey = null;
+            });
+            form.addEventListener('change', () => {
+                idempotencyKey = null;
+            });
+
+            I18n.onChange(applyLocale);
+        }
+
+        return {
+            schema: schema,
+            init: init,
+            getField: getField,
+            getSection: getSection,
+            getInstanceCount: getInstanceCount,
+            setInstanceCount: setInstanceCount,
+            getLabel: getLabel,
+            getLegend: getLegend,
+            getItemLegend: getItemLegend,
+            getOptionLabel: getOptionLabel,
+            getOptions: getOptions,
+            setSectionVisible: setSectionVisible,
+            showError: showError,
+            clearError: clearError,
+            validateField: validateField,
+            validate: validate,
+            validateSection: validateSection,
+            showServerErrors: showServerErrors,
+            serialize: serialize,
+            reset: reset,
+            showStatus: showStatus,
+            setLoading: setLoading,
+            submitForm: submitForm
+        };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.FormEngine = {
+        create: create
+    };
+})();
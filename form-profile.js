@@ -0,0 +1,149 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Printable athlete profile - a copy of a submitted payload for the family
+ * to print or save as a PDF before leaving the page
+ *
+ * The profile uses the same summary as the review screen (form-review.js),
+ * followed by the declaration consent was given under and the time it was
+ * recorded. It is only shown when printing (see styles.css), so the page
+ * itself is unchanged after a submission.
+ */
+
+(function() {
+    'use strict';
+
+    const I18n = window.MAD.I18n;
+    const Consent = window.MAD.Consent;
+    const FormReview = window.MAD.FormReview;
+
+    const CLUB_NAME = 'Charnwood AC';
+
+    // Translated under profile.<name>
+    const MESSAGES = {
+        title: 'Athlete Profile: {name}',
+        submitted: 'Submitted {time}',
+        queued: 'Saved on this device {time} - it will be sent when your connection returns',
+        declaration: 'Declaration',
+        consentRecorded: 'Consent recorded {time} (Privacy Notice version {version})',
+        print: 'Print or save a copy (PDF)'
+    };
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('profile.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Create a printable profile for a form engine
+     *
+     * options:
+     *   engine     form engine (for the schema labels)
+     *   container  element the profile is rendered into - shown only when printing
+     */
+    function create(options) {
+        const engine = options.engine;
+        const container = options.container;
+
+        // Profile on show: { data, name, queued }
+        let current = null;
+
+        /**
+         * Paragraph element with a class and text
+         */
+        function createParagraph(className, text) {
+            const paragraph = document.createElement('p');
+            paragraph.className = className;
+            paragraph.textContent = text;
+            return paragraph;
+        }
+
+        /**
+         * Declaration and timestamp from the recorded consent block
+         */
+        function renderDeclaration(consent) {
+            const block = document.createElement('section');
+            block.className = 'review-section profile-declaration';
+
+            const heading = document.createElement('h3');
+            heading.textContent = message('declaration');
+            block.appendChild(heading);
+
+            block.appendChild(createParagraph('profile-statement', Consent.getText(consent.declaration.statement)));
+            block.appendChild(createParagraph('profile-recorded', message('consentRecorded', {
+                time: new Date(consent.timestamp).toLocaleString(I18n.getDateLocale()),
+                version: consent.privacyNotice.noticeVersion
+            })));
+            return block;
+        }
+
+        /**
+         * Render the current profile
+         */
+        function render() {
+            const time = new Date(current.data.consent.timestamp).toLocaleString(I18n.getDateLocale());
+
+            container.innerHTML = '';
+            container.appendChild(createParagraph('profile-club', CLUB_NAME));
+
+            const title = document.createElement('h2');
+            title.textContent = message('title', { name: current.name });
+            container.appendChild(title);
+
+            container.appendChild(createParagraph('profile-submitted', message(current.queued ? 'queued' : 'submitted', { time: time })));
+            container.appendChild(FormReview.renderSummary(engine, current.data));
+            container.appendChild(renderDeclaration(current.data.consent));
+        }
+
+        /**
+         * Prepare the profile of a submitted payload for printing
+         *
+         * data is the payload after Consent.record (before any encryption),
+         * name the athlete name(s) for the title, and queued whether it is
+         * still waiting on this device to be sent
+         */
+        function show(data, name, queued) {
+            current = { data: data, name: name, queued: !!queued };
+            render();
+            document.body.classList.add('has-profile');
+        }
+
+        /**
+         * Remove the profile - printing shows the page again
+         */
+        function hide() {
+            current = null;
+            container.innerHTML = '';
+            document.body.classList.remove('has-profile');
+        }
+
+        /**
+         * Button that opens the browser's print dialog for the profile
+         */
+        function createPrintButton() {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'profile-print';
+            button.textContent = message('print');
+            button.addEventListener('click', () => window.print());
+            return button;
+        }
+
+        // A language change before printing shows the profile in the new language
+        I18n.onChange(() => {
+            if (current) render();
+        });
+
+        return {
+            show: show,
+            hide: hide,
+            createPrintButton: createPrintButton
+        };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.FormProfile = {
+        create: create
+    };
+})();
@@ -0,0 +1,269 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Review before submit - shows the collected payload as a summary grouped by
+ * schema section, with an edit link per section. Only "Confirm and submit"
+ * hands the payload on for submission.
+ *
+ * Labels come from the form schema and values from the payload itself, so the
+ * summary shows exactly what will be sent (see form-engine.js).
+ * renderSummary is shared with the printable profile (form-profile.js).
+ */
+
+(function() {
+    'use strict';
+
+    const I18n = window.MAD.I18n;
+    const Phone = window.MAD.Phone;
+
+    // Translated under review.<name>
+    const MESSAGES = {
+        empty: 'Not provided',
+        yes: 'Yes',
+        no: 'No',
+        none: 'None added',
+        edit: 'Edit',
+        editSection: 'Edit {section}'
+    };
+
+    /**
+     * A message in the current language
+     */
+    function message(name, params) {
+        return I18n.t('review.' + name, MESSAGES[name], params);
+    }
+
+    /**
+     * Read a value from an object at a dot path (undefined if missing)
+     */
+    function getPath(source, path) {
+        return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), source);
+    }
+
+    /**
+     * Readable text for a payload value - select values show their option
+     * label, phone numbers are spaced out
+     */
+    function formatValue(engine, field, value) {
+        if (field.type === 'checkbox') {
+            return value ? message('yes') : message('no');
+        }
+        if (value === null || value === undefined || value === '') {
+            return message('empty');
+        }
+        if (field.type === 'select') {
+            const match = engine.getOptions(field)
+                .find(option => (typeof option === 'string' ? option : option.value).toLowerCase() === String(value).toLowerCase());
+            if (match) return engine.getOptionLabel(field, match);
+        }
+        if (field.type === 'tel') {
+            return Phone.format(value);
+        }
+        if (field.type === 'month') {
+            const month = new Date(value + '-01T00:00:00');
+            if (!isNaN(month.getTime())) {
+                return month.toLocaleDateString(I18n.getDateLocale(), { month: 'long', year: 'numeric' });
+            }
+        }
+        if (field.type === 'date') {
+            const date = new Date(value);
+            if (!isNaN(date.getTime())) {
+                return date.toLocaleDateString(I18n.getDateLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+            }
+        }
+        return String(value);
+    }
+
+    /**
+     * Summary list (<dl>) of one section's fields from a payload object
+     */
+    function renderList(engine, fields, source) {
+        const list = document.createElement('dl');
+        list.className = 'review-list';
+
+        fields.forEach(field => {
+            if (!field.path || field.type === 'hidden') return;
+
+            const term = document.createElement('dt');
+            term.textContent = engine.getLabel(field);
+            const detail = document.createElement('dd');
+            detail.textContent = formatValue(engine, field, getPath(source, field.path));
+
+            list.appendChild(term);
+            list.appendChild(detail);
+        });
+
+        return list;
+    }
+
+    /**
+     * Summary block for a section (or one item of a repeatable section) -
+     * a null source is an empty repeatable section
+     */
+    function renderSection(engine, section, title, source, onEdit) {
+        const block = document.createElement('section');
+        block.className = 'review-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        block.appendChild(heading);
+
+        if (onEdit) {
+            const edit = document.createElement('a');
+            edit.href = '#' + section.id + '-section';
+            edit.className = 'review-edit';
+            edit.textContent = message('edit');
+            edit.setAttribute('aria-label', message('editSection', { section: title }));
+            edit.addEventListener('click', event => {
+                event.preventDefault();
+                onEdit(section.id);
+            });
+            block.appendChild(edit);
+        }
+
+        if (source === null) {
+            const none = document.createElement('p');
+            none.className = 'review-empty';
+            none.textContent = message('none');
+            block.appendChild(none);
+        } else {
+            block.appendChild(renderList(engine, section.fields, source));
+        }
+        return block;
+    }
+
+    /**
+     * Summary of a payload as one block per schema section, skipping sections
+     * that serialised to null - returns a DocumentFragment
+     *
+     * onEdit, if given, adds an edit link per section and is called with the
+     * section id when it is followed
+     */
+    function renderSummary(engine, data, onEdit) {
+        const summary = document.createDocumentFragment();
+
+        engine.schema.sections.forEach(section => {
+            if (section.repeat) {
+                const items = getPath(data, section.path) || [];
+                if (Array.isArray(getPath(data, section.path)) && !items.length) {
+                    summary.appendChild(renderSection(engine, section, engine.getLegend(section), null, onEdit));
+                }
+                items.forEach((item, index) => {
+                    const title = items.length > 1 ? engine.getItemLegend(section, index + 1) : engine.getLegend(section);
+                    summary.appendChild(renderSection(engine, section, title, item, onEdit));
+                });
+                return;
+            }
+
+            if (section.path && getPath(data, section.path) === null) return;
+            summary.appendChild(renderSection(engine, section, engine.getLegend(section), data, onEdit));
+        });
+
+        return summary;
+    }
+
+    /**
+     * Create a review screen for a form engine
+     *
+     * options:
+     *   engine     form engine (for the schema and section elements)
+     *   form       the <form> element, hidden while the review is shown
+     *   container  review element holding .review-sections, .review-confirm and .review-back
+     *   onConfirm  called with the payload when the user confirms
+     *   onEdit     called with a section id to show it; defaults to focusing its first field
+     */
+    function create(options) {
+        const engine = options.engine;
+        const form = options.form;
+        const container = options.container;
+        const sectionsContainer = container.querySelector('.review-sections');
+
+        // Payload waiting for confirmation
+        let pending = null;
+
+        /**
+         * Render the summary of a payload, with an edit link per section
+         */
+        function render(data) {
+            sectionsContainer.innerHTML = '';
+            sectionsContainer.appendChild(renderSummary(engine, data, editSection));
+        }
+
+        /**
+         * Show the summary of a payload in place of the form
+         */
+        function show(data) {
+            pending = data;
+            render(data);
+
+            form.hidden = true;
+            container.hidden = false;
+
+            const heading = container.querySelector('h2');
+            heading.focus();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+
+        /**
+         * Return to the form without submitting
+         */
+        function hide() {
+            pending = null;
+            container.hidden = true;
+            form.hidden = false;
+        }
+
+        /**
+         * Go back to the form at a section so its answers can be changed
+         */
+        function editSection(sectionId) {
+            hide();
+
+            if (options.onEdit) {
+                options.onEdit(sectionId);
+                return;
+            }
+
+            const section = engine.getSection(sectionId);
+            section.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            const firstField = section.querySelector('input:not([type="hidden"]), select, textarea');
+            if (firstField) firstField.focus();
+        }
+
+        /**
+         * Submit the reviewed payload
+         */
+        function handleConfirm() {
+            const data = pending;
+            hide();
+            if (data) options.onConfirm(data);
+        }
+
+        /**
+         * Back to the form where the user left it
+         */
+        function handleBack() {
+            hide();
+            const submitButton = form.querySelector('button[type="submit"]');
+            if (submitButton) submitButton.focus();
+        }
+
+        container.querySelector('.review-confirm').addEventListener('click', handleConfirm);
+        container.querySelector('.review-back').addEventListener('click', handleBack);
+
+        // A language change while the summary is open shows it again in the new language
+        I18n.onChange(() => {
+            if (pending) render(pending);
+        });
+
+        return {
+            show: show,
+            hide: hide
+        };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.FormReview = {
+        create: create,
+        renderSummary: renderSummary
+    };
+})();
@@ -0,0 +1,219 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Multi-step wizard - shows one schema section at a time with back / next
+ * navigation, a progress bar and browser history (see form-engine.js)
+ *
+ * Each section of the engine's schema is one step. "Next" validates the
+ * current step only; the submit button is shown on the last step, where the
+ * page still validates the whole form before submitting.
+ */
+
+(function() {
+    'use strict';
+
+    // History state key, and URL hash prefix for the current step (#step-growth)
+    const STATE_KEY = 'madWizardStep';
+    const HASH_PREFIX = '#step-';
+
+    const I18n = window.MAD.I18n;
+
+    // Translated under wizard.<name>
+    const MESSAGES = {
+        step: 'Step {n} of {total}: {legend}'
+    };
+
+    /**
+     * Create a wizard over a rendered form engine
+     *
+     * options:
+     *   engine        form engine (sections must already be rendered)
+     *   form          the <form> element
+     *   submitButton  submit button, shown on the last step only
+     *   stepLabel     element for the "Step n of N: Legend" text
+     *   progressBar   <progress> element
+     *   backButton    "Back" button
+     *   nextButton    "Next" button
+     *   onStepChange  called with the step index after the step changes
+     */
+    function create(options) {
+        const engine = options.engine;
+        const form = options.form;
+        const steps = engine.schema.sections;
+
+        let current = 0;
+
+        /**
+         * Step index for a URL hash, or -1 if it does not name a step
+         */
+        function getStepFromHash(hash) {
+            if (!hash || hash.indexOf(HASH_PREFIX) !== 0) return -1;
+            const id = hash.slice(HASH_PREFIX.length);
+            return steps.findIndex(section => section.id === id);
+        }
+
+        /**
+         * URL for a step - keeps the query string (e.g. the athlete link ?ref=)
+         */
+        function getStepUrl(index) {
+            return window.location.pathname + window.location.search + HASH_PREFIX + steps[index].id;
+        }
+
+        /**
+         * "Step n of N: Legend" for the current step, in the current language
+         */
+        function updateStepLabel() {
+            options.stepLabel.textContent = I18n.t('wizard.step', MESSAGES.step, {
+                n: current + 1,
+                total: steps.length,
+                legend: engine.getLegend(steps[current])
+            });
+        }
+
+        /**
+         * Show one step, hide the others and update the progress and buttons
+         */
+        function render(index, moveFocus) {
+            current = index;
+            const isLast = isLastStep();
+
+            steps.forEach((section, stepIndex) => {
+                engine.getSection(section.id).hidden = stepIndex !== index;
+            });
+
+            updateStepLabel();
+            options.progressBar.max = steps.length;
+            options.progressBar.value = index + 1;
+
+            options.backButton.hidden = index === 0;
+            options.nextButton.hidden = isLast;
+            options.submitButton.hidden = !isLast;
+
+            if (moveFocus) {
+                // Focus the step's fieldset so screen readers announce its legend
+                const step = engine.getSection(steps[index].id);
+                step.focus();
+                step.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            }
+
+            if (options.onStepChange) options.onStepChange(index);
+        }
+
+        /**
+         * Go to a step, adding a browser history entry
+         */
+        function goTo(index) {
+            if (index < 0 || index >= steps.length || index === current) return;
+            history.pushState({ [STATE_KEY]: index }, '', getStepUrl(index));
+            render(index, true);
+        }
+
+        /**
+         * Go to the step for a section id
+         */
+        function goToSection(sectionId) {
+            goTo(steps.findIndex(section => section.id === sectionId));
+        }
+
+        /**
+         * Validate the current step, then move to the next one
+         */
+        function next() {
+            if (!engine.validateSection(steps[current].id)) return false;
+            goTo(current + 1);
+            return true;
+        }
+
+        /**
+         * Move to the previous step - no validation, answers are kept
+         */
+        function back() {
+            goTo(current - 1);
+        }
+
+        /**
+         * Whether the current step is the last one
+         */
+        function isLastStep() {
+            return current === steps.length - 1;
+        }
+
+        /**
+         * Show the step holding a field, e.g. for an error summary link
+         * (see form-engine.js)
+         */
+        function showField(field) {
+            const sectionId = field.closest('[data-section]').dataset.section;
+            const index = steps.findIndex(section => section.id === sectionId);
+            if (index !== current) {
+                history.pushState({ [STATE_KEY]: index }, '', getStepUrl(index));
+                render(index, false);
+            }
+        }
+
+        /**
+         * Return to the first step, e.g. after a successful submission
+         */
+        function reset() {
+            history.replaceState({ [STATE_KEY]: 0 }, '', getStepUrl(0));
+            render(0, false);
+        }
+
+        /**
+         * Browser back / forward - show the step from the history entry
+         */
+        function handlePopState(event) {
+            let index = event.state && typeof event.state[STATE_KEY] === 'number'
+                ? event.state[STATE_KEY]
+                : getStepFromHash(window.location.hash);
+            if (index < 0 || index >= steps.length) index = 0;
+            if (index !== current) render(index, true);
+        }
+
+        /**
+         * Enter in a text input moves to the next step rather than submitting
+         */
+        function handleKeydown(event) {
+            const target = event.target;
+            if (event.key !== 'Enter' || target.tagName !== 'INPUT' || target.type === 'checkbox' || isLastStep()) return;
+            event.preventDefault();
+            next();
+        }
+
+        /**
+         * Wire up the buttons and history, starting at the step in the URL if any
+         */
+        function init() {
+            steps.forEach(section => {
+                const step = engine.getSection(section.id);
+                step.classList.add('wizard-step');
+                step.setAttribute('tabindex', '-1');
+            });
+
+            options.backButton.addEventListener('click', back);
+            options.nextButton.addEventListener('click', next);
+            form.addEventListener('keydown', handleKeydown);
+            window.addEventListener('popstate', handlePopState);
+            I18n.onChange(updateStepLabel);
+
+            const index = Math.max(0, getStepFromHash(window.location.hash));
+            history.replaceState({ [STATE_KEY]: index }, '', getStepUrl(index));
+            render(index, false);
+        }
+
+        return {
+            init: init,
+            next: next,
+            back: back,
+            goTo: goTo,
+            goToSection: goToSection,
+            isLastStep: isLastStep,
+            showField: showField,
+            reset: reset
+        };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.FormWizard = {
+        create: create
+    };
+})();
@@ -0,0 +1,142 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Growth and maturation estimates from the Discovery growth section
+ *
+ * For coaches only - added to the encrypted growth block at submission and
+ * never shown on screen.
+ *
+ * - Predicted adult height: mid-parental target height (Tanner), the mean of
+ *   the parents' heights adjusted by half the adult sex difference. This is
+ *   a target for the family, not a Khamis-Roche prediction - it ignores the
+ *   athlete's own height and weight. Khamis-Roche needs its published
+ *   coefficients by age and sex, which are not in this repository yet; it
+ *   will be recorded as predictionMethod 'khamis-roche'
+ * - Percentage of predicted adult height, banded into a maturity status -
+ *   against a target height this is only a rough guide
+ * - Maturity offset (years from peak height velocity, PHV) from age and
+ *   height (Moore et al., 2015), giving an estimated age at PHV and whether
+ *   the athlete is before, around or after it
+ *
+ * Date of birth and sex come from the signed athlete link (athlete-link.js).
+ */
+
+(function() {
+    'use strict';
+
+    // Half the difference between adult male and female height, in cm
+    const MID_PARENTAL_ADJUSTMENT = { male: 6.5, female: -6.5 };
+
+    // Maturity status by percentage of predicted adult height reached
+    const MATURITY_BANDS = [
+        { below: 85, status: 'pre-pubertal' },
+        { below: 90, status: 'early-pubertal' },
+        { below: 95, status: 'mid-pubertal' },
+        { below: Infinity, status: 'late-pubertal' }
+    ];
+
+    // Moore et al. (2015): maturity offset = intercept + slope * (age * height in cm)
+    const MATURITY_OFFSET = {
+        male: { intercept: -7.999994, slope: 0.0036124 },
+        female: { intercept: -7.709133, slope: 0.0042232 }
+    };
+
+    // Ages (years) the maturity offset equations hold for
+    const MATURITY_OFFSET_AGES = { min: 8, max: 18 };
+
+    // Years either side of PHV counted as "around" it
+    const PHV_WINDOW = 1;
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Round to a number of decimal places
+     */
+    function round(value, places) {
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Today's local date as YYYY-MM-DD
+     */
+    function today() {
+        const now = new Date();
+        return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+    }
+
+    /**
+     * Decimal age in years between two YYYY-MM-DD dates
+     */
+    function decimalAge(dateOfBirth, measuredOn) {
+        return (Date.parse(measuredOn + 'T00:00:00Z') - Date.parse(dateOfBirth + 'T00:00:00Z')) / (365.25 * DAY);
+    }
+
+    /**
+     * Mid-parental target height in cm, or null without both parents' heights
+     */
+    function predictAdultHeight(sex, motherHeight, fatherHeight) {
+        if (!motherHeight || !fatherHeight) return null;
+        return (motherHeight + fatherHeight) / 2 + MID_PARENTAL_ADJUSTMENT[sex];
+    }
+
+    /**
+     * Maturity status for a percentage of predicted adult height
+     */
+    function getMaturityStatus(percent) {
+        return MATURITY_BANDS.find(band => percent < band.below).status;
+    }
+
+    /**
+     * Before, around or after PHV for a maturity offset
+     */
+    function getPhvStatus(offset) {
+        if (offset < -PHV_WINDOW) return 'pre-phv';
+        if (offset > PHV_WINDOW) return 'post-phv';
+        return 'circa-phv';
+    }
+
+    /**
+     * Growth estimates for an athlete
+     *
+     * Takes { dateOfBirth, sex ('male' or 'female'), height, motherHeight,
+     * fatherHeight } with heights in cm, and optionally the measurement date
+     * (YYYY-MM-DD, default today). Returns null without a date of birth, sex
+     * or height; any estimate whose inputs are missing or out of range is null.
+     */
+    function assess(athlete, measuredOn) {
+        if (!athlete.dateOfBirth || !MATURITY_OFFSET[athlete.sex] || !athlete.height) {
+            return null;
+        }
+
+        measuredOn = measuredOn || today();
+        const age = decimalAge(athlete.dateOfBirth, measuredOn);
+        if (!(age > 0)) return null;
+
+        const predicted = predictAdultHeight(athlete.sex, athlete.motherHeight, athlete.fatherHeight);
+        const percent = predicted ? athlete.height / predicted * 100 : null;
+
+        const equation = MATURITY_OFFSET[athlete.sex];
+        const offset = age >= MATURITY_OFFSET_AGES.min && age <= MATURITY_OFFSET_AGES.max
+            ? equation.intercept + equation.slope * age * athlete.height
+            : null;
+
+        return {
+            measuredOn: measuredOn,
+            ageAtMeasurement: round(age, 2),
+            sex: athlete.sex,
+            predictedAdultHeight: predicted === null ? null : round(predicted, 1),
+            predictionMethod: 'mid-parental',
+            percentOfAdultHeight: percent === null ? null : round(percent, 1),
+            maturityStatus: percent === null ? null : getMaturityStatus(percent),
+            maturityOffset: offset === null ? null : round(offset, 2),
+            ageAtPhv: offset === null ? null : round(age - offset, 2),
+            phvStatus: offset === null ? null : getPhvStatus(offset),
+            offsetMethod: 'moore-2015'
+        };
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.Growth = {
+        assess: assess
+    };
+})();
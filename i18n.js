@@ -0,0 +1,187 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Locales - translated copy for the forms, with a language switcher
+ *
+ * English is the source language and stays where it is written (schemas,
+ * MESSAGES objects, HTML). Other languages are catalogs of flat keys registered
+ * from locales/<code>.js; any key a catalog lacks falls back to the English.
+ *
+ * Keys:
+ *   <schemaId>.<sectionId>.legend|note|itemLegend|addLabel|removeLabel
+ *   <schemaId>.<fieldId>.label|placeholder|options.<value>
+ *   <schemaId>.messages.<name>        page script messages
+ *   form.*, review.*, wizard.*, queue.*, common.*
+ *   statements.<id>.v<version>        consent statements (see consent.js)
+ *   purposes.<id>.title|description   consent purposes (see consent.js)
+ *
+ * Static HTML is translated with data-i18n="<key>" (replaces the text content).
+ */
+
+(function() {
+    'use strict';
+
+    // Supported languages, in switcher order
+    const LOCALES = [
+        { code: 'en', name: 'English', dateLocale: 'en-GB' },
+        { code: 'pl', name: 'Polski', dateLocale: 'pl-PL' },
+        { code: 'gu', name: 'ગુજરાતી', dateLocale: 'gu-IN' },
+        { code: 'pa', name: 'ਪੰਜਾਬੀ', dateLocale: 'pa-IN' }
+    ];
+
+    const DEFAULT_LOCALE = 'en';
+    const STORAGE_KEY = 'mad-locale';
+
+    // Locale code -> { key: text }
+    const catalogs = {};
+    const listeners = [];
+
+    // Resolved on first use, once the catalogs have registered
+    let current = null;
+
+    /**
+     * Add a locale's translations
+     */
+    function register(code, entries) {
+        catalogs[code] = Object.assign(catalogs[code] || {}, entries);
+    }
+
+    /**
+     * Whether a locale can be shown (English always can)
+     */
+    function isAvailable(code) {
+        return code === DEFAULT_LOCALE || !!catalogs[code];
+    }
+
+    /**
+     * Locale from a saved choice, else the browser's preferred languages, else English
+     */
+    function detectLocale() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved && isAvailable(saved)) return saved;
+        } catch (error) {
+            // Storage disabled - fall through to the browser languages
+        }
+
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        const match = preferred
+            .filter(Boolean)
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(isAvailable);
+
+        return match || DEFAULT_LOCALE;
+    }
+
+    /**
+     * Current locale code
+     */
+    function getLocale() {
+        if (!current || !isAvailable(current)) {
+            current = detectLocale();
+        }
+        return current;
+    }
+
+    /**
+     * BCP 47 tag for formatting dates in the current locale
+     */
+    function getDateLocale() {
+        const code = getLocale();
+        return LOCALES.find(locale => locale.code === code).dateLocale;
+    }
+
+    /**
+     * Whether the current locale has its own text for a key (false for English)
+     */
+    function has(key) {
+        const catalog = catalogs[getLocale()];
+        return !!catalog && Object.prototype.hasOwnProperty.call(catalog, key);
+    }
+
+    /**
+     * Text for a key in the current locale, falling back to the English given
+     * {name} placeholders are replaced from params
+     */
+    function t(key, fallback, params) {
+        let text = has(key) ? catalogs[getLocale()][key] : fallback;
+        if (text === undefined || text === null) return text;
+
+        Object.keys(params || {}).forEach(name => {
+            text = text.split('{' + name + '}').join(params[name]);
+        });
+        return text;
+    }
+
+    /**
+     * Translate the data-i18n elements under a root - the English is kept on
+     * the element so switching back restores it
+     */
+    function apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (element.dataset.i18nDefault === undefined) {
+                element.dataset.i18nDefault = element.textContent;
+            }
+            element.textContent = t(element.dataset.i18n, element.dataset.i18nDefault);
+        });
+        document.documentElement.lang = getLocale();
+    }
+
+    /**
+     * Switch language: remember the choice, translate the page and notify listeners
+     */
+    function setLocale(code) {
+        if (!isAvailable(code)) return;
+
+        current = code;
+        try {
+            localStorage.setItem(STORAGE_KEY, code);
+        } catch (error) {
+            // Storage disabled - the choice lasts for this page only
+        }
+
+        apply(document);
+        listeners.forEach(listener => listener(code));
+    }
+
+    /**
+     * Call a function whenever the language changes
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Fill a <select> with the available languages and switch on change,
+     * then translate the page for the detected language
+     */
+    function mountSwitcher(select) {
+        select.innerHTML = '';
+        LOCALES.filter(locale => isAvailable(locale.code)).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.code;
+            option.lang = locale.code;
+            option.textContent = locale.name;
+            select.appendChild(option);
+        });
+
+        select.value = getLocale();
+        select.addEventListener('change', () => setLocale(select.value));
+
+        apply(document);
+    }
+
+    window.MAD = window.MAD || {};
+    window.MAD.I18n = {
+        LOCALES: LOCALES,
+        DEFAULT_LOCALE: DEFAULT_LOCALE,
+        register: register,
+        getLocale: getLocale,
+        getDateLocale: getDateLocale,
+        has: has,
+        t: t,
+        apply: apply,
+        setLocale: setLocale,
+        onChange: onChange,
+        mountSwitcher: mountSwitcher
+    };
+})();
@@ -0,0 +1,125 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * iCalendar (RFC 5545) export - builds an .ics file of all-day events, e.g. the
+ * absences and exam periods from the Discovery calendar section. Also usable
+ * from Node.js, so the workflow can build the same file for the coach.
+ */
+
+(function(global) {
+    'use strict';
+
+    const PRODUCT_ID = '-//Charnwood AC//MAD Athlete Forms//EN';
+
+    // Content lines are folded at 75 octets (RFC 5545 3.1)
+    const MAX_LINE_OCTETS = 75;
+
+    /**
+     * Escape a TEXT value
+     */
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line into 75-octet lines, without splitting a character
+     */
+    function fold(line) {
+        const lines = [];
+        let current = '';
+        let octets = 0;
+
+        const encoder = new TextEncoder();
+        Array.from(line).forEach(character => {
+            const size = encoder.encode(character).length;
+            // Continuation lines start with a space, which counts towards the limit
+            if (octets + size > MAX_LINE_OCTETS) {
+                lines.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += character;
+            octets += size;
+        });
+
+        lines.push(current);
+        return lines.join('\r\n');
+    }
+
+    /**
+     * YYYY-MM-DD as an iCalendar DATE (YYYYMMDD)
+     */
+    function formatDate(value) {
+        return value.replace(/-/g, '');
+    }
+
+    /**
+     * The day after a YYYY-MM-DD date - all-day events end exclusively
+     */
+    function nextDay(value) {
+        const date = new Date(value + 'T00:00:00Z');
+        date.setUTCDate(date.getUTCDate() + 1);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * A UTC date-time as an iCalendar DATE-TIME (YYYYMMDDTHHMMSSZ)
+     */
+    function formatTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Build an .ics file
+     *
+     * events: [{ uid, start, end, summary, description, categories }] - start and
+     * end are YYYY-MM-DD, end inclusive; uid should stay the same for the same
+     * event, so importing the file again updates it rather than adding a copy.
+     * options: { name } - calendar name shown by some calendar apps
+     */
+    function build(events, options) {
+        const stamp = formatTimestamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:' + PRODUCT_ID,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (options && options.name) {
+            lines.push('X-WR-CALNAME:' + escapeText(options.name));
+        }
+
+        events.forEach(event => {
+            lines.push('BEGIN:VEVENT');
+            lines.push('UID:' + event.uid);
+            lines.push('DTSTAMP:' + stamp);
+            lines.push('DTSTART;VALUE=DATE:' + formatDate(event.start));
+            lines.push('DTEND;VALUE=DATE:' + formatDate(nextDay(event.end || event.start)));
+            lines.push('SUMMARY:' + escapeText(event.summary));
+            if (event.description) lines.push('DESCRIPTION:' + escapeText(event.description));
+            if (event.categories) lines.push('CATEGORIES:' + escapeText(event.categories));
+            lines.push('TRANSP:TRANSPARENT');
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    }
+
+    const api = {
+        MIME_TYPE: 'text/calendar',
+        build: build
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        global.MAD = global.MAD || {};
+        global.MAD.ICal = api;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
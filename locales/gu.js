@@ -0,0 +1,505 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Gujarati (gu) translations - see i18n.js for the keys; anything missing here
+ * is shown in English
+ */
+
+(function() {
+    'use strict';
+
+    const privacyNoticeLink = '<a href="' + window.MAD.Consent.PRIVACY_NOTICE.url + '" id="privacy-notice-link" target="_blank" rel="noopener">';
+
+    window.MAD.I18n.register('gu', {
+        // Shared
+        'common.language': 'ભાષા',
+        'common.questions': 'પ્રશ્નો? સંપર્ક કરો',
+        'common.dataRequestLink': 'ડેટા સુરક્ષા વિનંતી કરો',
+
+        'form.required': 'આ ફીલ્ડ જરૂરી છે',
+        'form.email': 'કૃપા કરીને માન્ય ઇમેઇલ સરનામું દાખલ કરો',
+        'form.phone': 'કૃપા કરીને પસંદ કરેલા દેશ માટે માન્ય ફોન નંબર દાખલ કરો',
+        'form.phoneCountry': 'દેશ કોડ',
+        'form.date': 'કૃપા કરીને માન્ય તારીખ દાખલ કરો',
+        'form.number': 'કૃપા કરીને માન્ય સંખ્યા દાખલ કરો',
+        'form.range': 'કૃપા કરીને {min} અને {max} વચ્ચેની કિંમત દાખલ કરો',
+        'form.consent': 'આગળ વધવા માટે તમારે સંમતિ આપવી પડશે',
+        'form.futureDate': 'જન્મ તારીખ ભવિષ્યની ન હોઈ શકે',
+        'form.futureMonth': 'તારીખ ભવિષ્યની ન હોઈ શકે',
+        'form.pastDate': 'આ તારીખ ભવિષ્યની ન હોઈ શકે',
+        'form.dateOrder': 'અંતિમ તારીખ શરૂઆતની તારીખ પહેલાંની ન હોઈ શકે',
+        'form.markEvent': 'પહેલા ઇવેન્ટ પસંદ કરો',
+        'form.markTime': 'સમય mm:ss.xx રૂપે દાખલ કરો, દા.ત. 2:15.40 (અથવા સ્પ્રિન્ટ માટે સેકન્ડમાં, દા.ત. 12.85)',
+        'form.markDistance': 'અંતર મીટરમાં દાખલ કરો, દા.ત. 5.32',
+        'form.markPoints': 'પોઈન્ટ્સ દાખલ કરો, દા.ત. 3105',
+        'form.markImpossible': 'આ ઇવેન્ટ માટે આ પરિણામ શક્ય નથી - કૃપા કરીને તપાસો',
+        'form.markNotRecorded': 'આ ઇવેન્ટ માટે વ્યક્તિગત શ્રેષ્ઠ નોંધવામાં આવતા નથી',
+        'form.tooOld': 'કૃપા કરીને જન્મ તારીખ તપાસો',
+        'form.payloadInvalid': 'ફોર્મે અનપેક્ષિત ડેટા બનાવ્યો હોવાથી તમારા જવાબો મોકલી શકાયા નથી. કૃપા કરીને ક્લબનો સંપર્ક કરો',
+        'form.summaryTitle': 'એક સમસ્યા છે',
+        'form.select': 'પસંદ કરો',
+        'form.submitting': 'મોકલી રહ્યા છીએ...',
+
+        'review.heading': 'તમારા જવાબો તપાસો',
+        'review.intro': 'મોકલતા પહેલાં આ વિગતો તપાસો. કોઈ વિભાગ બદલવા માટે "ફેરફાર કરો" નો ઉપયોગ કરો.',
+        'review.confirm': 'પુષ્ટિ કરો અને મોકલો',
+        'review.back': 'ફોર્મ પર પાછા જાઓ',
+        'review.empty': 'આપેલ નથી',
+        'review.none': 'કંઈ ઉમેર્યું નથી',
+        'review.yes': 'હા',
+        'review.no': 'ના',
+        'review.edit': 'ફેરફાર કરો',
+        'review.editSection': '{section} માં ફેરફાર કરો',
+        'profile.title': 'ખેલાડીની પ્રોફાઇલ: {name}',
+        'profile.submitted': '{time} એ મોકલ્યું',
+        'profile.queued': '{time} એ આ ઉપકરણ પર સાચવ્યું - તમારું કનેક્શન પાછું આવે ત્યારે મોકલવામાં આવશે',
+        'profile.declaration': 'ઘોષણા',
+        'profile.consentRecorded': '{time} એ સંમતિ નોંધાઈ (ગોપનીયતા સૂચના આવૃત્તિ {version})',
+        'profile.print': 'નકલ છાપો અથવા સાચવો (PDF)',
+        'health.title': 'અત્યારે ક્લબના સર્વર સુધી પહોંચી શકાતું નથી.',
+        'health.text': 'તમે હજુ પણ ફોર્મ ભરી શકો છો - તે આ ઉપકરણ પર સાચવવામાં આવશે અને સર્વર પાછું આવે ત્યારે આપમેળે મોકલવામાં આવશે - પરંતુ તમે પછીથી ફરી પ્રયાસ કરવાનું પસંદ કરી શકો છો.',
+        'health.retry': 'ફરી તપાસો',
+
+        'wizard.back': 'પાછળ',
+        'wizard.next': 'આગળ',
+        'wizard.step': 'પગલું {n} / {total}: {legend}',
+
+        'queue.failed': 'મોકલવાનું નિષ્ફળ ગયું',
+        'queue.timeout': 'વિનંતીનો સમય પૂરો થયો. કૃપા કરીને ફરી પ્રયાસ કરો.',
+        'queue.offline': 'સર્વર સાથે જોડાઈ શકાયું નથી. કૃપા કરીને તમારું કનેક્શન તપાસો અને ફરી પ્રયાસ કરો.',
+        'queue.heading': 'આ ઉપકરણ પરના ફોર્મ',
+        'queue.submission': 'ફોર્મ',
+        'queue.dismiss': 'બંધ કરો',
+        'queue.pending': 'બાકી - આ ઉપકરણ પર સાચવેલ છે અને તમે ફરી ઓનલાઇન થશો ત્યારે આપમેળે મોકલાશે. કૃપા કરીને ફરીથી મોકલશો નહીં.',
+        'queue.sending': 'મોકલી રહ્યા છીએ...',
+        'queue.sent': '{time} એ મોકલાયું',
+        'queue.rejected': 'સ્વીકાર્યું નથી: {error}{details}. કૃપા કરીને વિગતો તપાસો અને ફરીથી મોકલો.',
+
+        // Consent statements (consent.js) - only for the version named in the key
+        'statements.privacyNotice.v1': 'મેં ગોપનીયતા સૂચના વાંચી અને સમજી છે',
+        'statements.registrationData.v1': 'ગોપનીયતા સૂચનામાં વર્ણવ્યા મુજબ ડેટા એકત્ર કરવા અને તેની પ્રક્રિયા કરવા માટે હું સંમતિ આપું છું',
+        'statements.discoveryData.v1': 'ખેલાડીના કોચિંગ અને વિકાસના હેતુ માટે, નોંધણી દરમિયાન અને આ Discovery ફોર્મમાં આપેલી બધી માહિતી ' +
+            'એકત્ર કરવા અને તેની પ્રક્રિયા કરવા માટે હું સંમતિ આપું છું. ' +
+            'હું સમજું છું કે કોચનો સંપર્ક કરીને હું કોઈપણ સમયે આ સંમતિ પાછી ખેંચી શકું છું.',
+        'statements.photography.v1': 'ક્લબ સત્રો અને સ્પર્ધાઓમાં ખેલાડીના ફોટા અને વિડિયો લેવા અને તેને ક્લબની વેબસાઇટ ' +
+            'અને સોશિયલ મીડિયા પર પ્રકાશિત કરવા માટે હું સંમતિ આપું છું',
+        'statements.medicalSharing.v1': 'તાલીમને સુરક્ષિત રીતે ગોઠવી શકાય તે માટે ખેલાડીની તબીબી, ઈજા અને વૃદ્ધિ સંબંધી માહિતી ' +
+            'તેમના કોચ સાથે શેર કરવા માટે હું સંમતિ આપું છું',
+        'statements.englandAthletics.v1': 'સ્પર્ધા પ્રવેશ અને ખેલાડી નોંધણી માટે ખેલાડીની વિગતો England Athletics સાથે ' +
+            'શેર કરવા માટે હું સંમતિ આપું છું',
+        'statements.marketing.v1': 'મને ક્લબના સમાચાર, ઇવેન્ટ્સ અને ભંડોળ એકત્રીકરણ વિશેના ઇમેઇલ મેળવવા ગમશે',
+        'statements.guardianDeclaration.v1': 'આ ફોર્મ મોકલીને, હું પુષ્ટિ કરું છું કે હું ઉપર નામ આપેલા ખેલાડી/ખેલાડીઓનો માતા-પિતા ' +
+            'અથવા કાનૂની વાલી છું અને તેમના વતી આ સંમતિ આપવાનો મને અધિકાર છે.',
+        'statements.athleteDeclaration.v1': 'આ ફોર્મ મોકલીને, હું પુષ્ટિ કરું છું કે આપેલી માહિતી સાચી છે અને વર્ણવ્યા મુજબ ' +
+            'તેની પ્રક્રિયા માટે હું સંમતિ આપું છું.',
+
+        // Consent purposes (consent.js)
+        'purposes.dataCollection.title': 'નોંધણી અને કોચિંગ ડેટા',
+        'purposes.dataCollection.description': 'કોચિંગ માટે ખેલાડીની નોંધણી અને Discovery વિગતો રાખવી. આ સંમતિ પાછી ખેંચવાનો અર્થ છે કે ક્લબ હવે ખેલાડીના ' +
+            'રેકોર્ડ રાખી શકશે નહીં - કોચ તેને કાઢી નાખવા વિશે તમારો સંપર્ક કરશે.',
+        'purposes.medicalSharing.title': 'કોચ સાથે શેર કરાતી તબીબી માહિતી',
+        'purposes.medicalSharing.description': 'તાલીમ ગોઠવવા માટે કોચ ઈજા, તબીબી અને વૃદ્ધિ સંબંધી વિગતો જોઈ શકે છે.',
+        'purposes.photography.title': 'ફોટોગ્રાફી અને સોશિયલ મીડિયા',
+        'purposes.photography.description': 'ક્લબની વેબસાઇટ અને સોશિયલ મીડિયા પર ફોટા અને વિડિયો.',
+        'purposes.englandAthletics.title': 'England Athletics સાથે શેર કરાતો સ્પર્ધા ડેટા',
+        'purposes.englandAthletics.description': 'સ્પર્ધા પ્રવેશ અને નોંધણી માટે England Athletics ને મોકલાતી વિગતો.',
+        'purposes.marketing.title': 'માર્કેટિંગ',
+        'purposes.marketing.description': 'ક્લબના સમાચાર, ઇવેન્ટ્સ અને ભંડોળ એકત્રીકરણ વિશેના ઇમેઇલ.',
+
+        // Registration (index.html)
+        'registration.title': 'ખેલાડી નોંધણી - Charnwood AC',
+        'registration.heading': 'ખેલાડી નોંધણી ફોર્મ',
+        'registration.submit': 'નોંધણી મોકલો',
+
+        'registration.athlete.legend': 'ખેલાડીની વિગતો',
+        'registration.athlete.itemLegend': 'ખેલાડી {n} ની વિગતો',
+        'registration.athlete.addLabel': 'બીજો ખેલાડી ઉમેરો',
+        'registration.athlete.removeLabel': 'આ ખેલાડીને દૂર કરો',
+        'registration.athlete-first-name.label': 'પ્રથમ નામ',
+        'registration.athlete-last-name.label': 'અટક',
+        'registration.athlete-dob.label': 'જન્મ તારીખ',
+        'registration.athlete-gender.label': 'લિંગ',
+        'registration.athlete-gender.placeholder': 'લિંગ પસંદ કરો',
+        'registration.athlete-gender.options.male': 'પુરુષ',
+        'registration.athlete-gender.options.female': 'સ્ત્રી',
+        'registration.athlete-gender.options.other': 'અન્ય',
+        'registration.athlete-gender.options.prefer-not-to-say': 'જણાવવા માંગતા નથી',
+        'registration.athlete-email.label': 'ખેલાડીનો ઇમેઇલ (વૈકલ્પિક)',
+        'registration.athlete-phone.label': 'ખેલાડીનો ફોન (વૈકલ્પિક)',
+
+        'registration.parent.legend': 'માતા-પિતા/વાલી',
+        'registration.parent.note': 'નોંધાતા ખેલાડીઓની ઉંમરને કારણે, માતા-પિતા અથવા વાલીએ આ વિભાગ ભરવો જરૂરી છે. ' +
+            'આ ફોર્મ પરના બધા ખેલાડીઓ માટે એક માતા-પિતા અથવા વાલી પૂરતા છે.',
+        'registration.parent-first-name.label': 'પ્રથમ નામ',
+        'registration.parent-last-name.label': 'અટક',
+        'registration.parent-relationship.label': 'ખેલાડી સાથેનો સંબંધ',
+        'registration.parent-relationship.placeholder': 'સંબંધ પસંદ કરો',
+        'registration.parent-relationship.options.mother': 'માતા',
+        'registration.parent-relationship.options.father': 'પિતા',
+        'registration.parent-relationship.options.guardian': 'વાલી',
+        'registration.parent-relationship.options.other': 'અન્ય',
+        'registration.parent-email.label': 'ઇમેઇલ સરનામું',
+        'registration.parent-phone.label': 'ફોન નંબર',
+
+        'registration.emergency.legend': 'કટોકટી સંપર્ક',
+        'registration.emergency.note': 'કૃપા કરીને કટોકટીના કિસ્સામાં વૈકલ્પિક સંપર્ક આપો.',
+        'registration.emergency-name.label': 'સંપર્ક વ્યક્તિનું નામ',
+        'registration.emergency-phone.label': 'ફોન નંબર',
+
+        'registration.consent.legend': 'સંમતિ અને ગોપનીયતા',
+        'registration.consent.note': 'આ ફોર્મ મોકલતા પહેલાં કૃપા કરીને અમારી ' + privacyNoticeLink + 'ગોપનીયતા સૂચના</a> વાંચો. ' +
+            'નીચેની વૈકલ્પિક સંમતિઓ કોઈપણ સમયે પાછી ખેંચી શકાય છે.',
+
+        'registration.messages.invalid': 'કૃપા કરીને ઉપરની ભૂલો સુધારો.',
+        'registration.messages.submitting': 'નોંધણી મોકલી રહ્યા છીએ...',
+        'registration.messages.consentFailed': 'તમારું બ્રાઉઝર સંમતિ સુરક્ષિત રીતે નોંધી શક્યું નથી, તેથી કંઈ મોકલાયું નથી. ' +
+            'કૃપા કરીને તમારું બ્રાઉઝર અપડેટ કરો અને ફરી પ્રયાસ કરો.',
+        'registration.messages.successTitle': 'નોંધણી સફળ થઈ!',
+        'registration.messages.registeredOne': '{names} ની નોંધણી થઈ ગઈ છે.',
+        'registration.messages.registeredMany': '{names} ની નોંધણી થઈ ગઈ છે.',
+        'registration.messages.discoveryNote': 'વધુ માહિતી આપવા અને સંમતિ પૂર્ણ કરવા માટે દરેક ખેલાડી માટે Discovery ફોર્મ ભરો.',
+        'registration.messages.discoveryLink': 'Discovery ફોર્મ પર આગળ વધો →',
+        'registration.messages.discoveryLinkFor': '{name} માટે Discovery ફોર્મ પર આગળ વધો →',
+        'registration.messages.queued': 'તમે ઓફલાઇન હોવ તેવું લાગે છે. નોંધણી આ ઉપકરણ પર સાચવવામાં આવી છે અને તમારું કનેક્શન ' +
+            'પાછું આવશે ત્યારે આપમેળે મોકલાશે - ફરીથી મોકલવાની જરૂર નથી.',
+        'registration.messages.alreadyRegisteredTitle': 'પહેલેથી નોંધાયેલ છે.',
+        'registration.messages.alreadyRegisteredOne': '{names} ક્લબમાં પહેલેથી નોંધાયેલ છે, તેથી નવો રેકોર્ડ બનાવવામાં આવ્યો નથી. ' +
+            'તમે સીધા Discovery ફોર્મ પર જઈ શકો છો:',
+        'registration.messages.alreadyRegisteredMany': '{names} ક્લબમાં પહેલેથી નોંધાયેલા છે, તેથી નવા રેકોર્ડ બનાવવામાં આવ્યા નથી. ' +
+            'તમે સીધા Discovery ફોર્મ પર જઈ શકો છો:',
+        'registration.messages.thisAthlete': 'આ ખેલાડી',
+        'registration.messages.detailsChanged': 'જો કોઈ વિગતો બદલાઈ હોય, તો કૃપા કરીને સંપર્ક કરો',
+        'registration.messages.otherAthletes': 'આ ફોર્મ પરના અન્ય ખેલાડીઓની નોંધણી કરવા માટે, પહેલેથી નોંધાયેલા ખેલાડીઓને દૂર કરો અને ફરીથી મોકલો.',
+        'registration.messages.guardianPurpose': '{age} વર્ષથી નાના ખેલાડીઓ માટે આ સંમતિ માતા-પિતા અથવા વાલીએ આપવી જરૂરી છે.',
+        'registration.messages.ageGroup': '{season} માટે વય જૂથ: {ageGroup}',
+        'registration.messages.ageGroups': '{season} માટે વય જૂથ: {trackAndField} (ટ્રેક અને ફીલ્ડ), {crossCountry} (ક્રોસ કન્ટ્રી)',
+
+        // Discovery (discovery.html)
+        'discovery.title': 'ખેલાડી Discovery ફોર્મ - Charnwood AC',
+        'discovery.heading': 'ખેલાડી Discovery ફોર્મ',
+        'discovery.submit': 'Discovery ફોર્મ મોકલો',
+        'discovery.completingFor': 'આ ખેલાડી માટે Discovery ભરી રહ્યા છો:',
+        'discovery.draftResume': 'ડ્રાફ્ટ ચાલુ રાખો',
+        'discovery.draftDiscard': 'ફરીથી શરૂ કરો',
+
+        'discovery.training.legend': 'તાલીમની પૃષ્ઠભૂમિ',
+        'discovery.training-years-total.label': 'એથ્લેટિક્સમાં વર્ષો (કુલ)',
+        'discovery.training-years-coach.label': 'હાલના કોચ સાથે વર્ષો',
+        'discovery.sessions-per-week.label': 'દર અઠવાડિયે તાલીમ સત્રો',
+        'discovery.training-group.label': 'તાલીમ જૂથ',
+        'discovery.training-group.placeholder': 'તાલીમ જૂથ પસંદ કરો',
+        'discovery.previous-sports.label': 'અગાઉની રમતો/પ્રવૃત્તિઓ',
+        'discovery.previous-sports.placeholder': 'એથ્લેટિક્સ પહેલાંની કોઈપણ રમતો અથવા પ્રવૃત્તિઓ, અંદાજિત ઉંમર સાથે લખો',
+
+        'discovery.events.legend': 'ઇવેન્ટ્સ અને વ્યક્તિગત શ્રેષ્ઠ',
+        'discovery.events.itemLegend': 'ઇવેન્ટ {n}',
+        'discovery.events.addLabel': 'ઇવેન્ટ ઉમેરો',
+        'discovery.events.removeLabel': 'આ ઇવેન્ટ દૂર કરો',
+        'discovery.events.emptyText': 'તમે જે ઇવેન્ટ્સ માટે તાલીમ લો છો અથવા સ્પર્ધા કરો છો તે ઉમેરો. વ્યક્તિગત શ્રેષ્ઠ વૈકલ્પિક છે.',
+        'discovery.pb-event.label': 'ઇવેન્ટ',
+        'discovery.pb-event.placeholder': 'ઇવેન્ટ પસંદ કરો',
+        'discovery.pb-event.groups.sprints': 'સ્પ્રિન્ટ્સ',
+        'discovery.pb-event.groups.hurdles': 'હર્ડલ્સ',
+        'discovery.pb-event.groups.middle-distance': 'મધ્યમ અને લાંબા અંતર',
+        'discovery.pb-event.groups.jumps': 'કૂદ',
+        'discovery.pb-event.groups.throws': 'ફેંક',
+        'discovery.pb-event.groups.combined': 'સંયુક્ત ઇવેન્ટ્સ',
+        'discovery.pb-event.groups.cross-country-road': 'ક્રોસ કન્ટ્રી અને રોડ',
+        'discovery.pb-event.options.60m-hurdles': '60m હર્ડલ્સ',
+        'discovery.pb-event.options.70m-hurdles': '70m હર્ડલ્સ',
+        'discovery.pb-event.options.75m-hurdles': '75m હર્ડલ્સ',
+        'discovery.pb-event.options.80m-hurdles': '80m હર્ડલ્સ',
+        'discovery.pb-event.options.100m-hurdles': '100m હર્ડલ્સ',
+        'discovery.pb-event.options.110m-hurdles': '110m હર્ડલ્સ',
+        'discovery.pb-event.options.300m-hurdles': '300m હર્ડલ્સ',
+        'discovery.pb-event.options.400m-hurdles': '400m હર્ડલ્સ',
+        'discovery.pb-event.options.mile': 'માઇલ',
+        'discovery.pb-event.options.1500m-steeplechase': '1500m સ્ટીપલચેઝ',
+        'discovery.pb-event.options.2000m-steeplechase': '2000m સ્ટીપલચેઝ',
+        'discovery.pb-event.options.3000m-steeplechase': '3000m સ્ટીપલચેઝ',
+        'discovery.pb-event.options.high-jump': 'ઊંચી કૂદ',
+        'discovery.pb-event.options.pole-vault': 'પોલ વૉલ્ટ',
+        'discovery.pb-event.options.long-jump': 'લાંબી કૂદ',
+        'discovery.pb-event.options.triple-jump': 'ટ્રિપલ જમ્પ',
+        'discovery.pb-event.options.shot-put': 'ગોળા ફેંક',
+        'discovery.pb-event.options.discus': 'ચક્ર ફેંક',
+        'discovery.pb-event.options.hammer': 'હથોડા ફેંક',
+        'discovery.pb-event.options.javelin': 'ભાલા ફેંક',
+        'discovery.pb-event.options.pentathlon': 'પેન્ટાથલોન',
+        'discovery.pb-event.options.heptathlon': 'હેપ્ટાથલોન',
+        'discovery.pb-event.options.decathlon': 'ડેકાથલોન',
+        'discovery.pb-event.options.cross-country': 'ક્રોસ કન્ટ્રી',
+        'discovery.pb-event.options.5k-road': '5K રોડ / parkrun',
+        'discovery.pb-event.options.10k-road': '10K રોડ',
+        'discovery.pb-event.options.half-marathon': 'હાફ મેરેથોન',
+        'discovery.pb-event.options.marathon': 'મેરેથોન',
+        'discovery.pb-mark.label': 'વ્યક્તિગત શ્રેષ્ઠ',
+        'discovery.pb-mark.placeholder': 'દા.ત. 2:15.40, 12.85, 5.32 અથવા 3105',
+        'discovery.pb-date.label': 'પ્રાપ્ત કર્યાની તારીખ',
+        'discovery.pb-venue.label': 'સ્થળ',
+        'discovery.pb-venue.placeholder': 'દા.ત. Loughborough',
+        'discovery.events-goals.legend': 'લક્ષ્યો',
+        'discovery.goals-short-term.label': 'ટૂંકા ગાળાના લક્ષ્યો (આ સીઝન)',
+        'discovery.goals-short-term.placeholder': 'આ સીઝનમાં તમે શું મેળવવા માંગો છો?',
+        'discovery.goals-medium-term.label': 'મધ્યમ ગાળાના લક્ષ્યો (1-2 વર્ષ)',
+        'discovery.goals-medium-term.placeholder': '1-2 વર્ષમાં તમે પોતાને ક્યાં જુઓ છો?',
+        'discovery.goals-long-term.label': 'લાંબા ગાળાની આકાંક્ષાઓ',
+        'discovery.goals-long-term.placeholder': 'એથ્લેટિક્સમાં તમારાં સૌથી મોટાં સપનાં શું છે?',
+        'discovery.motivation.label': 'તમે એથ્લેટિક્સ કેમ કરો છો?',
+        'discovery.motivation.placeholder': 'તમને તાલીમ અને સ્પર્ધા માટે શું પ્રેરિત કરે છે?',
+
+        'discovery.growth.legend': 'વૃદ્ધિ અને વિકાસ',
+        'discovery.growth.note': 'આ માહિતી અમને પરિપક્વતા પર નજર રાખવામાં અને તાલીમને યોગ્ય રીતે ગોઠવવામાં મદદ કરે છે.',
+        'discovery.height.label': 'હાલની ઊંચાઈ (સેમી)',
+        'discovery.height.placeholder': 'દા.ત., 165',
+        'discovery.weight.label': 'હાલનું વજન (કિગ્રા)',
+        'discovery.weight.placeholder': 'દા.ત., 52',
+        'discovery.mother-height.label': 'માતાની ઊંચાઈ (સેમી)',
+        'discovery.mother-height.placeholder': 'પુખ્ત વયની ઊંચાઈનો અંદાજ કાઢવામાં મદદ કરે છે',
+        'discovery.father-height.label': 'પિતાની ઊંચાઈ (સેમી)',
+        'discovery.father-height.placeholder': 'પુખ્ત વયની ઊંચાઈનો અંદાજ કાઢવામાં મદદ કરે છે',
+
+        'discovery.health.legend': 'આરોગ્ય',
+        'discovery.health.note': 'તાલીમ દરમિયાન કોચને ઝડપથી પગલાં લેવા પડે તેવી કોઈપણ સ્થિતિ પર ટિક કરો.',
+        'discovery.condition-asthma.label': 'અસ્થમા',
+        'discovery.condition-epilepsy.label': 'વાઈ અથવા આંચકી',
+        'discovery.condition-diabetes.label': 'ડાયાબિટીસ',
+        'discovery.condition-anaphylaxis.label': 'ગંભીર એલર્જી (એનાફિલેક્સિસનું જોખમ)',
+        'discovery.condition-heart.label': 'હૃદયની સ્થિતિ',
+        'discovery.medical-conditions.label': 'અન્ય તબીબી સ્થિતિઓ',
+        'discovery.medical-conditions.placeholder': 'દા.ત., હાઇપરમોબિલિટી, માઇગ્રેન',
+        'discovery.medication.label': 'દવા',
+        'discovery.medication.placeholder': 'નામ, માત્રા અને ક્યારે લેવાય છે, દા.ત. કસરત પહેલાં વાદળી ઇન્હેલર',
+        'discovery.carries-medication.label': 'દરેક સત્રમાં પોતાની દવા લાવે છે (દા.ત. ઇન્હેલર, ઓટો-ઇન્જેક્ટર)',
+        'discovery.emergency-action.label': 'કટોકટીમાં શું કરવું',
+        'discovery.emergency-action.placeholder': 'કટોકટીમાં કોચે શું કરવું જોઈએ? દા.ત. ઓટો-ઇન્જેક્ટર આપો, 999 પર કૉલ કરો',
+        'discovery.dietary-requirements.label': 'આહાર સંબંધી જરૂરિયાતો',
+        'discovery.dietary-requirements.placeholder': 'દા.ત., શાકાહારી, ખોરાકની એલર્જી, અસહિષ્ણુતા',
+
+        'discovery.injuries.legend': 'ઈજાનો ઇતિહાસ',
+        'discovery.injuries.itemLegend': 'ઈજા {n}',
+        'discovery.injuries.addLabel': 'ઈજા ઉમેરો',
+        'discovery.injuries.removeLabel': 'આ ઈજા દૂર કરો',
+        'discovery.injuries.emptyText': 'કોઈ ઈજા ઉમેરી નથી. તાલીમ બંધ કરાવનાર અથવા બદલનાર દરેક ઈજા ઉમેરો - અંદાજિત તારીખ ચાલશે.',
+        'discovery.injury-body-area.label': 'શરીરનો ભાગ',
+        'discovery.injury-body-area.placeholder': 'શરીરનો ભાગ પસંદ કરો',
+        'discovery.injury-body-area.options.head-neck': 'માથું અથવા ગરદન',
+        'discovery.injury-body-area.options.shoulder-arm': 'ખભો, હાથ અથવા હથેળી',
+        'discovery.injury-body-area.options.back': 'પીઠ',
+        'discovery.injury-body-area.options.hip-groin': 'નિતંબ અથવા જાંઘનો સાંધો',
+        'discovery.injury-body-area.options.thigh': 'જાંઘ (હેમસ્ટ્રિંગ અથવા ક્વાડ)',
+        'discovery.injury-body-area.options.knee': 'ઘૂંટણ',
+        'discovery.injury-body-area.options.lower-leg': 'નીચલો પગ (નળી અથવા પિંડી)',
+        'discovery.injury-body-area.options.ankle': 'ઘૂંટી',
+        'discovery.injury-body-area.options.foot': 'પગનો પંજો અથવા એડી',
+        'discovery.injury-body-area.options.other': 'અન્ય',
+        'discovery.injury-type.label': 'ઈજાનો પ્રકાર',
+        'discovery.injury-type.placeholder': 'ઈજાનો પ્રકાર પસંદ કરો',
+        'discovery.injury-type.options.muscle': 'સ્નાયુ ખેંચાણ અથવા ફાટવું',
+        'discovery.injury-type.options.tendon': 'કંડરાની સમસ્યા',
+        'discovery.injury-type.options.ligament': 'અસ્થિબંધન મચકોડ',
+        'discovery.injury-type.options.bone-stress': 'સ્ટ્રેસ ફ્રેક્ચર અથવા હાડકા પર દબાણ',
+        'discovery.injury-type.options.fracture': 'ફ્રેક્ચર (હાડકું તૂટવું)',
+        'discovery.injury-type.options.joint': 'સાંધો અથવા કાર્ટિલેજ',
+        'discovery.injury-type.options.growth-related': 'વૃદ્ધિ સંબંધિત (દા.ત. Osgood-Schlatter, Sever\'s)',
+        'discovery.injury-type.options.concussion': 'મગજનો આઘાત (કન્કશન)',
+        'discovery.injury-type.options.other': 'અન્ય',
+        'discovery.injury-date.label': 'અંદાજિત તારીખ',
+        'discovery.injury-date.placeholder': 'વવવવ-મમ',
+        'discovery.injury-weeks-out.label': 'તાલીમથી દૂર સમય (અઠવાડિયા)',
+        'discovery.injury-weeks-out.placeholder': 'દા.ત. 3',
+        'discovery.injury-ongoing.label': 'હજુ પણ તાલીમને અસર કરે છે',
+        'discovery.injury-diagnosed.label': 'ડૉક્ટર અથવા ફિઝિયોથેરાપિસ્ટ દ્વારા નિદાન થયેલ',
+        'discovery.injury-notes.label': 'નોંધો',
+        'discovery.injury-notes.placeholder': 'કોચને જાણવું જોઈએ તેવું બીજું કંઈ, દા.ત. સારવાર અથવા શું મદદરૂપ થયું',
+
+        'discovery.lifestyle.legend': 'જીવનશૈલી અને પ્રતિબદ્ધતાઓ',
+        'discovery.school.label': 'શાળા',
+        'discovery.school.placeholder': 'શાળાનું નામ',
+        'discovery.year-group.label': 'શાળાનું વર્ષ (Year Group)',
+        'discovery.year-group.placeholder': 'વર્ષ પસંદ કરો',
+        'discovery.year-group.options.Left School': 'શાળા છોડી દીધી',
+        'discovery.school-sports.label': 'શાળાની રમત પ્રતિબદ્ધતાઓ',
+        'discovery.school-sports.placeholder': 'તાલીમને અસર કરતી કોઈપણ શાળા ટીમ અથવા PE પ્રતિબદ્ધતાઓ',
+        'discovery.other-activities.label': 'અન્ય નિયમિત પ્રવૃત્તિઓ',
+        'discovery.other-activities.placeholder': 'સંગીત, ક્લબ, પાર્ટ-ટાઇમ નોકરી વગેરે',
+
+        'discovery.family.legend': 'પરિવાર અને સહયોગ',
+        'discovery.lives-with.label': 'કોની સાથે રહે છે',
+        'discovery.lives-with.placeholder': 'દા.ત., માતા-પિતા બંને, મમ્મી, પપ્પા અને સાવકી મા',
+        'discovery.siblings.label': 'ભાઈ-બહેન (ઉંમર)',
+        'discovery.siblings.placeholder': 'દા.ત., ભાઈ (14), બહેન (10)',
+        'discovery.parent-involvement.label': 'માતા-પિતા/વાલીની સામેલગીરીનું સ્તર',
+        'discovery.parent-involvement.placeholder': 'સામેલગીરીનું સ્તર પસંદ કરો',
+        'discovery.parent-involvement.options.High': 'ઉચ્ચ - તાલીમ/સ્પર્ધાઓમાં ખૂબ સામેલ',
+        'discovery.parent-involvement.options.Medium': 'મધ્યમ - સહયોગી, કેટલીક ઇવેન્ટ્સમાં હાજર રહે છે',
+        'discovery.parent-involvement.options.Low': 'ઓછું - ન્યૂનતમ સામેલગીરી',
+        'discovery.communication-preference.label': 'સંપર્કની પસંદગીની રીત',
+        'discovery.communication-preference.placeholder': 'રીત પસંદ કરો',
+        'discovery.communication-preference.options.Email': 'ઇમેઇલ',
+        'discovery.communication-preference.options.Phone': 'ફોન કૉલ',
+        'discovery.communication-preference.options.Text': 'ટેક્સ્ટ મેસેજ',
+
+        'discovery.logistics.legend': 'સુવિધાઓ અને વ્યવસ્થા',
+        'discovery.travel-to-training.label': 'તેઓ તાલીમ માટે કેવી રીતે આવે છે?',
+        'discovery.travel-to-training.placeholder': 'દા.ત., માતા-પિતા મૂકી જાય છે, સાયકલ, ચાલીને',
+        'discovery.travel-time.label': 'તાલીમ સુધી પહોંચવાનો સામાન્ય સમય (મિનિટ)',
+        'discovery.travel-time.placeholder': 'દા.ત., 20',
+        'discovery.facility-access.label': 'સુવિધાઓની ઉપલબ્ધતા',
+        'discovery.facility-access.placeholder': 'તાલીમ માટે ટ્રેક, જિમ, સ્વિમિંગ પૂલ, સ્થાનિક પાર્કની ઉપલબ્ધતા',
+        'discovery.competition-travel.label': 'બહારગામની સ્પર્ધાઓમાં જઈ શકે છે?',
+        'discovery.competition-travel.placeholder': 'ઉપલબ્ધતા પસંદ કરો',
+        'discovery.competition-travel.options.Yes': 'હા - મોટાભાગની સ્પર્ધાઓ',
+        'discovery.competition-travel.options.Sometimes': 'ક્યારેક - સ્થળ/સમય પર આધાર રાખે છે',
+        'discovery.competition-travel.options.Rarely': 'ભાગ્યે જ - મુસાફરી/ખર્ચની મર્યાદાઓ',
+
+        'discovery.calendar.legend': 'વાર્ષિક કેલેન્ડર (વૈકલ્પિક)',
+        'discovery.calendar.itemLegend': 'ગેરહાજરી {n}',
+        'discovery.calendar.addLabel': 'ગેરહાજરી અથવા પરીક્ષાનો સમયગાળો ઉમેરો',
+        'discovery.calendar.removeLabel': 'આ ગેરહાજરી દૂર કરો',
+        'discovery.calendar.emptyText': 'તમારી પ્રતિબદ્ધતાઓ મુજબ આયોજન કરવામાં અમારી મદદ કરો - કૌટુંબિક રજાઓ, શાળા પ્રવાસો અને પરીક્ષાના સમયગાળા ઉમેરો. તમે આ પછીથી અપડેટ કરી શકો છો.',
+        'discovery.absence-category.label': 'કારણ',
+        'discovery.absence-category.placeholder': 'કારણ પસંદ કરો',
+        'discovery.absence-category.options.holiday': 'કૌટુંબિક રજા',
+        'discovery.absence-category.options.school-trip': 'શાળા પ્રવાસ',
+        'discovery.absence-category.options.exams': 'પરીક્ષાઓ',
+        'discovery.absence-category.options.school': 'શાળાની અન્ય પ્રતિબદ્ધતા',
+        'discovery.absence-category.options.other-sport': 'અન્ય રમત અથવા પ્રવૃત્તિ',
+        'discovery.absence-category.options.other': 'અન્ય',
+        'discovery.absence-start.label': 'થી',
+        'discovery.absence-end.label': 'સુધી (સહિત)',
+        'discovery.absence-details.label': 'વિગતો',
+        'discovery.absence-details.placeholder': 'દા.ત. GCSE, Year 8 નો ફ્રાન્સ પ્રવાસ',
+
+        'discovery.consent.legend': 'સંમતિ અને ગોપનીયતા',
+        'discovery.consent.note': 'આ ફોર્મ મોકલતા પહેલાં કૃપા કરીને અમારી ' + privacyNoticeLink + 'ગોપનીયતા સૂચના</a> વાંચો.',
+        'discovery.consent-given-by.label': 'આ સંમતિ કોણ આપી રહ્યું છે?',
+        'discovery.consent-given-by.placeholder': 'પસંદ કરો',
+        'discovery.consent-given-by.options.guardian': 'માતા-પિતા અથવા વાલી',
+        'discovery.consent-given-by.options.athlete': 'ખેલાડી પોતે',
+
+        'discovery.messages.noAthlete': 'ખેલાડીની ઓળખ થઈ નથી. કૃપા કરીને તમારી નોંધણી પુષ્ટિમાંની લિંકનો ઉપયોગ કરો.',
+        'discovery.messages.linkExpiredTitle': 'લિંકની મુદત પૂરી થઈ',
+        'discovery.messages.linkExpired': 'આ Discovery ફોર્મ લિંકની મુદત પૂરી થઈ ગઈ છે. નવી લિંક માટે કૃપા કરીને કોચનો સંપર્ક કરો.',
+        'discovery.messages.linkInvalidTitle': 'લિંક માન્ય નથી',
+        'discovery.messages.linkInvalid': 'આ Discovery ફોર્મ લિંક માન્ય નથી. કૃપા કરીને તમારી નોંધણી પુષ્ટિમાંની લિંકનો ઉપયોગ કરો, ' +
+            'અથવા નવી લિંક માટે કોચનો સંપર્ક કરો.',
+        'discovery.messages.unknownAthlete': 'અજાણ્યો ખેલાડી',
+        'discovery.messages.encryptionFailed': 'તમારું બ્રાઉઝર આરોગ્યની વિગતો સુરક્ષિત રીતે એન્ક્રિપ્ટ કરી શક્યું નથી, તેથી કંઈ મોકલાયું નથી. ' +
+            'કૃપા કરીને તમારું બ્રાઉઝર અપડેટ કરો અથવા કોચનો સંપર્ક કરો.',
+        'discovery.messages.invalid': 'કૃપા કરીને ઉપરની ભૂલો સુધારો.',
+        'discovery.messages.submitting': 'Discovery ફોર્મ મોકલી રહ્યા છીએ...',
+        'discovery.messages.success': 'Discovery ફોર્મ સફળતાપૂર્વક મોકલાયું! {name} ની પ્રોફાઇલ હવે પૂર્ણ અને સક્રિય છે. ',
+        'discovery.messages.queued': 'તમે ઓફલાઇન હોવ તેવું લાગે છે. {name} નું Discovery ફોર્મ આ ઉપકરણ પર સાચવવામાં આવ્યું છે ' +
+            'અને તમારું કનેક્શન પાછું આવશે ત્યારે આપમેળે મોકલાશે - ફરીથી મોકલવાની જરૂર નથી.',
+        'discovery.messages.consentLink': 'સંમતિ જુઓ અથવા પાછી ખેંચો',
+        'discovery.messages.calendarLink': '{name} ની ગેરહાજરીઓ તમારા કેલેન્ડરમાં ઉમેરો (.ics)',
+        'discovery.messages.calendarName': '{name} - ગેરહાજરીઓ',
+        'discovery.messages.guardianPurpose': '{age} વર્ષથી નાના ખેલાડીઓ માટે આ સંમતિ માતા-પિતા અથવા વાલીએ આપવી જરૂરી છે.',
+        'discovery.messages.draftPrompt': '{name} માટે તમારો એક અધૂરો ડ્રાફ્ટ છે, જે {time} એ સાચવ્યો હતો.',
+        'discovery.messages.draftSaved': 'ડ્રાફ્ટ આ ઉપકરણ પર {time} એ સાચવ્યો',
+        'discovery.messages.draftRestored': 'ડ્રાફ્ટ પાછો લાવવામાં આવ્યો',
+
+        // Consent (consent.html)
+        'consent.title': 'સંમતિનું સંચાલન - Charnwood AC',
+        'consent.heading': 'સંમતિનું સંચાલન',
+        'consent.consentFor': 'આ ખેલાડી માટે સંમતિ:',
+        'consent.submit': 'પસંદ કરેલી સંમતિ પાછી ખેંચો',
+
+        'consent.current.legend': 'હાલની સંમતિ',
+        'consent.current.note': 'આ ખેલાડી માટે રાખવામાં આવેલી સંમતિઓ આ છે. તમે જે પાછી ખેંચવા માંગો છો તેના પર ટિક કરો. પાછી ખેંચવાનું હવેથી ' +
+            'લાગુ થાય છે અને તે પહેલાં કરેલી કોઈ બાબતને અસર કરતું નથી.',
+        'consent.withdraw.legend': 'સંમતિ પાછી ખેંચો',
+        'consent.withdrawn-by.label': 'સંમતિ કોણ પાછી ખેંચી રહ્યું છે?',
+        'consent.withdrawn-by.placeholder': 'પસંદ કરો',
+        'consent.withdrawn-by.options.guardian': 'માતા-પિતા અથવા વાલી',
+        'consent.withdrawn-by.options.athlete': 'ખેલાડી પોતે',
+
+        'consent.messages.noAthlete': 'ખેલાડીની ઓળખ થઈ નથી. કૃપા કરીને તમારી નોંધણી પુષ્ટિમાંની લિંકનો ઉપયોગ કરો.',
+        'consent.messages.linkExpiredTitle': 'લિંકની મુદત પૂરી થઈ',
+        'consent.messages.linkExpired': 'આ સંમતિ લિંકની મુદત પૂરી થઈ ગઈ છે. નવી લિંક માટે કૃપા કરીને કોચનો સંપર્ક કરો.',
+        'consent.messages.linkInvalidTitle': 'લિંક માન્ય નથી',
+        'consent.messages.linkInvalid': 'આ સંમતિ લિંક માન્ય નથી. કૃપા કરીને તમારી નોંધણી પુષ્ટિમાંની લિંકનો ઉપયોગ કરો, અથવા નવી લિંક માટે કોચનો સંપર્ક કરો.',
+        'consent.messages.unknownAthlete': 'અજાણ્યો ખેલાડી',
+        'consent.messages.loadFailed': 'હાલની સંમતિ લોડ કરી શકાઈ નથી. કૃપા કરીને તમારું કનેક્શન તપાસો અને પેજ ફરીથી લોડ કરો.',
+        'consent.messages.nothingSelected': 'કૃપા કરીને પાછી ખેંચવા માટે ઓછામાં ઓછી એક સંમતિ પર ટિક કરો.',
+        'consent.messages.invalid': 'કૃપા કરીને ઉપરની ભૂલો સુધારો.',
+        'consent.messages.notGiven': 'આપેલ નથી',
+        'consent.messages.withdrawnOn': '{date} ના રોજ પાછી ખેંચી',
+        'consent.messages.givenOnBy': '{date} ના રોજ {givenBy} દ્વારા આપેલ',
+        'consent.messages.givenBy': '{givenBy} દ્વારા આપેલ',
+        'consent.messages.givenByGuardian': 'માતા-પિતા અથવા વાલી',
+        'consent.messages.givenByAthlete': 'ખેલાડી',
+        'consent.messages.statementVersion': '(નિવેદન આવૃત્તિ {version})',
+        'consent.messages.statementAgreed': 'સંમતિ આપેલ નિવેદન: "{text}"',
+        'consent.messages.withdrawThis': 'આ સંમતિ પાછી ખેંચો',
+        'consent.messages.withdrawing': 'સંમતિ પાછી ખેંચી રહ્યા છીએ...',
+        'consent.messages.withdrawn': 'સંમતિ પાછી ખેંચી: {purposes}. રેકોર્ડ પરના સંપર્ક ઇમેઇલ પર પુષ્ટિ મોકલવામાં આવશે.',
+        'consent.messages.queued': 'તમે ઓફલાઇન હોવ તેવું લાગે છે. સંમતિ પાછી ખેંચવાની વિનંતી આ ઉપકરણ પર સાચવવામાં આવી છે અને તમારું કનેક્શન પાછું ' +
+            'આવે ત્યારે આપમેળે મોકલવામાં આવશે - તેને ફરીથી મોકલવાની જરૂર નથી.',
+
+        // Data protection requests (data-request.html)
+        'data-request.title': 'ડેટા સુરક્ષા વિનંતી - Charnwood AC',
+        'data-request.heading': 'ડેટા સુરક્ષા વિનંતી',
+        'data-request.intro': 'અમે ખેલાડી વિશે રાખેલા ડેટાની નકલ માંગવા, તેને સુધારવા, કાઢી નાખવા અથવા મશીન-વાંચી શકાય તેવા ફોર્મેટમાં ' +
+            'મેળવવા માટે આ ફોર્મનો ઉપયોગ કરો. અમે એક કૅલેન્ડર મહિનાની અંદર જવાબ આપીએ છીએ.',
+        'data-request.submit': 'વિનંતી મોકલો',
+        'data-request.requestFor': 'આ વિનંતી આ ખેલાડી વિશે છે:',
+
+        'data-request.request.legend': 'તમારી વિનંતી',
+        'data-request.request-type.label': 'તમે શું કરવા માંગો છો?',
+        'data-request.request-type.placeholder': 'વિનંતીનો પ્રકાર પસંદ કરો',
+        'data-request.request-type.options.access': 'ઍક્સેસ - રાખેલા ડેટાની નકલ મેળવો',
+        'data-request.request-type.options.rectification': 'સુધારો - ખોટો ડેટા સુધારો',
+        'data-request.request-type.options.erasure': 'કાઢી નાખવું - રાખેલો ડેટા કાઢી નાખો',
+        'data-request.request-type.options.portability': 'પોર્ટેબિલિટી - ડેટા મશીન-વાંચી શકાય તેવા ફોર્મેટમાં મેળવો',
+        'data-request.request-details.label': 'અમને બીજું કંઈ જાણવું જોઈએ? (વૈકલ્પિક)',
+
+        'data-request.rectification.legend': 'સુધારા',
+        'data-request.rectification.note': 'કઈ વિગતો ખોટી છે અને તે શું હોવી જોઈએ તે અમને જણાવો.',
+        'data-request.rectification-details.label': 'સુધારવાની વિગતો',
+        'data-request.rectification-details.placeholder': 'દા.ત. જન્મ તારીખ 3 મે 2012 હોવી જોઈએ, 5 માર્ચ 2012 નહીં',
+
+        'data-request.portability.legend': 'ડેટા ફોર્મેટ',
+        'data-request.portability-format.label': 'ફોર્મેટ',
+        'data-request.portability-format.placeholder': 'ફોર્મેટ પસંદ કરો',
+        'data-request.portability-format.options.csv': 'CSV (સ્પ્રેડશીટ)',
+
+        'data-request.athlete.legend': 'ખેલાડી',
+        'data-request.athlete.note': 'જે ખેલાડીના ડેટા વિશે આ વિનંતી છે.',
+        'data-request.athlete-first-name.label': 'પ્રથમ નામ',
+        'data-request.athlete-last-name.label': 'અટક',
+        'data-request.athlete-dob.label': 'જન્મ તારીખ',
+
+        'data-request.requester.legend': 'તમારી વિગતો',
+        'data-request.requester.note': 'અમે આને નોંધણી વખતે આપેલી માતા-પિતા/વાલી (અથવા પુખ્ત ખેલાડી) ની સંપર્ક વિગતો સાથે તપાસીએ છીએ, અને ફક્ત ' +
+            'નોંધાયેલા ઇમેઇલ સરનામા પર જ જવાબ આપીએ છીએ.',
+        'data-request.requester-first-name.label': 'પ્રથમ નામ',
+        'data-request.requester-last-name.label': 'અટક',
+        'data-request.requester-relationship.label': 'ખેલાડી સાથેનો સંબંધ',
+        'data-request.requester-relationship.placeholder': 'સંબંધ પસંદ કરો',
+        'data-request.requester-relationship.options.self': 'હું ખેલાડી છું',
+        'data-request.requester-relationship.options.parent': 'માતા-પિતા',
+        'data-request.requester-relationship.options.guardian': 'વાલી',
+        'data-request.requester-email.label': 'નોંધાયેલ ઇમેઇલ સરનામું',
+        'data-request.requester-phone.label': 'નોંધાયેલ ફોન નંબર',
+
+        'data-request.declaration.legend': 'ઘોષણા',
+        'data-request.declaration-authority.label': 'હું પુષ્ટિ કરું છું કે હું ઉપર જણાવેલ ખેલાડી છું, અથવા તેમના વતી કાર્ય કરવાનો અધિકાર ધરાવતા તેમના માતા-પિતા ' +
+            'અથવા કાનૂની વાલી છું',
+
+        'data-request.messages.invalid': 'કૃપા કરીને ઉપરની ભૂલો સુધારો.',
+        'data-request.messages.submitting': 'વિનંતી મોકલી રહ્યા છીએ...',
+        'data-request.messages.queueLabel': 'ડેટા વિનંતી {reference}',
+        'data-request.messages.received': 'વિનંતી મળી ગઈ.',
+        'data-request.messages.queued': 'તમે ઓફલાઇન હોવ તેવું લાગે છે. તમારી વિનંતી આ ઉપકરણ પર સાચવવામાં આવી છે અને તમારું કનેક્શન પાછું આવે ત્યારે ' +
+            'આપમેળે મોકલવામાં આવશે.',
+        'data-request.messages.reference': 'સંદર્ભ:',
+        'data-request.messages.respondBy': 'અમે {date} સુધીમાં જવાબ આપીશું.',
+        'data-request.messages.identityNote': 'અમે તમારી વિગતો અમારા નોંધણી રેકોર્ડ સાથે તપાસીશું અને નોંધાયેલા ઇમેઇલ સરનામા પર જવાબ આપીશું. જો તમારી ઓળખની ' +
+            'પુષ્ટિ કરવા માટે અમને વધુ માહિતીની જરૂર હશે, તો અમે તમારો સંપર્ક કરીશું. કૃપા કરીને કોઈપણ પત્રવ્યવહારમાં તમારો સંદર્ભ જણાવો.',
+        'data-request.messages.linkNotUsed': 'તમારી ખેલાડી લિંકની ચકાસણી થઈ શકી નથી, તેથી અમે તેના બદલે તમારું ઇમેઇલ સરનામું અને ફોન નંબર ખેલાડી માટે ' +
+            'નોંધાયેલી વિગતો સાથે તપાસીશું.',
+        'data-request.messages.notVerified': 'અમે આ વિગતોને અમારા નોંધણી રેકોર્ડ સાથે મેળવી શક્યા નથી. કૃપા કરીને ખેલાડીનું નામ અને જન્મ તારીખ, અને ઇમેઇલ ' +
+            'સરનામું અથવા ફોન નંબર બરાબર નોંધણી વખતે આપ્યા પ્રમાણે દાખલ કરો - અથવા તમારી નોંધણી પુષ્ટિમાંની લિંકનો ઉપયોગ કરો.'
+    });
+})();
@@ -0,0 +1,505 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Punjabi (pa, Gurmukhi) translations - see i18n.js for the keys; anything
+ * missing here is shown in English
+ */
+
+(function() {
+    'use strict';
+
+    const privacyNoticeLink = '<a href="' + window.MAD.Consent.PRIVACY_NOTICE.url + '" id="privacy-notice-link" target="_blank" rel="noopener">';
+
+    window.MAD.I18n.register('pa', {
+        // Shared
+        'common.language': 'ਭਾਸ਼ਾ',
+        'common.questions': 'ਸਵਾਲ? ਸੰਪਰਕ ਕਰੋ',
+        'common.dataRequestLink': 'ਡਾਟਾ ਸੁਰੱਖਿਆ ਬੇਨਤੀ ਕਰੋ',
+
+        'form.required': 'ਇਹ ਖੇਤਰ ਲੋੜੀਂਦਾ ਹੈ',
+        'form.email': 'ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਸਹੀ ਈਮੇਲ ਪਤਾ ਦਰਜ ਕਰੋ',
+        'form.phone': 'ਕਿਰਪਾ ਕਰਕੇ ਚੁਣੇ ਹੋਏ ਦੇਸ਼ ਲਈ ਇੱਕ ਸਹੀ ਫ਼ੋਨ ਨੰਬਰ ਦਰਜ ਕਰੋ',
+        'form.phoneCountry': 'ਦੇਸ਼ ਕੋਡ',
+        'form.date': 'ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਸਹੀ ਮਿਤੀ ਦਰਜ ਕਰੋ',
+        'form.number': 'ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਸਹੀ ਨੰਬਰ ਦਰਜ ਕਰੋ',
+        'form.range': 'ਕਿਰਪਾ ਕਰਕੇ {min} ਅਤੇ {max} ਦੇ ਵਿਚਕਾਰ ਮੁੱਲ ਦਰਜ ਕਰੋ',
+        'form.consent': 'ਜਾਰੀ ਰੱਖਣ ਲਈ ਤੁਹਾਨੂੰ ਸਹਿਮਤ ਹੋਣਾ ਪਵੇਗਾ',
+        'form.futureDate': 'ਜਨਮ ਮਿਤੀ ਭਵਿੱਖ ਦੀ ਨਹੀਂ ਹੋ ਸਕਦੀ',
+        'form.futureMonth': 'ਮਿਤੀ ਭਵਿੱਖ ਦੀ ਨਹੀਂ ਹੋ ਸਕਦੀ',
+        'form.pastDate': 'ਇਹ ਮਿਤੀ ਭਵਿੱਖ ਦੀ ਨਹੀਂ ਹੋ ਸਕਦੀ',
+        'form.dateOrder': 'ਆਖਰੀ ਮਿਤੀ ਸ਼ੁਰੂਆਤੀ ਮਿਤੀ ਤੋਂ ਪਹਿਲਾਂ ਦੀ ਨਹੀਂ ਹੋ ਸਕਦੀ',
+        'form.markEvent': 'ਪਹਿਲਾਂ ਈਵੈਂਟ ਚੁਣੋ',
+        'form.markTime': 'ਸਮਾਂ mm:ss.xx ਵਜੋਂ ਦਰਜ ਕਰੋ, ਜਿਵੇਂ 2:15.40 (ਜਾਂ ਸਪ੍ਰਿੰਟ ਲਈ ਸਕਿੰਟਾਂ ਵਿੱਚ, ਜਿਵੇਂ 12.85)',
+        'form.markDistance': 'ਦੂਰੀ ਮੀਟਰਾਂ ਵਿੱਚ ਦਰਜ ਕਰੋ, ਜਿਵੇਂ 5.32',
+        'form.markPoints': 'ਅੰਕ ਦਰਜ ਕਰੋ, ਜਿਵੇਂ 3105',
+        'form.markImpossible': 'ਇਸ ਈਵੈਂਟ ਲਈ ਇਹ ਨਤੀਜਾ ਸੰਭਵ ਨਹੀਂ ਹੈ - ਕਿਰਪਾ ਕਰਕੇ ਜਾਂਚ ਕਰੋ',
+        'form.markNotRecorded': 'ਇਸ ਈਵੈਂਟ ਲਈ ਨਿੱਜੀ ਸਰਵੋਤਮ ਦਰਜ ਨਹੀਂ ਕੀਤੇ ਜਾਂਦੇ',
+        'form.tooOld': 'ਕਿਰਪਾ ਕਰਕੇ ਜਨਮ ਮਿਤੀ ਜਾਂਚੋ',
+        'form.payloadInvalid': 'ਫ਼ਾਰਮ ਨੇ ਅਣਕਿਆਸਿਆ ਡਾਟਾ ਬਣਾਇਆ, ਇਸ ਲਈ ਤੁਹਾਡੇ ਜਵਾਬ ਭੇਜੇ ਨਹੀਂ ਜਾ ਸਕੇ। ਕਿਰਪਾ ਕਰਕੇ ਕਲੱਬ ਨਾਲ ਸੰਪਰਕ ਕਰੋ',
+        'form.summaryTitle': 'ਇੱਕ ਸਮੱਸਿਆ ਹੈ',
+        'form.select': 'ਚੁਣੋ',
+        'form.submitting': 'ਭੇਜਿਆ ਜਾ ਰਿਹਾ ਹੈ...',
+
+        'review.heading': 'ਆਪਣੇ ਜਵਾਬ ਜਾਂਚੋ',
+        'review.intro': 'ਭੇਜਣ ਤੋਂ ਪਹਿਲਾਂ ਇਹ ਵੇਰਵੇ ਜਾਂਚੋ। ਕਿਸੇ ਭਾਗ ਨੂੰ ਬਦਲਣ ਲਈ "ਸੋਧੋ" ਵਰਤੋ।',
+        'review.confirm': 'ਪੁਸ਼ਟੀ ਕਰੋ ਅਤੇ ਭੇਜੋ',
+        'review.back': 'ਫ਼ਾਰਮ ਤੇ ਵਾਪਸ ਜਾਓ',
+        'review.empty': 'ਨਹੀਂ ਦਿੱਤਾ',
+        'review.none': 'ਕੁਝ ਨਹੀਂ ਜੋੜਿਆ',
+        'review.yes': 'ਹਾਂ',
+        'review.no': 'ਨਹੀਂ',
+        'review.edit': 'ਸੋਧੋ',
+        'review.editSection': '{section} ਸੋਧੋ',
+        'profile.title': 'ਖਿਡਾਰੀ ਦੀ ਪ੍ਰੋਫਾਈਲ: {name}',
+        'profile.submitted': '{time} ਨੂੰ ਭੇਜਿਆ',
+        'profile.queued': '{time} ਨੂੰ ਇਸ ਡਿਵਾਈਸ \'ਤੇ ਸੰਭਾਲਿਆ - ਤੁਹਾਡਾ ਕਨੈਕਸ਼ਨ ਵਾਪਸ ਆਉਣ \'ਤੇ ਭੇਜਿਆ ਜਾਵੇਗਾ',
+        'profile.declaration': 'ਘੋਸ਼ਣਾ',
+        'profile.consentRecorded': '{time} ਨੂੰ ਸਹਿਮਤੀ ਦਰਜ ਕੀਤੀ (ਪਰਦੇਦਾਰੀ ਨੋਟਿਸ ਸੰਸਕਰਣ {version})',
+        'profile.print': 'ਕਾਪੀ ਛਾਪੋ ਜਾਂ ਸੰਭਾਲੋ (PDF)',
+        'health.title': 'ਇਸ ਵੇਲੇ ਕਲੱਬ ਦੇ ਸਰਵਰ ਤੱਕ ਪਹੁੰਚ ਨਹੀਂ ਹੋ ਰਹੀ।',
+        'health.text': 'ਤੁਸੀਂ ਫਿਰ ਵੀ ਫ਼ਾਰਮ ਭਰ ਸਕਦੇ ਹੋ - ਇਹ ਇਸ ਡਿਵਾਈਸ \'ਤੇ ਸੰਭਾਲਿਆ ਜਾਵੇਗਾ ਅਤੇ ਸਰਵਰ ਵਾਪਸ ਆਉਣ \'ਤੇ ਆਪਣੇ ਆਪ ਭੇਜਿਆ ਜਾਵੇਗਾ - ਪਰ ਤੁਸੀਂ ਬਾਅਦ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰਨਾ ਵੀ ਚੁਣ ਸਕਦੇ ਹੋ।',
+        'health.retry': 'ਦੁਬਾਰਾ ਜਾਂਚੋ',
+
+        'wizard.back': 'ਪਿੱਛੇ',
+        'wizard.next': 'ਅੱਗੇ',
+        'wizard.step': 'ਕਦਮ {n} / {total}: {legend}',
+
+        'queue.failed': 'ਭੇਜਣਾ ਅਸਫਲ ਰਿਹਾ',
+        'queue.timeout': 'ਬੇਨਤੀ ਦਾ ਸਮਾਂ ਖ਼ਤਮ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।',
+        'queue.offline': 'ਸਰਵਰ ਨਾਲ ਕਨੈਕਟ ਨਹੀਂ ਹੋ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ ਕਨੈਕਸ਼ਨ ਜਾਂਚੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।',
+        'queue.heading': 'ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਫ਼ਾਰਮ',
+        'queue.submission': 'ਫ਼ਾਰਮ',
+        'queue.dismiss': 'ਹਟਾਓ',
+        'queue.pending': 'ਬਕਾਇਆ - ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਸੰਭਾਲਿਆ ਗਿਆ ਹੈ ਅਤੇ ਤੁਹਾਡੇ ਦੁਬਾਰਾ ਔਨਲਾਈਨ ਹੋਣ ਤੇ ਆਪਣੇ ਆਪ ਭੇਜਿਆ ਜਾਵੇਗਾ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਨਾ ਭੇਜੋ।',
+        'queue.sending': 'ਭੇਜਿਆ ਜਾ ਰਿਹਾ ਹੈ...',
+        'queue.sent': '{time} ਨੂੰ ਭੇਜਿਆ ਗਿਆ',
+        'queue.rejected': 'ਸਵੀਕਾਰ ਨਹੀਂ ਹੋਇਆ: {error}{details}। ਕਿਰਪਾ ਕਰਕੇ ਵੇਰਵੇ ਜਾਂਚੋ ਅਤੇ ਦੁਬਾਰਾ ਭੇਜੋ।',
+
+        // Consent statements (consent.js) - only for the version named in the key
+        'statements.privacyNotice.v1': 'ਮੈਂ ਨਿੱਜਤਾ ਨੋਟਿਸ ਪੜ੍ਹ ਅਤੇ ਸਮਝ ਲਿਆ ਹੈ',
+        'statements.registrationData.v1': 'ਮੈਂ ਨਿੱਜਤਾ ਨੋਟਿਸ ਵਿੱਚ ਦੱਸੇ ਅਨੁਸਾਰ ਡਾਟਾ ਇਕੱਠਾ ਕਰਨ ਅਤੇ ਵਰਤਣ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ',
+        'statements.discoveryData.v1': 'ਮੈਂ ਖਿਡਾਰੀ ਦੀ ਕੋਚਿੰਗ ਅਤੇ ਵਿਕਾਸ ਦੇ ਮਕਸਦ ਲਈ, ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਦੌਰਾਨ ਅਤੇ ਇਸ Discovery ਫ਼ਾਰਮ ਵਿੱਚ ਦਿੱਤੀ ' +
+            'ਸਾਰੀ ਜਾਣਕਾਰੀ ਨੂੰ ਇਕੱਠਾ ਕਰਨ ਅਤੇ ਵਰਤਣ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ। ' +
+            'ਮੈਂ ਸਮਝਦਾ/ਸਮਝਦੀ ਹਾਂ ਕਿ ਮੈਂ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰਕੇ ਕਿਸੇ ਵੀ ਸਮੇਂ ਇਹ ਸਹਿਮਤੀ ਵਾਪਸ ਲੈ ਸਕਦਾ/ਸਕਦੀ ਹਾਂ।',
+        'statements.photography.v1': 'ਮੈਂ ਕਲੱਬ ਸੈਸ਼ਨਾਂ ਅਤੇ ਮੁਕਾਬਲਿਆਂ ਵਿੱਚ ਖਿਡਾਰੀ ਦੀਆਂ ਫ਼ੋਟੋਆਂ ਅਤੇ ਵੀਡੀਓ ਲੈਣ ਅਤੇ ਉਹਨਾਂ ਨੂੰ ਕਲੱਬ ਦੀ ' +
+            'ਵੈੱਬਸਾਈਟ ਅਤੇ ਸੋਸ਼ਲ ਮੀਡੀਆ ਉੱਤੇ ਪ੍ਰਕਾਸ਼ਿਤ ਕਰਨ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ',
+        'statements.medicalSharing.v1': 'ਮੈਂ ਖਿਡਾਰੀ ਦੀ ਡਾਕਟਰੀ, ਸੱਟ ਅਤੇ ਵਾਧੇ ਸੰਬੰਧੀ ਜਾਣਕਾਰੀ ਉਹਨਾਂ ਦੇ ਕੋਚਾਂ ਨਾਲ ਸਾਂਝੀ ਕਰਨ ਲਈ ' +
+            'ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ ਤਾਂ ਜੋ ਸਿਖਲਾਈ ਨੂੰ ਸੁਰੱਖਿਅਤ ਢੰਗ ਨਾਲ ਢਾਲਿਆ ਜਾ ਸਕੇ',
+        'statements.englandAthletics.v1': 'ਮੈਂ ਮੁਕਾਬਲਿਆਂ ਵਿੱਚ ਦਾਖ਼ਲੇ ਅਤੇ ਖਿਡਾਰੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਲਈ ਖਿਡਾਰੀ ਦੇ ਵੇਰਵੇ England Athletics ' +
+            'ਨਾਲ ਸਾਂਝੇ ਕਰਨ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ',
+        'statements.marketing.v1': 'ਮੈਂ ਕਲੱਬ ਦੀਆਂ ਖ਼ਬਰਾਂ, ਈਵੈਂਟਾਂ ਅਤੇ ਫ਼ੰਡ ਇਕੱਠਾ ਕਰਨ ਬਾਰੇ ਈਮੇਲਾਂ ਪ੍ਰਾਪਤ ਕਰਨਾ ਚਾਹੁੰਦਾ/ਚਾਹੁੰਦੀ ਹਾਂ',
+        'statements.guardianDeclaration.v1': 'ਇਹ ਫ਼ਾਰਮ ਭੇਜ ਕੇ, ਮੈਂ ਪੁਸ਼ਟੀ ਕਰਦਾ/ਕਰਦੀ ਹਾਂ ਕਿ ਮੈਂ ਉੱਪਰ ਦੱਸੇ ਖਿਡਾਰੀ/ਖਿਡਾਰੀਆਂ ਦਾ ਮਾਪਾ ' +
+            'ਜਾਂ ਕਾਨੂੰਨੀ ਸਰਪ੍ਰਸਤ ਹਾਂ ਅਤੇ ਮੈਨੂੰ ਉਹਨਾਂ ਵੱਲੋਂ ਇਹ ਸਹਿਮਤੀ ਦੇਣ ਦਾ ਅਧਿਕਾਰ ਹੈ।',
+        'statements.athleteDeclaration.v1': 'ਇਹ ਫ਼ਾਰਮ ਭੇਜ ਕੇ, ਮੈਂ ਪੁਸ਼ਟੀ ਕਰਦਾ/ਕਰਦੀ ਹਾਂ ਕਿ ਦਿੱਤੀ ਗਈ ਜਾਣਕਾਰੀ ਸਹੀ ਹੈ ਅਤੇ ਮੈਂ ਦੱਸੇ ' +
+            'ਅਨੁਸਾਰ ਇਸਦੀ ਵਰਤੋਂ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦਾ/ਦਿੰਦੀ ਹਾਂ।',
+
+        // Consent purposes (consent.js)
+        'purposes.dataCollection.title': 'ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਅਤੇ ਕੋਚਿੰਗ ਡਾਟਾ',
+        'purposes.dataCollection.description': 'ਕੋਚਿੰਗ ਲਈ ਖਿਡਾਰੀ ਦੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਅਤੇ Discovery ਵੇਰਵੇ ਰੱਖਣਾ। ਇਹ ਸਹਿਮਤੀ ਵਾਪਸ ਲੈਣ ਦਾ ਮਤਲਬ ਹੈ ਕਿ ਕਲੱਬ ਹੁਣ ਖਿਡਾਰੀ ' +
+            'ਦੇ ਰਿਕਾਰਡ ਨਹੀਂ ਰੱਖ ਸਕਦਾ - ਕੋਚ ਉਹਨਾਂ ਨੂੰ ਮਿਟਾਉਣ ਬਾਰੇ ਤੁਹਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰੇਗਾ।',
+        'purposes.medicalSharing.title': 'ਕੋਚਾਂ ਨਾਲ ਸਾਂਝੀ ਕੀਤੀ ਡਾਕਟਰੀ ਜਾਣਕਾਰੀ',
+        'purposes.medicalSharing.description': 'ਸਿਖਲਾਈ ਨੂੰ ਢਾਲਣ ਲਈ ਕੋਚ ਸੱਟ, ਡਾਕਟਰੀ ਅਤੇ ਵਾਧੇ ਸੰਬੰਧੀ ਵੇਰਵੇ ਦੇਖ ਸਕਦੇ ਹਨ।',
+        'purposes.photography.title': 'ਫ਼ੋਟੋਗ੍ਰਾਫ਼ੀ ਅਤੇ ਸੋਸ਼ਲ ਮੀਡੀਆ',
+        'purposes.photography.description': 'ਕਲੱਬ ਦੀ ਵੈੱਬਸਾਈਟ ਅਤੇ ਸੋਸ਼ਲ ਮੀਡੀਆ \'ਤੇ ਫ਼ੋਟੋਆਂ ਅਤੇ ਵੀਡੀਓ।',
+        'purposes.englandAthletics.title': 'England Athletics ਨਾਲ ਸਾਂਝਾ ਕੀਤਾ ਮੁਕਾਬਲਾ ਡਾਟਾ',
+        'purposes.englandAthletics.description': 'ਮੁਕਾਬਲਿਆਂ ਵਿੱਚ ਦਾਖ਼ਲੇ ਅਤੇ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਲਈ England Athletics ਨੂੰ ਭੇਜੇ ਜਾਂਦੇ ਵੇਰਵੇ।',
+        'purposes.marketing.title': 'ਮਾਰਕੀਟਿੰਗ',
+        'purposes.marketing.description': 'ਕਲੱਬ ਦੀਆਂ ਖ਼ਬਰਾਂ, ਈਵੈਂਟਾਂ ਅਤੇ ਫ਼ੰਡ ਇਕੱਠਾ ਕਰਨ ਬਾਰੇ ਈਮੇਲਾਂ।',
+
+        // Registration (index.html)
+        'registration.title': 'ਖਿਡਾਰੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ - Charnwood AC',
+        'registration.heading': 'ਖਿਡਾਰੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਫ਼ਾਰਮ',
+        'registration.submit': 'ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਭੇਜੋ',
+
+        'registration.athlete.legend': 'ਖਿਡਾਰੀ ਦੇ ਵੇਰਵੇ',
+        'registration.athlete.itemLegend': 'ਖਿਡਾਰੀ {n} ਦੇ ਵੇਰਵੇ',
+        'registration.athlete.addLabel': 'ਇੱਕ ਹੋਰ ਖਿਡਾਰੀ ਜੋੜੋ',
+        'registration.athlete.removeLabel': 'ਇਸ ਖਿਡਾਰੀ ਨੂੰ ਹਟਾਓ',
+        'registration.athlete-first-name.label': 'ਪਹਿਲਾ ਨਾਮ',
+        'registration.athlete-last-name.label': 'ਉਪਨਾਮ',
+        'registration.athlete-dob.label': 'ਜਨਮ ਮਿਤੀ',
+        'registration.athlete-gender.label': 'ਲਿੰਗ',
+        'registration.athlete-gender.placeholder': 'ਲਿੰਗ ਚੁਣੋ',
+        'registration.athlete-gender.options.male': 'ਪੁਰਸ਼',
+        'registration.athlete-gender.options.female': 'ਇਸਤਰੀ',
+        'registration.athlete-gender.options.other': 'ਹੋਰ',
+        'registration.athlete-gender.options.prefer-not-to-say': 'ਦੱਸਣਾ ਨਹੀਂ ਚਾਹੁੰਦੇ',
+        'registration.athlete-email.label': 'ਖਿਡਾਰੀ ਦੀ ਈਮੇਲ (ਵਿਕਲਪਿਕ)',
+        'registration.athlete-phone.label': 'ਖਿਡਾਰੀ ਦਾ ਫ਼ੋਨ (ਵਿਕਲਪਿਕ)',
+
+        'registration.parent.legend': 'ਮਾਪੇ/ਸਰਪ੍ਰਸਤ',
+        'registration.parent.note': 'ਰਜਿਸਟਰ ਕੀਤੇ ਜਾ ਰਹੇ ਖਿਡਾਰੀਆਂ ਦੀ ਉਮਰ ਕਾਰਨ, ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ ਨੂੰ ਇਹ ਭਾਗ ਭਰਨਾ ਪਵੇਗਾ। ' +
+            'ਇਸ ਫ਼ਾਰਮ ਦੇ ਸਾਰੇ ਖਿਡਾਰੀਆਂ ਲਈ ਇੱਕ ਮਾਪਾ ਜਾਂ ਸਰਪ੍ਰਸਤ ਕਾਫ਼ੀ ਹੈ।',
+        'registration.parent-first-name.label': 'ਪਹਿਲਾ ਨਾਮ',
+        'registration.parent-last-name.label': 'ਉਪਨਾਮ',
+        'registration.parent-relationship.label': 'ਖਿਡਾਰੀ ਨਾਲ ਰਿਸ਼ਤਾ',
+        'registration.parent-relationship.placeholder': 'ਰਿਸ਼ਤਾ ਚੁਣੋ',
+        'registration.parent-relationship.options.mother': 'ਮਾਤਾ',
+        'registration.parent-relationship.options.father': 'ਪਿਤਾ',
+        'registration.parent-relationship.options.guardian': 'ਸਰਪ੍ਰਸਤ',
+        'registration.parent-relationship.options.other': 'ਹੋਰ',
+        'registration.parent-email.label': 'ਈਮੇਲ ਪਤਾ',
+        'registration.parent-phone.label': 'ਫ਼ੋਨ ਨੰਬਰ',
+
+        'registration.emergency.legend': 'ਐਮਰਜੈਂਸੀ ਸੰਪਰਕ',
+        'registration.emergency.note': 'ਕਿਰਪਾ ਕਰਕੇ ਐਮਰਜੈਂਸੀ ਦੀ ਸਥਿਤੀ ਲਈ ਇੱਕ ਵਿਕਲਪਿਕ ਸੰਪਰਕ ਦਿਓ।',
+        'registration.emergency-name.label': 'ਸੰਪਰਕ ਵਿਅਕਤੀ ਦਾ ਨਾਮ',
+        'registration.emergency-phone.label': 'ਫ਼ੋਨ ਨੰਬਰ',
+
+        'registration.consent.legend': 'ਸਹਿਮਤੀ ਅਤੇ ਨਿੱਜਤਾ',
+        'registration.consent.note': 'ਇਹ ਫ਼ਾਰਮ ਭੇਜਣ ਤੋਂ ਪਹਿਲਾਂ ਕਿਰਪਾ ਕਰਕੇ ਸਾਡਾ ' + privacyNoticeLink + 'ਨਿੱਜਤਾ ਨੋਟਿਸ</a> ਪੜ੍ਹੋ। ' +
+            'ਹੇਠਾਂ ਦਿੱਤੀਆਂ ਵਿਕਲਪਿਕ ਸਹਿਮਤੀਆਂ ਕਿਸੇ ਵੀ ਸਮੇਂ ਵਾਪਸ ਲਈਆਂ ਜਾ ਸਕਦੀਆਂ ਹਨ।',
+
+        'registration.messages.invalid': 'ਕਿਰਪਾ ਕਰਕੇ ਉੱਪਰ ਦਿੱਤੀਆਂ ਗ਼ਲਤੀਆਂ ਠੀਕ ਕਰੋ।',
+        'registration.messages.submitting': 'ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਭੇਜੀ ਜਾ ਰਹੀ ਹੈ...',
+        'registration.messages.consentFailed': 'ਤੁਹਾਡਾ ਬ੍ਰਾਊਜ਼ਰ ਸਹਿਮਤੀ ਨੂੰ ਸੁਰੱਖਿਅਤ ਢੰਗ ਨਾਲ ਦਰਜ ਨਹੀਂ ਕਰ ਸਕਿਆ, ਇਸ ਲਈ ਕੁਝ ਵੀ ਨਹੀਂ ਭੇਜਿਆ ਗਿਆ। ' +
+            'ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ ਬ੍ਰਾਊਜ਼ਰ ਅੱਪਡੇਟ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।',
+        'registration.messages.successTitle': 'ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਸਫਲ ਰਹੀ!',
+        'registration.messages.registeredOne': '{names} ਦੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਹੋ ਗਈ ਹੈ।',
+        'registration.messages.registeredMany': '{names} ਦੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਹੋ ਗਈ ਹੈ।',
+        'registration.messages.discoveryNote': 'ਹੋਰ ਜਾਣਕਾਰੀ ਦੇਣ ਅਤੇ ਸਹਿਮਤੀ ਪੂਰੀ ਕਰਨ ਲਈ ਹਰ ਖਿਡਾਰੀ ਲਈ Discovery ਫ਼ਾਰਮ ਭਰੋ।',
+        'registration.messages.discoveryLink': 'Discovery ਫ਼ਾਰਮ ਵੱਲ ਜਾਓ →',
+        'registration.messages.discoveryLinkFor': '{name} ਲਈ Discovery ਫ਼ਾਰਮ ਵੱਲ ਜਾਓ →',
+        'registration.messages.queued': 'ਲੱਗਦਾ ਹੈ ਤੁਸੀਂ ਔਫਲਾਈਨ ਹੋ। ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਸੰਭਾਲ ਲਈ ਗਈ ਹੈ ਅਤੇ ਕਨੈਕਸ਼ਨ ਵਾਪਸ ' +
+            'ਆਉਣ ਤੇ ਆਪਣੇ ਆਪ ਭੇਜੀ ਜਾਵੇਗੀ - ਇਸਨੂੰ ਦੁਬਾਰਾ ਭੇਜਣ ਦੀ ਲੋੜ ਨਹੀਂ।',
+        'registration.messages.alreadyRegisteredTitle': 'ਪਹਿਲਾਂ ਹੀ ਰਜਿਸਟਰਡ ਹੈ।',
+        'registration.messages.alreadyRegisteredOne': '{names} ਪਹਿਲਾਂ ਹੀ ਕਲੱਬ ਵਿੱਚ ਰਜਿਸਟਰਡ ਹੈ, ਇਸ ਲਈ ਕੋਈ ਨਵਾਂ ਰਿਕਾਰਡ ਨਹੀਂ ਬਣਾਇਆ ਗਿਆ। ' +
+            'ਤੁਸੀਂ ਸਿੱਧਾ Discovery ਫ਼ਾਰਮ ਤੇ ਜਾ ਸਕਦੇ ਹੋ:',
+        'registration.messages.alreadyRegisteredMany': '{names} ਪਹਿਲਾਂ ਹੀ ਕਲੱਬ ਵਿੱਚ ਰਜਿਸਟਰਡ ਹਨ, ਇਸ ਲਈ ਕੋਈ ਨਵੇਂ ਰਿਕਾਰਡ ਨਹੀਂ ਬਣਾਏ ਗਏ। ' +
+            'ਤੁਸੀਂ ਸਿੱਧਾ Discovery ਫ਼ਾਰਮ ਤੇ ਜਾ ਸਕਦੇ ਹੋ:',
+        'registration.messages.thisAthlete': 'ਇਹ ਖਿਡਾਰੀ',
+        'registration.messages.detailsChanged': 'ਜੇ ਕੋਈ ਵੇਰਵੇ ਬਦਲੇ ਹਨ, ਤਾਂ ਕਿਰਪਾ ਕਰਕੇ ਸੰਪਰਕ ਕਰੋ',
+        'registration.messages.otherAthletes': 'ਇਸ ਫ਼ਾਰਮ ਦੇ ਬਾਕੀ ਖਿਡਾਰੀਆਂ ਨੂੰ ਰਜਿਸਟਰ ਕਰਨ ਲਈ, ਪਹਿਲਾਂ ਤੋਂ ਰਜਿਸਟਰਡ ਖਿਡਾਰੀਆਂ ਨੂੰ ਹਟਾਓ ਅਤੇ ਦੁਬਾਰਾ ਭੇਜੋ।',
+        'registration.messages.guardianPurpose': '{age} ਸਾਲ ਤੋਂ ਘੱਟ ਉਮਰ ਦੇ ਖਿਡਾਰੀਆਂ ਲਈ ਇਹ ਸਹਿਮਤੀ ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ ਨੂੰ ਦੇਣੀ ਪਵੇਗੀ।',
+        'registration.messages.ageGroup': '{season} ਲਈ ਉਮਰ ਸਮੂਹ: {ageGroup}',
+        'registration.messages.ageGroups': '{season} ਲਈ ਉਮਰ ਸਮੂਹ: {trackAndField} (ਟਰੈਕ ਅਤੇ ਫ਼ੀਲਡ), {crossCountry} (ਕਰਾਸ ਕੰਟਰੀ)',
+
+        // Discovery (discovery.html)
+        'discovery.title': 'ਖਿਡਾਰੀ Discovery ਫ਼ਾਰਮ - Charnwood AC',
+        'discovery.heading': 'ਖਿਡਾਰੀ Discovery ਫ਼ਾਰਮ',
+        'discovery.submit': 'Discovery ਫ਼ਾਰਮ ਭੇਜੋ',
+        'discovery.completingFor': 'ਇਸ ਖਿਡਾਰੀ ਲਈ Discovery ਭਰ ਰਹੇ ਹੋ:',
+        'discovery.draftResume': 'ਡਰਾਫ਼ਟ ਜਾਰੀ ਰੱਖੋ',
+        'discovery.draftDiscard': 'ਮੁੜ ਸ਼ੁਰੂ ਕਰੋ',
+
+        'discovery.training.legend': 'ਸਿਖਲਾਈ ਦਾ ਪਿਛੋਕੜ',
+        'discovery.training-years-total.label': 'ਐਥਲੈਟਿਕਸ ਵਿੱਚ ਸਾਲ (ਕੁੱਲ)',
+        'discovery.training-years-coach.label': 'ਮੌਜੂਦਾ ਕੋਚ ਨਾਲ ਸਾਲ',
+        'discovery.sessions-per-week.label': 'ਹਰ ਹਫ਼ਤੇ ਸਿਖਲਾਈ ਸੈਸ਼ਨ',
+        'discovery.training-group.label': 'ਸਿਖਲਾਈ ਗਰੁੱਪ',
+        'discovery.training-group.placeholder': 'ਸਿਖਲਾਈ ਗਰੁੱਪ ਚੁਣੋ',
+        'discovery.previous-sports.label': 'ਪਿਛਲੀਆਂ ਖੇਡਾਂ/ਗਤੀਵਿਧੀਆਂ',
+        'discovery.previous-sports.placeholder': 'ਐਥਲੈਟਿਕਸ ਤੋਂ ਪਹਿਲਾਂ ਦੀਆਂ ਖੇਡਾਂ ਜਾਂ ਗਤੀਵਿਧੀਆਂ, ਲਗਭਗ ਉਮਰ ਸਮੇਤ ਲਿਖੋ',
+
+        'discovery.events.legend': 'ਈਵੈਂਟ ਅਤੇ ਨਿੱਜੀ ਸਰਵੋਤਮ',
+        'discovery.events.itemLegend': 'ਈਵੈਂਟ {n}',
+        'discovery.events.addLabel': 'ਈਵੈਂਟ ਜੋੜੋ',
+        'discovery.events.removeLabel': 'ਇਹ ਈਵੈਂਟ ਹਟਾਓ',
+        'discovery.events.emptyText': 'ਉਹ ਈਵੈਂਟ ਜੋੜੋ ਜਿਨ੍ਹਾਂ ਲਈ ਤੁਸੀਂ ਸਿਖਲਾਈ ਲੈਂਦੇ ਹੋ ਜਾਂ ਮੁਕਾਬਲਾ ਕਰਦੇ ਹੋ। ਨਿੱਜੀ ਸਰਵੋਤਮ ਵਿਕਲਪਿਕ ਹੈ।',
+        'discovery.pb-event.label': 'ਈਵੈਂਟ',
+        'discovery.pb-event.placeholder': 'ਈਵੈਂਟ ਚੁਣੋ',
+        'discovery.pb-event.groups.sprints': 'ਸਪ੍ਰਿੰਟ',
+        'discovery.pb-event.groups.hurdles': 'ਹਰਡਲਜ਼',
+        'discovery.pb-event.groups.middle-distance': 'ਦਰਮਿਆਨੀ ਅਤੇ ਲੰਬੀ ਦੂਰੀ',
+        'discovery.pb-event.groups.jumps': 'ਛਾਲਾਂ',
+        'discovery.pb-event.groups.throws': 'ਥ੍ਰੋ',
+        'discovery.pb-event.groups.combined': 'ਸੰਯੁਕਤ ਈਵੈਂਟ',
+        'discovery.pb-event.groups.cross-country-road': 'ਕਰਾਸ ਕੰਟਰੀ ਅਤੇ ਰੋਡ',
+        'discovery.pb-event.options.60m-hurdles': '60m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.70m-hurdles': '70m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.75m-hurdles': '75m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.80m-hurdles': '80m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.100m-hurdles': '100m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.110m-hurdles': '110m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.300m-hurdles': '300m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.400m-hurdles': '400m ਹਰਡਲਜ਼',
+        'discovery.pb-event.options.mile': 'ਮੀਲ',
+        'discovery.pb-event.options.1500m-steeplechase': '1500m ਸਟੀਪਲਚੇਜ਼',
+        'discovery.pb-event.options.2000m-steeplechase': '2000m ਸਟੀਪਲਚੇਜ਼',
+        'discovery.pb-event.options.3000m-steeplechase': '3000m ਸਟੀਪਲਚੇਜ਼',
+        'discovery.pb-event.options.high-jump': 'ਉੱਚੀ ਛਾਲ',
+        'discovery.pb-event.options.pole-vault': 'ਪੋਲ ਵਾਲਟ',
+        'discovery.pb-event.options.long-jump': 'ਲੰਬੀ ਛਾਲ',
+        'discovery.pb-event.options.triple-jump': 'ਤੀਹਰੀ ਛਾਲ',
+        'discovery.pb-event.options.shot-put': 'ਗੋਲਾ ਸੁੱਟ',
+        'discovery.pb-event.options.discus': 'ਡਿਸਕਸ ਸੁੱਟ',
+        'discovery.pb-event.options.hammer': 'ਹਥੌੜਾ ਸੁੱਟ',
+        'discovery.pb-event.options.javelin': 'ਨੇਜ਼ਾ ਸੁੱਟ',
+        'discovery.pb-event.options.pentathlon': 'ਪੈਂਟਾਥਲਨ',
+        'discovery.pb-event.options.heptathlon': 'ਹੈਪਟਾਥਲਨ',
+        'discovery.pb-event.options.decathlon': 'ਡੈਕਾਥਲਨ',
+        'discovery.pb-event.options.cross-country': 'ਕਰਾਸ ਕੰਟਰੀ',
+        'discovery.pb-event.options.5k-road': '5K ਰੋਡ / parkrun',
+        'discovery.pb-event.options.10k-road': '10K ਰੋਡ',
+        'discovery.pb-event.options.half-marathon': 'ਹਾਫ਼ ਮੈਰਾਥਨ',
+        'discovery.pb-event.options.marathon': 'ਮੈਰਾਥਨ',
+        'discovery.pb-mark.label': 'ਨਿੱਜੀ ਸਰਵੋਤਮ',
+        'discovery.pb-mark.placeholder': 'ਜਿਵੇਂ 2:15.40, 12.85, 5.32 ਜਾਂ 3105',
+        'discovery.pb-date.label': 'ਪ੍ਰਾਪਤ ਕਰਨ ਦੀ ਮਿਤੀ',
+        'discovery.pb-venue.label': 'ਸਥਾਨ',
+        'discovery.pb-venue.placeholder': 'ਜਿਵੇਂ Loughborough',
+        'discovery.events-goals.legend': 'ਟੀਚੇ',
+        'discovery.goals-short-term.label': 'ਥੋੜ੍ਹੇ ਸਮੇਂ ਦੇ ਟੀਚੇ (ਇਹ ਸੀਜ਼ਨ)',
+        'discovery.goals-short-term.placeholder': 'ਤੁਸੀਂ ਇਸ ਸੀਜ਼ਨ ਵਿੱਚ ਕੀ ਹਾਸਲ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?',
+        'discovery.goals-medium-term.label': 'ਦਰਮਿਆਨੇ ਸਮੇਂ ਦੇ ਟੀਚੇ (1-2 ਸਾਲ)',
+        'discovery.goals-medium-term.placeholder': 'ਤੁਸੀਂ 1-2 ਸਾਲਾਂ ਵਿੱਚ ਆਪਣੇ ਆਪ ਨੂੰ ਕਿੱਥੇ ਵੇਖਦੇ ਹੋ?',
+        'discovery.goals-long-term.label': 'ਲੰਬੇ ਸਮੇਂ ਦੀਆਂ ਇੱਛਾਵਾਂ',
+        'discovery.goals-long-term.placeholder': 'ਐਥਲੈਟਿਕਸ ਵਿੱਚ ਤੁਹਾਡੇ ਸਭ ਤੋਂ ਵੱਡੇ ਸੁਪਨੇ ਕੀ ਹਨ?',
+        'discovery.motivation.label': 'ਤੁਸੀਂ ਐਥਲੈਟਿਕਸ ਕਿਉਂ ਕਰਦੇ ਹੋ?',
+        'discovery.motivation.placeholder': 'ਤੁਹਾਨੂੰ ਸਿਖਲਾਈ ਅਤੇ ਮੁਕਾਬਲੇ ਲਈ ਕੀ ਪ੍ਰੇਰਿਤ ਕਰਦਾ ਹੈ?',
+
+        'discovery.growth.legend': 'ਵਾਧਾ ਅਤੇ ਵਿਕਾਸ',
+        'discovery.growth.note': 'ਇਹ ਜਾਣਕਾਰੀ ਸਾਨੂੰ ਪਰਿਪੱਕਤਾ ਉੱਤੇ ਨਜ਼ਰ ਰੱਖਣ ਅਤੇ ਸਿਖਲਾਈ ਨੂੰ ਢੁਕਵੇਂ ਢੰਗ ਨਾਲ ਬਦਲਣ ਵਿੱਚ ਮਦਦ ਕਰਦੀ ਹੈ।',
+        'discovery.height.label': 'ਮੌਜੂਦਾ ਕੱਦ (ਸੈ.ਮੀ.)',
+        'discovery.height.placeholder': 'ਜਿਵੇਂ, 165',
+        'discovery.weight.label': 'ਮੌਜੂਦਾ ਭਾਰ (ਕਿ.ਗ੍ਰਾ.)',
+        'discovery.weight.placeholder': 'ਜਿਵੇਂ, 52',
+        'discovery.mother-height.label': 'ਮਾਤਾ ਦਾ ਕੱਦ (ਸੈ.ਮੀ.)',
+        'discovery.mother-height.placeholder': 'ਬਾਲਗ ਕੱਦ ਦਾ ਅੰਦਾਜ਼ਾ ਲਗਾਉਣ ਵਿੱਚ ਮਦਦ ਕਰਦਾ ਹੈ',
+        'discovery.father-height.label': 'ਪਿਤਾ ਦਾ ਕੱਦ (ਸੈ.ਮੀ.)',
+        'discovery.father-height.placeholder': 'ਬਾਲਗ ਕੱਦ ਦਾ ਅੰਦਾਜ਼ਾ ਲਗਾਉਣ ਵਿੱਚ ਮਦਦ ਕਰਦਾ ਹੈ',
+
+        'discovery.health.legend': 'ਸਿਹਤ',
+        'discovery.health.note': 'ਕੋਈ ਵੀ ਅਜਿਹੀ ਸਥਿਤੀ ਟਿਕ ਕਰੋ ਜਿਸ \'ਤੇ ਕੋਚ ਨੂੰ ਸਿਖਲਾਈ ਦੌਰਾਨ ਤੁਰੰਤ ਕਾਰਵਾਈ ਕਰਨੀ ਪੈ ਸਕਦੀ ਹੈ।',
+        'discovery.condition-asthma.label': 'ਦਮਾ',
+        'discovery.condition-epilepsy.label': 'ਮਿਰਗੀ ਜਾਂ ਦੌਰੇ',
+        'discovery.condition-diabetes.label': 'ਸ਼ੂਗਰ (ਡਾਇਬਟੀਜ਼)',
+        'discovery.condition-anaphylaxis.label': 'ਗੰਭੀਰ ਐਲਰਜੀ (ਐਨਾਫਾਈਲੈਕਸਿਸ ਦਾ ਖ਼ਤਰਾ)',
+        'discovery.condition-heart.label': 'ਦਿਲ ਦੀ ਬਿਮਾਰੀ',
+        'discovery.medical-conditions.label': 'ਹੋਰ ਡਾਕਟਰੀ ਸਥਿਤੀਆਂ',
+        'discovery.medical-conditions.placeholder': 'ਜਿਵੇਂ, ਹਾਈਪਰਮੋਬਿਲਿਟੀ, ਮਾਈਗ੍ਰੇਨ',
+        'discovery.medication.label': 'ਦਵਾਈ',
+        'discovery.medication.placeholder': 'ਨਾਮ, ਖੁਰਾਕ ਅਤੇ ਕਦੋਂ ਲਈ ਜਾਂਦੀ ਹੈ, ਜਿਵੇਂ ਕਸਰਤ ਤੋਂ ਪਹਿਲਾਂ ਨੀਲਾ ਇਨਹੇਲਰ',
+        'discovery.carries-medication.label': 'ਹਰ ਸੈਸ਼ਨ ਵਿੱਚ ਆਪਣੀ ਦਵਾਈ ਲਿਆਉਂਦੇ ਹਨ (ਜਿਵੇਂ ਇਨਹੇਲਰ, ਆਟੋ-ਇੰਜੈਕਟਰ)',
+        'discovery.emergency-action.label': 'ਐਮਰਜੈਂਸੀ ਵਿੱਚ ਕੀ ਕਰਨਾ ਹੈ',
+        'discovery.emergency-action.placeholder': 'ਐਮਰਜੈਂਸੀ ਵਿੱਚ ਕੋਚ ਨੂੰ ਕੀ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ? ਜਿਵੇਂ ਆਟੋ-ਇੰਜੈਕਟਰ ਦਿਓ, 999 \'ਤੇ ਕਾਲ ਕਰੋ',
+        'discovery.dietary-requirements.label': 'ਖੁਰਾਕ ਸੰਬੰਧੀ ਲੋੜਾਂ',
+        'discovery.dietary-requirements.placeholder': 'ਜਿਵੇਂ, ਸ਼ਾਕਾਹਾਰੀ, ਭੋਜਨ ਐਲਰਜੀ, ਅਸਹਿਣਸ਼ੀਲਤਾ',
+
+        'discovery.injuries.legend': 'ਸੱਟਾਂ ਦਾ ਇਤਿਹਾਸ',
+        'discovery.injuries.itemLegend': 'ਸੱਟ {n}',
+        'discovery.injuries.addLabel': 'ਸੱਟ ਜੋੜੋ',
+        'discovery.injuries.removeLabel': 'ਇਹ ਸੱਟ ਹਟਾਓ',
+        'discovery.injuries.emptyText': 'ਕੋਈ ਸੱਟ ਨਹੀਂ ਜੋੜੀ ਗਈ। ਹਰ ਉਹ ਸੱਟ ਜੋੜੋ ਜਿਸ ਨੇ ਸਿਖਲਾਈ ਰੋਕੀ ਜਾਂ ਬਦਲੀ - ਅੰਦਾਜ਼ਨ ਮਿਤੀ ਠੀਕ ਹੈ।',
+        'discovery.injury-body-area.label': 'ਸਰੀਰ ਦਾ ਹਿੱਸਾ',
+        'discovery.injury-body-area.placeholder': 'ਸਰੀਰ ਦਾ ਹਿੱਸਾ ਚੁਣੋ',
+        'discovery.injury-body-area.options.head-neck': 'ਸਿਰ ਜਾਂ ਗਰਦਨ',
+        'discovery.injury-body-area.options.shoulder-arm': 'ਮੋਢਾ, ਬਾਂਹ ਜਾਂ ਹੱਥ',
+        'discovery.injury-body-area.options.back': 'ਪਿੱਠ',
+        'discovery.injury-body-area.options.hip-groin': 'ਕੁੱਲ੍ਹਾ ਜਾਂ ਪੱਟ ਦਾ ਜੋੜ',
+        'discovery.injury-body-area.options.thigh': 'ਪੱਟ (ਹੈਮਸਟ੍ਰਿੰਗ ਜਾਂ ਕੁਆਡ)',
+        'discovery.injury-body-area.options.knee': 'ਗੋਡਾ',
+        'discovery.injury-body-area.options.lower-leg': 'ਹੇਠਲੀ ਲੱਤ (ਪਿੰਨੀ ਜਾਂ ਸ਼ਿਨ)',
+        'discovery.injury-body-area.options.ankle': 'ਗਿੱਟਾ',
+        'discovery.injury-body-area.options.foot': 'ਪੈਰ ਜਾਂ ਅੱਡੀ',
+        'discovery.injury-body-area.options.other': 'ਹੋਰ',
+        'discovery.injury-type.label': 'ਸੱਟ ਦੀ ਕਿਸਮ',
+        'discovery.injury-type.placeholder': 'ਸੱਟ ਦੀ ਕਿਸਮ ਚੁਣੋ',
+        'discovery.injury-type.options.muscle': 'ਮਾਸਪੇਸ਼ੀ ਖਿੱਚ ਜਾਂ ਫਟਣਾ',
+        'discovery.injury-type.options.tendon': 'ਨਸ (ਟੈਂਡਨ) ਦੀ ਸਮੱਸਿਆ',
+        'discovery.injury-type.options.ligament': 'ਲਿਗਾਮੈਂਟ ਮੋਚ',
+        'discovery.injury-type.options.bone-stress': 'ਸਟ੍ਰੈਸ ਫ੍ਰੈਕਚਰ ਜਾਂ ਹੱਡੀ \'ਤੇ ਦਬਾਅ',
+        'discovery.injury-type.options.fracture': 'ਫ੍ਰੈਕਚਰ (ਹੱਡੀ ਟੁੱਟਣਾ)',
+        'discovery.injury-type.options.joint': 'ਜੋੜ ਜਾਂ ਕਾਰਟੀਲੇਜ',
+        'discovery.injury-type.options.growth-related': 'ਵਾਧੇ ਨਾਲ ਸਬੰਧਤ (ਜਿਵੇਂ Osgood-Schlatter, Sever\'s)',
+        'discovery.injury-type.options.concussion': 'ਦਿਮਾਗੀ ਸੱਟ (ਕਨਕਸ਼ਨ)',
+        'discovery.injury-type.options.other': 'ਹੋਰ',
+        'discovery.injury-date.label': 'ਅੰਦਾਜ਼ਨ ਮਿਤੀ',
+        'discovery.injury-date.placeholder': 'ਸਸਸਸ-ਮਮ',
+        'discovery.injury-weeks-out.label': 'ਸਿਖਲਾਈ ਤੋਂ ਬਾਹਰ ਸਮਾਂ (ਹਫ਼ਤੇ)',
+        'discovery.injury-weeks-out.placeholder': 'ਜਿਵੇਂ 3',
+        'discovery.injury-ongoing.label': 'ਅਜੇ ਵੀ ਸਿਖਲਾਈ \'ਤੇ ਅਸਰ ਪਾਉਂਦੀ ਹੈ',
+        'discovery.injury-diagnosed.label': 'ਡਾਕਟਰ ਜਾਂ ਫਿਜ਼ੀਓਥੈਰੇਪਿਸਟ ਵੱਲੋਂ ਪਛਾਣੀ ਗਈ',
+        'discovery.injury-notes.label': 'ਨੋਟ',
+        'discovery.injury-notes.placeholder': 'ਕੋਚ ਨੂੰ ਪਤਾ ਹੋਣੀ ਚਾਹੀਦੀ ਕੋਈ ਹੋਰ ਗੱਲ, ਜਿਵੇਂ ਇਲਾਜ ਜਾਂ ਕਿਸ ਚੀਜ਼ ਨੇ ਮਦਦ ਕੀਤੀ',
+
+        'discovery.lifestyle.legend': 'ਜੀਵਨ ਸ਼ੈਲੀ ਅਤੇ ਵਚਨਬੱਧਤਾਵਾਂ',
+        'discovery.school.label': 'ਸਕੂਲ',
+        'discovery.school.placeholder': 'ਸਕੂਲ ਦਾ ਨਾਮ',
+        'discovery.year-group.label': 'ਸਕੂਲੀ ਸਾਲ (Year Group)',
+        'discovery.year-group.placeholder': 'ਸਾਲ ਚੁਣੋ',
+        'discovery.year-group.options.Left School': 'ਸਕੂਲ ਛੱਡ ਦਿੱਤਾ',
+        'discovery.school-sports.label': 'ਸਕੂਲੀ ਖੇਡ ਵਚਨਬੱਧਤਾਵਾਂ',
+        'discovery.school-sports.placeholder': 'ਕੋਈ ਵੀ ਸਕੂਲੀ ਟੀਮਾਂ ਜਾਂ PE ਵਚਨਬੱਧਤਾਵਾਂ ਜੋ ਸਿਖਲਾਈ ਉੱਤੇ ਅਸਰ ਪਾਉਂਦੀਆਂ ਹਨ',
+        'discovery.other-activities.label': 'ਹੋਰ ਨਿਯਮਤ ਗਤੀਵਿਧੀਆਂ',
+        'discovery.other-activities.placeholder': 'ਸੰਗੀਤ, ਕਲੱਬ, ਪਾਰਟ-ਟਾਈਮ ਨੌਕਰੀ, ਆਦਿ',
+
+        'discovery.family.legend': 'ਪਰਿਵਾਰ ਅਤੇ ਸਹਾਇਤਾ',
+        'discovery.lives-with.label': 'ਕਿਸ ਨਾਲ ਰਹਿੰਦੇ ਹਨ',
+        'discovery.lives-with.placeholder': 'ਜਿਵੇਂ, ਦੋਵੇਂ ਮਾਪੇ, ਮੰਮੀ, ਡੈਡੀ ਅਤੇ ਮਤਰੇਈ ਮਾਂ',
+        'discovery.siblings.label': 'ਭੈਣ-ਭਰਾ (ਉਮਰਾਂ)',
+        'discovery.siblings.placeholder': 'ਜਿਵੇਂ, ਭਰਾ (14), ਭੈਣ (10)',
+        'discovery.parent-involvement.label': 'ਮਾਪਿਆਂ/ਸਰਪ੍ਰਸਤ ਦੀ ਸ਼ਮੂਲੀਅਤ ਦਾ ਪੱਧਰ',
+        'discovery.parent-involvement.placeholder': 'ਸ਼ਮੂਲੀਅਤ ਦਾ ਪੱਧਰ ਚੁਣੋ',
+        'discovery.parent-involvement.options.High': 'ਉੱਚ - ਸਿਖਲਾਈ/ਮੁਕਾਬਲਿਆਂ ਵਿੱਚ ਬਹੁਤ ਸ਼ਾਮਲ',
+        'discovery.parent-involvement.options.Medium': 'ਦਰਮਿਆਨਾ - ਸਹਿਯੋਗੀ, ਕੁਝ ਈਵੈਂਟਾਂ ਵਿੱਚ ਆਉਂਦੇ ਹਨ',
+        'discovery.parent-involvement.options.Low': 'ਘੱਟ - ਬਹੁਤ ਘੱਟ ਸ਼ਮੂਲੀਅਤ',
+        'discovery.communication-preference.label': 'ਸੰਪਰਕ ਦਾ ਪਸੰਦੀਦਾ ਤਰੀਕਾ',
+        'discovery.communication-preference.placeholder': 'ਤਰੀਕਾ ਚੁਣੋ',
+        'discovery.communication-preference.options.Email': 'ਈਮੇਲ',
+        'discovery.communication-preference.options.Phone': 'ਫ਼ੋਨ ਕਾਲ',
+        'discovery.communication-preference.options.Text': 'ਟੈਕਸਟ ਸੁਨੇਹਾ',
+
+        'discovery.logistics.legend': 'ਸਹੂਲਤਾਂ ਅਤੇ ਪ੍ਰਬੰਧ',
+        'discovery.travel-to-training.label': 'ਉਹ ਸਿਖਲਾਈ ਲਈ ਕਿਵੇਂ ਆਉਂਦੇ ਹਨ?',
+        'discovery.travel-to-training.placeholder': 'ਜਿਵੇਂ, ਮਾਪੇ ਛੱਡ ਜਾਂਦੇ ਹਨ, ਸਾਈਕਲ, ਪੈਦਲ',
+        'discovery.travel-time.label': 'ਸਿਖਲਾਈ ਤੱਕ ਪਹੁੰਚਣ ਦਾ ਆਮ ਸਮਾਂ (ਮਿੰਟ)',
+        'discovery.travel-time.placeholder': 'ਜਿਵੇਂ, 20',
+        'discovery.facility-access.label': 'ਸਹੂਲਤਾਂ ਤੱਕ ਪਹੁੰਚ',
+        'discovery.facility-access.placeholder': 'ਸਿਖਲਾਈ ਲਈ ਟਰੈਕ, ਜਿੰਮ, ਸਵੀਮਿੰਗ ਪੂਲ, ਸਥਾਨਕ ਪਾਰਕਾਂ ਤੱਕ ਪਹੁੰਚ',
+        'discovery.competition-travel.label': 'ਕੀ ਬਾਹਰ ਦੇ ਮੁਕਾਬਲਿਆਂ ਵਿੱਚ ਜਾ ਸਕਦੇ ਹਨ?',
+        'discovery.competition-travel.placeholder': 'ਉਪਲਬਧਤਾ ਚੁਣੋ',
+        'discovery.competition-travel.options.Yes': 'ਹਾਂ - ਜ਼ਿਆਦਾਤਰ ਮੁਕਾਬਲੇ',
+        'discovery.competition-travel.options.Sometimes': 'ਕਦੇ-ਕਦੇ - ਥਾਂ/ਸਮੇਂ ਉੱਤੇ ਨਿਰਭਰ',
+        'discovery.competition-travel.options.Rarely': 'ਬਹੁਤ ਘੱਟ - ਆਵਾਜਾਈ/ਖ਼ਰਚੇ ਦੀਆਂ ਮੁਸ਼ਕਲਾਂ',
+
+        'discovery.calendar.legend': 'ਸਾਲਾਨਾ ਕੈਲੰਡਰ (ਵਿਕਲਪਿਕ)',
+        'discovery.calendar.itemLegend': 'ਗੈਰਹਾਜ਼ਰੀ {n}',
+        'discovery.calendar.addLabel': 'ਗੈਰਹਾਜ਼ਰੀ ਜਾਂ ਇਮਤਿਹਾਨਾਂ ਦਾ ਸਮਾਂ ਜੋੜੋ',
+        'discovery.calendar.removeLabel': 'ਇਹ ਗੈਰਹਾਜ਼ਰੀ ਹਟਾਓ',
+        'discovery.calendar.emptyText': 'ਤੁਹਾਡੀਆਂ ਜ਼ਿੰਮੇਵਾਰੀਆਂ ਅਨੁਸਾਰ ਯੋਜਨਾ ਬਣਾਉਣ ਵਿੱਚ ਸਾਡੀ ਮਦਦ ਕਰੋ - ਪਰਿਵਾਰਕ ਛੁੱਟੀਆਂ, ਸਕੂਲ ਦੇ ਟੂਰ ਅਤੇ ਇਮਤਿਹਾਨਾਂ ਦਾ ਸਮਾਂ ਜੋੜੋ। ਤੁਸੀਂ ਇਸਨੂੰ ਬਾਅਦ ਵਿੱਚ ਅੱਪਡੇਟ ਕਰ ਸਕਦੇ ਹੋ।',
+        'discovery.absence-category.label': 'ਕਾਰਨ',
+        'discovery.absence-category.placeholder': 'ਕਾਰਨ ਚੁਣੋ',
+        'discovery.absence-category.options.holiday': 'ਪਰਿਵਾਰਕ ਛੁੱਟੀ',
+        'discovery.absence-category.options.school-trip': 'ਸਕੂਲ ਟੂਰ',
+        'discovery.absence-category.options.exams': 'ਇਮਤਿਹਾਨ',
+        'discovery.absence-category.options.school': 'ਸਕੂਲ ਦੀ ਹੋਰ ਜ਼ਿੰਮੇਵਾਰੀ',
+        'discovery.absence-category.options.other-sport': 'ਹੋਰ ਖੇਡ ਜਾਂ ਗਤੀਵਿਧੀ',
+        'discovery.absence-category.options.other': 'ਹੋਰ',
+        'discovery.absence-start.label': 'ਤੋਂ',
+        'discovery.absence-end.label': 'ਤੱਕ (ਸਮੇਤ)',
+        'discovery.absence-details.label': 'ਵੇਰਵੇ',
+        'discovery.absence-details.placeholder': 'ਜਿਵੇਂ GCSE, Year 8 ਦਾ ਫ਼ਰਾਂਸ ਟੂਰ',
+
+        'discovery.consent.legend': 'ਸਹਿਮਤੀ ਅਤੇ ਨਿੱਜਤਾ',
+        'discovery.consent.note': 'ਇਹ ਫ਼ਾਰਮ ਭੇਜਣ ਤੋਂ ਪਹਿਲਾਂ ਕਿਰਪਾ ਕਰਕੇ ਸਾਡਾ ' + privacyNoticeLink + 'ਨਿੱਜਤਾ ਨੋਟਿਸ</a> ਪੜ੍ਹੋ।',
+        'discovery.consent-given-by.label': 'ਇਹ ਸਹਿਮਤੀ ਕੌਣ ਦੇ ਰਿਹਾ ਹੈ?',
+        'discovery.consent-given-by.placeholder': 'ਚੁਣੋ',
+        'discovery.consent-given-by.options.guardian': 'ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ',
+        'discovery.consent-given-by.options.athlete': 'ਖਿਡਾਰੀ ਖ਼ੁਦ',
+
+        'discovery.messages.noAthlete': 'ਖਿਡਾਰੀ ਦੀ ਪਛਾਣ ਨਹੀਂ ਹੋਈ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੁਸ਼ਟੀ ਵਾਲਾ ਲਿੰਕ ਵਰਤੋ।',
+        'discovery.messages.linkExpiredTitle': 'ਲਿੰਕ ਦੀ ਮਿਆਦ ਖ਼ਤਮ',
+        'discovery.messages.linkExpired': 'ਇਸ Discovery ਫ਼ਾਰਮ ਲਿੰਕ ਦੀ ਮਿਆਦ ਖ਼ਤਮ ਹੋ ਗਈ ਹੈ। ਨਵੇਂ ਲਿੰਕ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+        'discovery.messages.linkInvalidTitle': 'ਲਿੰਕ ਸਹੀ ਨਹੀਂ ਹੈ',
+        'discovery.messages.linkInvalid': 'ਇਹ Discovery ਫ਼ਾਰਮ ਲਿੰਕ ਸਹੀ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੁਸ਼ਟੀ ਵਾਲਾ ਲਿੰਕ ਵਰਤੋ, ' +
+            'ਜਾਂ ਨਵੇਂ ਲਿੰਕ ਲਈ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+        'discovery.messages.unknownAthlete': 'ਅਣਪਛਾਤਾ ਖਿਡਾਰੀ',
+        'discovery.messages.encryptionFailed': 'ਤੁਹਾਡਾ ਬ੍ਰਾਊਜ਼ਰ ਸਿਹਤ ਸੰਬੰਧੀ ਵੇਰਵਿਆਂ ਨੂੰ ਸੁਰੱਖਿਅਤ ਢੰਗ ਨਾਲ ਇਨਕ੍ਰਿਪਟ ਨਹੀਂ ਕਰ ਸਕਿਆ, ' +
+            'ਇਸ ਲਈ ਕੁਝ ਵੀ ਨਹੀਂ ਭੇਜਿਆ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ ਬ੍ਰਾਊਜ਼ਰ ਅੱਪਡੇਟ ਕਰੋ ਜਾਂ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+        'discovery.messages.invalid': 'ਕਿਰਪਾ ਕਰਕੇ ਉੱਪਰ ਦਿੱਤੀਆਂ ਗ਼ਲਤੀਆਂ ਠੀਕ ਕਰੋ।',
+        'discovery.messages.submitting': 'Discovery ਫ਼ਾਰਮ ਭੇਜਿਆ ਜਾ ਰਿਹਾ ਹੈ...',
+        'discovery.messages.success': 'Discovery ਫ਼ਾਰਮ ਸਫਲਤਾਪੂਰਵਕ ਭੇਜਿਆ ਗਿਆ! {name} ਦੀ ਪ੍ਰੋਫ਼ਾਈਲ ਹੁਣ ਪੂਰੀ ਅਤੇ ਸਰਗਰਮ ਹੈ। ',
+        'discovery.messages.queued': 'ਲੱਗਦਾ ਹੈ ਤੁਸੀਂ ਔਫਲਾਈਨ ਹੋ। {name} ਦਾ Discovery ਫ਼ਾਰਮ ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਸੰਭਾਲ ਲਿਆ ਗਿਆ ਹੈ ਅਤੇ ਕਨੈਕਸ਼ਨ ' +
+            'ਵਾਪਸ ਆਉਣ ਤੇ ਆਪਣੇ ਆਪ ਭੇਜਿਆ ਜਾਵੇਗਾ - ਇਸਨੂੰ ਦੁਬਾਰਾ ਭੇਜਣ ਦੀ ਲੋੜ ਨਹੀਂ।',
+        'discovery.messages.consentLink': 'ਸਹਿਮਤੀ ਵੇਖੋ ਜਾਂ ਵਾਪਸ ਲਓ',
+        'discovery.messages.calendarLink': '{name} ਦੀਆਂ ਗੈਰਹਾਜ਼ਰੀਆਂ ਆਪਣੇ ਕੈਲੰਡਰ ਵਿੱਚ ਜੋੜੋ (.ics)',
+        'discovery.messages.calendarName': '{name} - ਗੈਰਹਾਜ਼ਰੀਆਂ',
+        'discovery.messages.guardianPurpose': '{age} ਸਾਲ ਤੋਂ ਘੱਟ ਉਮਰ ਦੇ ਖਿਡਾਰੀਆਂ ਲਈ ਇਹ ਸਹਿਮਤੀ ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ ਨੂੰ ਦੇਣੀ ਪਵੇਗੀ।',
+        'discovery.messages.draftPrompt': '{name} ਲਈ ਤੁਹਾਡਾ ਇੱਕ ਅਧੂਰਾ ਡਰਾਫ਼ਟ ਹੈ, ਜੋ {time} ਨੂੰ ਸੰਭਾਲਿਆ ਗਿਆ ਸੀ।',
+        'discovery.messages.draftSaved': 'ਡਰਾਫ਼ਟ ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ {time} ਨੂੰ ਸੰਭਾਲਿਆ ਗਿਆ',
+        'discovery.messages.draftRestored': 'ਡਰਾਫ਼ਟ ਵਾਪਸ ਲਿਆਂਦਾ ਗਿਆ',
+
+        // Consent (consent.html)
+        'consent.title': 'ਸਹਿਮਤੀ ਦਾ ਪ੍ਰਬੰਧ - Charnwood AC',
+        'consent.heading': 'ਸਹਿਮਤੀ ਦਾ ਪ੍ਰਬੰਧ',
+        'consent.consentFor': 'ਇਸ ਖਿਡਾਰੀ ਲਈ ਸਹਿਮਤੀ:',
+        'consent.submit': 'ਚੁਣੀ ਸਹਿਮਤੀ ਵਾਪਸ ਲਓ',
+
+        'consent.current.legend': 'ਮੌਜੂਦਾ ਸਹਿਮਤੀ',
+        'consent.current.note': 'ਇਸ ਖਿਡਾਰੀ ਲਈ ਰੱਖੀਆਂ ਸਹਿਮਤੀਆਂ ਇਹ ਹਨ। ਜਿਹੜੀਆਂ ਤੁਸੀਂ ਵਾਪਸ ਲੈਣਾ ਚਾਹੁੰਦੇ ਹੋ ਉਹਨਾਂ \'ਤੇ ਟਿੱਕ ਕਰੋ। ਵਾਪਸੀ ਹੁਣ ਤੋਂ ਲਾਗੂ ' +
+            'ਹੁੰਦੀ ਹੈ ਅਤੇ ਇਸ ਤੋਂ ਪਹਿਲਾਂ ਕੀਤੀ ਕਿਸੇ ਚੀਜ਼ \'ਤੇ ਅਸਰ ਨਹੀਂ ਪਾਉਂਦੀ।',
+        'consent.withdraw.legend': 'ਸਹਿਮਤੀ ਵਾਪਸ ਲਓ',
+        'consent.withdrawn-by.label': 'ਸਹਿਮਤੀ ਕੌਣ ਵਾਪਸ ਲੈ ਰਿਹਾ ਹੈ?',
+        'consent.withdrawn-by.placeholder': 'ਚੁਣੋ',
+        'consent.withdrawn-by.options.guardian': 'ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ',
+        'consent.withdrawn-by.options.athlete': 'ਖਿਡਾਰੀ ਖ਼ੁਦ',
+
+        'consent.messages.noAthlete': 'ਖਿਡਾਰੀ ਦੀ ਪਛਾਣ ਨਹੀਂ ਹੋਈ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੁਸ਼ਟੀ ਵਾਲਾ ਲਿੰਕ ਵਰਤੋ।',
+        'consent.messages.linkExpiredTitle': 'ਲਿੰਕ ਦੀ ਮਿਆਦ ਖ਼ਤਮ',
+        'consent.messages.linkExpired': 'ਇਸ ਸਹਿਮਤੀ ਲਿੰਕ ਦੀ ਮਿਆਦ ਖ਼ਤਮ ਹੋ ਗਈ ਹੈ। ਨਵੇਂ ਲਿੰਕ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+        'consent.messages.linkInvalidTitle': 'ਲਿੰਕ ਸਹੀ ਨਹੀਂ ਹੈ',
+        'consent.messages.linkInvalid': 'ਇਹ ਸਹਿਮਤੀ ਲਿੰਕ ਸਹੀ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੁਸ਼ਟੀ ਵਾਲਾ ਲਿੰਕ ਵਰਤੋ, ਜਾਂ ਨਵੇਂ ਲਿੰਕ ਲਈ ਕੋਚ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+        'consent.messages.unknownAthlete': 'ਅਣਪਛਾਤਾ ਖਿਡਾਰੀ',
+        'consent.messages.loadFailed': 'ਮੌਜੂਦਾ ਸਹਿਮਤੀ ਲੋਡ ਨਹੀਂ ਹੋ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ ਕਨੈਕਸ਼ਨ ਜਾਂਚੋ ਅਤੇ ਪੰਨਾ ਮੁੜ ਲੋਡ ਕਰੋ।',
+        'consent.messages.nothingSelected': 'ਕਿਰਪਾ ਕਰਕੇ ਵਾਪਸ ਲੈਣ ਲਈ ਘੱਟੋ-ਘੱਟ ਇੱਕ ਸਹਿਮਤੀ \'ਤੇ ਟਿੱਕ ਕਰੋ।',
+        'consent.messages.invalid': 'ਕਿਰਪਾ ਕਰਕੇ ਉੱਪਰ ਦਿੱਤੀਆਂ ਗ਼ਲਤੀਆਂ ਠੀਕ ਕਰੋ।',
+        'consent.messages.notGiven': 'ਨਹੀਂ ਦਿੱਤੀ',
+        'consent.messages.withdrawnOn': '{date} ਨੂੰ ਵਾਪਸ ਲਈ',
+        'consent.messages.givenOnBy': '{date} ਨੂੰ {givenBy} ਵੱਲੋਂ ਦਿੱਤੀ',
+        'consent.messages.givenBy': '{givenBy} ਵੱਲੋਂ ਦਿੱਤੀ',
+        'consent.messages.givenByGuardian': 'ਮਾਪੇ ਜਾਂ ਸਰਪ੍ਰਸਤ',
+        'consent.messages.givenByAthlete': 'ਖਿਡਾਰੀ',
+        'consent.messages.statementVersion': '(ਬਿਆਨ ਦਾ ਸੰਸਕਰਣ {version})',
+        'consent.messages.statementAgreed': 'ਸਹਿਮਤੀ ਦਿੱਤਾ ਬਿਆਨ: "{text}"',
+        'consent.messages.withdrawThis': 'ਇਹ ਸਹਿਮਤੀ ਵਾਪਸ ਲਓ',
+        'consent.messages.withdrawing': 'ਸਹਿਮਤੀ ਵਾਪਸ ਲਈ ਜਾ ਰਹੀ ਹੈ...',
+        'consent.messages.withdrawn': 'ਸਹਿਮਤੀ ਵਾਪਸ ਲਈ ਗਈ: {purposes}। ਰਿਕਾਰਡ ਵਿਚਲੇ ਸੰਪਰਕ ਈਮੇਲ \'ਤੇ ਪੁਸ਼ਟੀ ਭੇਜੀ ਜਾਵੇਗੀ।',
+        'consent.messages.queued': 'ਲੱਗਦਾ ਹੈ ਤੁਸੀਂ ਔਫਲਾਈਨ ਹੋ। ਸਹਿਮਤੀ ਦੀ ਵਾਪਸੀ ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਸੰਭਾਲ ਲਈ ਗਈ ਹੈ ਅਤੇ ਕਨੈਕਸ਼ਨ ਵਾਪਸ ਆਉਣ \'ਤੇ ਆਪਣੇ-ਆਪ ਭੇਜ ' +
+            'ਦਿੱਤੀ ਜਾਵੇਗੀ - ਇਸਨੂੰ ਦੁਬਾਰਾ ਭੇਜਣ ਦੀ ਲੋੜ ਨਹੀਂ।',
+
+        // Data protection requests (data-request.html)
+        'data-request.title': 'ਡਾਟਾ ਸੁਰੱਖਿਆ ਬੇਨਤੀ - Charnwood AC',
+        'data-request.heading': 'ਡਾਟਾ ਸੁਰੱਖਿਆ ਬੇਨਤੀ',
+        'data-request.intro': 'ਖਿਡਾਰੀ ਬਾਰੇ ਸਾਡੇ ਕੋਲ ਰੱਖੇ ਡਾਟਾ ਦੀ ਕਾਪੀ ਮੰਗਣ, ਉਸਨੂੰ ਠੀਕ ਕਰਵਾਉਣ, ਮਿਟਾਉਣ ਜਾਂ ਮਸ਼ੀਨ ਦੁਆਰਾ ਪੜ੍ਹਨਯੋਗ ਫ਼ਾਰਮੈਟ ਵਿੱਚ ' +
+            'ਲੈਣ ਲਈ ਇਹ ਫ਼ਾਰਮ ਵਰਤੋ। ਅਸੀਂ ਇੱਕ ਕੈਲੰਡਰ ਮਹੀਨੇ ਦੇ ਅੰਦਰ ਜਵਾਬ ਦਿੰਦੇ ਹਾਂ।',
+        'data-request.submit': 'ਬੇਨਤੀ ਭੇਜੋ',
+        'data-request.requestFor': 'ਇਹ ਬੇਨਤੀ ਇਸ ਖਿਡਾਰੀ ਬਾਰੇ ਹੈ:',
+
+        'data-request.request.legend': 'ਤੁਹਾਡੀ ਬੇਨਤੀ',
+        'data-request.request-type.label': 'ਤੁਸੀਂ ਕੀ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?',
+        'data-request.request-type.placeholder': 'ਬੇਨਤੀ ਦੀ ਕਿਸਮ ਚੁਣੋ',
+        'data-request.request-type.options.access': 'ਪਹੁੰਚ - ਰੱਖੇ ਡਾਟਾ ਦੀ ਕਾਪੀ ਲਓ',
+        'data-request.request-type.options.rectification': 'ਸੁਧਾਰ - ਗ਼ਲਤ ਡਾਟਾ ਠੀਕ ਕਰੋ',
+        'data-request.request-type.options.erasure': 'ਮਿਟਾਉਣਾ - ਰੱਖਿਆ ਡਾਟਾ ਮਿਟਾਓ',
+        'data-request.request-type.options.portability': 'ਪੋਰਟੇਬਿਲਿਟੀ - ਡਾਟਾ ਮਸ਼ੀਨ ਦੁਆਰਾ ਪੜ੍ਹਨਯੋਗ ਫ਼ਾਰਮੈਟ ਵਿੱਚ ਲਓ',
+        'data-request.request-details.label': 'ਕੀ ਕੋਈ ਹੋਰ ਗੱਲ ਹੈ ਜੋ ਸਾਨੂੰ ਪਤਾ ਹੋਣੀ ਚਾਹੀਦੀ ਹੈ? (ਵਿਕਲਪਿਕ)',
+
+        'data-request.rectification.legend': 'ਸੁਧਾਰ',
+        'data-request.rectification.note': 'ਸਾਨੂੰ ਦੱਸੋ ਕਿ ਕਿਹੜੇ ਵੇਰਵੇ ਗ਼ਲਤ ਹਨ ਅਤੇ ਉਹ ਕੀ ਹੋਣੇ ਚਾਹੀਦੇ ਹਨ।',
+        'data-request.rectification-details.label': 'ਠੀਕ ਕਰਨ ਵਾਲੇ ਵੇਰਵੇ',
+        'data-request.rectification-details.placeholder': 'ਜਿਵੇਂ ਜਨਮ ਮਿਤੀ 3 ਮਈ 2012 ਹੋਣੀ ਚਾਹੀਦੀ ਹੈ, 5 ਮਾਰਚ 2012 ਨਹੀਂ',
+
+        'data-request.portability.legend': 'ਡਾਟਾ ਫ਼ਾਰਮੈਟ',
+        'data-request.portability-format.label': 'ਫ਼ਾਰਮੈਟ',
+        'data-request.portability-format.placeholder': 'ਫ਼ਾਰਮੈਟ ਚੁਣੋ',
+        'data-request.portability-format.options.csv': 'CSV (ਸਪ੍ਰੈਡਸ਼ੀਟ)',
+
+        'data-request.athlete.legend': 'ਖਿਡਾਰੀ',
+        'data-request.athlete.note': 'ਉਹ ਖਿਡਾਰੀ ਜਿਸਦੇ ਡਾਟਾ ਬਾਰੇ ਇਹ ਬੇਨਤੀ ਹੈ।',
+        'data-request.athlete-first-name.label': 'ਪਹਿਲਾ ਨਾਮ',
+        'data-request.athlete-last-name.label': 'ਉਪਨਾਮ',
+        'data-request.athlete-dob.label': 'ਜਨਮ ਮਿਤੀ',
+
+        'data-request.requester.legend': 'ਤੁਹਾਡੇ ਵੇਰਵੇ',
+        'data-request.requester.note': 'ਅਸੀਂ ਇਹਨਾਂ ਨੂੰ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਵੇਲੇ ਦਿੱਤੇ ਮਾਪਿਆਂ/ਸਰਪ੍ਰਸਤ (ਜਾਂ ਬਾਲਗ ਖਿਡਾਰੀ) ਦੇ ਸੰਪਰਕ ਵੇਰਵਿਆਂ ਨਾਲ ਮਿਲਾਉਂਦੇ ਹਾਂ, ਅਤੇ ' +
+            'ਸਿਰਫ਼ ਰਜਿਸਟਰਡ ਈਮੇਲ ਪਤੇ \'ਤੇ ਹੀ ਜਵਾਬ ਦਿੰਦੇ ਹਾਂ।',
+        'data-request.requester-first-name.label': 'ਪਹਿਲਾ ਨਾਮ',
+        'data-request.requester-last-name.label': 'ਉਪਨਾਮ',
+        'data-request.requester-relationship.label': 'ਖਿਡਾਰੀ ਨਾਲ ਰਿਸ਼ਤਾ',
+        'data-request.requester-relationship.placeholder': 'ਰਿਸ਼ਤਾ ਚੁਣੋ',
+        'data-request.requester-relationship.options.self': 'ਮੈਂ ਖਿਡਾਰੀ ਹਾਂ',
+        'data-request.requester-relationship.options.parent': 'ਮਾਪੇ',
+        'data-request.requester-relationship.options.guardian': 'ਸਰਪ੍ਰਸਤ',
+        'data-request.requester-email.label': 'ਰਜਿਸਟਰਡ ਈਮੇਲ ਪਤਾ',
+        'data-request.requester-phone.label': 'ਰਜਿਸਟਰਡ ਫ਼ੋਨ ਨੰਬਰ',
+
+        'data-request.declaration.legend': 'ਐਲਾਨ',
+        'data-request.declaration-authority.label': 'ਮੈਂ ਪੁਸ਼ਟੀ ਕਰਦਾ/ਕਰਦੀ ਹਾਂ ਕਿ ਮੈਂ ਉੱਪਰ ਦੱਸਿਆ ਖਿਡਾਰੀ ਹਾਂ, ਜਾਂ ਉਹਨਾਂ ਵੱਲੋਂ ਕੰਮ ਕਰਨ ਦਾ ਅਧਿਕਾਰ ਰੱਖਣ ਵਾਲਾ/ਵਾਲੀ ਉਹਨਾਂ ' +
+            'ਦਾ ਮਾਪਾ ਜਾਂ ਕਾਨੂੰਨੀ ਸਰਪ੍ਰਸਤ ਹਾਂ',
+
+        'data-request.messages.invalid': 'ਕਿਰਪਾ ਕਰਕੇ ਉੱਪਰ ਦਿੱਤੀਆਂ ਗ਼ਲਤੀਆਂ ਠੀਕ ਕਰੋ।',
+        'data-request.messages.submitting': 'ਬੇਨਤੀ ਭੇਜੀ ਜਾ ਰਹੀ ਹੈ...',
+        'data-request.messages.queueLabel': 'ਡਾਟਾ ਬੇਨਤੀ {reference}',
+        'data-request.messages.received': 'ਬੇਨਤੀ ਮਿਲ ਗਈ।',
+        'data-request.messages.queued': 'ਲੱਗਦਾ ਹੈ ਤੁਸੀਂ ਔਫਲਾਈਨ ਹੋ। ਤੁਹਾਡੀ ਬੇਨਤੀ ਇਸ ਡਿਵਾਈਸ ਉੱਤੇ ਸੰਭਾਲ ਲਈ ਗਈ ਹੈ ਅਤੇ ਕਨੈਕਸ਼ਨ ਵਾਪਸ ਆਉਣ \'ਤੇ ਆਪਣੇ-ਆਪ ਭੇਜ ' +
+            'ਦਿੱਤੀ ਜਾਵੇਗੀ।',
+        'data-request.messages.reference': 'ਹਵਾਲਾ:',
+        'data-request.messages.respondBy': 'ਅਸੀਂ {date} ਤੱਕ ਜਵਾਬ ਦੇਵਾਂਗੇ।',
+        'data-request.messages.identityNote': 'ਅਸੀਂ ਤੁਹਾਡੇ ਵੇਰਵੇ ਆਪਣੇ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਰਿਕਾਰਡਾਂ ਨਾਲ ਮਿਲਾਵਾਂਗੇ ਅਤੇ ਰਜਿਸਟਰਡ ਈਮੇਲ ਪਤੇ \'ਤੇ ਜਵਾਬ ਦੇਵਾਂਗੇ। ਜੇ ਤੁਹਾਡੀ ' +
+            'ਪਛਾਣ ਦੀ ਪੁਸ਼ਟੀ ਲਈ ਸਾਨੂੰ ਹੋਰ ਜਾਣਕਾਰੀ ਦੀ ਲੋੜ ਹੋਈ, ਤਾਂ ਅਸੀਂ ਤੁਹਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰਾਂਗੇ। ਕਿਰਪਾ ਕਰਕੇ ਕਿਸੇ ਵੀ ਚਿੱਠੀ-ਪੱਤਰ ਵਿੱਚ ਆਪਣਾ ਹਵਾਲਾ ਦੱਸੋ।',
+        'data-request.messages.linkNotUsed': 'ਤੁਹਾਡੇ ਖਿਡਾਰੀ ਲਿੰਕ ਦੀ ਪੁਸ਼ਟੀ ਨਹੀਂ ਹੋ ਸਕੀ, ਇਸ ਲਈ ਅਸੀਂ ਤੁਹਾਡਾ ਈਮੇਲ ਪਤਾ ਅਤੇ ਫ਼ੋਨ ਨੰਬਰ ' +
+            'ਖਿਡਾਰੀ ਲਈ ਰਜਿਸਟਰਡ ਵੇਰਵਿਆਂ ਨਾਲ ਮਿਲਾਵਾਂਗੇ।',
+        'data-request.messages.notVerified': 'ਅਸੀਂ ਇਹਨਾਂ ਵੇਰਵਿਆਂ ਨੂੰ ਆਪਣੇ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਰਿਕਾਰਡਾਂ ਨਾਲ ਨਹੀਂ ਮਿਲਾ ਸਕੇ। ਕਿਰਪਾ ਕਰਕੇ ਖਿਡਾਰੀ ਦਾ ਨਾਮ ਅਤੇ ਜਨਮ ਮਿਤੀ, ' +
+            'ਅਤੇ ਈਮੇਲ ਪਤਾ ਜਾਂ ਫ਼ੋਨ ਨੰਬਰ ਬਿਲਕੁਲ ਉਵੇਂ ਹੀ ਦਰਜ ਕਰੋ ਜਿਵੇਂ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਵੇਲੇ ਦਿੱਤਾ ਸੀ - ਜਾਂ ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੁਸ਼ਟੀ ਵਾਲਾ ਲਿੰਕ ਵਰਤੋ।'
+    });
+})();
@@ -0,0 +1,504 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Polish (pl) translations - see i18n.js for the keys; anything missing here
+ * is shown in English
+ */
+
+(function() {
+    'use strict';
+
+    const privacyNoticeLink = '<a href="' + window.MAD.Consent.PRIVACY_NOTICE.url + '" id="privacy-notice-link" target="_blank" rel="noopener">';
+
+    window.MAD.I18n.register('pl', {
+        // Shared
+        'common.language': 'Język',
+        'common.questions': 'Pytania? Kontakt:',
+        'common.dataRequestLink': 'Złóż wniosek dotyczący ochrony danych',
+
+        'form.required': 'To pole jest wymagane',
+        'form.email': 'Podaj prawidłowy adres e-mail',
+        'form.phone': 'Podaj prawidłowy numer telefonu dla wybranego kraju',
+        'form.phoneCountry': 'Numer kierunkowy kraju',
+        'form.date': 'Podaj prawidłową datę',
+        'form.number': 'Podaj prawidłową liczbę',
+        'form.range': 'Podaj wartość od {min} do {max}',
+        'form.consent': 'Aby kontynuować, musisz wyrazić zgodę',
+        'form.futureDate': 'Data urodzenia nie może być datą przyszłą',
+        'form.futureMonth': 'Data nie może być w przyszłości',
+        'form.pastDate': 'Ta data nie może być w przyszłości',
+        'form.dateOrder': 'Data końcowa nie może być wcześniejsza niż data początkowa',
+        'form.markEvent': 'Najpierw wybierz konkurencję',
+        'form.markTime': 'Podaj czas w formacie mm:ss.xx, np. 2:15.40 (lub w sekundach dla sprintów, np. 12.85)',
+        'form.markDistance': 'Podaj odległość w metrach, np. 5.32',
+        'form.markPoints': 'Podaj liczbę punktów, np. 3105',
+        'form.markImpossible': 'Taki wynik nie jest możliwy w tej konkurencji - sprawdź go',
+        'form.markNotRecorded': 'W tej konkurencji nie zapisujemy rekordów życiowych',
+        'form.tooOld': 'Sprawdź datę urodzenia',
+        'form.payloadInvalid': 'Nie udało się wysłać odpowiedzi, ponieważ formularz wygenerował nieoczekiwane dane. Skontaktuj się z klubem',
+        'form.summaryTitle': 'Wystąpił problem',
+        'form.select': 'Wybierz',
+        'form.submitting': 'Wysyłanie...',
+
+        'review.heading': 'Sprawdź swoje odpowiedzi',
+        'review.intro': 'Sprawdź te dane przed wysłaniem. Użyj „Edytuj”, aby zmienić sekcję.',
+        'review.confirm': 'Potwierdź i wyślij',
+        'review.back': 'Wróć do formularza',
+        'review.empty': 'Nie podano',
+        'review.none': 'Nie dodano',
+        'review.yes': 'Tak',
+        'review.no': 'Nie',
+        'review.edit': 'Edytuj',
+        'review.editSection': 'Edytuj: {section}',
+        'profile.title': 'Profil zawodnika: {name}',
+        'profile.submitted': 'Wysłano {time}',
+        'profile.queued': 'Zapisano na tym urządzeniu {time} - zostanie wysłane po przywróceniu połączenia',
+        'profile.declaration': 'Oświadczenie',
+        'profile.consentRecorded': 'Zgodę zapisano {time} (wersja Informacji o prywatności {version})',
+        'profile.print': 'Wydrukuj lub zapisz kopię (PDF)',
+        'health.title': 'Nie można teraz połączyć się z serwerem klubu.',
+        'health.text': 'Nadal możesz wypełnić formularz - zostanie zapisany na tym urządzeniu i wysłany automatycznie, gdy serwer znów będzie dostępny - ale możesz też spróbować później.',
+        'health.retry': 'Sprawdź ponownie',
+
+        'wizard.back': 'Wstecz',
+        'wizard.next': 'Dalej',
+        'wizard.step': 'Krok {n} z {total}: {legend}',
+
+        'queue.failed': 'Wysyłanie nie powiodło się',
+        'queue.timeout': 'Upłynął limit czasu żądania. Spróbuj ponownie.',
+        'queue.offline': 'Nie można połączyć się z serwerem. Sprawdź połączenie i spróbuj ponownie.',
+        'queue.heading': 'Zgłoszenia na tym urządzeniu',
+        'queue.submission': 'Zgłoszenie',
+        'queue.dismiss': 'Zamknij',
+        'queue.pending': 'Oczekuje - zapisano na tym urządzeniu i zostanie wysłane automatycznie po przywróceniu połączenia. Nie wysyłaj ponownie.',
+        'queue.sending': 'Wysyłanie...',
+        'queue.sent': 'Wysłano {time}',
+        'queue.rejected': 'Nie przyjęto: {error}{details}. Sprawdź dane i wyślij ponownie.',
+
+        // Consent statements (consent.js) - only for the version named in the key
+        'statements.privacyNotice.v1': 'Przeczytałem(-am) i zrozumiałem(-am) Informację o prywatności',
+        'statements.registrationData.v1': 'Wyrażam zgodę na zbieranie i przetwarzanie danych w sposób opisany w Informacji o prywatności',
+        'statements.discoveryData.v1': 'Wyrażam zgodę na zbieranie i przetwarzanie wszystkich informacji podanych podczas rejestracji ' +
+            'i w tym formularzu Discovery w celu trenowania i rozwoju zawodnika. ' +
+            'Rozumiem, że mogę w każdej chwili wycofać tę zgodę, kontaktując się z trenerem.',
+        'statements.photography.v1': 'Wyrażam zgodę na robienie zdjęć i nagrań wideo zawodnika podczas zajęć klubowych i zawodów ' +
+            'oraz na ich publikowanie na stronie internetowej klubu i w mediach społecznościowych',
+        'statements.medicalSharing.v1': 'Wyrażam zgodę na udostępnianie trenerom informacji o zdrowiu, urazach i wzroście zawodnika, ' +
+            'aby można było bezpiecznie dostosować trening',
+        'statements.englandAthletics.v1': 'Wyrażam zgodę na przekazywanie danych zawodnika do England Athletics w celu zgłoszeń na zawody ' +
+            'i rejestracji zawodnika',
+        'statements.marketing.v1': 'Chcę otrzymywać e-maile z wiadomościami klubowymi, informacjami o wydarzeniach i zbiórkach',
+        'statements.guardianDeclaration.v1': 'Wysyłając ten formularz, potwierdzam, że jestem rodzicem lub opiekunem prawnym wymienionego(-ych) powyżej zawodnika(-ów) ' +
+            'i jestem uprawniony(-a) do wyrażenia tej zgody w jego/ich imieniu.',
+        'statements.athleteDeclaration.v1': 'Wysyłając ten formularz, potwierdzam, że podane informacje są prawdziwe, i wyrażam zgodę na ich ' +
+            'przetwarzanie w opisany sposób.',
+
+        // Consent purposes (consent.js)
+        'purposes.dataCollection.title': 'Dane rejestracyjne i treningowe',
+        'purposes.dataCollection.description': 'Przechowywanie danych z rejestracji i formularza Discovery zawodnika na potrzeby treningów. Wycofanie tej ' +
+            'zgody oznacza, że klub nie może dłużej przechowywać dokumentacji zawodnika - trener skontaktuje się z Tobą w sprawie jej usunięcia.',
+        'purposes.medicalSharing.title': 'Informacje medyczne udostępniane trenerom',
+        'purposes.medicalSharing.description': 'Trenerzy widzą informacje o urazach, zdrowiu i wzroście, aby dostosować trening.',
+        'purposes.photography.title': 'Zdjęcia i media społecznościowe',
+        'purposes.photography.description': 'Zdjęcia i filmy na stronie internetowej klubu i w mediach społecznościowych.',
+        'purposes.englandAthletics.title': 'Dane zawodów przekazywane do England Athletics',
+        'purposes.englandAthletics.description': 'Dane przekazywane do England Athletics w celu zgłoszeń na zawody i rejestracji.',
+        'purposes.marketing.title': 'Marketing',
+        'purposes.marketing.description': 'E-maile z wiadomościami klubowymi, informacjami o wydarzeniach i zbiórkach.',
+
+        // Registration (index.html)
+        'registration.title': 'Rejestracja zawodnika - Charnwood AC',
+        'registration.heading': 'Formularz rejestracji zawodnika',
+        'registration.submit': 'Wyślij rejestrację',
+
+        'registration.athlete.legend': 'Dane zawodnika',
+        'registration.athlete.itemLegend': 'Dane zawodnika {n}',
+        'registration.athlete.addLabel': 'Dodaj kolejnego zawodnika',
+        'registration.athlete.removeLabel': 'Usuń tego zawodnika',
+        'registration.athlete-first-name.label': 'Imię',
+        'registration.athlete-last-name.label': 'Nazwisko',
+        'registration.athlete-dob.label': 'Data urodzenia',
+        'registration.athlete-gender.label': 'Płeć',
+        'registration.athlete-gender.placeholder': 'Wybierz płeć',
+        'registration.athlete-gender.options.male': 'Mężczyzna',
+        'registration.athlete-gender.options.female': 'Kobieta',
+        'registration.athlete-gender.options.other': 'Inna',
+        'registration.athlete-gender.options.prefer-not-to-say': 'Wolę nie podawać',
+        'registration.athlete-email.label': 'E-mail zawodnika (opcjonalnie)',
+        'registration.athlete-phone.label': 'Telefon zawodnika (opcjonalnie)',
+
+        'registration.parent.legend': 'Rodzic/opiekun',
+        'registration.parent.note': 'Ze względu na wiek rejestrowanych zawodników tę sekcję musi wypełnić rodzic lub opiekun. ' +
+            'Jeden rodzic lub opiekun wystarczy dla wszystkich zawodników w tym formularzu.',
+        'registration.parent-first-name.label': 'Imię',
+        'registration.parent-last-name.label': 'Nazwisko',
+        'registration.parent-relationship.label': 'Relacja z zawodnikiem',
+        'registration.parent-relationship.placeholder': 'Wybierz relację',
+        'registration.parent-relationship.options.mother': 'Matka',
+        'registration.parent-relationship.options.father': 'Ojciec',
+        'registration.parent-relationship.options.guardian': 'Opiekun prawny',
+        'registration.parent-relationship.options.other': 'Inna',
+        'registration.parent-email.label': 'Adres e-mail',
+        'registration.parent-phone.label': 'Numer telefonu',
+
+        'registration.emergency.legend': 'Kontakt w nagłych wypadkach',
+        'registration.emergency.note': 'Podaj dodatkowy kontakt na wypadek nagłej sytuacji.',
+        'registration.emergency-name.label': 'Imię i nazwisko osoby kontaktowej',
+        'registration.emergency-phone.label': 'Numer telefonu',
+
+        'registration.consent.legend': 'Zgody i prywatność',
+        'registration.consent.note': 'Przed wysłaniem formularza przeczytaj naszą ' + privacyNoticeLink + 'Informację o prywatności</a>. ' +
+            'Poniższe zgody opcjonalne można wycofać w dowolnym momencie.',
+
+        'registration.messages.invalid': 'Popraw błędy powyżej.',
+        'registration.messages.submitting': 'Wysyłanie rejestracji...',
+        'registration.messages.consentFailed': 'Twoja przeglądarka nie mogła bezpiecznie zapisać zgody, więc nic nie zostało wysłane. ' +
+            'Zaktualizuj przeglądarkę i spróbuj ponownie.',
+        'registration.messages.successTitle': 'Rejestracja zakończona pomyślnie!',
+        'registration.messages.registeredOne': 'Zarejestrowano: {names}.',
+        'registration.messages.registeredMany': 'Zarejestrowano: {names}.',
+        'registration.messages.discoveryNote': 'Wypełnij formularz Discovery dla każdego zawodnika, aby przekazać dodatkowe informacje i dokończyć udzielanie zgód.',
+        'registration.messages.discoveryLink': 'Przejdź do formularza Discovery →',
+        'registration.messages.discoveryLinkFor': 'Przejdź do formularza Discovery: {name} →',
+        'registration.messages.queued': 'Wygląda na to, że jesteś offline. Rejestracja została zapisana na tym urządzeniu i zostanie wysłana ' +
+            'automatycznie po przywróceniu połączenia - nie trzeba wysyłać jej ponownie.',
+        'registration.messages.alreadyRegisteredTitle': 'Już zarejestrowano.',
+        'registration.messages.alreadyRegisteredOne': '{names} - ta osoba jest już zarejestrowana w klubie, więc nie utworzono nowego rekordu. ' +
+            'Możesz przejść od razu do formularza Discovery:',
+        'registration.messages.alreadyRegisteredMany': '{names} - te osoby są już zarejestrowane w klubie, więc nie utworzono nowych rekordów. ' +
+            'Możesz przejść od razu do formularza Discovery:',
+        'registration.messages.thisAthlete': 'Ten zawodnik',
+        'registration.messages.detailsChanged': 'Jeśli jakieś dane się zmieniły, napisz do',
+        'registration.messages.otherAthletes': 'Aby zarejestrować pozostałych zawodników z tego formularza, usuń już zarejestrowanych i wyślij ponownie.',
+        'registration.messages.guardianPurpose': 'Dla zawodników poniżej {age} lat tę zgodę musi wyrazić rodzic lub opiekun.',
+        'registration.messages.ageGroup': 'Grupa wiekowa w sezonie {season}: {ageGroup}',
+        'registration.messages.ageGroups': 'Grupa wiekowa w sezonie {season}: {trackAndField} (lekkoatletyka), {crossCountry} (biegi przełajowe)',
+
+        // Discovery (discovery.html)
+        'discovery.title': 'Formularz Discovery zawodnika - Charnwood AC',
+        'discovery.heading': 'Formularz Discovery zawodnika',
+        'discovery.submit': 'Wyślij formularz Discovery',
+        'discovery.completingFor': 'Formularz Discovery dla:',
+        'discovery.draftResume': 'Wznów wersję roboczą',
+        'discovery.draftDiscard': 'Zacznij od nowa',
+
+        'discovery.training.legend': 'Doświadczenie treningowe',
+        'discovery.training-years-total.label': 'Lata uprawiania lekkoatletyki (łącznie)',
+        'discovery.training-years-coach.label': 'Lata z obecnym trenerem',
+        'discovery.sessions-per-week.label': 'Liczba treningów w tygodniu',
+        'discovery.training-group.label': 'Grupa treningowa',
+        'discovery.training-group.placeholder': 'Wybierz grupę treningową',
+        'discovery.previous-sports.label': 'Wcześniejsze sporty/zajęcia',
+        'discovery.previous-sports.placeholder': 'Wymień sporty lub zajęcia uprawiane przed lekkoatletyką, z przybliżonym wiekiem',
+
+        'discovery.events.legend': 'Konkurencje i rekordy życiowe',
+        'discovery.events.itemLegend': 'Konkurencja {n}',
+        'discovery.events.addLabel': 'Dodaj konkurencję',
+        'discovery.events.removeLabel': 'Usuń tę konkurencję',
+        'discovery.events.emptyText': 'Dodaj konkurencje, które trenujesz lub w których startujesz. Rekord życiowy jest opcjonalny.',
+        'discovery.pb-event.label': 'Konkurencja',
+        'discovery.pb-event.placeholder': 'Wybierz konkurencję',
+        'discovery.pb-event.groups.sprints': 'Sprinty',
+        'discovery.pb-event.groups.hurdles': 'Biegi przez płotki',
+        'discovery.pb-event.groups.middle-distance': 'Biegi średnie i długie',
+        'discovery.pb-event.groups.jumps': 'Skoki',
+        'discovery.pb-event.groups.throws': 'Rzuty',
+        'discovery.pb-event.groups.combined': 'Wieloboje',
+        'discovery.pb-event.groups.cross-country-road': 'Biegi przełajowe i uliczne',
+        'discovery.pb-event.options.60m-hurdles': '60m przez płotki',
+        'discovery.pb-event.options.70m-hurdles': '70m przez płotki',
+        'discovery.pb-event.options.75m-hurdles': '75m przez płotki',
+        'discovery.pb-event.options.80m-hurdles': '80m przez płotki',
+        'discovery.pb-event.options.100m-hurdles': '100m przez płotki',
+        'discovery.pb-event.options.110m-hurdles': '110m przez płotki',
+        'discovery.pb-event.options.300m-hurdles': '300m przez płotki',
+        'discovery.pb-event.options.400m-hurdles': '400m przez płotki',
+        'discovery.pb-event.options.mile': 'Mila',
+        'discovery.pb-event.options.1500m-steeplechase': '1500m z przeszkodami',
+        'discovery.pb-event.options.2000m-steeplechase': '2000m z przeszkodami',
+        'discovery.pb-event.options.3000m-steeplechase': '3000m z przeszkodami',
+        'discovery.pb-event.options.high-jump': 'Skok wzwyż',
+        'discovery.pb-event.options.pole-vault': 'Skok o tyczce',
+        'discovery.pb-event.options.long-jump': 'Skok w dal',
+        'discovery.pb-event.options.triple-jump': 'Trójskok',
+        'discovery.pb-event.options.shot-put': 'Pchnięcie kulą',
+        'discovery.pb-event.options.discus': 'Rzut dyskiem',
+        'discovery.pb-event.options.hammer': 'Rzut młotem',
+        'discovery.pb-event.options.javelin': 'Rzut oszczepem',
+        'discovery.pb-event.options.pentathlon': 'Pięciobój',
+        'discovery.pb-event.options.heptathlon': 'Siedmiobój',
+        'discovery.pb-event.options.decathlon': 'Dziesięciobój',
+        'discovery.pb-event.options.cross-country': 'Bieg przełajowy',
+        'discovery.pb-event.options.5k-road': 'Bieg uliczny 5 km / parkrun',
+        'discovery.pb-event.options.10k-road': 'Bieg uliczny 10 km',
+        'discovery.pb-event.options.half-marathon': 'Półmaraton',
+        'discovery.pb-event.options.marathon': 'Maraton',
+        'discovery.pb-mark.label': 'Rekord życiowy',
+        'discovery.pb-mark.placeholder': 'np. 2:15.40, 12.85, 5.32 lub 3105',
+        'discovery.pb-date.label': 'Data uzyskania',
+        'discovery.pb-venue.label': 'Miejsce',
+        'discovery.pb-venue.placeholder': 'np. Loughborough',
+        'discovery.events-goals.legend': 'Cele',
+        'discovery.goals-short-term.label': 'Cele krótkoterminowe (ten sezon)',
+        'discovery.goals-short-term.placeholder': 'Co chcesz osiągnąć w tym sezonie?',
+        'discovery.goals-medium-term.label': 'Cele średnioterminowe (1-2 lata)',
+        'discovery.goals-medium-term.placeholder': 'Gdzie widzisz siebie za 1-2 lata?',
+        'discovery.goals-long-term.label': 'Aspiracje długoterminowe',
+        'discovery.goals-long-term.placeholder': 'Jakie są Twoje największe marzenia sportowe?',
+        'discovery.motivation.label': 'Dlaczego uprawiasz lekkoatletykę?',
+        'discovery.motivation.placeholder': 'Co motywuje Cię do treningów i startów?',
+
+        'discovery.growth.legend': 'Wzrost i rozwój',
+        'discovery.growth.note': 'Te informacje pomagają nam monitorować dojrzewanie i odpowiednio dostosować trening.',
+        'discovery.height.label': 'Obecny wzrost (cm)',
+        'discovery.height.placeholder': 'np. 165',
+        'discovery.weight.label': 'Obecna waga (kg)',
+        'discovery.weight.placeholder': 'np. 52',
+        'discovery.mother-height.label': 'Wzrost matki (cm)',
+        'discovery.mother-height.placeholder': 'Pomaga oszacować wzrost w wieku dorosłym',
+        'discovery.father-height.label': 'Wzrost ojca (cm)',
+        'discovery.father-height.placeholder': 'Pomaga oszacować wzrost w wieku dorosłym',
+
+        'discovery.health.legend': 'Zdrowie',
+        'discovery.health.note': 'Zaznacz każde schorzenie, przy którym trener może musieć szybko zareagować na treningu.',
+        'discovery.condition-asthma.label': 'Astma',
+        'discovery.condition-epilepsy.label': 'Padaczka lub napady drgawkowe',
+        'discovery.condition-diabetes.label': 'Cukrzyca',
+        'discovery.condition-anaphylaxis.label': 'Ciężka alergia (ryzyko anafilaksji)',
+        'discovery.condition-heart.label': 'Choroba serca',
+        'discovery.medical-conditions.label': 'Inne choroby i schorzenia',
+        'discovery.medical-conditions.placeholder': 'np. hipermobilność, migreny',
+        'discovery.medication.label': 'Leki',
+        'discovery.medication.placeholder': 'Nazwa, dawka i kiedy jest przyjmowany, np. niebieski inhalator przed wysiłkiem',
+        'discovery.carries-medication.label': 'Przynosi swoje leki na każdy trening (np. inhalator, autowstrzykiwacz)',
+        'discovery.emergency-action.label': 'Postępowanie w nagłym wypadku',
+        'discovery.emergency-action.placeholder': 'Co trener powinien zrobić w nagłym wypadku? np. podać autowstrzykiwacz, zadzwonić pod 999',
+        'discovery.dietary-requirements.label': 'Wymagania dietetyczne',
+        'discovery.dietary-requirements.placeholder': 'np. dieta wegetariańska, alergie pokarmowe, nietolerancje',
+
+        'discovery.injuries.legend': 'Historia urazów',
+        'discovery.injuries.itemLegend': 'Uraz {n}',
+        'discovery.injuries.addLabel': 'Dodaj uraz',
+        'discovery.injuries.removeLabel': 'Usuń ten uraz',
+        'discovery.injuries.emptyText': 'Nie dodano urazów. Dodaj każdy uraz, który przerwał lub zmienił treningi - wystarczy przybliżona data.',
+        'discovery.injury-body-area.label': 'Część ciała',
+        'discovery.injury-body-area.placeholder': 'Wybierz część ciała',
+        'discovery.injury-body-area.options.head-neck': 'Głowa lub szyja',
+        'discovery.injury-body-area.options.shoulder-arm': 'Bark, ręka lub dłoń',
+        'discovery.injury-body-area.options.back': 'Plecy',
+        'discovery.injury-body-area.options.hip-groin': 'Biodro lub pachwina',
+        'discovery.injury-body-area.options.thigh': 'Udo (mięsień dwugłowy lub czworogłowy)',
+        'discovery.injury-body-area.options.knee': 'Kolano',
+        'discovery.injury-body-area.options.lower-leg': 'Podudzie (goleń lub łydka)',
+        'discovery.injury-body-area.options.ankle': 'Kostka',
+        'discovery.injury-body-area.options.foot': 'Stopa lub pięta',
+        'discovery.injury-body-area.options.other': 'Inne',
+        'discovery.injury-type.label': 'Rodzaj urazu',
+        'discovery.injury-type.placeholder': 'Wybierz rodzaj urazu',
+        'discovery.injury-type.options.muscle': 'Naciągnięcie lub naderwanie mięśnia',
+        'discovery.injury-type.options.tendon': 'Problem ze ścięgnem',
+        'discovery.injury-type.options.ligament': 'Skręcenie więzadła',
+        'discovery.injury-type.options.bone-stress': 'Złamanie zmęczeniowe lub przeciążenie kości',
+        'discovery.injury-type.options.fracture': 'Złamanie',
+        'discovery.injury-type.options.joint': 'Staw lub chrząstka',
+        'discovery.injury-type.options.growth-related': 'Związany ze wzrostem (np. choroba Osgooda-Schlattera, Severa)',
+        'discovery.injury-type.options.concussion': 'Wstrząśnienie mózgu',
+        'discovery.injury-type.options.other': 'Inne',
+        'discovery.injury-date.label': 'Przybliżona data',
+        'discovery.injury-date.placeholder': 'RRRR-MM',
+        'discovery.injury-weeks-out.label': 'Przerwa w treningach (tygodnie)',
+        'discovery.injury-weeks-out.placeholder': 'np. 3',
+        'discovery.injury-ongoing.label': 'Nadal wpływa na treningi',
+        'discovery.injury-diagnosed.label': 'Zdiagnozowany przez lekarza lub fizjoterapeutę',
+        'discovery.injury-notes.label': 'Uwagi',
+        'discovery.injury-notes.placeholder': 'Cokolwiek, co trener powinien wiedzieć, np. leczenie lub co pomogło',
+
+        'discovery.lifestyle.legend': 'Styl życia i zobowiązania',
+        'discovery.school.label': 'Szkoła',
+        'discovery.school.placeholder': 'Nazwa szkoły',
+        'discovery.year-group.label': 'Rok szkolny (Year)',
+        'discovery.year-group.placeholder': 'Wybierz rok',
+        'discovery.year-group.options.Left School': 'Zakończył(a) naukę w szkole',
+        'discovery.school-sports.label': 'Zajęcia sportowe w szkole',
+        'discovery.school-sports.placeholder': 'Szkolne drużyny lub zajęcia WF, które wpływają na treningi',
+        'discovery.other-activities.label': 'Inne regularne zajęcia',
+        'discovery.other-activities.placeholder': 'Muzyka, kluby, praca dorywcza itp.',
+
+        'discovery.family.legend': 'Rodzina i wsparcie',
+        'discovery.lives-with.label': 'Mieszka z',
+        'discovery.lives-with.placeholder': 'np. oboje rodziców, mama, tata i macocha',
+        'discovery.siblings.label': 'Rodzeństwo (wiek)',
+        'discovery.siblings.placeholder': 'np. brat (14), siostra (10)',
+        'discovery.parent-involvement.label': 'Zaangażowanie rodzica/opiekuna',
+        'discovery.parent-involvement.placeholder': 'Wybierz poziom zaangażowania',
+        'discovery.parent-involvement.options.High': 'Wysokie - bardzo zaangażowany w treningi/zawody',
+        'discovery.parent-involvement.options.Medium': 'Średnie - wspiera, bywa na niektórych zawodach',
+        'discovery.parent-involvement.options.Low': 'Niskie - minimalne zaangażowanie',
+        'discovery.communication-preference.label': 'Preferowany sposób kontaktu',
+        'discovery.communication-preference.placeholder': 'Wybierz sposób kontaktu',
+        'discovery.communication-preference.options.Email': 'E-mail',
+        'discovery.communication-preference.options.Phone': 'Rozmowa telefoniczna',
+        'discovery.communication-preference.options.Text': 'SMS',
+
+        'discovery.logistics.legend': 'Obiekty i logistyka',
+        'discovery.travel-to-training.label': 'Jak zawodnik dociera na trening?',
+        'discovery.travel-to-training.placeholder': 'np. rodzic zawozi, rowerem, pieszo',
+        'discovery.travel-time.label': 'Typowy czas dojazdu na trening (minuty)',
+        'discovery.travel-time.placeholder': 'np. 20',
+        'discovery.facility-access.label': 'Dostęp do obiektów',
+        'discovery.facility-access.placeholder': 'Dostęp do bieżni, siłowni, basenu, parków do treningu',
+        'discovery.competition-travel.label': 'Czy może jeździć na zawody wyjazdowe?',
+        'discovery.competition-travel.placeholder': 'Wybierz dostępność',
+        'discovery.competition-travel.options.Yes': 'Tak - na większość zawodów',
+        'discovery.competition-travel.options.Sometimes': 'Czasami - zależy od miejsca/terminu',
+        'discovery.competition-travel.options.Rarely': 'Rzadko - ograniczenia transportowe/finansowe',
+
+        'discovery.calendar.legend': 'Kalendarz roczny (opcjonalnie)',
+        'discovery.calendar.itemLegend': 'Nieobecność {n}',
+        'discovery.calendar.addLabel': 'Dodaj nieobecność lub okres egzaminów',
+        'discovery.calendar.removeLabel': 'Usuń tę nieobecność',
+        'discovery.calendar.emptyText': 'Pomóż nam zaplanować treningi z uwzględnieniem Twoich zobowiązań - dodaj wakacje rodzinne, wycieczki szkolne i okresy egzaminów. Możesz to uzupełnić później.',
+        'discovery.absence-category.label': 'Powód',
+        'discovery.absence-category.placeholder': 'Wybierz powód',
+        'discovery.absence-category.options.holiday': 'Wakacje rodzinne',
+        'discovery.absence-category.options.school-trip': 'Wycieczka szkolna',
+        'discovery.absence-category.options.exams': 'Egzaminy',
+        'discovery.absence-category.options.school': 'Inne zobowiązanie szkolne',
+        'discovery.absence-category.options.other-sport': 'Inny sport lub zajęcia',
+        'discovery.absence-category.options.other': 'Inne',
+        'discovery.absence-start.label': 'Od',
+        'discovery.absence-end.label': 'Do (włącznie)',
+        'discovery.absence-details.label': 'Szczegóły',
+        'discovery.absence-details.placeholder': 'np. GCSE, wycieczka klasy 8 do Francji',
+
+        'discovery.consent.legend': 'Zgody i prywatność',
+        'discovery.consent.note': 'Przed wysłaniem formularza przeczytaj naszą ' + privacyNoticeLink + 'Informację o prywatności</a>.',
+        'discovery.consent-given-by.label': 'Kto wyraża tę zgodę?',
+        'discovery.consent-given-by.placeholder': 'Wybierz',
+        'discovery.consent-given-by.options.guardian': 'Rodzic lub opiekun',
+        'discovery.consent-given-by.options.athlete': 'Zawodnik',
+
+        'discovery.messages.noAthlete': 'Nie rozpoznano zawodnika. Użyj linku z potwierdzenia rejestracji.',
+        'discovery.messages.linkExpiredTitle': 'Link wygasł',
+        'discovery.messages.linkExpired': 'Ten link do formularza Discovery wygasł. Poproś trenera o nowy link.',
+        'discovery.messages.linkInvalidTitle': 'Nieprawidłowy link',
+        'discovery.messages.linkInvalid': 'Ten link do formularza Discovery jest nieprawidłowy. Użyj linku z potwierdzenia rejestracji lub poproś trenera o nowy.',
+        'discovery.messages.unknownAthlete': 'Nieznany zawodnik',
+        'discovery.messages.encryptionFailed': 'Twoja przeglądarka nie mogła bezpiecznie zaszyfrować informacji o zdrowiu, więc nic nie zostało wysłane. ' +
+            'Zaktualizuj przeglądarkę lub skontaktuj się z trenerem.',
+        'discovery.messages.invalid': 'Popraw błędy powyżej.',
+        'discovery.messages.submitting': 'Wysyłanie formularza Discovery...',
+        'discovery.messages.success': 'Formularz Discovery został wysłany! Profil zawodnika {name} jest teraz kompletny i aktywny. ',
+        'discovery.messages.queued': 'Wygląda na to, że jesteś offline. Formularz Discovery zawodnika {name} został zapisany na tym urządzeniu ' +
+            'i zostanie wysłany automatycznie po przywróceniu połączenia - nie trzeba wysyłać go ponownie.',
+        'discovery.messages.consentLink': 'Przejrzyj lub wycofaj zgody',
+        'discovery.messages.calendarLink': 'Dodaj nieobecności ({name}) do swojego kalendarza (.ics)',
+        'discovery.messages.calendarName': '{name} - nieobecności',
+        'discovery.messages.guardianPurpose': 'Dla zawodników poniżej {age} lat tę zgodę musi wyrazić rodzic lub opiekun.',
+        'discovery.messages.draftPrompt': 'Masz niedokończoną wersję roboczą dla zawodnika {name}, zapisaną {time}.',
+        'discovery.messages.draftSaved': 'Wersję roboczą zapisano na tym urządzeniu o {time}',
+        'discovery.messages.draftRestored': 'Przywrócono wersję roboczą',
+
+        // Consent (consent.html)
+        'consent.title': 'Zarządzanie zgodami - Charnwood AC',
+        'consent.heading': 'Zarządzanie zgodami',
+        'consent.consentFor': 'Zgody dla:',
+        'consent.submit': 'Wycofaj wybrane zgody',
+
+        'consent.current.legend': 'Aktualne zgody',
+        'consent.current.note': 'To są zgody udzielone dla tego zawodnika. Zaznacz te, które chcesz wycofać. Wycofanie obowiązuje od teraz i ' +
+            'nie wpływa na nic, co zostało zrobione wcześniej.',
+        'consent.withdraw.legend': 'Wycofanie zgody',
+        'consent.withdrawn-by.label': 'Kto wycofuje zgodę?',
+        'consent.withdrawn-by.placeholder': 'Wybierz',
+        'consent.withdrawn-by.options.guardian': 'Rodzic lub opiekun',
+        'consent.withdrawn-by.options.athlete': 'Zawodnik',
+
+        'consent.messages.noAthlete': 'Nie rozpoznano zawodnika. Użyj linku z potwierdzenia rejestracji.',
+        'consent.messages.linkExpiredTitle': 'Link wygasł',
+        'consent.messages.linkExpired': 'Ten link do zgód wygasł. Poproś trenera o nowy link.',
+        'consent.messages.linkInvalidTitle': 'Nieprawidłowy link',
+        'consent.messages.linkInvalid': 'Ten link do zgód jest nieprawidłowy. Użyj linku z potwierdzenia rejestracji lub poproś trenera o nowy.',
+        'consent.messages.unknownAthlete': 'Nieznany zawodnik',
+        'consent.messages.loadFailed': 'Nie udało się wczytać aktualnych zgód. Sprawdź połączenie i odśwież stronę.',
+        'consent.messages.nothingSelected': 'Zaznacz co najmniej jedną zgodę do wycofania.',
+        'consent.messages.invalid': 'Popraw błędy powyżej.',
+        'consent.messages.notGiven': 'Nie udzielono',
+        'consent.messages.withdrawnOn': 'Wycofano {date}',
+        'consent.messages.givenOnBy': 'Udzielono {date} - udzielił(a): {givenBy}',
+        'consent.messages.givenBy': 'Udzielił(a): {givenBy}',
+        'consent.messages.givenByGuardian': 'rodzic lub opiekun',
+        'consent.messages.givenByAthlete': 'zawodnik',
+        'consent.messages.statementVersion': '(wersja oświadczenia {version})',
+        'consent.messages.statementAgreed': 'Zaakceptowana treść: „{text}”',
+        'consent.messages.withdrawThis': 'Wycofaj tę zgodę',
+        'consent.messages.withdrawing': 'Wycofywanie zgody...',
+        'consent.messages.withdrawn': 'Wycofano zgody: {purposes}. Potwierdzenie zostanie wysłane na adres e-mail podany w danych kontaktowych.',
+        'consent.messages.queued': 'Wygląda na to, że jesteś offline. Wycofanie zgody zostało zapisane na tym urządzeniu i zostanie wysłane ' +
+            'automatycznie po przywróceniu połączenia - nie trzeba wysyłać go ponownie.',
+
+        // Data protection requests (data-request.html)
+        'data-request.title': 'Wniosek dotyczący ochrony danych - Charnwood AC',
+        'data-request.heading': 'Wniosek dotyczący ochrony danych',
+        'data-request.intro': 'Za pomocą tego formularza możesz poprosić o kopię danych, które przechowujemy o zawodniku, o ich poprawienie, ' +
+            'usunięcie lub przekazanie w formacie do odczytu maszynowego. Odpowiadamy w ciągu jednego miesiąca kalendarzowego.',
+        'data-request.submit': 'Wyślij wniosek',
+        'data-request.requestFor': 'Wniosek dotyczy:',
+
+        'data-request.request.legend': 'Twój wniosek',
+        'data-request.request-type.label': 'Czego dotyczy wniosek?',
+        'data-request.request-type.placeholder': 'Wybierz rodzaj wniosku',
+        'data-request.request-type.options.access': 'Dostęp - otrzymanie kopii przechowywanych danych',
+        'data-request.request-type.options.rectification': 'Sprostowanie - poprawienie nieprawidłowych danych',
+        'data-request.request-type.options.erasure': 'Usunięcie - skasowanie przechowywanych danych',
+        'data-request.request-type.options.portability': 'Przenoszenie - otrzymanie danych w formacie do odczytu maszynowego',
+        'data-request.request-details.label': 'Czy jest coś jeszcze, o czym powinniśmy wiedzieć? (opcjonalnie)',
+
+        'data-request.rectification.legend': 'Poprawki',
+        'data-request.rectification.note': 'Napisz, które dane są nieprawidłowe i jak powinny brzmieć.',
+        'data-request.rectification-details.label': 'Dane do poprawienia',
+        'data-request.rectification-details.placeholder': 'np. data urodzenia to 3 maja 2012, a nie 5 marca 2012',
+
+        'data-request.portability.legend': 'Format danych',
+        'data-request.portability-format.label': 'Format',
+        'data-request.portability-format.placeholder': 'Wybierz format',
+        'data-request.portability-format.options.csv': 'CSV (arkusz kalkulacyjny)',
+
+        'data-request.athlete.legend': 'Zawodnik',
+        'data-request.athlete.note': 'Zawodnik, którego dane dotyczy wniosek.',
+        'data-request.athlete-first-name.label': 'Imię',
+        'data-request.athlete-last-name.label': 'Nazwisko',
+        'data-request.athlete-dob.label': 'Data urodzenia',
+
+        'data-request.requester.legend': 'Twoje dane',
+        'data-request.requester.note': 'Porównujemy je z danymi kontaktowymi rodzica/opiekuna (lub pełnoletniego zawodnika) podanymi przy rejestracji ' +
+            'i odpowiadamy wyłącznie na zarejestrowany adres e-mail.',
+        'data-request.requester-first-name.label': 'Imię',
+        'data-request.requester-last-name.label': 'Nazwisko',
+        'data-request.requester-relationship.label': 'Relacja z zawodnikiem',
+        'data-request.requester-relationship.placeholder': 'Wybierz relację',
+        'data-request.requester-relationship.options.self': 'Jestem zawodnikiem',
+        'data-request.requester-relationship.options.parent': 'Rodzic',
+        'data-request.requester-relationship.options.guardian': 'Opiekun',
+        'data-request.requester-email.label': 'Zarejestrowany adres e-mail',
+        'data-request.requester-phone.label': 'Zarejestrowany numer telefonu',
+
+        'data-request.declaration.legend': 'Oświadczenie',
+        'data-request.declaration-authority.label': 'Potwierdzam, że jestem wymienionym powyżej zawodnikiem albo jego rodzicem lub opiekunem prawnym uprawnionym ' +
+            'do działania w jego imieniu',
+
+        'data-request.messages.invalid': 'Popraw błędy powyżej.',
+        'data-request.messages.submitting': 'Wysyłanie wniosku...',
+        'data-request.messages.queueLabel': 'Wniosek o dane {reference}',
+        'data-request.messages.received': 'Wniosek przyjęty.',
+        'data-request.messages.queued': 'Wygląda na to, że jesteś offline. Twój wniosek został zapisany na tym urządzeniu i zostanie wysłany ' +
+            'automatycznie po przywróceniu połączenia.',
+        'data-request.messages.reference': 'Numer referencyjny:',
+        'data-request.messages.respondBy': 'Termin odpowiedzi: {date}.',
+        'data-request.messages.identityNote': 'Sprawdzimy Twoje dane w naszej dokumentacji rejestracyjnej i odpowiemy na zarejestrowany adres e-mail. Jeśli ' +
+            'do potwierdzenia Twojej tożsamości będziemy potrzebować dodatkowych informacji, skontaktujemy się z Tobą. W korespondencji podawaj numer referencyjny.',
+        'data-request.messages.linkNotUsed': 'Nie udało się zweryfikować linku zawodnika, dlatego sprawdzimy Twój adres e-mail i numer telefonu ' +
+            'z danymi zarejestrowanymi dla zawodnika.',
+        'data-request.messages.notVerified': 'Nie udało się dopasować tych danych do naszej dokumentacji rejestracyjnej. Wpisz imię, nazwisko i datę ' +
+            'urodzenia zawodnika oraz adres e-mail lub numer telefonu dokładnie tak, jak podano je przy rejestracji - lub użyj linku z potwierdzenia rejestracji.'
+    });
+})();
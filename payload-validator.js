@@ -0,0 +1,177 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Payload validator - checks a webhook payload against its published JSON Schema
+ * (schemas/*.json) before it is sent. Also used by the local stub webhook
+ * (backend/stub-webhook.js), so the browser and the stub apply the same rules.
+ *
+ * Supports the subset of JSON Schema (2020-12) the payload schemas use:
+ *   type (incl. arrays of types), enum, const, properties, required,
+ *   additionalProperties: false, items, minItems, maxItems, minLength,
+ *   maxLength, pattern, minimum, maximum, format (date, date-time, email),
+ *   $ref to "#/$defs/<name>"
+ */
+
+(function(global) {
+    'use strict';
+
+    const FORMATS = {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    };
+
+    const schemaCache = {};
+
+    /**
+     * JSON Schema type name of a value
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Whether a value matches a schema type (integers are also numbers)
+     */
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    /**
+     * Resolve a local $ref against the root schema
+     */
+    function resolveRef(root, ref) {
+        const name = ref.replace(/^#\/\$defs\//, '');
+        if (!root.$defs || !root.$defs[name]) {
+            throw new Error('Unresolved $ref: ' + ref);
+        }
+        return root.$defs[name];
+    }
+
+    /**
+     * Validate a value against a (sub)schema, collecting "path: message" errors
+     */
+    function check(root, schema, value, path, errors) {
+        if (schema.$ref) {
+            check(root, resolveRef(root, schema.$ref), value, path, errors);
+            return;
+        }
+
+        const label = path || '(payload)';
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push(label + ': must be ' + types.join(' or '));
+                return;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push(label + ': must be ' + JSON.stringify(schema.const));
+        }
+
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            errors.push(label + ': must be one of ' + schema.enum.map(item => JSON.stringify(item)).join(', '));
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(label + ': must be at least ' + schema.minLength + ' characters');
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(label + ': must be at most ' + schema.maxLength + ' characters');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(label + ': does not match the expected pattern');
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+                errors.push(label + ': must be a valid ' + schema.format);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(label + ': must be at least ' + schema.minimum);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(label + ': must be at most ' + schema.maximum);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(label + ': must have at least ' + schema.minItems + ' item(s)');
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(label + ': must have at most ' + schema.maxItems + ' item(s)');
+            }
+            if (schema.items) {
+                value.forEach((item, index) => check(root, schema.items, item, label.replace('(payload)', '') + '[' + index + ']', errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const prefix = path ? path + '.' : '';
+
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push(prefix + key + ': is required');
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                if (schema.properties && schema.properties[key]) {
+                    check(root, schema.properties[key], value[key], prefix + key, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(prefix + key + ': is not allowed');
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate a payload against a JSON Schema
+     * Returns a list of "path: message" errors (empty if valid)
+     */
+    function validate(schema, data) {
+        const errors = [];
+        check(schema, schema, data, '', errors);
+        return errors;
+    }
+
+    /**
+     * Fetch a schema file once per page (cached by the service worker for offline use)
+     * Resolves to null if the schema cannot be loaded
+     */
+    function load(url) {
+        if (!schemaCache[url]) {
+            schemaCache[url] = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Payload schema unavailable (' + url + '):', error);
+                    delete schemaCache[url];
+                    return null;
+                });
+        }
+        return schemaCache[url];
+    }
+
+    const api = {
+        validate: validate,
+        load: load
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        global.MAD = global.MAD || {};
+        global.MAD.PayloadValidator = api;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
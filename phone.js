@@ -0,0 +1,171 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Phone numbers - per-country validation and E.164 normalisation
+ *
+ * Numbers are typed in national format for the selected country
+ * (07700 900123) or in international format (+44 7700 900123, 0044 ...),
+ * which overrides the selected country. The payload always carries E.164
+ * (+447700900123); format() gives a friendlier version for display. Also
+ * usable from Node.js, so the backend can compare numbers the same way.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Country used until the user picks another
+    const DEFAULT_COUNTRY = 'GB';
+
+    // Countries offered in the selector - dial code, national trunk prefix
+    // dropped before the dial code is added, and national number length
+    // range (digits after the dial code); groups splits it for display
+    const COUNTRIES = {
+        GB: { dialCode: '44', trunkPrefix: '0', minLength: 9, maxLength: 10, groups: [4, 6] },
+        IE: { dialCode: '353', trunkPrefix: '0', minLength: 7, maxLength: 9, groups: [2, 3, 4] },
+        PL: { dialCode: '48', trunkPrefix: '', minLength: 9, maxLength: 9, groups: [3, 3, 3] },
+        IN: { dialCode: '91', trunkPrefix: '0', minLength: 10, maxLength: 10, groups: [5, 5] },
+        PK: { dialCode: '92', trunkPrefix: '0', minLength: 9, maxLength: 10, groups: [3, 7] },
+        BD: { dialCode: '880', trunkPrefix: '0', minLength: 8, maxLength: 10, groups: [4, 6] },
+        US: { dialCode: '1', trunkPrefix: '1', minLength: 10, maxLength: 10, groups: [3, 3, 4] },
+        FR: { dialCode: '33', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [1, 2, 2, 2, 2] },
+        DE: { dialCode: '49', trunkPrefix: '0', minLength: 6, maxLength: 13 },
+        ES: { dialCode: '34', trunkPrefix: '', minLength: 9, maxLength: 9, groups: [3, 3, 3] },
+        IT: { dialCode: '39', trunkPrefix: '', minLength: 6, maxLength: 11 },
+        NL: { dialCode: '31', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [1, 8] },
+        PT: { dialCode: '351', trunkPrefix: '', minLength: 9, maxLength: 9, groups: [3, 3, 3] },
+        RO: { dialCode: '40', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [3, 3, 3] },
+        AU: { dialCode: '61', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [3, 3, 3] },
+        NZ: { dialCode: '64', trunkPrefix: '0', minLength: 8, maxLength: 10 },
+        ZA: { dialCode: '27', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [2, 3, 4] },
+        NG: { dialCode: '234', trunkPrefix: '0', minLength: 8, maxLength: 10, groups: [3, 3, 4] },
+        KE: { dialCode: '254', trunkPrefix: '0', minLength: 9, maxLength: 9, groups: [3, 6] }
+    };
+
+    // E.164 allows at most 15 digits; numbers from unlisted countries need at least this many
+    const E164_MAX_DIGITS = 15;
+    const E164_MIN_DIGITS = 8;
+
+    // Separators people type between digits
+    const SEPARATORS = /[\s().\-]/g;
+    const TRUNK_IN_BRACKETS = /\(0\)/g;
+
+    /**
+     * Country codes offered in the selector, in display order
+     */
+    function getCountries() {
+        return Object.keys(COUNTRIES);
+    }
+
+    /**
+     * Dial code for a country code, e.g. '44' for 'GB'
+     */
+    function getDialCode(country) {
+        return COUNTRIES[country] ? COUNTRIES[country].dialCode : null;
+    }
+
+    /**
+     * Country whose dial code starts an international number's digits
+     * (longest match, so +353 is Ireland rather than +35...), or null
+     */
+    function findCountryByDigits(digits) {
+        return getCountries()
+            .filter(country => digits.indexOf(COUNTRIES[country].dialCode) === 0)
+            .sort((a, b) => COUNTRIES[b].dialCode.length - COUNTRIES[a].dialCode.length)[0] || null;
+    }
+
+    /**
+     * Digits of a number typed in international format (+44..., 0044...), or null
+     * - a bracketed trunk prefix, as in +44 (0)7700 900123, is dropped
+     */
+    function getInternationalDigits(value) {
+        const compact = String(value || '').replace(TRUNK_IN_BRACKETS, '').replace(SEPARATORS, '');
+        if (/^\+\d+$/.test(compact)) return compact.slice(1);
+        if (/^00\d+$/.test(compact)) return compact.slice(2);
+        return null;
+    }
+
+    /**
+     * Country of a number typed in international format, or null
+     */
+    function detectCountry(value) {
+        const digits = getInternationalDigits(value);
+        return digits ? findCountryByDigits(digits) : null;
+    }
+
+    /**
+     * Whether a national number has a valid length for a country
+     */
+    function isValidNational(country, national) {
+        const rule = COUNTRIES[country];
+        return /^[1-9]\d*$/.test(national) && national.length >= rule.minLength && national.length <= rule.maxLength;
+    }
+
+    /**
+     * Normalise a typed number to E.164 (+447700900123), or null if it is not
+     * a valid number - national numbers are read for the given country
+     */
+    function normalise(value, country) {
+        const international = getInternationalDigits(value);
+
+        if (international) {
+            const detected = findCountryByDigits(international);
+            if (detected) {
+                const national = international.slice(COUNTRIES[detected].dialCode.length);
+                return isValidNational(detected, national) ? '+' + international : null;
+            }
+            // Country not listed - check only the E.164 shape
+            return /^[1-9]\d*$/.test(international) &&
+                international.length >= E164_MIN_DIGITS && international.length <= E164_MAX_DIGITS
+                ? '+' + international
+                : null;
+        }
+
+        const rule = COUNTRIES[country || DEFAULT_COUNTRY];
+        let national = String(value || '').replace(SEPARATORS, '');
+        if (!rule || !/^\d+$/.test(national)) return null;
+
+        if (rule.trunkPrefix && national.indexOf(rule.trunkPrefix) === 0) {
+            national = national.slice(rule.trunkPrefix.length);
+        }
+        return isValidNational(country || DEFAULT_COUNTRY, national) ? '+' + rule.dialCode + national : null;
+    }
+
+    /**
+     * Friendly display of an E.164 number, e.g. "+44 7700 900123" - anything
+     * else is returned unchanged
+     */
+    function format(e164) {
+        const digits = getInternationalDigits(e164);
+        const country = digits && findCountryByDigits(digits);
+        if (!country) return e164;
+
+        const rule = COUNTRIES[country];
+        const national = digits.slice(rule.dialCode.length);
+        const groups = rule.groups && rule.groups.reduce((total, size) => total + size, 0) === national.length
+            ? rule.groups
+            : [national.length];
+
+        let start = 0;
+        const parts = groups.map(size => {
+            const part = national.slice(start, start + size);
+            start += size;
+            return part;
+        });
+        return '+' + rule.dialCode + ' ' + parts.join(' ');
+    }
+
+    const api = {
+        DEFAULT_COUNTRY: DEFAULT_COUNTRY,
+        getCountries: getCountries,
+        getDialCode: getDialCode,
+        detectCountry: detectCountry,
+        normalise: normalise,
+        format: format
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        global.MAD = global.MAD || {};
+        global.MAD.Phone = api;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
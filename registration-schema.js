@@ -0,0 +1,102 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Registration Form schema - fields, validation rules and payload paths
+ * Rendered by form-engine.js
+ */
+
+(function() {
+    'use strict';
+
+    window.MAD = window.MAD || {};
+    window.MAD.schemas = window.MAD.schemas || {};
+
+    const Consent = window.MAD.Consent;
+    const STATEMENTS = Consent.STATEMENTS;
+
+    window.MAD.schemas.registration = {
+        id: 'registration',
+        sections: [
+            {
+                id: 'athlete',
+                legend: 'Athlete Details',
+                // Siblings can be registered together - one item per athlete
+                path: 'athletes',
+                repeat: {
+                    min: 1,
+                    max: 6,
+                    itemLegend: 'Athlete {n} Details',
+                    addLabel: 'Add another athlete',
+                    removeLabel: 'Remove this athlete'
+                },
+                fields: [
+                    { id: 'athlete-first-name', name: 'athleteFirstName', type: 'text', label: 'First Name', required: true, maxlength: 50, autocomplete: 'given-name', path: 'firstName' },
+                    { id: 'athlete-last-name', name: 'athleteLastName', type: 'text', label: 'Last Name', required: true, maxlength: 50, autocomplete: 'family-name', path: 'lastName' },
+                    { id: 'athlete-dob', name: 'athleteDateOfBirth', type: 'date', label: 'Date of Birth', required: true, validate: 'dateOfBirth', path: 'dateOfBirth' },
+                    {
+                        id: 'athlete-gender', name: 'athleteGender', type: 'select', label: 'Gender', required: true,
+                        placeholder: 'Select gender', format: 'capitalize', path: 'gender',
+                        options: [
+                            { value: 'male', label: 'Male' },
+                            { value: 'female', label: 'Female' },
+                            { value: 'other', label: 'Other' },
+                            { value: 'prefer-not-to-say', label: 'Prefer not to say' }
+                        ]
+                    },
+                    { id: 'athlete-email', name: 'athleteEmail', type: 'email', label: 'Athlete Email (optional)', maxlength: 100, autocomplete: 'email', path: 'email' },
+                    { id: 'athlete-phone', name: 'athletePhone', type: 'tel', label: 'Athlete Phone (optional)', maxlength: 20, autocomplete: 'tel', path: 'phone' }
+                ]
+            },
+            {
+                id: 'parent',
+                legend: 'Parent/Guardian',
+                note: 'Because of the ages of the athletes being registered, a parent or guardian must complete this section. One parent or guardian covers all athletes on this form.',
+                // Shown only when the club policy needs a guardian (club-policy.js) - serialises to null when hidden
+                path: 'parent',
+                fields: [
+                    { id: 'parent-first-name', name: 'parentFirstName', type: 'text', label: 'First Name', required: true, maxlength: 50, autocomplete: 'given-name', path: 'parent.firstName' },
+                    { id: 'parent-last-name', name: 'parentLastName', type: 'text', label: 'Last Name', required: true, maxlength: 50, autocomplete: 'family-name', path: 'parent.lastName' },
+                    {
+                        id: 'parent-relationship', name: 'parentRelationship', type: 'select', label: 'Relationship to Athlete', required: true,
+                        placeholder: 'Select relationship', format: 'capitalize', path: 'parent.relationship',
+                        options: [
+                            { value: 'mother', label: 'Mother' },
+                            { value: 'father', label: 'Father' },
+                            { value: 'guardian', label: 'Guardian' },
+                            { value: 'other', label: 'Other' }
+                        ]
+                    },
+                    { id: 'parent-email', name: 'parentEmail', type: 'email', label: 'Email Address', required: true, maxlength: 100, autocomplete: 'email', path: 'parent.email' },
+                    { id: 'parent-phone', name: 'parentPhone', type: 'tel', label: 'Phone Number', required: true, maxlength: 20, autocomplete: 'tel', path: 'parent.phone' }
+                ]
+            },
+            {
+                id: 'emergency',
+                legend: 'Emergency Contact',
+                note: 'Please provide an alternative contact in case of emergency.',
+                fields: [
+                    { id: 'emergency-name', name: 'emergencyName', type: 'text', label: 'Contact Name', required: true, maxlength: 100, path: 'emergency.name' },
+                    { id: 'emergency-phone', name: 'emergencyPhone', type: 'tel', label: 'Phone Number', required: true, maxlength: 20, autocomplete: 'tel', path: 'emergency.phone' }
+                ]
+            },
+            {
+                id: 'consent',
+                legend: 'Consent and Privacy',
+                note: 'Please read our <a href="' + Consent.PRIVACY_NOTICE.url + '" id="privacy-notice-link" target="_blank" rel="noopener">Privacy Notice</a> before submitting this form. ' +
+                    'The optional consents below can be withdrawn at any time.',
+                // Labels are the versioned statements in consent.js - see Consent.record
+                fields: [
+                    { id: 'consent-privacy', name: 'consentPrivacy', type: 'checkbox', label: STATEMENTS.privacyNotice.text, statement: 'privacyNotice', required: true, path: 'consent.privacyNotice.accepted' },
+                    { id: 'consent-data', name: 'consentData', type: 'checkbox', label: STATEMENTS.registrationData.text, statement: 'registrationData', required: true, path: 'consent.purposes.dataCollection.granted' },
+                    { id: 'consent-photography', name: 'consentPhotography', type: 'checkbox', label: STATEMENTS.photography.text, statement: 'photography', path: 'consent.purposes.photography.granted' },
+                    { id: 'consent-england-athletics', name: 'consentEnglandAthletics', type: 'checkbox', label: STATEMENTS.englandAthletics.text, statement: 'englandAthletics', path: 'consent.purposes.englandAthletics.granted' },
+                    { id: 'consent-marketing', name: 'consentMarketing', type: 'checkbox', label: STATEMENTS.marketing.text, statement: 'marketing', path: 'consent.purposes.marketing.granted' },
+                    {
+                        type: 'html',
+                        html: '<p id="guardian-statement" class="guardian-statement" data-i18n="' + Consent.statementKey('guardianDeclaration') + '">' + STATEMENTS.guardianDeclaration.text + '</p>' +
+                            '<p id="adult-statement" class="guardian-statement" style="display: none;" data-i18n="' + Consent.statementKey('athleteDeclaration') + '">' + STATEMENTS.athleteDeclaration.text + '</p>'
+                    }
+                ]
+            }
+        ]
+    };
+})();
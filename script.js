@@ -1,6 +1,7 @@
 /**
  * MAD - Mobile Athlete Data Collection
- * Form validation, data collection, and webhook submission
+ * Registration Form - age-dependent sections, data collection, and webhook submission
+ * Fields, validation and serialisation come from registration-schema.js via form-engine.js
  */
 
 (function() {
@@ -8,415 +9,419 @@
 
     // Configuration
     const CONFIG = {
-        webhookUrl: 'https://webhook.athleticascent.co.uk/webhook/mad-form',
-        submitTimeout: 30000 // 30 seconds
+        // Endpoints for the current environment - see config.js
+        webhookUrl: window.MAD.Config.webhookUrl('mad-form'),
+        fallbackUrl: window.MAD.Config.fallbackUrl('mad-form'),
+        submitTimeout: 30000, // 30 seconds
+        // Published payload schema - minor version for an additive change, new file and major version for a breaking one (see README)
+        payloadSchema: { url: 'schemas/registration-payload.v2.json', version: '2.0.0' }
     };
 
     // DOM Elements
     const form = document.getElementById('registration-form');
     const submitButton = form.querySelector('button[type="submit"]');
     const statusDiv = document.getElementById('form-status');
-    const dobField = document.getElementById('athlete-dob');
-    const parentSection = document.querySelectorAll('fieldset')[1]; // Parent/Guardian section
-
-    // Validation patterns
-    const PATTERNS = {
-        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-        ukPhone: /^(?:(?:\+44\s?|0)(?:7\d{3}|\d{4})\s?\d{3}\s?\d{3,4}|\d{10,11})$/,
-        date: /^\d{4}-\d{2}-\d{2}$/
-    };
+    const queuePanel = document.getElementById('submission-queue');
+
+    const SubmissionQueue = window.MAD.SubmissionQueue;
+    const EndpointHealth = window.MAD.EndpointHealth;
+    const Consent = window.MAD.Consent;
+    const AgeGroups = window.MAD.AgeGroups;
+    const ClubPolicy = window.MAD.ClubPolicy;
+    const I18n = window.MAD.I18n;
 
-    // Error messages
+    // Messages - translated under registration.messages.<name>
     const MESSAGES = {
-        required: 'This field is required',
-        email: 'Please enter a valid email address',
-        phone: 'Please enter a valid UK phone number',
-        date: 'Please enter a valid date',
-        consent: 'You must agree to continue',
-        futureDate: 'Date of birth cannot be in the future',
-        tooOld: 'Please check the date of birth'
+        invalid: 'Please correct the errors above.',
+        submitting: 'Submitting registration...',
+        consentFailed: 'Your browser could not record consent securely, so nothing has been sent. Please update your browser and try again.',
+        successTitle: 'Registration successful!',
+        registeredOne: '{names} has been registered.',
+        registeredMany: '{names} have been registered.',
+        discoveryNote: 'Complete a Discovery Form for each athlete to provide additional context and finalise consent.',
+        discoveryLink: 'Continue to Discovery Form →',
+        discoveryLinkFor: 'Continue to Discovery Form for {name} →',
+        queued: 'You appear to be offline. The registration has been saved on this device and will be sent ' +
+            'automatically when your connection returns - there is no need to submit it again.',
+        alreadyRegisteredTitle: 'Already registered.',
+        alreadyRegisteredOne: '{names} is already registered with the club, so no new record has been created. ' +
+            'You can go straight to the Discovery Form:',
+        alreadyRegisteredMany: '{names} are already registered with the club, so no new record has been created. ' +
+            'You can go straight to the Discovery Form:',
+        thisAthlete: 'This athlete',
+        detailsChanged: 'If any details have changed, please contact',
+        otherAthletes: 'To register the other athletes on this form, remove the athletes already registered and submit again.',
+        guardianPurpose: 'A parent or guardian must give this consent for athletes under {age}.',
+        ageGroup: 'Age group for {season}: {ageGroup}',
+        ageGroups: 'Age group for {season}: {trackAndField} (track & field), {crossCountry} (cross country)'
     };
 
-    /**
-     * Show error message for a field
-     */
-    function showError(field, message) {
-        clearError(field);
-
-        field.classList.add('field-error');
-        field.setAttribute('aria-invalid', 'true');
-
-        const errorId = field.id + '-error';
-        const errorSpan = document.createElement('span');
-        errorSpan.id = errorId;
-        errorSpan.className = 'error-message';
-        errorSpan.setAttribute('role', 'alert');
-        errorSpan.textContent = message;
-
-        field.setAttribute('aria-describedby', errorId);
-        field.parentNode.insertBefore(errorSpan, field.nextSibling);
-    }
+    const engine = window.MAD.FormEngine.create({
+        form: form,
+        schema: window.MAD.schemas.registration,
+        submitButton: submitButton,
+        statusDiv: statusDiv,
+        submitLabel: 'Submit Registration',
+        webhookUrl: CONFIG.webhookUrl,
+        fallbackUrl: CONFIG.fallbackUrl,
+        submitTimeout: CONFIG.submitTimeout,
+        queueName: 'registration',
+        payloadSchema: CONFIG.payloadSchema,
+        errorSummary: document.getElementById('error-summary'),
+        onRepeatChange: handleAthletesChange
+    });
+
+    // Summary shown before anything is sent
+    const review = window.MAD.FormReview.create({
+        engine: engine,
+        form: form,
+        container: document.getElementById('form-review'),
+        onConfirm: submitRegistration
+    });
+
+    // Copy of the submitted answers to print or save, offered once sent or queued
+    const profile = window.MAD.FormProfile.create({
+        engine: engine,
+        container: document.getElementById('form-profile')
+    });
 
     /**
-     * Clear error message for a field
+     * A message in the current language
      */
-    function clearError(field) {
-        field.classList.remove('field-error');
-        field.removeAttribute('aria-invalid');
-        field.removeAttribute('aria-describedby');
-
-        const errorId = field.id + '-error';
-        const existingError = document.getElementById(errorId);
-        if (existingError) {
-            existingError.remove();
-        }
+    function message(name, params) {
+        return I18n.t('registration.messages.' + name, MESSAGES[name], params);
     }
 
     /**
-     * Validate a single field
+     * Current DoB values for every athlete on the form
      */
-    function validateField(field) {
-        const value = field.value.trim();
-        const type = field.type;
-        const isRequired = field.hasAttribute('required');
-
-        // Clear previous error
-        clearError(field);
-
-        // Required field check
-        if (isRequired && !value) {
-            if (type === 'checkbox' && !field.checked) {
-                showError(field, MESSAGES.consent);
-                return false;
-            } else if (type !== 'checkbox') {
-                showError(field, MESSAGES.required);
-                return false;
-            }
+    function getAthleteDobValues() {
+        const values = [];
+        for (let index = 0; index < engine.getInstanceCount('athlete'); index++) {
+            values.push(engine.getField('athlete-dob', index).value);
         }
-
-        // Skip further validation if empty and not required
-        if (!value && !isRequired) {
-            return true;
-        }
-
-        // Type-specific validation
-        switch (type) {
-            case 'email':
-                if (value && !PATTERNS.email.test(value)) {
-                    showError(field, MESSAGES.email);
-                    return false;
-                }
-                break;
-
-            case 'tel':
-                if (value && !PATTERNS.ukPhone.test(value.replace(/\s/g, ''))) {
-                    showError(field, MESSAGES.phone);
-                    return false;
-                }
-                break;
-
-            case 'date':
-                if (value) {
-                    const date = new Date(value);
-                    const today = new Date();
-
-                    if (isNaN(date.getTime())) {
-                        showError(field, MESSAGES.date);
-                        return false;
-                    }
-
-                    // Check if date is in the future (for DOB)
-                    if (field.id === 'athlete-dob' && date > today) {
-                        showError(field, MESSAGES.futureDate);
-                        return false;
-                    }
-
-                    // Check if date is unrealistically old (before 1920)
-                    if (field.id === 'athlete-dob' && date.getFullYear() < 1920) {
-                        showError(field, MESSAGES.tooOld);
-                        return false;
-                    }
-                }
-                break;
-
-            case 'checkbox':
-                if (isRequired && !field.checked) {
-                    showError(field, MESSAGES.consent);
-                    return false;
-                }
-                break;
-        }
-
-        return true;
+        return values;
     }
 
     /**
-     * Validate entire form
+     * Collect form data into submission format - one batched payload for
+     * all athletes, sharing the parent/guardian and emergency contact
      */
-    function validateForm() {
-        const fields = form.querySelectorAll('input, select, textarea');
-        let isValid = true;
-        let firstErrorField = null;
-
-        fields.forEach(field => {
-            if (!validateField(field)) {
-                isValid = false;
-                if (!firstErrorField) {
-                    firstErrorField = field;
-                }
-            }
-        });
-
-        // Focus first error field
-        if (firstErrorField) {
-            firstErrorField.focus();
-        }
+    function collectFormData() {
+        const data = engine.serialize();
 
-        return isValid;
-    }
+        const datesOfBirth = data.athletes.map(athlete => athlete.dateOfBirth);
 
-    /**
-     * Check if athlete is under 16 based on current DoB value
-     */
-    function isAthleteUnder16() {
-        const dobValue = dobField.value;
-        if (!dobValue) return false;
-        const dob = new Date(dobValue);
-        if (isNaN(dob.getTime())) return false;
-        return calculateAge(dob) < 16;
-    }
+        data.athletes.forEach(athlete => {
+            athlete.isMinor = ClubPolicy.needsGuardianContact(athlete.dateOfBirth);
+            athlete.ageGroups = AgeGroups.derive(athlete.dateOfBirth);
+        });
+        data.consent.givenBy = getGivenBy(datesOfBirth);
+        Object.keys(data.consent.purposes).forEach(purpose => {
+            data.consent.purposes[purpose].givenBy = ClubPolicy.getPurposeGivenBy(purpose, datesOfBirth, data.consent.givenBy);
+        });
 
-    /**
-     * Collect form data into submission format
-     */
-    function collectFormData() {
-        const isMinor = isAthleteUnder16();
-
-        return {
-            athlete: {
-                firstName: document.getElementById('athlete-first-name').value.trim(),
-                lastName: document.getElementById('athlete-last-name').value.trim(),
-                dateOfBirth: document.getElementById('athlete-dob').value,
-                gender: capitalizeFirst(document.getElementById('athlete-gender').value),
-                email: document.getElementById('athlete-email').value.trim() || null,
-                phone: document.getElementById('athlete-phone').value.trim() || null,
-                isMinor: isMinor
-            },
-            parent: isMinor ? {
-                firstName: document.getElementById('parent-first-name').value.trim(),
-                lastName: document.getElementById('parent-last-name').value.trim(),
-                email: document.getElementById('parent-email').value.trim(),
-                phone: document.getElementById('parent-phone').value.trim(),
-                relationship: capitalizeFirst(document.getElementById('parent-relationship').value)
-            } : null,
-            emergency: {
-                name: document.getElementById('emergency-name').value.trim(),
-                phone: document.getElementById('emergency-phone').value.trim()
-            },
-            consent: {
-                privacyNotice: document.getElementById('consent-privacy').checked,
-                dataCollection: document.getElementById('consent-data').checked,
-                timestamp: new Date().toISOString()
-            }
-        };
+        return data;
     }
 
     /**
-     * Capitalize first letter
+     * Display names of the athletes in a payload, e.g. "Amy Smith & Ben Smith"
      */
-    function capitalizeFirst(str) {
-        if (!str) return str;
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    function getAthleteNames(data) {
+        return data.athletes.map(athlete => athlete.firstName + ' ' + athlete.lastName).join(' & ');
     }
 
     /**
-     * Calculate age from date of birth
+     * Who gives consent for athletes with these dates of birth - a parent or
+     * guardian when any athlete is under the club's consent age
      */
-    function calculateAge(dob) {
-        const today = new Date();
-        let age = today.getFullYear() - dob.getFullYear();
-        const monthDiff = today.getMonth() - dob.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
-            age--;
-        }
-        return age;
+    function getGivenBy(datesOfBirth) {
+        return datesOfBirth.some(dateOfBirth => ClubPolicy.needsGuardianConsent(dateOfBirth))
+            ? Consent.GIVEN_BY.guardian
+            : Consent.GIVEN_BY.athlete;
     }
 
     /**
-     * Toggle parent/guardian section visibility based on athlete age
+     * Toggle parent/guardian section visibility and the declaration shown,
+     * from the athletes' ages under the club policy (club-policy.js)
      */
     function updateParentSectionVisibility() {
-        const dobValue = dobField.value;
+        const dobValues = getAthleteDobValues();
         const guardianStatement = document.getElementById('guardian-statement');
         const adultStatement = document.getElementById('adult-statement');
 
-        if (!dobValue) {
+        if (dobValues.every(value => !value)) {
             // No DoB entered yet - hide parent section, show guardian statement by default
-            parentSection.style.display = 'none';
-            setParentFieldsRequired(false);
+            engine.setSectionVisible('parent', false);
             guardianStatement.style.display = 'block';
             adultStatement.style.display = 'none';
+            updatePurposeHints(dobValues, Consent.GIVEN_BY.guardian);
             return;
         }
 
-        const dob = new Date(dobValue);
-        if (isNaN(dob.getTime())) {
+        if (dobValues.some(value => value && AgeGroups.getAge(value) === null)) {
             return; // Invalid date, don't change visibility
         }
 
-        const age = calculateAge(dob);
-        const isUnder16 = age < 16;
+        // Only the dates entered so far - an athlete still without one would count as needing a guardian
+        const entered = dobValues.filter(Boolean);
+        const givenBy = getGivenBy(entered);
+        const isGuardian = givenBy === Consent.GIVEN_BY.guardian;
 
-        parentSection.style.display = isUnder16 ? 'block' : 'none';
-        setParentFieldsRequired(isUnder16);
+        engine.setSectionVisible('parent', entered.some(value => ClubPolicy.needsGuardian(value)));
 
         // Toggle consent statements
-        guardianStatement.style.display = isUnder16 ? 'block' : 'none';
-        adultStatement.style.display = isUnder16 ? 'none' : 'block';
+        guardianStatement.style.display = isGuardian ? 'block' : 'none';
+        adultStatement.style.display = isGuardian ? 'none' : 'block';
+
+        updatePurposeHints(entered, givenBy);
     }
 
     /**
-     * Set required attribute on parent/guardian fields
+     * Note under each optional consent a parent or guardian must give while
+     * the athletes give the rest themselves
      */
-    function setParentFieldsRequired(isRequired) {
-        const parentFields = parentSection.querySelectorAll('input, select');
-        parentFields.forEach(field => {
-            if (isRequired) {
-                field.setAttribute('required', '');
-                field.setAttribute('aria-required', 'true');
-            } else {
-                field.removeAttribute('required');
-                field.removeAttribute('aria-required');
-                clearError(field); // Clear any validation errors
-            }
-        });
+    function updatePurposeHints(datesOfBirth, givenBy) {
+        engine.schema.sections.find(section => section.id === 'consent').fields
+            .filter(field => field.statement && field.path.indexOf('consent.purposes.') === 0)
+            .forEach(field => {
+                const purpose = field.path.split('.')[2];
+                const group = engine.getField(field.id).parentNode;
+                let hint = document.getElementById(field.id + '-guardian');
+                if (!hint) {
+                    hint = document.createElement('p');
+                    hint.id = field.id + '-guardian';
+                    hint.className = 'field-hint';
+                    group.parentNode.insertBefore(hint, group.nextSibling);
+                }
+
+                const isShown = givenBy === Consent.GIVEN_BY.athlete &&
+                    ClubPolicy.getPurposeGivenBy(purpose, datesOfBirth, givenBy) === Consent.GIVEN_BY.guardian;
+                hint.textContent = isShown ? message('guardianPurpose', { age: ClubPolicy.getConsentAge(purpose) }) : '';
+                hint.hidden = !isShown;
+            });
     }
 
     /**
-     * Show status message
+     * Age groups for the season as shown to the user - one group when the
+     * track & field and cross country groups are the same
      */
-    function showStatus(message, type) {
-        statusDiv.textContent = message;
-        statusDiv.className = 'form-status ' + type;
-        statusDiv.style.display = 'block';
+    function describeAgeGroups(groups) {
+        if (groups.trackAndField.ageGroup === groups.crossCountry.ageGroup) {
+            return message('ageGroup', { season: groups.season, ageGroup: groups.trackAndField.ageGroup });
+        }
+        return message('ageGroups', {
+            season: groups.season,
+            trackAndField: groups.trackAndField.ageGroup,
+            crossCountry: groups.crossCountry.ageGroup
+        });
     }
 
     /**
-     * Set form loading state
+     * Show each athlete's age groups under their date of birth
      */
-    function setLoading(isLoading) {
-        if (isLoading) {
-            submitButton.disabled = true;
-            submitButton.textContent = 'Submitting...';
-            submitButton.classList.add('loading');
-        } else {
-            submitButton.disabled = false;
-            submitButton.textContent = 'Submit Registration';
-            submitButton.classList.remove('loading');
+    function updateAgeGroupHints() {
+        for (let index = 0; index < engine.getInstanceCount('athlete'); index++) {
+            const field = engine.getField('athlete-dob', index);
+            let hint = document.getElementById(field.id + '-age-group');
+            if (!hint) {
+                hint = document.createElement('p');
+                hint.id = field.id + '-age-group';
+                hint.className = 'field-hint';
+                hint.setAttribute('aria-live', 'polite');
+                field.parentNode.insertBefore(hint, field.nextSibling);
+            }
+
+            const groups = AgeGroups.derive(field.value);
+            hint.textContent = groups ? describeAgeGroups(groups) : '';
+            hint.hidden = !groups;
         }
     }
 
     /**
-     * Submit form data to webhook
+     * Refresh everything that depends on the athletes' dates of birth
      */
-    async function submitForm(data) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.submitTimeout);
+    function handleAthletesChange() {
+        updateParentSectionVisibility();
+        updateAgeGroupHints();
+    }
 
-        try {
-            const response = await fetch(CONFIG.webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(data),
-                signal: controller.signal
-            });
+    /**
+     * Build the Discovery Form link from the signed athlete reference
+     * returned by the registration webhook
+     */
+    function getDiscoveryLink(athleteToken) {
+        return 'discovery.html?ref=' + encodeURIComponent(athleteToken);
+    }
 
-            clearTimeout(timeoutId);
+    /**
+     * Create the "Continue to Discovery Form" link element
+     */
+    function createDiscoveryLink(athleteToken) {
+        const link = document.createElement('a');
+        link.href = getDiscoveryLink(athleteToken);
+        link.className = 'discovery-link';
+        link.textContent = message('discoveryLink');
+        return link;
+    }
 
-            const result = await response.json();
+    /**
+     * Registered athletes from a webhook response: [{ athleteId, athleteName, athleteToken }]
+     * Single-athlete responses (no `athletes` array) are treated as a list of one
+     */
+    function getRegisteredAthletes(response) {
+        if (Array.isArray(response.athletes)) {
+            return response.athletes;
+        }
+        return [{ athleteId: response.athleteId, athleteName: response.athleteName, athleteToken: response.athleteToken }];
+    }
 
-            if (response.ok && result.success) {
-                return { success: true, data: result };
-            } else {
-                return {
-                    success: false,
-                    error: result.message || 'Submission failed',
-                    details: result.details || []
-                };
+    /**
+     * List each registered athlete with their own Discovery Form link
+     */
+    function renderDiscoveryLinks(athletes) {
+        const list = document.createElement('ul');
+        list.className = 'discovery-links';
+
+        athletes.forEach(athlete => {
+            const item = document.createElement('li');
+            const name = document.createElement('strong');
+            name.textContent = athlete.athleteName;
+            item.appendChild(name);
+
+            if (athlete.athleteToken) {
+                const link = createDiscoveryLink(athlete.athleteToken);
+                link.textContent = message('discoveryLinkFor', { name: athlete.athleteName });
+                item.appendChild(link);
             }
-        } catch (error) {
-            clearTimeout(timeoutId);
 
-            if (error.name === 'AbortError') {
-                return { success: false, error: 'Request timed out. Please try again.' };
-            }
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Discovery links shown against a queued registration once it has been sent
+     */
+    function renderSentRegistration(entry) {
+        if (!entry.response) return null;
+        return renderDiscoveryLinks(getRegisteredAthletes(entry.response));
+    }
 
-            return {
-                success: false,
-                error: 'Unable to connect to the server. Please check your connection and try again.'
-            };
+    /**
+     * Discovery links for a queued registration the server rejected as already registered
+     */
+    function renderFailedRegistration(entry) {
+        if (entry.code !== 'already_registered' || !entry.response) return null;
+        return renderDiscoveryLinks(getRegisteredAthletes(entry.response));
+    }
+
+    /**
+     * Athletes already on file - offer their existing Discovery links instead of
+     * creating duplicate records
+     */
+    function showAlreadyRegistered(response, submittedCount) {
+        const athletes = getRegisteredAthletes(response).filter(athlete => athlete.athleteName || athlete.athleteToken);
+        const names = athletes.map(athlete => athlete.athleteName).filter(Boolean).join(' & ');
+
+        statusDiv.innerHTML =
+            '<strong class="status-title"></strong> <span class="status-text"></span>' +
+            '<span class="discovery-note"><span class="details-changed"></span> ' +
+            '<a href="mailto:coach@charnwoodac.org.uk">coach@charnwoodac.org.uk</a>.</span>';
+        statusDiv.querySelector('.status-title').textContent = message('alreadyRegisteredTitle');
+        statusDiv.querySelector('.status-text').textContent = message(athletes.length > 1 ? 'alreadyRegisteredMany' : 'alreadyRegisteredOne', {
+            names: names || message('thisAthlete')
+        });
+        statusDiv.querySelector('.details-changed').textContent = message('detailsChanged');
+        statusDiv.insertBefore(renderDiscoveryLinks(athletes), statusDiv.querySelector('.discovery-note'));
+
+        if (submittedCount > athletes.length) {
+            const note = document.createElement('span');
+            note.className = 'discovery-note';
+            note.textContent = message('otherAthletes');
+            statusDiv.appendChild(note);
         }
+
+        statusDiv.className = 'form-status info';
+        statusDiv.style.display = 'block';
+        window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
     /**
-     * Handle form submission
+     * Handle form submission - validate, then show the summary for review
      */
-    async function handleSubmit(event) {
+    function handleSubmit(event) {
         event.preventDefault();
 
         // Validate form
-        if (!validateForm()) {
-            showStatus('Please correct the errors above.', 'error');
+        if (!engine.validate()) {
+            engine.showStatus(message('invalid'), 'error');
             return;
         }
 
-        // Collect data
-        const formData = collectFormData();
+        review.show(collectFormData());
+    }
 
+    /**
+     * Submit a reviewed registration payload
+     */
+    async function submitRegistration(formData) {
         // Show loading state
-        setLoading(true);
-        showStatus('Submitting registration...', 'info');
+        engine.setLoading(true);
+        engine.showStatus(message('submitting'), 'info');
+        profile.hide();
+
+        // Record the versioned statements consent was given against
+        let payload;
+        try {
+            payload = await Consent.record(engine.schema, formData);
+        } catch (error) {
+            console.error('Consent record failed:', error);
+            engine.setLoading(false);
+            engine.showStatus(message('consentFailed'), 'error');
+            return;
+        }
 
         // Submit to webhook
-        const result = await submitForm(formData);
+        const result = await engine.submitForm(payload, getAthleteNames(formData));
 
         // Handle result
-        setLoading(false);
+        engine.setLoading(false);
 
         if (result.success) {
-            const athleteName = result.data.athleteName;
-            const encodedName = encodeURIComponent(athleteName);
-            const discoveryLink = 'discovery.html?athlete=' + encodedName;
+            const athletes = getRegisteredAthletes(result.data);
 
-            // Show success with link to Discovery Form
+            // Show success with a Discovery Form link per athlete
             statusDiv.innerHTML =
-                '<strong>Registration successful!</strong> ' + athleteName + ' has been registered.<br><br>' +
-                '<a href="' + discoveryLink + '" class="discovery-link">Continue to Discovery Form →</a><br>' +
-                '<span class="discovery-note">Complete the Discovery Form to provide additional context about the athlete and finalise consent.</span>';
+                '<strong class="status-title"></strong> <span class="status-text"></span><span class="discovery-note"></span>';
+            statusDiv.querySelector('.status-title').textContent = message('successTitle');
+            statusDiv.querySelector('.status-text').textContent = message(athletes.length > 1 ? 'registeredMany' : 'registeredOne', {
+                names: athletes.map(athlete => athlete.athleteName).join(' & ')
+            });
+            statusDiv.querySelector('.discovery-note').textContent = message('discoveryNote');
+            statusDiv.insertBefore(renderDiscoveryLinks(athletes), statusDiv.querySelector('.discovery-note'));
             statusDiv.className = 'form-status success';
             statusDiv.style.display = 'block';
+            profile.show(payload, getAthleteNames(formData));
+            statusDiv.appendChild(profile.createPrintButton());
 
-            form.reset();
+            engine.reset();
+            handleAthletesChange();
             // Scroll to top to show success message
             window.scrollTo({ top: 0, behavior: 'smooth' });
+        } else if (result.queued) {
+            engine.showStatus(message('queued'), 'info');
+            profile.show(payload, getAthleteNames(formData), true);
+            statusDiv.appendChild(profile.createPrintButton());
+            engine.reset();
+            handleAthletesChange();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        } else if (result.code === 'already_registered') {
+            showAlreadyRegistered(result.data, formData.athletes.length);
         } else {
-            let errorMessage = result.error;
-            if (result.details && result.details.length > 0) {
-                errorMessage += ': ' + result.details.join(', ');
-            }
-            showStatus(errorMessage, 'error');
-        }
-    }
-
-    /**
-     * Handle field blur for inline validation
-     */
-    function handleFieldBlur(event) {
-        const field = event.target;
-        if (field.tagName === 'INPUT' || field.tagName === 'SELECT') {
-            validateField(field);
+            engine.showStatus(result.error, 'error');
+            engine.showServerErrors(result.details);
         }
     }
 
@@ -424,25 +429,37 @@
      * Initialize form
      */
     function init() {
+        // Render fields from the schema, with inline validation
+        engine.init();
+
+        // Language switcher - defaults to the browser language
+        I18n.mountSwitcher(document.getElementById('language-select'));
+
         // Form submission
         form.addEventListener('submit', handleSubmit);
 
-        // Inline validation on blur
-        form.addEventListener('blur', handleFieldBlur, true);
-
-        // Clear error on input
-        form.addEventListener('input', function(event) {
-            const field = event.target;
-            if (field.classList.contains('field-error')) {
-                clearError(field);
+        // DoB change handler - show/hide parent section based on age (any athlete)
+        // and show the athlete's age groups
+        form.addEventListener('change', function(event) {
+            if (event.target.dataset.fieldId === 'athlete-dob') {
+                handleAthletesChange();
             }
         });
-
-        // DoB change handler - show/hide parent section based on age
-        dobField.addEventListener('change', updateParentSectionVisibility);
+        I18n.onChange(handleAthletesChange);
 
         // Initialize parent section visibility (hidden until DoB entered)
-        updateParentSectionVisibility();
+        handleAthletesChange();
+
+        // Offline queue - retry saved submissions and show their pending / sent state
+        SubmissionQueue.mountStatusPanel(queuePanel, {
+            form: 'registration',
+            renderSent: renderSentRegistration,
+            renderFailed: renderFailedRegistration
+        });
+        SubmissionQueue.start();
+
+        // Warn before the form is filled in if the backend cannot be reached
+        EndpointHealth.mount(document.getElementById('endpoint-health'));
 
         console.log('MAD Registration Form initialized');
     }
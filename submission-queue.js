@@ -0,0 +1,589 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Offline submission queue - stores failed submissions in IndexedDB and
+ * retries them with backoff when connectivity returns.
+ * Loaded by both forms and by the service worker (sw.js).
+ */
+
+(function(global) {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        dbName: 'mad-submissions',
+        dbVersion: 1,
+        storeName: 'queue',
+        syncTag: 'mad-submission-queue',
+        channelName: 'mad-submission-queue',
+        retryBaseDelay: 5000, // 5 seconds
+        retryMaxDelay: 300000, // 5 minutes
+        claimTimeout: 60000, // Reclaim entries left 'sending' by a closed tab
+        sentRetention: 7 * 24 * 60 * 60 * 1000 // Keep sent receipts for 7 days
+    };
+
+    // Entry states
+    const STATUS = {
+        pending: 'pending',
+        sending: 'sending',
+        sent: 'sent',
+        failed: 'failed'
+    };
+
+    // Messages - translated under queue.<name> on pages that load i18n.js
+    const MESSAGES = {
+        failed: 'Submission failed',
+        timeout: 'Request timed out. Please try again.',
+        offline: 'Unable to connect to the server. Please check your connection and try again.',
+        heading: 'Submissions on this device',
+        submission: 'Submission',
+        dismiss: 'Dismiss',
+        pending: 'Pending - saved on this device and will be sent automatically when you are back online. Please do not submit again.',
+        sending: 'Sending...',
+        sent: 'Sent {time}',
+        rejected: 'Not accepted: {error}{details}. Please check the details and submit again.'
+    };
+
+    const listeners = [];
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CONFIG.channelName) : null;
+    let dbPromise = null;
+    let flushPromise = null;
+    let retryTimer = null;
+
+    /**
+     * A message in the page's language (English in the service worker)
+     */
+    function message(name, params) {
+        const I18n = global.MAD && global.MAD.I18n;
+        if (I18n) {
+            return I18n.t('queue.' + name, MESSAGES[name], params);
+        }
+        return Object.keys(params || {}).reduce((text, key) => text.split('{' + key + '}').join(params[key]), MESSAGES[name]);
+    }
+
+    /**
+     * Open (and upgrade if needed) the queue database
+     */
+    function openDb() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!global.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = global.indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+            request.onupgradeneeded = function() {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONFIG.storeName)) {
+                    const store = db.createObjectStore(CONFIG.storeName, { keyPath: 'id' });
+                    store.createIndex('status', 'status');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve when it commits
+     */
+    async function withStore(mode, callback) {
+        const db = await openDb();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(CONFIG.storeName, mode);
+            const store = tx.objectStore(CONFIG.storeName);
+            let result;
+
+            Promise.resolve(callback(store)).then(value => {
+                result = value;
+            }, error => {
+                tx.abort();
+                reject(error);
+            });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Generate a unique entry ID
+     */
+    function generateId() {
+        if (global.crypto && typeof global.crypto.randomUUID === 'function') {
+            return global.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Delay before the next attempt: exponential backoff with jitter
+     */
+    function nextDelay(attempts) {
+        const exponential = CONFIG.retryBaseDelay * Math.pow(2, Math.max(0, attempts - 1));
+        const capped = Math.min(CONFIG.retryMaxDelay, exponential);
+        const jitter = capped * 0.2 * (Math.random() * 2 - 1);
+        return Math.round(capped + jitter);
+    }
+
+    /**
+     * POST a payload to one webhook URL - see send
+     */
+    async function post(url, data, timeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            let result = {};
+            try {
+                result = await response.json();
+            } catch (parseError) {
+                // Non-JSON body (e.g. tunnel error page) - treat as a server error below
+            }
+
+            if (response.ok && result.success) {
+                return { success: true, data: result };
+            }
+
+            return {
+                success: false,
+                error: result.message || message('failed'),
+                details: result.details || [],
+                // Machine-readable reason, e.g. 'already_registered', with the full response
+                code: result.code || null,
+                data: result,
+                // Server-side outages are worth retrying; validation rejections are not
+                retryable: response.status >= 500 || response.status === 408 || response.status === 429
+            };
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                return { success: false, error: message('timeout'), retryable: true };
+            }
+
+            return {
+                success: false,
+                error: message('offline'),
+                retryable: true
+            };
+        }
+    }
+
+    /**
+     * POST a payload to a webhook, then to fallbackUrl (if given) when the
+     * first cannot be reached or fails in a way worth retrying
+     * Returns { success, data } or { success: false, error, details, code, data, retryable }
+     * A payload's idempotencyKey lets the server recognise a retry of a
+     * submission it has already processed
+     */
+    async function send(url, data, timeout, fallbackUrl) {
+        const result = await post(url, data, timeout);
+        if (result.success || !result.retryable || !fallbackUrl) {
+            return result;
+        }
+        return post(fallbackUrl, data, timeout);
+    }
+
+    /**
+     * A detail from a rejected submission as { path, message } - servers send
+     * either that or a "path: message" string (as payload-validator.js does).
+     * path is null when the detail is not about one payload field
+     */
+    function parseDetail(detail) {
+        if (detail && typeof detail === 'object') {
+            return { path: detail.path || null, message: String(detail.message || '') };
+        }
+
+        const text = String(detail);
+        const separator = text.indexOf(': ');
+        if (separator > 0) {
+            return { path: text.slice(0, separator), message: text.slice(separator + 2) };
+        }
+        return { path: null, message: text };
+    }
+
+    /**
+     * A detail from a rejected submission as "path: message" text
+     */
+    function formatDetail(detail) {
+        const parsed = parseDetail(detail);
+        return parsed.path ? parsed.path + ': ' + parsed.message : parsed.message;
+    }
+
+    /**
+     * Store a submission for later delivery
+     * A submission already waiting with the same idempotency key is not stored twice
+     */
+    async function enqueue(options) {
+        const key = options.payload.idempotencyKey;
+        if (key) {
+            const existing = (await getAll()).find(entry =>
+                entry.payload && entry.payload.idempotencyKey === key && entry.status !== STATUS.failed);
+            if (existing) return existing;
+        }
+
+        const now = Date.now();
+        const entry = {
+            id: generateId(),
+            form: options.form,
+            label: options.label || '',
+            url: options.url,
+            fallbackUrl: options.fallbackUrl || null,
+            timeout: options.timeout,
+            payload: options.payload,
+            status: STATUS.pending,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: now + nextDelay(1),
+            lastError: null,
+            response: null
+        };
+
+        await withStore('readwrite', store => {
+            store.put(entry);
+        });
+
+        notify();
+        requestBackgroundSync();
+        scheduleRetry();
+
+        return entry;
+    }
+
+    /**
+     * List all entries, newest first
+     */
+    async function getAll() {
+        const entries = await withStore('readonly', store => requestToPromise(store.getAll()));
+        return entries.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Remove an entry (e.g. a failed submission the parent has dismissed)
+     */
+    async function remove(id) {
+        await withStore('readwrite', store => {
+            store.delete(id);
+        });
+        notify();
+    }
+
+    /**
+     * Atomically mark due entries as 'sending' so that a second tab or the
+     * service worker cannot send the same submission at the same time
+     */
+    function claimDueEntries(force) {
+        const now = Date.now();
+
+        return withStore('readwrite', async store => {
+            const entries = await requestToPromise(store.getAll());
+            const claimed = [];
+
+            entries.forEach(entry => {
+                const isDue = entry.status === STATUS.pending && (force || entry.nextAttemptAt <= now);
+                const isStale = entry.status === STATUS.sending && now - entry.updatedAt > CONFIG.claimTimeout;
+
+                if (isDue || isStale) {
+                    entry.status = STATUS.sending;
+                    entry.updatedAt = now;
+                    store.put(entry);
+                    claimed.push(entry);
+                }
+            });
+
+            return claimed;
+        });
+    }
+
+    /**
+     * Record the outcome of one delivery attempt
+     */
+    function recordAttempt(entry, result) {
+        const now = Date.now();
+        entry.attempts += 1;
+        entry.updatedAt = now;
+
+        if (result.success) {
+            entry.status = STATUS.sent;
+            entry.sentAt = now;
+            entry.response = result.data;
+            entry.lastError = null;
+            // The payload may hold health data - don't keep it once delivered
+            entry.payload = null;
+        } else if (result.retryable) {
+            entry.status = STATUS.pending;
+            entry.nextAttemptAt = now + nextDelay(entry.attempts + 1);
+            entry.lastError = result.error;
+        } else {
+            entry.status = STATUS.failed;
+            entry.lastError = result.error;
+            entry.details = result.details || [];
+            entry.code = result.code || null;
+            entry.response = result.data || null;
+        }
+
+        return withStore('readwrite', store => {
+            store.put(entry);
+        });
+    }
+
+    /**
+     * Drop sent receipts older than the retention period
+     */
+    function pruneSent() {
+        const cutoff = Date.now() - CONFIG.sentRetention;
+
+        return withStore('readwrite', async store => {
+            const entries = await requestToPromise(store.getAll());
+            entries.forEach(entry => {
+                if (entry.status === STATUS.sent && entry.sentAt < cutoff) {
+                    store.delete(entry.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Try to deliver every due entry
+     * force: ignore backoff timers (used when the browser comes back online)
+     */
+    function flush(force) {
+        if (flushPromise) return flushPromise;
+
+        flushPromise = (async () => {
+            try {
+                const entries = await claimDueEntries(force);
+
+                if (entries.length > 0) {
+                    notify();
+                }
+
+                for (const entry of entries) {
+                    const result = await send(entry.url, entry.payload, entry.timeout, entry.fallbackUrl);
+                    await recordAttempt(entry, result);
+                    notify();
+                }
+
+                await pruneSent();
+            } catch (error) {
+                console.error('Submission queue flush failed:', error);
+            } finally {
+                flushPromise = null;
+                scheduleRetry();
+            }
+        })();
+
+        return flushPromise;
+    }
+
+    /**
+     * Schedule the next flush for the earliest pending entry (window only)
+     */
+    async function scheduleRetry() {
+        if (typeof global.document === 'undefined') return;
+
+        clearTimeout(retryTimer);
+
+        try {
+            const entries = await getAll();
+            const pending = entries.filter(entry => entry.status === STATUS.pending);
+            if (pending.length === 0) return;
+
+            const nextAt = Math.min.apply(null, pending.map(entry => entry.nextAttemptAt));
+            retryTimer = setTimeout(() => flush(false), Math.max(0, nextAt - Date.now()));
+        } catch (error) {
+            // Queue unavailable - nothing to schedule
+        }
+    }
+
+    /**
+     * Ask the service worker to flush when connectivity returns, even if
+     * the tab has been closed (where Background Sync is supported)
+     */
+    function requestBackgroundSync() {
+        if (!global.navigator || !('serviceWorker' in global.navigator)) return;
+
+        global.navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register(CONFIG.syncTag))
+            .catch(() => {
+                // Background Sync unsupported - page-level retries still apply
+            });
+    }
+
+    /**
+     * Subscribe to queue changes (from this page, other tabs or the service worker)
+     */
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Tell listeners in every context that the queue has changed
+     */
+    function notify() {
+        listeners.forEach(listener => listener());
+        if (channel) {
+            channel.postMessage('changed');
+        }
+    }
+
+    if (channel) {
+        channel.onmessage = () => listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Register the service worker and start page-level retries
+     */
+    function start() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        }
+
+        global.addEventListener('online', () => flush(true));
+        flush(false);
+    }
+
+    /**
+     * Render the pending / sent list into a container and keep it updated
+     * renderSent(entry) / renderFailed(entry) may return extra content for a
+     * delivered or rejected entry
+     */
+    function mountStatusPanel(container, options) {
+        const formName = options.form;
+        const renderSent = options.renderSent;
+        const renderFailed = options.renderFailed;
+
+        async function render() {
+            let entries;
+            try {
+                entries = (await getAll()).filter(entry => entry.form === formName);
+            } catch (error) {
+                entries = [];
+            }
+
+            container.innerHTML = '';
+            container.hidden = entries.length === 0;
+            if (entries.length === 0) return;
+
+            const heading = document.createElement('h2');
+            heading.textContent = message('heading');
+            container.appendChild(heading);
+
+            const list = document.createElement('ul');
+
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'queue-item queue-' + entry.status;
+
+                const label = document.createElement('strong');
+                label.textContent = entry.label || message('submission');
+                item.appendChild(label);
+
+                const state = document.createElement('span');
+                state.className = 'queue-state';
+                state.textContent = describeStatus(entry);
+                item.appendChild(state);
+
+                if (entry.status === STATUS.sent && renderSent) {
+                    const extra = renderSent(entry);
+                    if (extra) item.appendChild(extra);
+                }
+
+                if (entry.status === STATUS.failed && renderFailed) {
+                    const extra = renderFailed(entry);
+                    if (extra) item.appendChild(extra);
+                }
+
+                if (entry.status === STATUS.failed) {
+                    const dismiss = document.createElement('button');
+                    dismiss.type = 'button';
+                    dismiss.className = 'queue-dismiss';
+                    dismiss.textContent = message('dismiss');
+                    dismiss.addEventListener('click', () => remove(entry.id));
+                    item.appendChild(dismiss);
+                }
+
+                list.appendChild(item);
+            });
+
+            container.appendChild(list);
+        }
+
+        subscribe(render);
+        global.MAD.I18n.onChange(render);
+        render();
+    }
+
+    /**
+     * Human-readable status for an entry
+     */
+    function describeStatus(entry) {
+        switch (entry.status) {
+            case STATUS.pending:
+                return message('pending');
+            case STATUS.sending:
+                return message('sending');
+            case STATUS.sent:
+                return message('sent', { time: new Date(entry.sentAt).toLocaleString(global.MAD.I18n.getDateLocale()) });
+            case STATUS.failed:
+                return message('rejected', {
+                    error: entry.lastError,
+                    details: entry.details && entry.details.length > 0 ? ' (' + entry.details.map(formatDetail).join(', ') + ')' : ''
+                });
+            default:
+                return entry.status;
+        }
+    }
+
+    global.MAD = global.MAD || {};
+    global.MAD.SubmissionQueue = {
+        STATUS: STATUS,
+        syncTag: CONFIG.syncTag,
+        generateId: generateId,
+        send: send,
+        parseDetail: parseDetail,
+        formatDetail: formatDetail,
+        enqueue: enqueue,
+        getAll: getAll,
+        remove: remove,
+        flush: flush,
+        subscribe: subscribe,
+        start: start,
+        mountStatusPanel: mountStatusPanel
+    };
+})(self);
@@ -0,0 +1,99 @@
+/**
+ * MAD - Mobile Athlete Data Collection
+ * Service worker - caches the forms for patchy signal at the track and
+ * delivers queued submissions via Background Sync.
+ */
+
+importScripts('submission-queue.js');
+
+const CACHE_NAME = 'mad-shell-v21';
+
+// Files needed to open and fill in the forms, and the coach viewer, offline
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'discovery.html',
+    'consent.html',
+    'data-request.html',
+    'coach.html',
+    'styles.css',
+    'script.js',
+    'discovery-script.js',
+    'consent-script.js',
+    'data-request-script.js',
+    'coach-script.js',
+    'config.js',
+    'i18n.js',
+    'locales/pl.js',
+    'locales/gu.js',
+    'locales/pa.js',
+    'submission-queue.js',
+    'endpoint-health.js',
+    'phone.js',
+    'form-engine.js',
+    'form-wizard.js',
+    'form-review.js',
+    'form-profile.js',
+    'athlete-link.js',
+    'growth.js',
+    'age-groups.js',
+    'club-policy.js',
+    'ical.js',
+    'events.js',
+    'coach-records.js',
+    'consent.js',
+    'registration-schema.js',
+    'discovery-schema.js',
+    'data-request-schema.js',
+    'consent-schema.js',
+    'payload-validator.js',
+    'schemas/registration-payload.v2.json',
+    'schemas/discovery-payload.v5.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first so updates go live immediately; fall back to the cached shell
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    // Webhooks (the local stub's health check) always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.indexOf('/webhook/') === 0) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    // Cache without the query string - Discovery links carry athlete details
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request.url.split('?')[0], copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === self.MAD.SubmissionQueue.syncTag) {
+        event.waitUntil(self.MAD.SubmissionQueue.flush(true));
+    }
+});